@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "User_Session" (
+    "Session_ID" TEXT NOT NULL,
+    "User_ID" INTEGER NOT NULL,
+    "Refresh_Token_Hash" TEXT NOT NULL,
+    "User_Agent" TEXT,
+    "IP_Address" TEXT,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Last_Used_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Expires_At" TIMESTAMP(3) NOT NULL,
+    "Revoked_At" TIMESTAMP(3),
+    "Revoked_Reason" TEXT,
+
+    CONSTRAINT "User_Session_pkey" PRIMARY KEY ("Session_ID")
+);
+
+-- CreateIndex
+CREATE INDEX "User_Session_User_ID_idx" ON "User_Session"("User_ID");
+
+-- CreateIndex
+CREATE INDEX "User_Session_Expires_At_idx" ON "User_Session"("Expires_At");
+
+-- AddForeignKey
+ALTER TABLE "User_Session" ADD CONSTRAINT "User_Session_User_ID_fkey" FOREIGN KEY ("User_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
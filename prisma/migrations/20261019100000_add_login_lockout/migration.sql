@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "Failed_Login_Attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "Last_Failed_Login_At" TIMESTAMP(3),
+ADD COLUMN "Locked_Until" TIMESTAMP(3);
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "Password_Reset_Token" (
+    "Token_ID" SERIAL NOT NULL,
+    "User_ID" INTEGER NOT NULL,
+    "Token_Hash" TEXT NOT NULL,
+    "Issued_By" INTEGER,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Expires_At" TIMESTAMP(3) NOT NULL,
+    "Used_At" TIMESTAMP(3),
+
+    CONSTRAINT "Password_Reset_Token_pkey" PRIMARY KEY ("Token_ID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Password_Reset_Token_Token_Hash_key" ON "Password_Reset_Token"("Token_Hash");
+
+-- CreateIndex
+CREATE INDEX "Password_Reset_Token_User_ID_idx" ON "Password_Reset_Token"("User_ID");
+
+-- AddForeignKey
+ALTER TABLE "Password_Reset_Token" ADD CONSTRAINT "Password_Reset_Token_User_ID_fkey" FOREIGN KEY ("User_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Password_Reset_Token" ADD CONSTRAINT "Password_Reset_Token_Issued_By_fkey" FOREIGN KEY ("Issued_By") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "Two_Factor_Enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "Two_Factor_Secret" TEXT,
+ADD COLUMN "Two_Factor_Recovery_Codes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "Two_Factor_Last_Step" INTEGER,
+ADD COLUMN "Two_Factor_Enabled_At" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "Role_Security_Policy" (
+    "Role" "UserRole" NOT NULL,
+    "Require_Two_Factor" BOOLEAN NOT NULL DEFAULT false,
+    "Updated_At" TIMESTAMP(3) NOT NULL,
+    "Updated_By" INTEGER,
+
+    CONSTRAINT "Role_Security_Policy_pkey" PRIMARY KEY ("Role")
+);
@@ -0,0 +1,80 @@
+-- CreateTable
+CREATE TABLE "Role_Permission" (
+    "Role" "UserRole" NOT NULL,
+    "Permission" VARCHAR(64) NOT NULL,
+    "Granted_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Granted_By" INTEGER,
+
+    CONSTRAINT "Role_Permission_pkey" PRIMARY KEY ("Role","Permission")
+);
+
+-- Seed the defaults (the role lists routes used before named permissions)
+INSERT INTO "Role_Permission" ("Role", "Permission") VALUES
+    ('ADMIN', 'users.manage'),
+    ('ADMIN', 'users.security'),
+    ('ADMIN', 'users.sync'),
+    ('ADMIN', 'security.policies'),
+    ('ADMIN', 'permissions.manage'),
+    ('LAB_HEAD', 'inventory.lookup'),
+    ('LAB_TECH', 'inventory.lookup'),
+    ('ADMIN', 'inventory.write'),
+    ('LAB_HEAD', 'inventory.write'),
+    ('LAB_TECH', 'inventory.write'),
+    ('ADMIN', 'inventory.delete'),
+    ('LAB_HEAD', 'inventory.delete'),
+    ('ADMIN', 'inventory.check'),
+    ('LAB_HEAD', 'inventory.check'),
+    ('LAB_TECH', 'inventory.check'),
+    ('ADMIN', 'computers.write'),
+    ('LAB_HEAD', 'computers.write'),
+    ('LAB_TECH', 'computers.write'),
+    ('LAB_HEAD', 'computers.delete'),
+    ('LAB_TECH', 'computers.delete'),
+    ('STUDENT', 'rooms.view_opened_labs'),
+    ('ADMIN', 'rooms.view_opened_labs'),
+    ('LAB_HEAD', 'rooms.view_opened_labs'),
+    ('LAB_TECH', 'rooms.view_opened_labs'),
+    ('ADMIN', 'rooms.audit'),
+    ('LAB_HEAD', 'rooms.audit'),
+    ('LAB_TECH', 'rooms.audit'),
+    ('ADMIN', 'rooms.write'),
+    ('LAB_HEAD', 'rooms.write'),
+    ('ADMIN', 'rooms.delete'),
+    ('SECRETARY', 'bookings.approve'),
+    ('LAB_HEAD', 'bookings.approve'),
+    ('LAB_TECH', 'bookings.approve'),
+    ('SECRETARY', 'bookings.delete_any'),
+    ('LAB_HEAD', 'bookings.delete_any'),
+    ('LAB_TECH', 'bookings.delete_any'),
+    ('ADMIN', 'bookings.weekly'),
+    ('LAB_HEAD', 'bookings.weekly'),
+    ('LAB_TECH', 'bookings.weekly'),
+    ('ADMIN', 'bookings.occupancy'),
+    ('LAB_HEAD', 'bookings.occupancy'),
+    ('LAB_TECH', 'bookings.occupancy'),
+    ('ADMIN', 'borrowing.manage'),
+    ('LAB_HEAD', 'borrowing.manage'),
+    ('LAB_TECH', 'borrowing.manage'),
+    ('ADMIN', 'tickets.manage'),
+    ('LAB_HEAD', 'tickets.manage'),
+    ('LAB_TECH', 'tickets.manage'),
+    ('ADMIN', 'forms.manage'),
+    ('LAB_HEAD', 'forms.manage'),
+    ('LAB_TECH', 'forms.manage'),
+    ('ADMIN', 'forms.delete'),
+    ('LAB_HEAD', 'forms.delete'),
+    ('LAB_TECH', 'reports.write'),
+    ('LAB_TECH', 'reports.view'),
+    ('LAB_HEAD', 'reports.view'),
+    ('LAB_HEAD', 'reports.review'),
+    ('ADMIN', 'reports.export'),
+    ('LAB_HEAD', 'reports.export'),
+    ('LAB_TECH', 'reports.export'),
+    ('ADMIN', 'heartbeat.monitor'),
+    ('LAB_HEAD', 'heartbeat.monitor'),
+    ('LAB_TECH', 'heartbeat.monitor'),
+    ('ADMIN', 'schedules.import'),
+    ('ADMIN', 'semesters.manage'),
+    ('LAB_HEAD', 'semesters.manage'),
+    ('ADMIN', 'maintenance.view'),
+    ('ADMIN', 'maintenance.run');
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "Api_Token" (
+    "Token_ID" SERIAL NOT NULL,
+    "Name" VARCHAR(100) NOT NULL,
+    "Token_Prefix" VARCHAR(16) NOT NULL,
+    "Token_Hash" TEXT NOT NULL,
+    "Scopes" TEXT[],
+    "User_ID" INTEGER NOT NULL,
+    "Created_By" INTEGER,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Expires_At" TIMESTAMP(3),
+    "Last_Used_At" TIMESTAMP(3),
+    "Last_Used_IP" TEXT,
+    "Revoked_At" TIMESTAMP(3),
+    "Revoked_By" INTEGER,
+
+    CONSTRAINT "Api_Token_pkey" PRIMARY KEY ("Token_ID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Api_Token_Token_Hash_key" ON "Api_Token"("Token_Hash");
+
+-- CreateIndex
+CREATE INDEX "Api_Token_User_ID_idx" ON "Api_Token"("User_ID");
+
+-- AddForeignKey
+ALTER TABLE "Api_Token" ADD CONSTRAINT "Api_Token_User_ID_fkey" FOREIGN KEY ("User_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Api_Token" ADD CONSTRAINT "Api_Token_Created_By_fkey" FOREIGN KEY ("Created_By") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed the permission for managing tokens
+INSERT INTO "Role_Permission" ("Role", "Permission") VALUES ('ADMIN', 'api_tokens.manage');
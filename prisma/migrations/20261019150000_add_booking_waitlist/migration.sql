@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "Booking_Waitlist" (
+    "Waitlist_ID" SERIAL NOT NULL,
+    "Room_ID" INTEGER NOT NULL,
+    "User_ID" INTEGER NOT NULL,
+    "Start_Time" TIMESTAMP(3) NOT NULL,
+    "End_Time" TIMESTAMP(3) NOT NULL,
+    "Purpose" TEXT,
+    "Status" TEXT NOT NULL DEFAULT 'WAITING',
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Updated_At" TIMESTAMP(3) NOT NULL,
+    "Promoted_At" TIMESTAMP(3),
+    "Promoted_Booking_ID" INTEGER,
+
+    CONSTRAINT "Booking_Waitlist_pkey" PRIMARY KEY ("Waitlist_ID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Booking_Waitlist_Promoted_Booking_ID_key" ON "Booking_Waitlist"("Promoted_Booking_ID");
+
+-- CreateIndex
+CREATE INDEX "Booking_Waitlist_Room_ID_Status_Start_Time_idx" ON "Booking_Waitlist"("Room_ID", "Status", "Start_Time");
+
+-- CreateIndex
+CREATE INDEX "Booking_Waitlist_User_ID_idx" ON "Booking_Waitlist"("User_ID");
+
+-- AddForeignKey
+ALTER TABLE "Booking_Waitlist" ADD CONSTRAINT "Booking_Waitlist_Room_ID_fkey" FOREIGN KEY ("Room_ID") REFERENCES "Room"("Room_ID") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Waitlist" ADD CONSTRAINT "Booking_Waitlist_User_ID_fkey" FOREIGN KEY ("User_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Waitlist" ADD CONSTRAINT "Booking_Waitlist_Promoted_Booking_ID_fkey" FOREIGN KEY ("Promoted_Booking_ID") REFERENCES "Booked_Room"("Booked_Room_ID") ON DELETE SET NULL ON UPDATE CASCADE;
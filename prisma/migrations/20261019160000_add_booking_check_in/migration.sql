@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "Booked_Room" ADD COLUMN     "Checked_In_At" TIMESTAMP(3),
+ADD COLUMN     "Checked_In_By" INTEGER,
+ADD COLUMN     "Outcome" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Booked_Room_Status_Start_Time_idx" ON "Booked_Room"("Status", "Start_Time");
+
+-- CreateIndex
+CREATE INDEX "Booked_Room_User_ID_Outcome_idx" ON "Booked_Room"("User_ID", "Outcome");
+
+-- AddForeignKey
+ALTER TABLE "Booked_Room" ADD CONSTRAINT "Booked_Room_Checked_In_By_fkey" FOREIGN KEY ("Checked_In_By") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed the check-in and no-show statistics permissions
+INSERT INTO "Role_Permission" ("Role", "Permission") VALUES
+    ('ADMIN', 'bookings.check_in'),
+    ('LAB_HEAD', 'bookings.check_in'),
+    ('LAB_TECH', 'bookings.check_in'),
+    ('SECRETARY', 'bookings.no_shows'),
+    ('LAB_HEAD', 'bookings.no_shows'),
+    ('LAB_TECH', 'bookings.no_shows');
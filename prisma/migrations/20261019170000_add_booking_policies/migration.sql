@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "Booking_Policy" (
+    "Policy_ID" SERIAL NOT NULL,
+    "Name" VARCHAR(100) NOT NULL,
+    "Description" TEXT,
+    "Room_Type" "RoomType",
+    "Role" "UserRole",
+    "Max_Duration_Minutes" INTEGER,
+    "Min_Advance_Minutes" INTEGER,
+    "Max_Advance_Days" INTEGER,
+    "Weekly_Quota_Hours" DOUBLE PRECISION,
+    "Blackouts" JSONB NOT NULL DEFAULT '[]',
+    "Is_Active" BOOLEAN NOT NULL DEFAULT true,
+    "Created_By" INTEGER,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Updated_At" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Booking_Policy_pkey" PRIMARY KEY ("Policy_ID")
+);
+
+-- CreateIndex
+CREATE INDEX "Booking_Policy_Is_Active_idx" ON "Booking_Policy"("Is_Active");
+
+-- AddForeignKey
+ALTER TABLE "Booking_Policy" ADD CONSTRAINT "Booking_Policy_Created_By_fkey" FOREIGN KEY ("Created_By") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed the permission for managing policies
+INSERT INTO "Role_Permission" ("Role", "Permission") VALUES ('ADMIN', 'bookings.policies');
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "Calendar_Feed" (
+    "Feed_ID" SERIAL NOT NULL,
+    "Feed_Type" VARCHAR(10) NOT NULL,
+    "Target_ID" INTEGER NOT NULL,
+    "Token_Prefix" VARCHAR(16) NOT NULL,
+    "Token_Hash" TEXT NOT NULL,
+    "User_ID" INTEGER NOT NULL,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Last_Accessed_At" TIMESTAMP(3),
+    "Revoked_At" TIMESTAMP(3),
+
+    CONSTRAINT "Calendar_Feed_pkey" PRIMARY KEY ("Feed_ID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Calendar_Feed_Token_Hash_key" ON "Calendar_Feed"("Token_Hash");
+
+-- CreateIndex
+CREATE INDEX "Calendar_Feed_User_ID_idx" ON "Calendar_Feed"("User_ID");
+
+-- AddForeignKey
+ALTER TABLE "Calendar_Feed" ADD CONSTRAINT "Calendar_Feed_User_ID_fkey" FOREIGN KEY ("User_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
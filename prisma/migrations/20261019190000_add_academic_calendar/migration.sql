@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "AcademicDayType" AS ENUM ('HOLIDAY', 'SUSPENSION');
+
+-- CreateTable
+CREATE TABLE "Academic_Calendar_Day" (
+    "Day_ID" SERIAL NOT NULL,
+    "Semester_ID" INTEGER NOT NULL,
+    "Date" DATE NOT NULL,
+    "Day_Type" "AcademicDayType" NOT NULL,
+    "Title" VARCHAR(200) NOT NULL,
+    "Notes" TEXT,
+    "Created_By" INTEGER,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Academic_Calendar_Day_pkey" PRIMARY KEY ("Day_ID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Academic_Calendar_Day_Semester_ID_Date_key" ON "Academic_Calendar_Day"("Semester_ID", "Date");
+
+-- CreateIndex
+CREATE INDEX "Academic_Calendar_Day_Date_idx" ON "Academic_Calendar_Day"("Date");
+
+-- AddForeignKey
+ALTER TABLE "Academic_Calendar_Day" ADD CONSTRAINT "Academic_Calendar_Day_Semester_ID_fkey" FOREIGN KEY ("Semester_ID") REFERENCES "Semester"("Semester_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Academic_Calendar_Day" ADD CONSTRAINT "Academic_Calendar_Day_Created_By_fkey" FOREIGN KEY ("Created_By") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
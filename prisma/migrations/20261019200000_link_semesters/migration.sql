@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE "Schedule" ADD COLUMN "Semester_ID" INTEGER,
+ADD COLUMN "Archived_At" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Booking_Series" ADD COLUMN "Semester_ID" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Weekly_Report" ADD COLUMN "Semester_ID" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Schedule_Semester_ID_idx" ON "Schedule"("Semester_ID");
+
+-- CreateIndex
+CREATE INDEX "Booking_Series_Semester_ID_idx" ON "Booking_Series"("Semester_ID");
+
+-- CreateIndex
+CREATE INDEX "Weekly_Report_Semester_ID_idx" ON "Weekly_Report"("Semester_ID");
+
+-- AddForeignKey
+ALTER TABLE "Schedule" ADD CONSTRAINT "Schedule_Semester_ID_fkey" FOREIGN KEY ("Semester_ID") REFERENCES "Semester"("Semester_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Series" ADD CONSTRAINT "Booking_Series_Semester_ID_fkey" FOREIGN KEY ("Semester_ID") REFERENCES "Semester"("Semester_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Weekly_Report" ADD CONSTRAINT "Weekly_Report_Semester_ID_fkey" FOREIGN KEY ("Semester_ID") REFERENCES "Semester"("Semester_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: existing class schedules belong to the active semester; series
+-- and reports to the semester their first date falls in.
+UPDATE "Schedule"
+SET "Semester_ID" = (
+    SELECT "Semester_ID" FROM "Semester" WHERE "Is_Active" = true ORDER BY "Start_Date" DESC LIMIT 1
+);
+
+UPDATE "Booking_Series" bs
+SET "Semester_ID" = (
+    SELECT s."Semester_ID" FROM "Semester" s
+    WHERE bs."Anchor_Start" >= s."Start_Date" AND bs."Anchor_Start" < s."End_Date" + INTERVAL '1 day'
+    ORDER BY s."Is_Active" DESC, s."Start_Date" DESC
+    LIMIT 1
+);
+
+UPDATE "Weekly_Report" wr
+SET "Semester_ID" = (
+    SELECT s."Semester_ID" FROM "Semester" s
+    WHERE wr."Week_Start" >= s."Start_Date" AND wr."Week_Start" < s."End_Date" + INTERVAL '1 day'
+    ORDER BY s."Is_Active" DESC, s."Start_Date" DESC
+    LIMIT 1
+);
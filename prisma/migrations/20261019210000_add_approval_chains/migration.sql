@@ -0,0 +1,97 @@
+-- CreateTable
+CREATE TABLE "Approval_Chain" (
+    "Chain_ID" SERIAL NOT NULL,
+    "Name" VARCHAR(100) NOT NULL,
+    "Description" TEXT,
+    "Room_ID" INTEGER,
+    "Room_Type" "RoomType",
+    "Min_Duration_Minutes" INTEGER,
+    "Steps" JSONB NOT NULL DEFAULT '[]',
+    "Is_Active" BOOLEAN NOT NULL DEFAULT true,
+    "Created_By" INTEGER,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Updated_At" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Approval_Chain_pkey" PRIMARY KEY ("Chain_ID")
+);
+
+-- CreateTable
+CREATE TABLE "Booking_Approval" (
+    "Approval_ID" SERIAL NOT NULL,
+    "Booked_Room_ID" INTEGER,
+    "Series_ID" INTEGER,
+    "Chain_ID" INTEGER,
+    "Step_Order" INTEGER NOT NULL,
+    "Required_Role" "UserRole",
+    "Required_User_ID" INTEGER,
+    "Status" TEXT NOT NULL DEFAULT 'PENDING',
+    "Approved_By" INTEGER,
+    "On_Behalf_Of" INTEGER,
+    "Reason" TEXT,
+    "Decided_At" TIMESTAMP(3),
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Booking_Approval_pkey" PRIMARY KEY ("Approval_ID")
+);
+
+-- CreateTable
+CREATE TABLE "Approval_Delegation" (
+    "Delegation_ID" SERIAL NOT NULL,
+    "Delegator_ID" INTEGER NOT NULL,
+    "Delegate_ID" INTEGER NOT NULL,
+    "Starts_At" TIMESTAMP(3) NOT NULL,
+    "Ends_At" TIMESTAMP(3) NOT NULL,
+    "Reason" VARCHAR(200),
+    "Revoked_At" TIMESTAMP(3),
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Approval_Delegation_pkey" PRIMARY KEY ("Delegation_ID")
+);
+
+-- CreateIndex
+CREATE INDEX "Approval_Chain_Is_Active_idx" ON "Approval_Chain"("Is_Active");
+
+-- CreateIndex
+CREATE INDEX "Booking_Approval_Booked_Room_ID_idx" ON "Booking_Approval"("Booked_Room_ID");
+
+-- CreateIndex
+CREATE INDEX "Booking_Approval_Series_ID_idx" ON "Booking_Approval"("Series_ID");
+
+-- CreateIndex
+CREATE INDEX "Approval_Delegation_Delegate_ID_Ends_At_idx" ON "Approval_Delegation"("Delegate_ID", "Ends_At");
+
+-- CreateIndex
+CREATE INDEX "Approval_Delegation_Delegator_ID_idx" ON "Approval_Delegation"("Delegator_ID");
+
+-- AddForeignKey
+ALTER TABLE "Approval_Chain" ADD CONSTRAINT "Approval_Chain_Room_ID_fkey" FOREIGN KEY ("Room_ID") REFERENCES "Room"("Room_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Approval_Chain" ADD CONSTRAINT "Approval_Chain_Created_By_fkey" FOREIGN KEY ("Created_By") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Approval" ADD CONSTRAINT "Booking_Approval_Booked_Room_ID_fkey" FOREIGN KEY ("Booked_Room_ID") REFERENCES "Booked_Room"("Booked_Room_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Approval" ADD CONSTRAINT "Booking_Approval_Series_ID_fkey" FOREIGN KEY ("Series_ID") REFERENCES "Booking_Series"("Series_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Approval" ADD CONSTRAINT "Booking_Approval_Chain_ID_fkey" FOREIGN KEY ("Chain_ID") REFERENCES "Approval_Chain"("Chain_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Approval" ADD CONSTRAINT "Booking_Approval_Required_User_ID_fkey" FOREIGN KEY ("Required_User_ID") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Approval" ADD CONSTRAINT "Booking_Approval_Approved_By_fkey" FOREIGN KEY ("Approved_By") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking_Approval" ADD CONSTRAINT "Booking_Approval_On_Behalf_Of_fkey" FOREIGN KEY ("On_Behalf_Of") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Approval_Delegation" ADD CONSTRAINT "Approval_Delegation_Delegator_ID_fkey" FOREIGN KEY ("Delegator_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Approval_Delegation" ADD CONSTRAINT "Approval_Delegation_Delegate_ID_fkey" FOREIGN KEY ("Delegate_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the permission for managing approval chains
+INSERT INTO "Role_Permission" ("Role", "Permission") VALUES ('ADMIN', 'bookings.approval_chains');
@@ -0,0 +1,72 @@
+-- CreateTable
+CREATE TABLE "Outbox_Event" (
+    "Event_ID" SERIAL NOT NULL,
+    "Event_Type" VARCHAR(50) NOT NULL,
+    "Payload" JSONB NOT NULL,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Dispatched_At" TIMESTAMP(3),
+
+    CONSTRAINT "Outbox_Event_pkey" PRIMARY KEY ("Event_ID")
+);
+
+-- CreateTable
+CREATE TABLE "Webhook_Endpoint" (
+    "Endpoint_ID" SERIAL NOT NULL,
+    "Name" VARCHAR(100) NOT NULL,
+    "Url" TEXT NOT NULL,
+    "Secret" VARCHAR(100) NOT NULL,
+    "Event_Types" TEXT[],
+    "Is_Active" BOOLEAN NOT NULL DEFAULT true,
+    "Created_By" INTEGER,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Updated_At" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Webhook_Endpoint_pkey" PRIMARY KEY ("Endpoint_ID")
+);
+
+-- CreateTable
+CREATE TABLE "Webhook_Delivery" (
+    "Delivery_ID" SERIAL NOT NULL,
+    "Event_ID" INTEGER NOT NULL,
+    "Endpoint_ID" INTEGER NOT NULL,
+    "Status" VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    "Attempts" INTEGER NOT NULL DEFAULT 0,
+    "Next_Attempt_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Last_Attempt_At" TIMESTAMP(3),
+    "Last_Status_Code" INTEGER,
+    "Last_Error" TEXT,
+    "Delivered_At" TIMESTAMP(3),
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Webhook_Delivery_pkey" PRIMARY KEY ("Delivery_ID")
+);
+
+-- CreateIndex
+CREATE INDEX "Outbox_Event_Dispatched_At_idx" ON "Outbox_Event"("Dispatched_At");
+
+-- CreateIndex
+CREATE INDEX "Outbox_Event_Event_Type_Created_At_idx" ON "Outbox_Event"("Event_Type", "Created_At");
+
+-- CreateIndex
+CREATE INDEX "Webhook_Endpoint_Is_Active_idx" ON "Webhook_Endpoint"("Is_Active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Webhook_Delivery_Event_ID_Endpoint_ID_key" ON "Webhook_Delivery"("Event_ID", "Endpoint_ID");
+
+-- CreateIndex
+CREATE INDEX "Webhook_Delivery_Status_Next_Attempt_At_idx" ON "Webhook_Delivery"("Status", "Next_Attempt_At");
+
+-- CreateIndex
+CREATE INDEX "Webhook_Delivery_Endpoint_ID_idx" ON "Webhook_Delivery"("Endpoint_ID");
+
+-- AddForeignKey
+ALTER TABLE "Webhook_Endpoint" ADD CONSTRAINT "Webhook_Endpoint_Created_By_fkey" FOREIGN KEY ("Created_By") REFERENCES "User"("User_ID") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Webhook_Delivery" ADD CONSTRAINT "Webhook_Delivery_Event_ID_fkey" FOREIGN KEY ("Event_ID") REFERENCES "Outbox_Event"("Event_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Webhook_Delivery" ADD CONSTRAINT "Webhook_Delivery_Endpoint_ID_fkey" FOREIGN KEY ("Endpoint_ID") REFERENCES "Webhook_Endpoint"("Endpoint_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the permission for managing webhooks
+INSERT INTO "Role_Permission" ("Role", "Permission") VALUES ('ADMIN', 'webhooks.manage');
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "Notification_Preference" (
+    "Preference_ID" SERIAL NOT NULL,
+    "User_ID" INTEGER NOT NULL,
+    "Notification_Type" VARCHAR(50) NOT NULL,
+    "Email_Mode" VARCHAR(10) NOT NULL DEFAULT 'INSTANT',
+    "Updated_At" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Notification_Preference_pkey" PRIMARY KEY ("Preference_ID")
+);
+
+-- CreateTable
+CREATE TABLE "Email_Digest_Item" (
+    "Item_ID" SERIAL NOT NULL,
+    "User_ID" INTEGER NOT NULL,
+    "Notification_Type" VARCHAR(50) NOT NULL,
+    "Title" TEXT NOT NULL,
+    "Message" TEXT NOT NULL,
+    "Created_At" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "Sent_At" TIMESTAMP(3),
+
+    CONSTRAINT "Email_Digest_Item_pkey" PRIMARY KEY ("Item_ID")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Notification_Preference_User_ID_Notification_Type_key" ON "Notification_Preference"("User_ID", "Notification_Type");
+
+-- CreateIndex
+CREATE INDEX "Email_Digest_Item_Sent_At_User_ID_idx" ON "Email_Digest_Item"("Sent_At", "User_ID");
+
+-- AddForeignKey
+ALTER TABLE "Notification_Preference" ADD CONSTRAINT "Notification_Preference_User_ID_fkey" FOREIGN KEY ("User_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Email_Digest_Item" ADD CONSTRAINT "Email_Digest_Item_User_ID_fkey" FOREIGN KEY ("User_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "Notification_Mute" (
+    "User_ID" INTEGER NOT NULL,
+    "Muted_Types" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "Muted_Room_IDs" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "Quiet_Hours_Start" VARCHAR(5),
+    "Quiet_Hours_End" VARCHAR(5),
+    "Updated_At" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Notification_Mute_pkey" PRIMARY KEY ("User_ID")
+);
+
+-- AddForeignKey
+ALTER TABLE "Notification_Mute" ADD CONSTRAINT "Notification_Mute_User_ID_fkey" FOREIGN KEY ("User_ID") REFERENCES "User"("User_ID") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Audit_Log" ADD COLUMN     "Entity_Type" VARCHAR(50),
+ADD COLUMN     "Entity_ID" VARCHAR(100),
+ADD COLUMN     "Changes" JSONB;
+
+-- Entries written before entity columns existed
+UPDATE "Audit_Log" SET "Entity_Type" = 'TICKET', "Entity_ID" = "Ticket_ID"::TEXT WHERE "Ticket_ID" IS NOT NULL;
+UPDATE "Audit_Log" SET "Entity_Type" = 'BOOKING', "Entity_ID" = "Booked_Room_ID"::TEXT WHERE "Booked_Room_ID" IS NOT NULL AND "Entity_Type" IS NULL;
+
+-- CreateIndex
+CREATE INDEX "Audit_Log_Entity_Type_Entity_ID_idx" ON "Audit_Log"("Entity_Type", "Entity_ID");
+
+-- CreateIndex
+CREATE INDEX "Audit_Log_Timestamp_idx" ON "Audit_Log"("Timestamp");
+
+-- Seed the permission for searching the audit log
+INSERT INTO "Role_Permission" ("Role", "Permission") VALUES ('ADMIN', 'audit.view');
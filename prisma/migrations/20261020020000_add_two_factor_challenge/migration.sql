@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "Two_Factor_Challenge_ID" VARCHAR(64);
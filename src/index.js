@@ -14,4 +14,18 @@ server.listen(PORT, () => {
   // Initialize scheduled jobs
   const { initHeartbeatMonitor } = require('./jobs/heartbeatMonitor');
   initHeartbeatMonitor();
+
+  const { initDirectorySync } = require('./jobs/directorySync');
+  initDirectorySync();
+
+  const { initNoShowRelease, initOverdueBorrowings, initEmailDigest } = require('./jobs/notificationJobs');
+  initNoShowRelease();
+  initOverdueBorrowings();
+  initEmailDigest();
+
+  const { initBackupJob } = require('./jobs/backupJob');
+  initBackupJob();
+
+  const { initWebhookDispatcher } = require('./jobs/webhookDispatcher');
+  initWebhookDispatcher();
 });
@@ -0,0 +1,41 @@
+const cron = require('node-cron');
+const { CAMPUS_TIMEZONE } = require('../utils/timezone');
+const { runBackup, getRetentionPolicy } = require('../modules/maintenance/backup.service');
+
+/**
+ * Write a full database backup and prune old ones. Failures are recorded in
+ * the maintenance history by the backup service.
+ */
+const runScheduledBackup = async () => {
+  try {
+    const result = await runBackup();
+    console.log(`[Backup Job] Wrote ${result.fileName} (${result.rows} rows, ${result.sizeBytes} bytes); pruned ${result.pruned.length}`);
+    return result;
+  } catch (error) {
+    console.error('[Backup Job] Backup failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Initialize the backup job. Runs on BACKUP_CRON (default 02:00) in the
+ * campus time zone; BACKUP_CRON=off disables it.
+ */
+const initBackupJob = () => {
+  const schedule = process.env.BACKUP_CRON || '0 2 * * *';
+  if (schedule === 'off') return;
+  if (!cron.validate(schedule)) {
+    console.error(`[Backup Job] Invalid BACKUP_CRON "${schedule}" - not started`);
+    return;
+  }
+
+  cron.schedule(schedule, runScheduledBackup, { timezone: CAMPUS_TIMEZONE });
+
+  const { daily, weekly, monthly } = getRetentionPolicy();
+  console.log(`[Backup Job] Started - schedule "${schedule}" (${CAMPUS_TIMEZONE}), keeping ${daily} daily, ${weekly} weekly, ${monthly} monthly`);
+};
+
+module.exports = {
+  initBackupJob,
+  runScheduledBackup
+};
@@ -0,0 +1,84 @@
+const cron = require('node-cron');
+const prisma = require('../lib/prisma');
+const { getProvider, getProviderChain, buildProvisionedUser } = require('../services/authProviders');
+
+/**
+ * Sync users from a directory provider into the database
+ * Creates DB records for directory accounts that don't already exist; existing
+ * users are left untouched.
+ * @param {string} providerName - Provider key (e.g. 'htshadow', 'ldap')
+ * @returns {Promise<{provider: string, created: Object[], skipped: string[]}>}
+ */
+const syncDirectoryUsers = async (providerName) => {
+  const provider = getProvider(providerName);
+  if (!provider || typeof provider.listUsers !== 'function') {
+    const error = new Error(`Provider "${providerName}" has no directory to sync`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const entries = await provider.listUsers();
+  const results = { provider: provider.name, created: [], skipped: [] };
+
+  for (const entry of entries) {
+    const username = entry.Username;
+    if (!username) continue;
+
+    // Check if user with this username (or directory e-mail) already exists
+    const existing = await prisma.user.findFirst({
+      where: {
+        OR: [
+          { Username: username },
+          ...(entry.Email ? [{ Email: entry.Email }] : [])
+        ]
+      }
+    });
+
+    if (existing) {
+      results.skipped.push(username);
+      continue;
+    }
+
+    const newUser = await prisma.user.create({
+      data: buildProvisionedUser(entry, username)
+    });
+
+    results.created.push({ User_ID: newUser.User_ID, Username: username });
+  }
+
+  return results;
+};
+
+/**
+ * Initialize the periodic directory sync. Runs on DIRECTORY_SYNC_CRON for
+ * every provider in the AUTH_PROVIDERS chain that has a directory; disabled
+ * when the variable is unset.
+ */
+const initDirectorySync = () => {
+  const schedule = process.env.DIRECTORY_SYNC_CRON;
+  if (!schedule) return;
+
+  if (!cron.validate(schedule)) {
+    console.error(`[Directory Sync Job] Invalid DIRECTORY_SYNC_CRON "${schedule}" - not started`);
+    return;
+  }
+
+  cron.schedule(schedule, async () => {
+    const providers = getProviderChain().filter(provider => typeof provider.listUsers === 'function');
+    for (const provider of providers) {
+      try {
+        const results = await syncDirectoryUsers(provider.name);
+        console.log(`[Directory Sync Job] ${provider.name}: ${results.created.length} created, ${results.skipped.length} skipped`);
+      } catch (error) {
+        console.error(`[Directory Sync Job] Error syncing ${provider.name}:`, error.message);
+      }
+    }
+  });
+
+  console.log(`[Directory Sync Job] Started - schedule "${schedule}"`);
+};
+
+module.exports = {
+  initDirectorySync,
+  syncDirectoryUsers
+};
@@ -2,6 +2,15 @@ const cron = require('node-cron');
 const prisma = require('../lib/prisma');
 const NotificationService = require('../services/notificationService');
 const AuditLogger = require('../utils/auditLogger');
+const NotificationManager = require('../services/notificationManager');
+const BookingCheckInService = require('../services/bookingCheckInService');
+const BookingWaitlistService = require('../services/bookingWaitlistService');
+const WebhookService = require('../services/webhookService');
+const EmailNotificationService = require('../services/emailNotificationService');
+const { CAMPUS_TIMEZONE } = require('../utils/timezone');
+
+// Same audience the bookings module broadcasts booking changes to.
+const BOOKING_NOTIFICATION_ROLES = ['SECRETARY', 'LAB_HEAD', 'LAB_TECH'];
 
 // Check for bookings ending soon and send notifications
 const checkUpcomingBookings = async () => {
@@ -45,14 +54,13 @@ const checkUpcomingBookings = async () => {
         await NotificationService.notifyScheduleEnding(booking, minutesLeft);
         
         // Log that we've sent a notification for this booking
-        await prisma.audit_Log.create({
-          data: {
-            User_ID: booking.User_ID,
-            Action: 'NOTIFICATION_SENT',
-            Details: `Sent notification for booking ${booking.Booking_ID} ending in ${minutesLeft} minutes`,
-            Related_Entity_Type: 'BOOKING',
-            Related_Entity_ID: booking.Booking_ID.toString(),
-          },
+        await AuditLogger.log({
+          userId: booking.User_ID,
+          action: 'NOTIFICATION_SENT',
+          logType: 'BOOKING',
+          details: `Sent notification for booking ${booking.Booking_ID} ending in ${minutesLeft} minutes`,
+          entityType: 'BOOKING',
+          entityId: booking.Booking_ID,
         });
       } catch (error) {
         console.error(`Error sending notification for booking ${booking.Booking_ID}:`, error);
@@ -113,14 +121,13 @@ const checkPendingForms = async () => {
           });
           
           // Log that we've sent a notification for this form
-          await prisma.audit_Log.create({
-            data: {
-              User_ID: form.Approver_ID,
-              Action: 'PENDING_FORM_NOTIFICATION_SENT',
-              Details: `Sent pending form notification for form ${form.Form_ID}`,
-              Related_Entity_Type: 'FORM',
-              Related_Entity_ID: form.Form_ID.toString(),
-            },
+          await AuditLogger.log({
+            userId: form.Approver_ID,
+            action: 'PENDING_FORM_NOTIFICATION_SENT',
+            logType: 'FORM',
+            details: `Sent pending form notification for form ${form.Form_ID}`,
+            entityType: 'FORM',
+            entityId: form.Form_ID,
           });
         }
       } catch (error) {
@@ -168,14 +175,14 @@ const checkRoomCapacity = async () => {
           const lastNotification = await prisma.audit_Log.findFirst({
             where: {
               Action: 'ROOM_FULL_NOTIFICATION_SENT',
-              Related_Entity_Type: 'ROOM',
-              Related_Entity_ID: room.Room_ID.toString(),
-              Created_At: {
+              Entity_Type: 'ROOM',
+              Entity_ID: room.Room_ID.toString(),
+              Timestamp: {
                 gte: new Date(Date.now() - 60 * 60 * 1000), // Last hour
               },
             },
             orderBy: {
-              Created_At: 'desc',
+              Timestamp: 'desc',
             },
           });
           
@@ -184,13 +191,13 @@ const checkRoomCapacity = async () => {
             await NotificationService.notifyRoomFull(room);
             
             // Log the notification
-            await prisma.audit_Log.create({
-              data: {
-                Action: 'ROOM_FULL_NOTIFICATION_SENT',
-                Details: `Room ${room.Name} is at ${Math.round(usagePercentage)}% capacity`,
-                Related_Entity_Type: 'ROOM',
-                Related_Entity_ID: room.Room_ID.toString(),
-              },
+            await AuditLogger.log({
+              userId: null,
+              action: 'ROOM_FULL_NOTIFICATION_SENT',
+              logType: 'ROOM',
+              details: `Room ${room.Name} is at ${Math.round(usagePercentage)}% capacity`,
+              entityType: 'ROOM',
+              entityId: room.Room_ID,
             });
           }
         }
@@ -228,10 +235,21 @@ const checkOverdueBorrowings = async () => {
 
     for (const b of overdue) {
       try {
-        // Flip status to OVERDUE
-        await prisma.borrow_Item.update({
-          where: { Borrow_Item_ID: b.Borrow_Item_ID },
-          data: { Status: 'OVERDUE' },
+        // Flip status to OVERDUE, with its borrow.overdue outbox event
+        await prisma.$transaction(async (tx) => {
+          await tx.borrow_Item.update({
+            where: { Borrow_Item_ID: b.Borrow_Item_ID },
+            data: { Status: 'OVERDUE' },
+          });
+          await WebhookService.record('borrow.overdue', {
+            borrowId: b.Borrow_Item_ID,
+            itemId: b.Item_ID ?? null,
+            itemCode: b.Item?.Item_Code ?? null,
+            itemType: b.Item?.Item_Type ?? null,
+            borrowerId: b.Borrower_ID,
+            borrowerName: b.Borrower ? `${b.Borrower.First_Name} ${b.Borrower.Last_Name}` : null,
+            dueAt: b.Return_Date,
+          }, tx);
         });
 
         const itemLabel = b.Item
@@ -258,6 +276,105 @@ const checkOverdueBorrowings = async () => {
   }
 };
 
+/**
+ * Release APPROVED room bookings nobody checked into within the grace
+ * period. Each one is recorded as a NO_SHOW outcome (counted in the per-user
+ * no-show statistics), its owner is notified, and the freed slot is offered
+ * to the waitlist.
+ */
+const releaseNoShowBookings = async () => {
+  try {
+    const released = await BookingCheckInService.releaseNoShows();
+
+    for (const booking of released) {
+      try {
+        await AuditLogger.logBooking(
+          null,
+          'BOOKING_NO_SHOW',
+          booking.Booked_Room_ID,
+          `Your booking for ${booking.Room.Name} was released because nobody checked in within ${BookingCheckInService.GRACE_MINUTES} minutes of the start time.`,
+          null,
+          booking.User_ID,
+        );
+
+        await NotificationManager.broadcastBookingEvent('BOOKING_CANCELLED', booking, BOOKING_NOTIFICATION_ROLES);
+
+        const promoted = await BookingWaitlistService.promoteNext(booking, null);
+        if (promoted) {
+          await NotificationManager.broadcastBookingEvent('BOOKING_CREATED', promoted, BOOKING_NOTIFICATION_ROLES);
+        }
+      } catch (error) {
+        console.error(`Error handling no-show booking ${booking.Booked_Room_ID}:`, error);
+      }
+    }
+
+    if (released.length > 0) {
+      console.log(`Released ${released.length} no-show booking(s)`);
+    }
+    return released;
+  } catch (error) {
+    console.error('Error in releaseNoShowBookings job:', error);
+    return [];
+  }
+};
+
+/**
+ * Initialize the no-show release job. Started from index.js on its own:
+ * initScheduledJobs is not wired into the server.
+ */
+const initNoShowRelease = () => {
+  // Run every minute
+  cron.schedule('* * * * *', releaseNoShowBookings);
+
+  console.log(`[No-Show Job] Started - releasing bookings ${BookingCheckInService.GRACE_MINUTES} minutes after start without check-in`);
+};
+
+/**
+ * Initialize the overdue borrowing check. Started from index.js on its own,
+ * like the no-show release, so borrow.overdue events are raised.
+ */
+const initOverdueBorrowings = () => {
+  // Run every 5 minutes
+  cron.schedule('*/5 * * * *', checkOverdueBorrowings);
+
+  console.log('[Overdue Borrowing Job] Started - checking every 5 minutes');
+};
+
+/**
+ * Send each user one e-mail with the notifications they chose to receive as
+ * a daily digest.
+ */
+const sendEmailDigests = async () => {
+  try {
+    const results = await EmailNotificationService.sendDigests();
+    if (results.users > 0) {
+      console.log(`[Email Digest Job] Sent ${results.items} notification(s) in ${results.users} digest(s)`);
+    }
+    return results;
+  } catch (error) {
+    console.error('[Email Digest Job] Error sending digests:', error);
+    return { users: 0, items: 0 };
+  }
+};
+
+/**
+ * Initialize the daily e-mail digest. Runs on EMAIL_DIGEST_CRON (default
+ * 07:00) in the campus time zone; not started when e-mail isn't configured.
+ */
+const initEmailDigest = () => {
+  if (!EmailNotificationService.isEnabled()) return;
+
+  const schedule = process.env.EMAIL_DIGEST_CRON || '0 7 * * *';
+  if (!cron.validate(schedule)) {
+    console.error(`[Email Digest Job] Invalid EMAIL_DIGEST_CRON "${schedule}" - not started`);
+    return;
+  }
+
+  cron.schedule(schedule, sendEmailDigests, { timezone: CAMPUS_TIMEZONE });
+
+  console.log(`[Email Digest Job] Started - schedule "${schedule}" (${CAMPUS_TIMEZONE})`);
+};
+
 // Initialize scheduled jobs
 const initScheduledJobs = () => {
   // Check for upcoming bookings every minute
@@ -269,8 +386,7 @@ const initScheduledJobs = () => {
   // Check room capacity every 5 minutes
   cron.schedule('*/5 * * * *', checkRoomCapacity);
 
-  // Check for overdue borrowings every 5 minutes
-  cron.schedule('*/5 * * * *', checkOverdueBorrowings);
+  // Overdue borrowings are checked by initOverdueBorrowings
 
   console.log('Scheduled jobs initialized');
 };
@@ -281,4 +397,9 @@ module.exports = {
   checkPendingForms,
   checkRoomCapacity,
   checkOverdueBorrowings,
+  releaseNoShowBookings,
+  initNoShowRelease,
+  initOverdueBorrowings,
+  sendEmailDigests,
+  initEmailDigest,
 };
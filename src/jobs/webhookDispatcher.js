@@ -0,0 +1,40 @@
+const cron = require('node-cron');
+const WebhookService = require('../services/webhookService');
+
+let running = false;
+
+/**
+ * Fan out new outbox events and send due webhook deliveries. A pass that is
+ * still waiting on slow endpoints is not overlapped by the next one.
+ */
+const dispatchWebhooks = async () => {
+  if (running) return null;
+  running = true;
+  try {
+    const results = await WebhookService.dispatch();
+    if (results.events || results.delivered || results.retrying || results.dead) {
+      console.log(`[Webhook Dispatcher] ${results.events} event(s) queued, ${results.delivered} delivered, ${results.retrying} to retry, ${results.dead} dead-lettered`);
+    }
+    return results;
+  } catch (error) {
+    console.error('[Webhook Dispatcher] Error dispatching webhooks:', error.message);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Initialize the webhook dispatcher job
+ */
+const initWebhookDispatcher = () => {
+  // Run every minute
+  cron.schedule('* * * * *', dispatchWebhooks);
+
+  console.log('[Webhook Dispatcher] Started - dispatching every minute');
+};
+
+module.exports = {
+  initWebhookDispatcher,
+  dispatchWebhooks
+};
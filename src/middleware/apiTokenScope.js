@@ -0,0 +1,19 @@
+/**
+ * Opt a route in to API-token authentication. Place it before
+ * authenticateToken:
+ *
+ *   router.post('/', allowApiToken('heartbeat:write'), authenticateToken, handler)
+ *
+ * authenticateToken rejects API tokens on routes without it, and on routes
+ * whose scope the token doesn't carry. User JWTs are unaffected.
+ * @param {string} scope - One of ApiTokenService.SCOPES
+ * @returns {Function} Express middleware
+ */
+const allowApiToken = (scope) => {
+  return (req, res, next) => {
+    req.apiTokenScope = scope;
+    next();
+  };
+};
+
+module.exports = { allowApiToken };
@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const prisma = require('../lib/prisma');
 const { AppError } = require('./errorHandler');
+const { toSafeUser } = require('../utils/safeUser');
+const ApiTokenService = require('../services/apiTokenService');
 
 // Validate JWT_SECRET at startup
 if (!process.env.JWT_SECRET) {
@@ -15,12 +17,52 @@ const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
 const SALT_ROUNDS = 12;
 
 /**
- * Middleware to authenticate JWT token
+ * Authenticate a scoped API token (see middleware/apiTokenScope.js). The
+ * request acts as the token's user.
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  if (!req.apiTokenScope) {
+    return res.status(403).json({
+      success: false,
+      error: 'API tokens are not accepted on this endpoint'
+    });
+  }
+
+  try {
+    const record = await ApiTokenService.authenticate(token);
+
+    if (!record.Scopes.includes(req.apiTokenScope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API token is missing the ${req.apiTokenScope} scope`
+      });
+    }
+
+    req.user = toSafeUser(record.User);
+    req.apiToken = { id: record.Token_ID, name: record.Name, scopes: record.Scopes };
+    ApiTokenService.recordUse(record, req);
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('[Auth] Error checking API token:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error during authentication'
+    });
+  }
+};
+
+/**
+ * Middleware to authenticate JWT token, or an API token on routes that
+ * allow one
  */
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
+  const headerToken = authHeader && authHeader.split(' ')[1];
   // Allow token to be passed in query parameter for WebSocket connections
-  const token = authHeader && authHeader.split(' ')[1] || req.query.token;
+  const token = headerToken || req.query.token;
 
   if (!token) {
     return res.status(401).json({
@@ -29,6 +71,12 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
+  // API tokens are long-lived, so they're only read from the header where
+  // they won't end up in access logs.
+  if (ApiTokenService.isApiToken(headerToken)) {
+    return authenticateApiToken(req, res, next, headerToken);
+  }
+
   jwt.verify(token, JWT_SECRET, async (err, decoded) => {
     if (err) {
       const message = err.name === 'TokenExpiredError'
@@ -40,6 +88,14 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
+    // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens.
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token'
+      });
+    }
+
     try {
       // Fetch the user from the database to ensure they still exist and are active
       const dbUser = await prisma.user.findUnique({
@@ -62,21 +118,38 @@ const authenticateToken = (req, res, next) => {
       }
 
       // Reject tokens issued *before* Token_Valid_After. This is bumped to
-      // now() whenever a sysad changes the user's role, so the old role's
-      // privileges die immediately instead of lingering until token expiry.
+      // now() whenever a sysad changes the user's role or the password is
+      // changed/reset, so old tokens die immediately instead of lingering
+      // until expiry.
       if (dbUser.Token_Valid_After && decoded.iat) {
         const issuedAtMs = decoded.iat * 1000;
         if (issuedAtMs < new Date(dbUser.Token_Valid_After).getTime()) {
           return res.status(401).json({
             success: false,
-            error: 'Session ended. Your role was changed — please log in again.'
+            error: 'Session ended. Your role or password was changed — please log in again.'
+          });
+        }
+      }
+
+      // Access tokens minted by login/refresh carry the session they belong
+      // to. Reject them as soon as that session is revoked (logout, "sign out
+      // that device", refresh-token reuse) instead of waiting for expiry.
+      if (decoded.sessionId) {
+        const session = await prisma.user_Session.findUnique({
+          where: { Session_ID: decoded.sessionId }
+        });
+
+        if (!session || session.User_ID !== dbUser.User_ID || session.Revoked_At) {
+          return res.status(401).json({
+            success: false,
+            error: 'Session has been revoked. Please log in again.'
           });
         }
+        req.sessionId = session.Session_ID;
       }
 
-      // Attach user to request object (excluding password)
-      const { Password, ...safeUser } = dbUser;
-      req.user = safeUser;
+      // Attach user to request object (excluding password and 2FA secrets)
+      req.user = toSafeUser(dbUser);
       next();
     } catch (error) {
       console.error('[Auth] Error fetching user:', error.message);
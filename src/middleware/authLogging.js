@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const AuditService = require('../services/auditService');
+const AuditLogger = require('../utils/auditLogger');
 
 // Middleware to log successful logins
 const logLogin = async (req, res, next) => {
@@ -18,10 +18,10 @@ const logLogin = async (req, res, next) => {
         const response = JSON.parse(body);
         if (response.token) {
           const decoded = jwt.verify(response.token, process.env.JWT_SECRET);
-          AuditService.logAuthEvent(
-            decoded.User_ID, 
-            'LOGIN_SUCCESS', 
-            { ip: req.ip, userAgent: req.get('user-agent') }
+          AuditLogger.logAuth(
+            decoded.User_ID,
+            'AUTH_LOGIN_SUCCESS',
+            JSON.stringify({ ip: req.ip, userAgent: req.get('user-agent') })
           );
         }
       } catch (error) {
@@ -35,22 +35,27 @@ const logLogin = async (req, res, next) => {
   next();
 };
 
-// Middleware to log failed login attempts
+// Middleware to log failed login attempts and account lockouts. The login
+// controller leaves per-account details (user, attempt count, lock expiry) in
+// res.locals.loginAudit; unknown identifiers are logged without a user.
 const logFailedLogin = async (req, res, next) => {
   const originalJson = res.json;
   
   res.json = function (body) {
-    // Only log if this is a failed login attempt
-    if (res.statusCode === 401 && req.path.endsWith('/login') && req.method === 'POST') {
-      AuditService.logAuthEvent(
-        null, 
-        'LOGIN_FAILED', 
-        { 
-          email: req.body.email, 
-          ip: req.ip, 
+    const isFailure = res.statusCode === 401 || res.statusCode === 423;
+    if (isFailure && /\/login(\/2fa)?$/.test(req.path) && req.method === 'POST') {
+      const audit = res.locals.loginAudit || {};
+      AuditLogger.logAuth(
+        audit.userId || null,
+        `AUTH_${audit.event || 'LOGIN_FAILED'}`,
+        JSON.stringify({
+          identifier: req.body?.username || req.body?.email,
+          ip: req.ip,
           userAgent: req.get('user-agent'),
-          reason: body.message || 'Invalid credentials'
-        }
+          reason: body.error || body.message || 'Invalid credentials',
+          failedAttempts: audit.failedAttempts,
+          lockedUntil: audit.lockedUntil
+        })
       );
     }
     
@@ -68,10 +73,10 @@ const logLogout = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        await AuditService.logAuthEvent(
+        await AuditLogger.logAuth(
           decoded.User_ID,
-          'LOGOUT',
-          { ip: req.ip, userAgent: req.get('user-agent') }
+          'AUTH_LOGOUT',
+          JSON.stringify({ ip: req.ip, userAgent: req.get('user-agent') })
         );
       } catch (error) {
         console.error('Error logging logout:', error);
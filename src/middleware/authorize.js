@@ -1,7 +1,10 @@
 /**
- * Authorization middleware for role-based access control
+ * Authorization middleware: role lists via authorize(...roles) and named
+ * permissions via authorize.can(permission)
  */
 const { AppError } = require('./errorHandler');
+const TwoFactorService = require('../services/twoFactorService');
+const PermissionService = require('../services/permissionService');
 
 const ROLE_ALIASES = {
     ADMIN: 'ADMIN',
@@ -20,6 +23,20 @@ const normalizeRole = (role) => {
     return ROLE_ALIASES[normalized] || null;
 };
 
+// Roles under a "require 2FA" policy reach role- and permission-gated routes
+// only after enrolling. Enrollment itself is on authenticate-only /auth/2fa
+// routes. API tokens are exempt: they are issued by an ADMIN, not logged into.
+const requireTwoFactorIfPolicy = async (req, role) => {
+    if (req.user.Two_Factor_Enabled || req.apiToken) return;
+    if (await TwoFactorService.isRequiredForRole(role)) {
+        throw new AppError(
+            'Two-factor authentication is required for your role. Enroll at /auth/2fa/setup to continue.',
+            403,
+            { code: 'TWO_FACTOR_ENROLLMENT_REQUIRED' }
+        );
+    }
+};
+
 /**
  * Middleware to check if user has one of the allowed roles
  * @param  {...string} allowedRoles - Roles that are allowed to access the route
@@ -38,8 +55,44 @@ const authorize = (...allowedRoles) => {
             return next(new AppError('You do not have permission to perform this action', 403));
         }
 
-        next();
+        requireTwoFactorIfPolicy(req, normalizedRole).then(() => next(), next);
+    };
+};
+
+/**
+ * Middleware to check that the user's role holds a named permission
+ * (see PermissionService.CATALOG). Unknown names throw at startup so a typo
+ * can't silently lock a route.
+ * @param {string} permission - e.g. 'inventory.delete'
+ * @returns {Function} Express middleware
+ */
+authorize.can = (permission) => {
+    if (!PermissionService.isKnownPermission(permission)) {
+        throw new Error(`authorize.can: unknown permission "${permission}"`);
+    }
+
+    const middleware = (req, res, next) => {
+        if (!req.user) {
+            return next(new AppError('Authentication required', 401));
+        }
+
+        const normalizedRole = normalizeRole(req.user.User_Role);
+        if (!normalizedRole) {
+            return next(new AppError('You do not have permission to perform this action', 403));
+        }
+
+        PermissionService.hasPermission(normalizedRole, permission)
+            .then(async (allowed) => {
+                if (!allowed) {
+                    throw new AppError('You do not have permission to perform this action', 403, { permission });
+                }
+                await requireTwoFactorIfPolicy(req, normalizedRole);
+                next();
+            })
+            .catch(next);
     };
+    middleware.permission = permission;
+    return middleware;
 };
 
 /**
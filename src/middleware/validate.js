@@ -25,12 +25,18 @@ const bookingSchemas = {
         Room_ID: Joi.number().integer().positive().required(),
         Start_Time: Joi.date().iso().required(),
         End_Time: Joi.date().iso().greater(Joi.ref('Start_Time')).required(),
-        Purpose: Joi.string().max(500).allow('', null)
+        Purpose: Joi.string().max(500).allow('', null),
+        // Join the room's waitlist instead of failing when the slot is already approved
+        joinWaitlist: Joi.boolean()
+    }),
+
+    roomCheckIn: Joi.object({
+        code: Joi.string().max(64).required(),
+        bookingId: Joi.number().integer().positive()
     }),
 
     updateStatus: Joi.object({
         status: Joi.string().valid('APPROVED', 'REJECTED', 'CANCELLED').required(),
-        approverId: Joi.number().integer().positive().required(),
         notes: Joi.string().max(500).allow('', null)
     }),
 
@@ -68,7 +74,7 @@ const bookingSchemas = {
         Recurrence_Rule: Joi.string()
             .min(5)
             .max(500)
-            .pattern(/FREQ=(DAILY|WEEKLY|MONTHLY|YEARLY)/)
+            .pattern(/FREQ=(HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY)/)
             .required(),
         Anchor_Start: Joi.date().iso().required(),
         Anchor_End: Joi.date().iso().greater(Joi.ref('Anchor_Start')).required(),
@@ -274,6 +280,196 @@ const authSchemas = {
         First_Name: Joi.string().min(1).max(50).required(),
         Last_Name: Joi.string().min(1).max(50).required(),
         User_Role: Joi.string().valid('ADMIN', 'LAB_HEAD', 'LAB_TECH', 'FACULTY', 'STUDENT', 'SECRETARY').default('STUDENT')
+    }),
+
+    changePassword: Joi.object({
+        currentPassword: Joi.string().min(1).required(),
+        newPassword: Joi.string().min(8).max(128).required()
+    }),
+
+    resetPassword: Joi.object({
+        token: Joi.string().min(1).required(),
+        newPassword: Joi.string().min(8).max(128).required()
+    }),
+
+    twoFactorLogin: Joi.object({
+        challengeToken: Joi.string().min(1).required(),
+        code: Joi.string().trim().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string().trim().min(1).max(32)
+    }).xor('code', 'recoveryCode'),
+
+    twoFactorCode: Joi.object({
+        code: Joi.string().trim().pattern(/^\d{6}$/).required()
+    }),
+
+    twoFactorDisable: Joi.object({
+        code: Joi.string().trim().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string().trim().min(1).max(32)
+    }).xor('code', 'recoveryCode'),
+
+    twoFactorPolicy: Joi.object({
+        requireTwoFactor: Joi.boolean().required()
+    })
+};
+
+/**
+ * Permission mapping schemas
+ */
+const permissionSchemas = {
+    setRolePermissions: Joi.object({
+        permissions: Joi.array().items(Joi.string().trim().max(64)).required()
+    })
+};
+
+/**
+ * API token schemas
+ */
+const apiTokenSchemas = {
+    create: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        userId: Joi.number().integer().positive().required(),
+        scopes: Joi.array().items(Joi.string().trim()).min(1).required(),
+        expiresAt: Joi.date().iso().greater('now').allow(null)
+    })
+};
+
+/**
+ * Webhook endpoint schemas
+ */
+const webhookSchemas = {
+    create: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).required(),
+        eventTypes: Joi.array().items(Joi.string().trim()).default([]),
+        isActive: Joi.boolean()
+    }),
+
+    update: Joi.object({
+        name: Joi.string().trim().min(1).max(100),
+        url: Joi.string().trim().uri({ scheme: ['http', 'https'] }),
+        eventTypes: Joi.array().items(Joi.string().trim()),
+        isActive: Joi.boolean()
+    }).min(1)
+};
+
+/**
+ * Notification preference schemas
+ */
+const notificationPreferenceSchemas = {
+    update: Joi.object({
+        email: Joi.object().pattern(
+            Joi.string().trim(),
+            Joi.string().valid('INSTANT', 'DIGEST', 'OFF')
+        ),
+        mute: Joi.object({
+            types: Joi.array().items(Joi.string().trim().uppercase().max(50).pattern(/^[A-Z][A-Z0-9_]*$/)),
+            rooms: Joi.array().items(Joi.number().integer().positive()),
+            quietHours: Joi.object({
+                start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+                end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+            }).allow(null)
+        }).min(1)
+    }).min(1)
+};
+
+/**
+ * Calendar feed schemas
+ */
+const calendarFeedSchemas = {
+    create: Joi.object({
+        type: Joi.string().valid('ROOM', 'USER', 'SERIES').required(),
+        targetId: Joi.number().integer().positive().required()
+    })
+};
+
+/**
+ * Academic calendar (semester holiday/suspension) schemas
+ */
+const academicCalendarSchemas = {
+    createDay: Joi.object({
+        date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+        type: Joi.string().valid('HOLIDAY', 'SUSPENSION').required(),
+        title: Joi.string().trim().min(1).max(200).required(),
+        notes: Joi.string().max(1000).allow('', null)
+    })
+};
+
+/**
+ * Semester rollover schemas
+ */
+const semesterRolloverSchemas = {
+    rollover: Joi.object({
+        fromSemesterId: Joi.number().integer().positive(),
+        mode: Joi.string().valid('deactivate', 'archive').default('deactivate'),
+        cloneStudentUsage: Joi.boolean().default(false)
+    })
+};
+
+/**
+ * Booking policy schemas
+ */
+const bookingPolicyFields = {
+    description: Joi.string().max(500).allow('', null),
+    roomType: Joi.string().valid('CONSULTATION', 'LECTURE', 'LAB', 'CONFERENCE', 'OTHER').allow(null),
+    role: Joi.string().valid('ADMIN', 'LAB_HEAD', 'LAB_TECH', 'FACULTY', 'SECRETARY', 'STUDENT').allow(null),
+    maxDurationMinutes: Joi.number().integer().positive().allow(null),
+    minAdvanceMinutes: Joi.number().integer().positive().allow(null),
+    maxAdvanceDays: Joi.number().integer().positive().allow(null),
+    weeklyQuotaHours: Joi.number().positive().allow(null),
+    blackouts: Joi.array().items(Joi.object({
+        start: Joi.date().iso().required(),
+        end: Joi.date().iso().greater(Joi.ref('start')).required(),
+        reason: Joi.string().max(200).allow('', null)
+    })),
+    isActive: Joi.boolean()
+};
+
+const bookingPolicySchemas = {
+    create: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        ...bookingPolicyFields
+    }),
+
+    update: Joi.object({
+        name: Joi.string().trim().min(1).max(100),
+        ...bookingPolicyFields
+    }).min(1)
+};
+
+/**
+ * Approval chain schemas
+ */
+const approvalStep = Joi.object({
+    role: Joi.string().valid('ADMIN', 'LAB_HEAD', 'LAB_TECH', 'FACULTY', 'SECRETARY', 'STUDENT'),
+    userId: Joi.number().integer().positive()
+}).xor('role', 'userId');
+
+const approvalChainFields = {
+    description: Joi.string().max(500).allow('', null),
+    roomId: Joi.number().integer().positive().allow(null),
+    roomType: Joi.string().valid('CONSULTATION', 'LECTURE', 'LAB', 'CONFERENCE', 'OTHER').allow(null),
+    minDurationMinutes: Joi.number().integer().positive().allow(null),
+    isActive: Joi.boolean()
+};
+
+const approvalChainSchemas = {
+    create: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        steps: Joi.array().items(approvalStep).min(1).max(5).required(),
+        ...approvalChainFields
+    }),
+
+    update: Joi.object({
+        name: Joi.string().trim().min(1).max(100),
+        steps: Joi.array().items(approvalStep).min(1).max(5),
+        ...approvalChainFields
+    }).min(1),
+
+    createDelegation: Joi.object({
+        delegateId: Joi.number().integer().positive().required(),
+        startsAt: Joi.date().iso().required(),
+        endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+        reason: Joi.string().max(200).allow('', null)
     })
 };
 
@@ -323,6 +519,15 @@ module.exports = {
     inventorySchemas,
     formSchemas,
     authSchemas,
+    permissionSchemas,
+    apiTokenSchemas,
+    bookingPolicySchemas,
+    approvalChainSchemas,
+    webhookSchemas,
+    notificationPreferenceSchemas,
+    calendarFeedSchemas,
+    academicCalendarSchemas,
+    semesterRolloverSchemas,
     idParamSchema,
 
     // Middleware
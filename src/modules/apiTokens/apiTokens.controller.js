@@ -0,0 +1,79 @@
+const AuditLogger = require('../../utils/auditLogger');
+const ApiTokenService = require('../../services/apiTokenService');
+
+/**
+ * Scopes a token can be issued with
+ */
+const listScopes = async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(ApiTokenService.SCOPES).map(([scope, description]) => ({ scope, description }))
+  });
+};
+
+/**
+ * List tokens (?includeRevoked=true for the full history)
+ */
+const listApiTokens = async (req, res) => {
+  const tokens = await ApiTokenService.listTokens({ includeRevoked: req.query.includeRevoked === 'true' });
+  res.json({ success: true, data: tokens });
+};
+
+/**
+ * Issue a token. The plain value is only returned here.
+ */
+const createApiToken = async (req, res) => {
+  const { name, userId, scopes, expiresAt } = req.body;
+  const { token, record } = await ApiTokenService.createToken({
+    name,
+    userId,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    createdBy: req.user.User_ID
+  });
+
+  await AuditLogger.logAuth(
+    req.user.User_ID,
+    'API_TOKEN_CREATED',
+    `${req.user.First_Name} ${req.user.Last_Name} issued API token "${record.Name}" (#${record.Token_ID}) for user #${record.User_ID} with scopes ${record.Scopes.join(', ')}`,
+    req,
+    { entityType: 'API_TOKEN', entityId: record.Token_ID, after: record }
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...record,
+      token,
+      message: 'Store this token now; it will not be shown again.'
+    }
+  });
+};
+
+/**
+ * Revoke a token. Requests using it fail immediately.
+ */
+const revokeApiToken = async (req, res) => {
+  const tokenId = parseInt(req.params.id, 10);
+  const record = await ApiTokenService.revokeToken(tokenId, req.user.User_ID);
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'API token not found' });
+  }
+
+  await AuditLogger.logAuth(
+    req.user.User_ID,
+    'API_TOKEN_REVOKED',
+    `${req.user.First_Name} ${req.user.Last_Name} revoked API token "${record.Name}" (#${record.Token_ID})`,
+    req,
+    { entityType: 'API_TOKEN', entityId: record.Token_ID, before: { Revoked_At: null, Revoked_By: null }, after: record }
+  );
+
+  res.json({ success: true, data: record });
+};
+
+module.exports = {
+  listScopes,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken
+};
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const { authorize } = require('../../middleware/authorize');
+const { validate, validateId, apiTokenSchemas } = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+  listScopes,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken
+} = require('./apiTokens.controller');
+
+const canManageTokens = authorize.can('api_tokens.manage');
+
+router.get('/scopes', authenticateToken, canManageTokens, asyncHandler(listScopes));
+router.get('/', authenticateToken, canManageTokens, asyncHandler(listApiTokens));
+router.post('/', authenticateToken, canManageTokens, validate(apiTokenSchemas.create), asyncHandler(createApiToken));
+router.delete('/:id', authenticateToken, canManageTokens, validateId, asyncHandler(revokeApiToken));
+
+module.exports = router;
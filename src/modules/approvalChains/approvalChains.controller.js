@@ -0,0 +1,115 @@
+const AuditLogger = require('../../utils/auditLogger');
+const ApprovalChainService = require('../../services/approvalChainService');
+const PermissionService = require('../../services/permissionService');
+const { normalizeRole } = require('../../middleware/authorize');
+
+const logChainChange = (req, action, chain, change) => AuditLogger.log({
+  userId: req.user.User_ID,
+  action,
+  logType: 'BOOKING',
+  details: `${req.user.First_Name} ${req.user.Last_Name} ${action === 'APPROVAL_CHAIN_DELETED' ? 'deleted' : 'saved'} approval chain "${chain.Name}" (#${chain.Chain_ID})`,
+  entityType: 'APPROVAL_CHAIN',
+  entityId: chain.Chain_ID,
+  ...change
+});
+
+const canManageChains = req =>
+  PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.approval_chains');
+
+/**
+ * List chains (?includeInactive=true for disabled ones too)
+ */
+const listApprovalChains = async (req, res) => {
+  const chains = await ApprovalChainService.listChains({ includeInactive: req.query.includeInactive === 'true' });
+  res.json({ success: true, data: chains });
+};
+
+const getApprovalChain = async (req, res) => {
+  const chain = await ApprovalChainService.getChain(parseInt(req.params.id, 10));
+  if (!chain) {
+    return res.status(404).json({ success: false, error: 'Approval chain not found' });
+  }
+  res.json({ success: true, data: chain });
+};
+
+const createApprovalChain = async (req, res) => {
+  const chain = await ApprovalChainService.createChain(req.body, req.user.User_ID);
+  await logChainChange(req, 'APPROVAL_CHAIN_CREATED', chain, { after: chain });
+  res.status(201).json({ success: true, data: chain });
+};
+
+const updateApprovalChain = async (req, res) => {
+  const result = await ApprovalChainService.updateChain(parseInt(req.params.id, 10), req.body);
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Approval chain not found' });
+  }
+  await logChainChange(req, 'APPROVAL_CHAIN_UPDATED', result.record, { before: result.previous, after: result.record });
+  res.json({ success: true, data: result.record });
+};
+
+const deleteApprovalChain = async (req, res) => {
+  const chain = await ApprovalChainService.deleteChain(parseInt(req.params.id, 10));
+  if (!chain) {
+    return res.status(404).json({ success: false, error: 'Approval chain not found' });
+  }
+  await logChainChange(req, 'APPROVAL_CHAIN_DELETED', chain, { before: chain });
+  res.json({ success: true, data: chain });
+};
+
+/**
+ * Delegations the caller gave or received. Chain managers can pass
+ * ?all=true; ?includeExpired=true adds revoked and past ones.
+ */
+const listDelegations = async (req, res) => {
+  const all = req.query.all === 'true' && await canManageChains(req);
+  const delegations = await ApprovalChainService.listDelegations(req.user.User_ID, {
+    all,
+    includeExpired: req.query.includeExpired === 'true'
+  });
+  res.json({ success: true, data: delegations });
+};
+
+const createDelegation = async (req, res) => {
+  const delegation = await ApprovalChainService.createDelegation(req.user, req.body);
+  await AuditLogger.log({
+    userId: req.user.User_ID,
+    action: 'APPROVAL_DELEGATION_CREATED',
+    logType: 'BOOKING',
+    details: `${req.user.First_Name} ${req.user.Last_Name} delegated booking approvals to user #${delegation.Delegate_ID} from ${new Date(delegation.Starts_At).toISOString()} to ${new Date(delegation.Ends_At).toISOString()}`,
+    entityType: 'APPROVAL_DELEGATION',
+    entityId: delegation.Delegation_ID,
+    after: delegation
+  });
+  res.status(201).json({ success: true, data: delegation });
+};
+
+const revokeDelegation = async (req, res) => {
+  const delegation = await ApprovalChainService.revokeDelegation(parseInt(req.params.id, 10), req.user.User_ID, {
+    canManageAll: await canManageChains(req)
+  });
+  if (!delegation) {
+    return res.status(404).json({ success: false, error: 'Approval delegation not found' });
+  }
+  await AuditLogger.log({
+    userId: req.user.User_ID,
+    action: 'APPROVAL_DELEGATION_REVOKED',
+    logType: 'BOOKING',
+    details: `${req.user.First_Name} ${req.user.Last_Name} revoked approval delegation #${delegation.Delegation_ID}`,
+    entityType: 'APPROVAL_DELEGATION',
+    entityId: delegation.Delegation_ID,
+    before: { Revoked_At: null },
+    after: delegation
+  });
+  res.json({ success: true, data: delegation });
+};
+
+module.exports = {
+  listApprovalChains,
+  getApprovalChain,
+  createApprovalChain,
+  updateApprovalChain,
+  deleteApprovalChain,
+  listDelegations,
+  createDelegation,
+  revokeDelegation
+};
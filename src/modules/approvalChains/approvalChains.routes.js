@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const { authorize } = require('../../middleware/authorize');
+const { validate, validateId, approvalChainSchemas } = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+  listApprovalChains,
+  getApprovalChain,
+  createApprovalChain,
+  updateApprovalChain,
+  deleteApprovalChain,
+  listDelegations,
+  createDelegation,
+  revokeDelegation
+} = require('./approvalChains.controller');
+
+const canManageChains = authorize.can('bookings.approval_chains');
+
+// Delegations: an approver on leave hands their approval authority to a
+// colleague for a time window. Declared before /:id.
+router.get('/delegations', authenticateToken, asyncHandler(listDelegations));
+router.post('/delegations', authenticateToken, authorize.can('bookings.approve'), validate(approvalChainSchemas.createDelegation), asyncHandler(createDelegation));
+router.delete('/delegations/:id', authenticateToken, validateId, asyncHandler(revokeDelegation));
+
+// Any signed-in user can read which approvals their bookings will need.
+router.get('/', authenticateToken, asyncHandler(listApprovalChains));
+router.get('/:id', authenticateToken, validateId, asyncHandler(getApprovalChain));
+router.post('/', authenticateToken, canManageChains, validate(approvalChainSchemas.create), asyncHandler(createApprovalChain));
+router.put('/:id', authenticateToken, canManageChains, validateId, validate(approvalChainSchemas.update), asyncHandler(updateApprovalChain));
+router.delete('/:id', authenticateToken, canManageChains, validateId, asyncHandler(deleteApprovalChain));
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const AuditService = require('../../services/auditService');
+const { sendCsv } = require('../../utils/csvExport');
+
+/**
+ * Search the audit log (?entityType, ?entityId, ?actorId, ?action, ?logType,
+ * ?from, ?to, ?page, ?limit). ?format=csv downloads every match instead.
+ */
+const listAuditEntries = async (req, res) => {
+  if (req.query.format === 'csv') {
+    const { entries, truncated } = await AuditService.export(req.query);
+    if (truncated) {
+      res.setHeader('X-Export-Truncated', String(AuditService.MAX_EXPORT_ROWS));
+    }
+    return sendCsv(res, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`, [
+      { header: 'Log ID', value: 'id' },
+      { header: 'Timestamp', value: 'timestamp' },
+      { header: 'Action', value: 'action' },
+      { header: 'Log Type', value: 'logType' },
+      { header: 'Actor ID', value: entry => entry.actor?.id },
+      { header: 'Actor', value: entry => entry.actor?.name },
+      { header: 'Entity Type', value: 'entityType' },
+      { header: 'Entity ID', value: 'entityId' },
+      { header: 'Details', value: 'details' },
+      { header: 'Before', value: entry => entry.changes?.before },
+      { header: 'After', value: entry => entry.changes?.after }
+    ], entries);
+  }
+
+  const { entries, meta } = await AuditService.search(req.query);
+  res.json({ success: true, data: entries, meta });
+};
+
+module.exports = {
+  listAuditEntries
+};
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const { authorize } = require('../../middleware/authorize');
+const asyncHandler = require('../../utils/asyncHandler');
+const { listAuditEntries } = require('./audit.controller');
+
+router.get('/', authenticateToken, authorize.can('audit.view'), asyncHandler(listAuditEntries));
+
+module.exports = router;
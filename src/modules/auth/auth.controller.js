@@ -1,38 +1,99 @@
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
-const fs = require('fs');
 const prisma = require('../../lib/prisma');
 const AuditLogger = require('../../utils/auditLogger');
+const SessionService = require('../../services/sessionService');
+const PasswordService = require('../../services/passwordService');
+const TwoFactorService = require('../../services/twoFactorService');
+const { toSafeUser } = require('../../utils/safeUser');
+const { authenticateWithProviders, buildProvisionedUser } = require('../../services/authProviders');
+const { syncDirectoryUsers } = require('../../jobs/directorySync');
+const {
+  isAccountLocked,
+  getRetryAfterSeconds,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../../utils/loginLockout');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
-const HTSHADOW_PATH = process.env.HTSHADOW_PATH || '/etc/htshadow';
+/**
+ * Respond 423 for a locked account. The lock details are also left on
+ * res.locals.loginAudit for the logFailedLogin middleware.
+ */
+const sendLockedResponse = (res, user, event, failedAttempts) => {
+  const retryAfterSeconds = getRetryAfterSeconds(user);
+  res.locals.loginAudit = {
+    event,
+    userId: user.User_ID,
+    failedAttempts,
+    lockedUntil: user.Locked_Until
+  };
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(423).json({
+    success: false,
+    error: 'Account is temporarily locked after repeated failed logins. Try again later or contact an administrator.',
+    details: { lockedUntil: user.Locked_Until, retryAfterSeconds }
+  });
+};
 
 /**
- * Verify password against the htshadow file
- * @param {string} username - Username to look up
- * @param {string} password - Plain text password to verify
- * @returns {Promise<boolean>} Whether password matches
+ * Count a failed password/2FA attempt and respond 401, or 423 once the
+ * attempt trips the lockout
  */
-const verifyHtshadowPassword = async (username, password) => {
-  try {
-    const data = fs.readFileSync(HTSHADOW_PATH, 'utf-8');
-    const line = data.split('\n').find(l => l.startsWith(username + ':'));
-    if (!line) return false;
-
-    const hash = line.split(':')[1].trim();
-    // Normalize $2y$ (PHP bcrypt) to $2b$ (Node bcrypt)
-    const normalized = hash.replace(/^\$2y\$/, '$2b$');
-    return bcrypt.compare(password, normalized);
-  } catch (err) {
-    console.error('[Auth] Error reading htshadow file:', err.message);
-    return false;
+const rejectLoginAttempt = async (res, user, event, message) => {
+  const { failedAttempts, lockedUntil } = await recordFailedLogin(user);
+  if (lockedUntil) {
+    return sendLockedResponse(res, { ...user, Locked_Until: lockedUntil }, 'ACCOUNT_LOCKED', failedAttempts);
   }
+
+  res.locals.loginAudit = { event, userId: user.User_ID, failedAttempts };
+  return res.status(401).json({
+    success: false,
+    error: message
+  });
+};
+
+/**
+ * Clear failed attempts, open a session for a fully authenticated user and
+ * send the token response shared by both login steps
+ */
+const completeLogin = async (req, res, user, method) => {
+  if (user.Failed_Login_Attempts || user.Locked_Until) {
+    await clearFailedLogins(user.User_ID);
+  }
+
+  // Each login opens its own server-side session so it can be listed and
+  // revoked independently of the user's other devices.
+  const { accessToken, refreshToken, session } = await SessionService.createSession(user, req);
+
+  // Log successful login to audit trail
+  await AuditLogger.logAuth(
+    user.User_ID,
+    'USER_LOGIN',
+    `User ${user.First_Name} ${user.Last_Name} logged in via ${method}`,
+    req
+  );
+
+  // Roles under a "require 2FA" policy may log in to enroll, but authorize()
+  // refuses their role-gated routes until they do.
+  const twoFactorEnrollmentRequired = !user.Two_Factor_Enabled
+    && await TwoFactorService.isRequiredForRole(user.User_Role);
+
+  // Return user data without password
+  res.json({
+    success: true,
+    data: {
+      token: accessToken,
+      refreshToken,
+      sessionId: session.Session_ID,
+      expiresIn: SessionService.ACCESS_TOKEN_EXPIRES_IN,
+      twoFactorEnrollmentRequired,
+      user: toSafeUser(user)
+    }
+  });
 };
 
 /**
  * Login endpoint handler
- * Authenticates by username or email against htshadow first, then DB password
+ * Authenticates by username or email against the AUTH_PROVIDERS chain
+ * (default: htshadow, then DB password)
  */
 const login = async (req, res) => {
   try {
@@ -57,26 +118,25 @@ const login = async (req, res) => {
       }
     });
 
-    // Step 1: Try to verify against htshadow file
-    const isEmailIdentifier = identifier.includes('@');
-    const htshadowUsername = user?.Username || (isEmailIdentifier ? null : identifier);
-    const isHtshadowValid = htshadowUsername
-      ? await verifyHtshadowPassword(htshadowUsername, password)
-      : false;
+    // Refuse locked accounts before spending a password check on them.
+    if (user && isAccountLocked(user)) {
+      return sendLockedResponse(res, user, 'LOGIN_WHILE_LOCKED', user.Failed_Login_Attempts);
+    }
+
+    // Check if user is active
+    if (user && user.Is_Active === false) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated. Please contact administrator.'
+      });
+    }
 
-    // If user doesn't exist in DB but authenticates via htshadow, auto-create
-    if (!user && isHtshadowValid) {
+    const match = await authenticateWithProviders({ identifier, password, user });
+
+    // If user doesn't exist in DB but a directory provider accepted them, auto-create
+    if (!user && match?.provider.provisionsUsers) {
       user = await prisma.user.create({
-        data: {
-          Username: identifier,
-          First_Name: identifier,
-          Middle_Name: '',
-          Last_Name: '',
-          Email: `${identifier}@placeholder.local`,
-          Password: '',
-          User_Role: 'STUDENT',
-          Is_Active: true
-        }
+        data: buildProvisionedUser(match.profile, identifier)
       });
     }
 
@@ -87,66 +147,123 @@ const login = async (req, res) => {
       });
     }
 
-    // Check if user is active
-    if (user.Is_Active === false) {
+    if (!match) {
+      return rejectLoginAttempt(res, user, 'LOGIN_FAILED', 'Invalid username/email or password');
+    }
+
+    // Second step: accounts with TOTP get a short-lived challenge instead of
+    // a session. POST /auth/login/2fa exchanges it plus a code for tokens.
+    // Failed attempts are not cleared yet, so code guesses keep counting
+    // across password logins.
+    if (user.Two_Factor_Enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await TwoFactorService.issueChallenge(user)
+        }
+      });
+    }
+
+    return completeLogin(req, res, user, match.provider.name);
+  } catch (err) {
+    console.error('[Auth] Login error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login'
+    });
+  }
+};
+
+/**
+ * Second login step for accounts with two-factor authentication
+ * Exchanges the challenge token from login plus a TOTP or recovery code for tokens
+ */
+const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = await TwoFactorService.consumeChallenge(challengeToken);
+
+    const user = await prisma.user.findUnique({ where: { User_ID: userId } });
+    if (!user || user.Is_Active === false || !user.Two_Factor_Enabled) {
       return res.status(401).json({
         success: false,
-        error: 'Account is deactivated. Please contact administrator.'
+        error: 'Two-factor challenge is invalid or has expired. Please log in again.'
       });
     }
 
-    let isPasswordValid = isHtshadowValid;
+    // Code guessing counts toward the same per-account lockout as passwords.
+    if (isAccountLocked(user)) {
+      return sendLockedResponse(res, user, 'LOGIN_WHILE_LOCKED', user.Failed_Login_Attempts);
+    }
 
-    // Step 2: Fallback to DB password (for admin or users not in htshadow)
-    if (!isPasswordValid && user.Password) {
-      if (user.Password.startsWith('$2a$') || user.Password.startsWith('$2b$')) {
-        isPasswordValid = await bcrypt.compare(password, user.Password);
-      } else {
-        isPasswordValid = user.Password === password;
-      }
+    const factor = await TwoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!factor) {
+      return rejectLoginAttempt(res, user, 'TWO_FACTOR_FAILED', 'Invalid authentication code');
     }
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    return completeLogin(req, res, user, factor === 'recovery' ? 'password + recovery code' : 'password + TOTP');
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, error: err.message });
+    }
+    console.error('[Auth] Two-factor login error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login'
+    });
+  }
+};
+
+/**
+ * Refresh endpoint handler
+ * Exchanges a refresh token for a new access token and rotates the refresh token
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
         success: false,
-        error: 'Invalid username/email or password'
+        error: 'Refresh token is required'
       });
     }
 
-    const token = jwt.sign(
-      { userId: user.User_ID, role: user.User_Role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
-
-    // Log successful login to audit trail
-    await AuditLogger.logAuth(
-      user.User_ID,
-      'USER_LOGIN',
-      `User ${user.First_Name} ${user.Last_Name} logged in`,
-      req
-    );
+    const result = await SessionService.refreshSession(refreshToken, req);
 
-    // Return user data without password
-    const { Password, ...userData } = user;
     res.json({
       success: true,
-      data: { token, user: userData }
+      data: {
+        token: result.accessToken,
+        refreshToken: result.refreshToken,
+        sessionId: result.session.Session_ID,
+        expiresIn: SessionService.ACCESS_TOKEN_EXPIRES_IN,
+        user: toSafeUser(result.user)
+      }
     });
   } catch (err) {
-    console.error('[Auth] Login error:', err.message);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, error: err.message });
+    }
+    console.error('[Auth] Refresh error:', err.message);
     res.status(500).json({
       success: false,
-      error: 'Server error during login'
+      error: 'Server error during token refresh'
     });
   }
 };
 
 /**
- * Logout endpoint handler (for audit logging)
+ * Logout endpoint handler
+ * Revokes the current session and writes the audit entry
  */
 const logout = async (req, res) => {
   try {
+    if (req.sessionId) {
+      await SessionService.revokeSession(req.sessionId, 'LOGOUT');
+    }
+
     // Log logout action if user is authenticated
     if (req.user) {
       await AuditLogger.logAuth(
@@ -167,61 +284,137 @@ const logout = async (req, res) => {
 };
 
 /**
- * Sync users from htshadow file into the database
- * Creates DB records for usernames found in htshadow that don't already exist
+ * List the caller's active sessions, flagging the one making the request
  */
-const syncHtshadowUsers = async (req, res) => {
+const listSessions = async (req, res) => {
   try {
-    const data = fs.readFileSync(HTSHADOW_PATH, 'utf-8');
-    const lines = data.split('\n').filter(l => l.includes(':'));
+    const sessions = await SessionService.listActiveSessions(req.user.User_ID);
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        Is_Current: session.Session_ID === req.sessionId
+      }))
+    });
+  } catch (err) {
+    console.error('[Auth] List sessions error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions'
+    });
+  }
+};
 
-    const results = { created: [], skipped: [] };
+/**
+ * Revoke one of the caller's own sessions (e.g. "sign out that device")
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
 
-    for (const line of lines) {
-      const username = line.split(':')[0].trim();
-      if (!username) continue;
+    const session = await prisma.user_Session.findUnique({
+      where: { Session_ID: sessionId }
+    });
 
-      // Check if user with this username already exists
-      const existing = await prisma.user.findFirst({
-        where: { Username: username }
+    // Someone else's session is reported as missing rather than forbidden so
+    // session IDs can't be probed.
+    if (!session || session.User_ID !== req.user.User_ID) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
       });
+    }
 
-      if (existing) {
-        results.skipped.push(username);
-        continue;
-      }
+    await SessionService.revokeSession(sessionId, 'USER_REVOKED');
 
-      // Create a new user with default values
-      const newUser = await prisma.user.create({
-        data: {
-          Username: username,
-          First_Name: username,
-          Middle_Name: '',
-          Last_Name: '',
-          Email: `${username}@placeholder.local`,
-          Password: '',
-          User_Role: 'STUDENT',
-          Is_Active: true
-        }
-      });
+    await AuditLogger.logAuth(
+      req.user.User_ID,
+      'SESSION_REVOKED',
+      `User ${req.user.First_Name} ${req.user.Last_Name} revoked a session`,
+      req,
+      { entityType: 'SESSION', entityId: sessionId }
+    );
+
+    res.json({
+      success: true,
+      data: { message: 'Session revoked', sessionId }
+    });
+  } catch (err) {
+    console.error('[Auth] Revoke session error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+};
+
+/**
+ * Redeem an ADMIN-issued password reset token (unauthenticated)
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const user = await PasswordService.redeemResetToken(token, newPassword);
+
+    await AuditLogger.logAuth(
+      user.User_ID,
+      'PASSWORD_RESET_COMPLETED',
+      `User ${user.First_Name} ${user.Last_Name} reset their password with an admin-issued token`,
+      req
+    );
 
-      results.created.push({ User_ID: newUser.User_ID, Username: username });
+    res.json({
+      success: true,
+      data: { message: 'Password has been reset. Please log in with your new password.' }
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, error: err.message });
     }
+    console.error('[Auth] Reset password error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during password reset'
+    });
+  }
+};
+
+/**
+ * Sync users from a directory provider (htshadow, ldap) into the database
+ * Creates DB records for directory accounts that don't already exist
+ */
+const syncDirectory = async (req, res) => {
+  const providerName = req.params.provider || 'htshadow';
+  try {
+    const results = await syncDirectoryUsers(providerName);
 
     res.json({
       success: true,
       data: {
-        message: `Synced htshadow: ${results.created.length} created, ${results.skipped.length} skipped`,
+        message: `Synced ${results.provider}: ${results.created.length} created, ${results.skipped.length} skipped`,
         ...results
       }
     });
   } catch (err) {
-    console.error('[Auth] Sync htshadow error:', err.message);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, error: err.message });
+    }
+    console.error(`[Auth] Sync ${providerName} error:`, err.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to sync htshadow users: ' + err.message
+      error: `Failed to sync ${providerName} users: ` + err.message
     });
   }
 };
 
-module.exports = { login, logout, syncHtshadowUsers };
+module.exports = {
+  login,
+  verifyLoginTwoFactor,
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
+  resetPassword,
+  syncDirectory
+};
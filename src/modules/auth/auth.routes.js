@@ -2,10 +2,49 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
 const { authorize } = require('../../middleware/authorize');
-const { login, logout, syncHtshadowUsers } = require('./auth.controller');
+const { logFailedLogin } = require('../../middleware/authLogging');
+const { validate, authSchemas } = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+  login,
+  verifyLoginTwoFactor,
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
+  resetPassword,
+  syncDirectory
+} = require('./auth.controller');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  listTwoFactorPolicies,
+  updateTwoFactorPolicy
+} = require('./twoFactor.controller');
 
-router.post('/login', login);
+router.post('/login', logFailedLogin, login);
+router.post('/login/2fa', logFailedLogin, validate(authSchemas.twoFactorLogin), verifyLoginTwoFactor);
+router.post('/refresh', refresh);
 router.post('/logout', authenticateToken, logout);
-router.post('/sync-htshadow', authenticateToken, authorize('ADMIN'), syncHtshadowUsers);
+router.post('/reset-password', validate(authSchemas.resetPassword), resetPassword);
+router.get('/sessions', authenticateToken, listSessions);
+router.delete('/sessions/:sessionId', authenticateToken, revokeSession);
+
+// Two-factor enrollment is authenticate-only (no authorize()) so users whose
+// role requires 2FA can still reach it before enrolling.
+router.get('/2fa', authenticateToken, asyncHandler(getTwoFactorStatus));
+router.post('/2fa/setup', authenticateToken, asyncHandler(setupTwoFactor));
+router.post('/2fa/enable', authenticateToken, validate(authSchemas.twoFactorCode), asyncHandler(enableTwoFactor));
+router.post('/2fa/disable', authenticateToken, validate(authSchemas.twoFactorDisable), asyncHandler(disableTwoFactor));
+router.post('/2fa/recovery-codes', authenticateToken, validate(authSchemas.twoFactorCode), asyncHandler(regenerateRecoveryCodes));
+router.get('/2fa/policies', authenticateToken, authorize.can('security.policies'), asyncHandler(listTwoFactorPolicies));
+router.put('/2fa/policies/:role', authenticateToken, authorize.can('security.policies'), validate(authSchemas.twoFactorPolicy), asyncHandler(updateTwoFactorPolicy));
+
+router.post('/sync-directory/:provider', authenticateToken, authorize.can('users.sync'), syncDirectory);
+// Kept for existing clients; same as /sync-directory/htshadow
+router.post('/sync-htshadow', authenticateToken, authorize.can('users.sync'), syncDirectory);
 
 module.exports = router;
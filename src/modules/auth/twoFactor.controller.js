@@ -0,0 +1,170 @@
+const prisma = require('../../lib/prisma');
+const AuditLogger = require('../../utils/auditLogger');
+const TwoFactorService = require('../../services/twoFactorService');
+
+const VALID_ROLES_ENUM = ['ADMIN', 'LAB_HEAD', 'LAB_TECH', 'FACULTY', 'SECRETARY', 'STUDENT'];
+
+// req.user has the 2FA columns stripped, so handlers reload the full row.
+const loadCurrentUser = (req) => prisma.user.findUnique({ where: { User_ID: req.user.User_ID } });
+
+/**
+ * Current user's 2FA status
+ */
+const getTwoFactorStatus = async (req, res) => {
+  const user = await loadCurrentUser(req);
+  res.json({
+    success: true,
+    data: {
+      enabled: !!user.Two_Factor_Enabled,
+      enabledAt: user.Two_Factor_Enabled_At,
+      recoveryCodesRemaining: (user.Two_Factor_Recovery_Codes || []).length,
+      requiredByPolicy: await TwoFactorService.isRequiredForRole(user.User_Role)
+    }
+  });
+};
+
+/**
+ * Start enrollment: returns the secret as an otpauth:// URL and QR code
+ */
+const setupTwoFactor = async (req, res) => {
+  const user = await loadCurrentUser(req);
+  const enrollment = await TwoFactorService.beginEnrollment(user);
+  res.json({ success: true, data: enrollment });
+};
+
+/**
+ * Confirm enrollment with a first code; returns recovery codes once
+ */
+const enableTwoFactor = async (req, res) => {
+  const user = await loadCurrentUser(req);
+  const recoveryCodes = await TwoFactorService.enable(user, req.body.code);
+
+  await AuditLogger.logAuth(
+    user.User_ID,
+    'TWO_FACTOR_ENABLED',
+    `User ${user.First_Name} ${user.Last_Name} enabled two-factor authentication`,
+    req,
+    { before: { Two_Factor_Enabled: false }, after: { Two_Factor_Enabled: true } }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes
+    }
+  });
+};
+
+/**
+ * Turn 2FA off (requires a current code). Refused while the role's policy
+ * requires it.
+ */
+const disableTwoFactor = async (req, res) => {
+  const user = await loadCurrentUser(req);
+  if (!user.Two_Factor_Enabled) {
+    return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+  }
+  if (await TwoFactorService.isRequiredForRole(user.User_Role)) {
+    return res.status(403).json({ success: false, error: 'Two-factor authentication is required for your role and cannot be disabled' });
+  }
+  if (!(await TwoFactorService.verifySecondFactor(user, req.body))) {
+    return res.status(400).json({ success: false, error: 'Invalid authentication code' });
+  }
+
+  await TwoFactorService.disable(user.User_ID);
+
+  await AuditLogger.logAuth(
+    user.User_ID,
+    'TWO_FACTOR_DISABLED',
+    `User ${user.First_Name} ${user.Last_Name} disabled two-factor authentication`,
+    req,
+    { before: { Two_Factor_Enabled: true }, after: { Two_Factor_Enabled: false } }
+  );
+
+  res.json({ success: true, data: { message: 'Two-factor authentication disabled' } });
+};
+
+/**
+ * Replace recovery codes (requires a current TOTP code)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const user = await loadCurrentUser(req);
+  if (!user.Two_Factor_Enabled) {
+    return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+  }
+  if (!(await TwoFactorService.verifyTotp(user, req.body.code))) {
+    return res.status(400).json({ success: false, error: 'Invalid authentication code' });
+  }
+
+  const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(user.User_ID);
+
+  await AuditLogger.logAuth(
+    user.User_ID,
+    'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+    `User ${user.First_Name} ${user.Last_Name} regenerated two-factor recovery codes`,
+    req
+  );
+
+  res.json({ success: true, data: { recoveryCodes } });
+};
+
+/**
+ * Per-role "require 2FA" policies (ADMIN)
+ */
+const listTwoFactorPolicies = async (req, res) => {
+  const policies = await TwoFactorService.listPolicies();
+  const byRole = new Map(policies.map(policy => [policy.Role, policy]));
+
+  res.json({
+    success: true,
+    data: VALID_ROLES_ENUM.map(role => ({
+      role,
+      requireTwoFactor: !!byRole.get(role)?.Require_Two_Factor,
+      updatedAt: byRole.get(role)?.Updated_At || null,
+      updatedBy: byRole.get(role)?.Updated_By || null
+    }))
+  });
+};
+
+const updateTwoFactorPolicy = async (req, res) => {
+  const role = String(req.params.role || '').toUpperCase();
+  const { requireTwoFactor } = req.body;
+
+  if (!VALID_ROLES_ENUM.includes(role)) {
+    return res.status(400).json({ success: false, error: `role must be one of: ${VALID_ROLES_ENUM.join(', ')}` });
+  }
+
+  // Don't let an admin lock themselves out of their own role-gated routes.
+  if (requireTwoFactor && role === req.user.User_Role && !req.user.Two_Factor_Enabled) {
+    return res.status(400).json({
+      success: false,
+      error: 'Enable two-factor authentication on your own account before requiring it for your role'
+    });
+  }
+
+  const policy = await TwoFactorService.setRolePolicy(role, requireTwoFactor, req.user.User_ID);
+
+  await AuditLogger.logAuth(
+    req.user.User_ID,
+    'TWO_FACTOR_POLICY_UPDATED',
+    `${req.user.First_Name} ${req.user.Last_Name} set two-factor ${requireTwoFactor ? 'required' : 'optional'} for ${role}`,
+    req,
+    { entityType: 'TWO_FACTOR_POLICY', entityId: role, after: policy }
+  );
+
+  res.json({
+    success: true,
+    data: { role, requireTwoFactor: policy.Require_Two_Factor, updatedAt: policy.Updated_At }
+  });
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  listTwoFactorPolicies,
+  updateTwoFactorPolicy
+};
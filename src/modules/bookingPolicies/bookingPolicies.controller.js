@@ -0,0 +1,61 @@
+const AuditLogger = require('../../utils/auditLogger');
+const BookingPolicyService = require('../../services/bookingPolicyService');
+
+const logPolicyChange = (req, action, policy, change) => AuditLogger.log({
+  userId: req.user.User_ID,
+  action,
+  logType: 'BOOKING',
+  details: `${req.user.First_Name} ${req.user.Last_Name} ${action === 'BOOKING_POLICY_DELETED' ? 'deleted' : 'saved'} booking policy "${policy.Name}" (#${policy.Policy_ID})`,
+  entityType: 'BOOKING_POLICY',
+  entityId: policy.Policy_ID,
+  ...change
+});
+
+/**
+ * List policies (?includeInactive=true for disabled ones too)
+ */
+const listBookingPolicies = async (req, res) => {
+  const policies = await BookingPolicyService.listPolicies({ includeInactive: req.query.includeInactive === 'true' });
+  res.json({ success: true, data: policies });
+};
+
+const getBookingPolicy = async (req, res) => {
+  const policy = await BookingPolicyService.getPolicy(parseInt(req.params.id, 10));
+  if (!policy) {
+    return res.status(404).json({ success: false, error: 'Booking policy not found' });
+  }
+  res.json({ success: true, data: policy });
+};
+
+const createBookingPolicy = async (req, res) => {
+  const policy = await BookingPolicyService.createPolicy(req.body, req.user.User_ID);
+  await logPolicyChange(req, 'BOOKING_POLICY_CREATED', policy, { after: policy });
+  res.status(201).json({ success: true, data: policy });
+};
+
+const updateBookingPolicy = async (req, res) => {
+  const result = await BookingPolicyService.updatePolicy(parseInt(req.params.id, 10), req.body);
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Booking policy not found' });
+  }
+  const policy = result.record;
+  await logPolicyChange(req, 'BOOKING_POLICY_UPDATED', policy, { before: result.previous, after: policy });
+  res.json({ success: true, data: policy });
+};
+
+const deleteBookingPolicy = async (req, res) => {
+  const policy = await BookingPolicyService.deletePolicy(parseInt(req.params.id, 10));
+  if (!policy) {
+    return res.status(404).json({ success: false, error: 'Booking policy not found' });
+  }
+  await logPolicyChange(req, 'BOOKING_POLICY_DELETED', policy, { before: policy });
+  res.json({ success: true, data: policy });
+};
+
+module.exports = {
+  listBookingPolicies,
+  getBookingPolicy,
+  createBookingPolicy,
+  updateBookingPolicy,
+  deleteBookingPolicy
+};
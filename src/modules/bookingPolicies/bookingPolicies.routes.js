@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const { authorize } = require('../../middleware/authorize');
+const { validate, validateId, bookingPolicySchemas } = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+  listBookingPolicies,
+  getBookingPolicy,
+  createBookingPolicy,
+  updateBookingPolicy,
+  deleteBookingPolicy
+} = require('./bookingPolicies.controller');
+
+const canManagePolicies = authorize.can('bookings.policies');
+
+// Any signed-in user can read the rules their bookings are checked against.
+router.get('/', authenticateToken, asyncHandler(listBookingPolicies));
+router.get('/:id', authenticateToken, validateId, asyncHandler(getBookingPolicy));
+router.post('/', authenticateToken, canManagePolicies, validate(bookingPolicySchemas.create), asyncHandler(createBookingPolicy));
+router.put('/:id', authenticateToken, canManagePolicies, validateId, validate(bookingPolicySchemas.update), asyncHandler(updateBookingPolicy));
+router.delete('/:id', authenticateToken, canManagePolicies, validateId, asyncHandler(deleteBookingPolicy));
+
+module.exports = router;
@@ -2,7 +2,13 @@ const prisma = require('../../lib/prisma');
 const NotificationManager = require('../../services/notificationManager');
 const AuditLogger = require('../../utils/auditLogger');
 const { findScheduleConflict, formatScheduleTime } = require('../../utils/scheduleConflict');
-const { expandRrule } = require('../../utils/rruleExpander');
+const { expandRrule, parseRrule } = require('../../utils/rruleExpander');
+const { getZonedDateKey } = require('../../utils/timezone');
+const BookingPolicyService = require('../../services/bookingPolicyService');
+const AcademicCalendarService = require('../../services/academicCalendarService');
+const ApprovalChainService = require('../../services/approvalChainService');
+const PermissionService = require('../../services/permissionService');
+const WebhookService = require('../../services/webhookService');
 
 const SECRETARY_ALLOWED_ROOM_TYPES = new Set(['CONSULTATION', 'CONFERENCE']);
 const BOOKING_NOTIFICATION_ROLES = ['SECRETARY', 'LAB_HEAD', 'LAB_TECH'];
@@ -49,15 +55,25 @@ const buildVirtualOccurrences = async ({ from, to, where = {} } = {}) => {
     overrideRows.map(r => `${r.Series_ID}|${new Date(r.Original_Start).toISOString()}`)
   );
 
+  // Holidays and suspensions skip every series, like a per-series excluded date.
+  const closedDates = await AcademicCalendarService.getClosedDates();
+
   const virtual = [];
   for (const s of series) {
     const durationMs = new Date(s.Anchor_End).getTime() - new Date(s.Anchor_Start).getTime();
-    const occurrences = expandRrule(s.Recurrence_Rule, s.Anchor_Start, {
-      windowStart: fromDate,
-      windowEnd: toDate,
-      excludedDates: s.Excluded_Dates,
-      hardCap: SERIES_HARD_CAP
-    });
+    let occurrences;
+    try {
+      occurrences = expandRrule(s.Recurrence_Rule, s.Anchor_Start, {
+        windowStart: fromDate,
+        windowEnd: toDate,
+        excludedDates: [...s.Excluded_Dates, ...closedDates],
+        hardCap: SERIES_HARD_CAP
+      });
+    } catch (err) {
+      // Rules saved before stricter validation must not break listing.
+      console.error(`Skipping series ${s.Series_ID} with invalid rule:`, err.message);
+      continue;
+    }
 
     for (const start of occurrences) {
       const key = `${s.Series_ID}|${start.toISOString()}`;
@@ -92,6 +108,59 @@ const buildVirtualOccurrences = async ({ from, to, where = {} } = {}) => {
   return virtual;
 };
 
+// ---- Validation helpers (shared with the .ics import) ----
+
+// Approval semantics for a whole series mirror single-booking semantics:
+//   room under an approval chain (`chain`) → PENDING
+//   secretary on CONF/CONS → APPROVED
+//   lab_head on lab/lecture → APPROVED
+//   everyone else → PENDING (one approval applies to every occurrence)
+const initialSeriesStatus = (role, room, chain = null) => {
+  const requiresSecretaryReview = SECRETARY_ALLOWED_ROOM_TYPES.has(room.Room_Type);
+  const isAutoApproved = !chain && (
+    (role === 'SECRETARY' && requiresSecretaryReview) ||
+    (role === 'LAB_HEAD' && !requiresSecretaryReview));
+  return isAutoApproved ? 'APPROVED' : 'PENDING';
+};
+
+// Walk every slot and surface clashes with the room's class schedules
+// (room.Schedule) and with APPROVED/PENDING bookings.
+const findSlotConflicts = async (room, slots) => {
+  const closedDates = await AcademicCalendarService.getClosedDates();
+  const conflicts = [];
+  for (const { start, end } of slots) {
+    const conflictingSchedule = findScheduleConflict(room.Schedule, start, end, { closedDates });
+    if (conflictingSchedule) {
+      conflicts.push({
+        when: start.toISOString(),
+        reason: `Conflicts with ${conflictingSchedule.Title} from ${formatScheduleTime(conflictingSchedule.Start_Time)} to ${formatScheduleTime(conflictingSchedule.End_Time)}`
+      });
+      continue;
+    }
+
+    const overlap = await prisma.Booked_Room.findFirst({
+      where: {
+        Room_ID: room.Room_ID,
+        Status: { in: ['APPROVED', 'PENDING'] },
+        Start_Time: { lt: end },
+        End_Time: { gt: start }
+      },
+      include: { User: { select: { First_Name: true, Last_Name: true } } }
+    });
+    if (overlap) {
+      const bookedBy = overlap.User
+        ? `${overlap.User.First_Name} ${overlap.User.Last_Name}`
+        : 'someone else';
+      conflicts.push({
+        when: start.toISOString(),
+        reason: `Conflicts with existing ${overlap.Status.toLowerCase()} booking by ${bookedBy}`,
+        conflictingBookingId: overlap.Booked_Room_ID
+      });
+    }
+  }
+  return conflicts;
+};
+
 // ---- Create a series ----
 
 const createBookingSeries = async (req, res) => {
@@ -151,22 +220,18 @@ const createBookingSeries = async (req, res) => {
   if (!requestingUser) return res.status(404).json({ success: false, error: 'User not found' });
 
   const role = normalizeRole(requestingUser.User_Role);
-  const requiresSecretaryReview = SECRETARY_ALLOWED_ROOM_TYPES.has(room.Room_Type);
-
-  // Approval semantics for the whole series mirror single-booking semantics:
-  //   secretary on CONF/CONS → APPROVED
-  //   lab_head on lab/lecture → APPROVED
-  //   everyone else → PENDING (one approval applies to every occurrence)
-  const isAutoApproved =
-    (role === 'SECRETARY' && requiresSecretaryReview) ||
-    (role === 'LAB_HEAD' && !requiresSecretaryReview);
-  const seriesStatus = isAutoApproved ? 'APPROVED' : 'PENDING';
+  const approvalChain = await ApprovalChainService.resolveChain(
+    room,
+    ApprovalChainService.durationMinutes(anchorStart, anchorEnd)
+  );
+  const seriesStatus = initialSeriesStatus(role, room, approvalChain);
 
   // Expand the rule to validate every occurrence against existing schedules
   // and approved bookings BEFORE persisting the series. All-or-nothing.
   const durationMs = anchorEnd.getTime() - anchorStart.getTime();
+  const closedDates = await AcademicCalendarService.getClosedDates();
   const occurrences = expandRrule(Recurrence_Rule, anchorStart, {
-    excludedDates: Excluded_Dates,
+    excludedDates: [...Excluded_Dates, ...closedDates],
     hardCap: SERIES_HARD_CAP
   });
 
@@ -186,41 +251,21 @@ const createBookingSeries = async (req, res) => {
     });
   }
 
-  // Walk every occurrence and surface conflicts.
-  const conflicts = [];
-  for (const start of occurrences) {
-    const end = new Date(start.getTime() + durationMs);
-
-    const conflictingSchedule = findScheduleConflict(room.Schedule, start, end);
-    if (conflictingSchedule) {
-      conflicts.push({
-        when: start.toISOString(),
-        reason: `Conflicts with ${conflictingSchedule.Title} from ${formatScheduleTime(conflictingSchedule.Start_Time)} to ${formatScheduleTime(conflictingSchedule.End_Time)}`
-      });
-      continue;
-    }
-
-    const overlap = await prisma.Booked_Room.findFirst({
-      where: {
-        Room_ID: roomId,
-        Status: { in: ['APPROVED', 'PENDING'] },
-        Start_Time: { lt: end },
-        End_Time: { gt: start }
-      },
-      include: { User: { select: { First_Name: true, Last_Name: true } } }
-    });
-    if (overlap) {
-      const bookedBy = overlap.User
-        ? `${overlap.User.First_Name} ${overlap.User.Last_Name}`
-        : 'someone else';
-      conflicts.push({
-        when: start.toISOString(),
-        reason: `Conflicts with existing ${overlap.Status.toLowerCase()} booking by ${bookedBy}`,
-        conflictingBookingId: overlap.Booked_Room_ID
-      });
-    }
+  const policyViolations = await BookingPolicyService.evaluate({
+    userId,
+    role,
+    room,
+    occurrences: occurrences.map(start => ({ start, end: new Date(start.getTime() + durationMs) }))
+  });
+  if (policyViolations.length > 0) {
+    return res.status(403).json(BookingPolicyService.violationResponse(policyViolations));
   }
 
+  const conflicts = await findSlotConflicts(
+    room,
+    occurrences.map(start => ({ start, end: new Date(start.getTime() + durationMs) }))
+  );
+
   if (conflicts.length > 0) {
     return res.status(409).json({
       success: false,
@@ -232,25 +277,52 @@ const createBookingSeries = async (req, res) => {
     });
   }
 
-  const series = await prisma.Booking_Series.create({
-    data: {
-      Room_ID: roomId,
-      User_ID: userId,
-      Title: Title || (Purpose || 'Recurring booking'),
-      Purpose: Purpose || null,
-      Notes: Notes || null,
-      Recurrence_Rule,
-      Anchor_Start: anchorStart,
-      Anchor_End: anchorEnd,
-      Excluded_Dates: Excluded_Dates.map(d => typeof d === 'string' ? d.slice(0, 10) : new Date(d).toISOString().slice(0, 10)),
-      Status: seriesStatus
-    },
-    include: {
-      Room: true,
-      User: { select: { User_ID: true, First_Name: true, Last_Name: true, Email: true } }
+  const semester = await AcademicCalendarService.findSemesterFor(anchorStart);
+  // An auto-approved series' booking.approved outbox event commits with it.
+  const series = await prisma.$transaction(async (tx) => {
+    const created = await tx.Booking_Series.create({
+      data: {
+        Room_ID: roomId,
+        User_ID: userId,
+        Title: Title || (Purpose || 'Recurring booking'),
+        Purpose: Purpose || null,
+        Notes: Notes || null,
+        Recurrence_Rule,
+        Anchor_Start: anchorStart,
+        Anchor_End: anchorEnd,
+        Excluded_Dates: Excluded_Dates.map(d => typeof d === 'string' ? d.slice(0, 10) : new Date(d).toISOString().slice(0, 10)),
+        Status: seriesStatus,
+        Semester_ID: semester?.Semester_ID ?? null
+      },
+      include: {
+        Room: true,
+        User: { select: { User_ID: true, First_Name: true, Last_Name: true, Email: true } }
+      }
+    });
+    if (seriesStatus === 'APPROVED') {
+      await WebhookService.record('booking.approved', {
+        bookingId: null,
+        seriesId: created.Series_ID,
+        roomId: created.Room_ID,
+        roomName: created.Room.Name,
+        userId: created.User_ID,
+        title: created.Title,
+        recurrenceRule: created.Recurrence_Rule,
+        startTime: created.Anchor_Start,
+        endTime: created.Anchor_End,
+        purpose: created.Purpose ?? null,
+        approvedBy: userId,
+        occurrences: occurrences.length,
+        rejectedOccurrences: 0
+      }, tx);
     }
+    return created;
   });
 
+  if (approvalChain) {
+    await ApprovalChainService.startChain({ seriesId: series.Series_ID }, approvalChain);
+  }
+
   try {
     await AuditLogger.logBooking(
       userId,
@@ -259,7 +331,9 @@ const createBookingSeries = async (req, res) => {
       seriesStatus === 'APPROVED'
         ? `Recurring series for ${series.Room.Name} auto-approved (${occurrences.length} occurrences)`
         : `Recurring series request for ${series.Room.Name} by ${requestingUser.First_Name} ${requestingUser.Last_Name} (${occurrences.length} occurrences)`,
-      ['SECRETARY', 'LAB_HEAD']
+      ['SECRETARY', 'LAB_HEAD'],
+      null,
+      { entityType: 'BOOKING_SERIES', entityId: series.Series_ID, after: series }
     );
   } catch (err) {
     console.error('[BookingSeries] AuditLogger.logBooking failed:', err);
@@ -328,7 +402,8 @@ const deleteBookingSeries = async (req, res) => {
       0,
       `Recurring series for ${series.Room.Name} cancelled.`,
       null,
-      series.User_ID
+      series.User_ID,
+      { entityType: 'BOOKING_SERIES', entityId: seriesId, before: series }
     );
   } catch (err) {
     console.error('[BookingSeries] AuditLogger.logBooking failed in delete:', err);
@@ -428,8 +503,9 @@ const updateBookingSeries = async (req, res) => {
       });
     }
 
+    const closedDates = await AcademicCalendarService.getClosedDates();
     const occurrences = expandRrule(series.Recurrence_Rule, newAnchorStart, {
-      excludedDates: Excluded_Dates ?? series.Excluded_Dates,
+      excludedDates: [...(Excluded_Dates ?? series.Excluded_Dates), ...closedDates],
       hardCap: SERIES_HARD_CAP
     });
     occurrenceCount = occurrences.length;
@@ -448,11 +524,22 @@ const updateBookingSeries = async (req, res) => {
     }
 
     const durationMs = newAnchorEnd.getTime() - newAnchorStart.getTime();
+    const policyViolations = await BookingPolicyService.evaluate({
+      userId: series.User_ID,
+      role: normalizeRole(req.user.User_Role),
+      room,
+      occurrences: occurrences.map(start => ({ start, end: new Date(start.getTime() + durationMs) })),
+      excludeSeriesId: seriesId
+    });
+    if (policyViolations.length > 0) {
+      return res.status(403).json(BookingPolicyService.violationResponse(policyViolations));
+    }
+
     const conflicts = [];
     for (const start of occurrences) {
       const end = new Date(start.getTime() + durationMs);
 
-      const conflictingSchedule = findScheduleConflict(room.Schedule, start, end);
+      const conflictingSchedule = findScheduleConflict(room.Schedule, start, end, { closedDates });
       if (conflictingSchedule) {
         conflicts.push({
           when: start.toISOString(),
@@ -505,7 +592,10 @@ const updateBookingSeries = async (req, res) => {
   if (Purpose !== undefined) updateData.Purpose = Purpose;
   if (Notes !== undefined) updateData.Notes = Notes;
   if (roomChanged) updateData.Room_ID = newRoomId;
-  if (anchorStartChanged) updateData.Anchor_Start = newAnchorStart;
+  if (anchorStartChanged) {
+    updateData.Anchor_Start = newAnchorStart;
+    updateData.Semester_ID = (await AcademicCalendarService.findSemesterFor(newAnchorStart))?.Semester_ID ?? null;
+  }
   if (anchorEndChanged) updateData.Anchor_End = newAnchorEnd;
   if (Excluded_Dates) {
     updateData.Excluded_Dates = Excluded_Dates.map(d =>
@@ -550,6 +640,20 @@ const updateBookingSeries = async (req, res) => {
 
   const [updatedSeries] = await prisma.$transaction(transactionOps);
 
+  try {
+    await AuditLogger.logBooking(
+      req.user.User_ID,
+      'BOOKING_UPDATED',
+      0,
+      `Recurring series for ${updatedSeries.Room.Name} updated${structuralChange ? '; occurrence overrides cleared' : ''}`,
+      null,
+      null,
+      { entityType: 'BOOKING_SERIES', entityId: seriesId, before: series, after: updatedSeries }
+    );
+  } catch (err) {
+    console.error('[BookingSeries] AuditLogger.logBooking failed in update:', err);
+  }
+
   try {
     await NotificationManager.broadcastBookingEvent('BOOKING_UPDATED', {
       Booked_Room_ID: -seriesId,
@@ -634,7 +738,8 @@ const upsertSeriesOverride = async (req, res) => {
   });
   if (!room) return res.status(404).json({ success: false, error: 'Room not found' });
 
-  const conflictingSchedule = findScheduleConflict(room.Schedule, effectiveStart, effectiveEnd);
+  const closedDates = await AcademicCalendarService.getClosedDates();
+  const conflictingSchedule = findScheduleConflict(room.Schedule, effectiveStart, effectiveEnd, { closedDates });
   if (conflictingSchedule) {
     return res.status(409).json({
       success: false,
@@ -651,6 +756,20 @@ const upsertSeriesOverride = async (req, res) => {
     }
   });
 
+  const isMove = !!(newStart || newEnd || newRoomId !== series.Room_ID);
+  if (isMove && !['CANCELLED', 'REJECTED'].includes(Status)) {
+    const policyViolations = await BookingPolicyService.evaluate({
+      userId: series.User_ID,
+      role: normalizeRole(req.user.User_Role),
+      room,
+      occurrences: [{ start: effectiveStart, end: effectiveEnd }],
+      excludeBookingId: existing?.Booked_Room_ID || null
+    });
+    if (policyViolations.length > 0) {
+      return res.status(403).json(BookingPolicyService.violationResponse(policyViolations));
+    }
+  }
+
   const overlap = await prisma.Booked_Room.findFirst({
     where: {
       Room_ID: newRoomId,
@@ -707,6 +826,20 @@ const upsertSeriesOverride = async (req, res) => {
         }
       });
 
+  try {
+    await AuditLogger.logBooking(
+      req.user.User_ID,
+      'BOOKING_UPDATED',
+      booking.Booked_Room_ID,
+      `Occurrence of recurring series for ${series.Room.Name} on ${originalStart.toISOString()} ${existing ? 'updated' : 'overridden'}`,
+      null,
+      null,
+      { before: existing, after: booking }
+    );
+  } catch (err) {
+    console.error('[BookingSeries] AuditLogger.logBooking failed in upsertSeriesOverride:', err);
+  }
+
   try {
     await NotificationManager.broadcastBookingEvent(
       existing ? 'BOOKING_UPDATED' : 'BOOKING_CREATED',
@@ -751,29 +884,32 @@ const decideSeriesStatus = async (req, res) => {
   });
   if (!series) return res.status(404).json({ success: false, error: 'Series not found' });
 
-  // Permission: same as updateBookingStatus — secretary handles CONF/CONS,
-  // lab head/lab tech handle the rest. Owner cannot self-approve here; they
-  // can only cancel via deleteBookingSeries.
-  const approverRole = normalizeRole(req.user?.User_Role);
+  // Permission: whole-series decisions follow the room's approval chain when
+  // one applies. Otherwise (and for single occurrences) it's the same as
+  // updateBookingStatus — secretary handles CONF/CONS, lab head/lab tech
+  // handle the rest. Delegates act with the delegator's role. Owner cannot
+  // self-approve here; they can only cancel via deleteBookingSeries.
   const requiresSecretaryReview = SECRETARY_ALLOWED_ROOM_TYPES.has(series.Room.Room_Type);
-  if (requiresSecretaryReview && approverRole !== 'SECRETARY') {
-    return res.status(403).json({
-      success: false,
-      error: 'Forbidden',
-      details: 'Only the secretary can approve or reject conference/consultation series.'
-    });
-  }
-  if (!requiresSecretaryReview && approverRole !== 'LAB_HEAD' && approverRole !== 'LAB_TECH') {
-    return res.status(403).json({
-      success: false,
-      error: 'Forbidden',
-      details: 'Only lab head or lab tech can approve or reject lab/lecture series.'
-    });
-  }
-
   const durationMs = new Date(series.Anchor_End).getTime() - new Date(series.Anchor_Start).getTime();
   const userNotePrefix = (notes || '').trim();
 
+  const approvalPlan = await ApprovalChainService.authorizeDecision({
+    target: { seriesId },
+    room: series.Room,
+    durationMinutes: durationMs / 60000,
+    approver: req.user,
+    useChain: !!applyToSeries,
+    canDecideAlone: ({ role }) => {
+      if (requiresSecretaryReview && role !== 'SECRETARY') {
+        return 'Only the secretary can approve or reject conference/consultation series.';
+      }
+      if (!requiresSecretaryReview && role !== 'LAB_HEAD' && role !== 'LAB_TECH') {
+        return 'Only lab head or lab tech can approve or reject lab/lecture series.';
+      }
+      return null;
+    }
+  });
+
   // ---- Single-occurrence path ----
   if (!applyToSeries) {
     if (!Original_Start) {
@@ -803,16 +939,53 @@ const decideSeriesStatus = async (req, res) => {
       Updated_At: new Date()
     };
 
-    const override = existing
-      ? await prisma.Booked_Room.update({
-          where: { Booked_Room_ID: existing.Booked_Room_ID },
-          data: overrideData,
-          include: { Room: true, User: true }
-        })
-      : await prisma.Booked_Room.create({
-          data: { ...overrideData, Created_At: new Date() },
-          include: { Room: true, User: true }
-        });
+    const override = await prisma.$transaction(async (tx) => {
+      const saved = existing
+        ? await tx.Booked_Room.update({
+            where: { Booked_Room_ID: existing.Booked_Room_ID },
+            data: overrideData,
+            include: { Room: true, User: true }
+          })
+        : await tx.Booked_Room.create({
+            data: { ...overrideData, Created_At: new Date() },
+            include: { Room: true, User: true }
+          });
+
+      if (status === 'APPROVED') {
+        await WebhookService.record('booking.approved', {
+          bookingId: saved.Booked_Room_ID,
+          seriesId,
+          roomId: series.Room_ID,
+          roomName: series.Room.Name,
+          userId: series.User_ID,
+          startTime: occ,
+          endTime: occEnd,
+          purpose: series.Purpose ?? null,
+          approvedBy: req.user.User_ID
+        }, tx);
+      }
+      return saved;
+    });
+
+    const approval = await ApprovalChainService.recordDecision(approvalPlan, { bookingId: override.Booked_Room_ID }, {
+      status,
+      reason: userNotePrefix,
+      approverId: req.user.User_ID
+    });
+
+    try {
+      await AuditLogger.logBooking(
+        req.user.User_ID,
+        status === 'APPROVED' ? 'BOOKING_APPROVED' : 'BOOKING_REJECTED',
+        override.Booked_Room_ID,
+        `Occurrence of recurring series for ${series.Room.Name} on ${occ.toISOString()} ${status.toLowerCase()}`,
+        null,
+        series.User_ID,
+        { before: existing, after: override }
+      );
+    } catch (err) {
+      console.error('[BookingSeries] AuditLogger.logBooking failed in decideSeriesStatus(single):', err);
+    }
 
     try {
       await NotificationManager.broadcastBookingEvent(
@@ -826,16 +999,60 @@ const decideSeriesStatus = async (req, res) => {
 
     return res.json({
       success: true,
-      data: { occurrence: override, approved: status === 'APPROVED' ? 1 : 0, rejected: status === 'APPROVED' ? 0 : 1 }
+      data: {
+        occurrence: { ...override, Approvals: approval.steps },
+        approved: status === 'APPROVED' ? 1 : 0,
+        rejected: status === 'APPROVED' ? 0 : 1
+      }
     });
   }
 
   // ---- Whole-series path ----
+  if (status === 'APPROVED') {
+    // Fail before the decision is recorded if the rule no longer parses.
+    parseRrule(series.Recurrence_Rule);
+  }
+  const approval = await ApprovalChainService.recordDecision(approvalPlan, { seriesId }, {
+    status,
+    reason: userNotePrefix,
+    approverId: req.user.User_ID
+  });
+
+  // An earlier step of the chain: the series stays PENDING.
+  if (!approval.final) {
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'BOOKING_APPROVAL_STEP_APPROVED',
+      logType: 'BOOKING',
+      details: `Step ${approvalPlan.step.Step_Order} of "${approvalPlan.chain.Name}" approved for series #${seriesId} (${series.Title})`
+        + (approvalPlan.authority.onBehalfOf ? ` on behalf of ${approvalPlan.authority.onBehalfOf.First_Name} ${approvalPlan.authority.onBehalfOf.Last_Name}` : ''),
+      entityType: 'BOOKING_SERIES',
+      entityId: seriesId
+    });
+    return res.json({
+      success: true,
+      data: { series: { ...series, Approvals: approval.steps }, nextStep: approval.nextStep }
+    });
+  }
+
   if (status === 'REJECTED') {
     const updated = await prisma.Booking_Series.update({
       where: { Series_ID: seriesId },
       data: { Status: 'REJECTED', Updated_At: new Date() }
     });
+    try {
+      await AuditLogger.logBooking(
+        req.user.User_ID,
+        'BOOKING_REJECTED',
+        0,
+        `Recurring series for ${series.Room.Name} rejected${userNotePrefix ? `. Reason: ${userNotePrefix}` : ''}`,
+        null,
+        series.User_ID,
+        { entityType: 'BOOKING_SERIES', entityId: seriesId, before: series, after: updated }
+      );
+    } catch (err) {
+      console.error('[BookingSeries] AuditLogger.logBooking failed in decideSeriesStatus(reject all):', err);
+    }
     try {
       await NotificationManager.broadcastBookingEvent('BOOKING_REJECTED', {
         Booked_Room_ID: -seriesId,
@@ -852,14 +1069,15 @@ const decideSeriesStatus = async (req, res) => {
     }
     return res.json({
       success: true,
-      data: { series: updated, approved: 0, rejected: 'all', conflicts: [] }
+      data: { series: { ...updated, Approvals: approval.steps }, approved: 0, rejected: 'all', conflicts: [] }
     });
   }
 
   // APPROVED whole series — re-validate every occurrence, auto-reject the
   // ones that now collide with another approved booking or class schedule.
+  const closedDates = await AcademicCalendarService.getClosedDates();
   const occurrences = expandRrule(series.Recurrence_Rule, series.Anchor_Start, {
-    excludedDates: series.Excluded_Dates,
+    excludedDates: [...series.Excluded_Dates, ...closedDates],
     hardCap: SERIES_HARD_CAP
   });
 
@@ -868,7 +1086,7 @@ const decideSeriesStatus = async (req, res) => {
     const end = new Date(start.getTime() + durationMs);
     let reason = null;
 
-    const conflictingSchedule = findScheduleConflict(series.Room.Schedule, start, end);
+    const conflictingSchedule = findScheduleConflict(series.Room.Schedule, start, end, { closedDates });
     if (conflictingSchedule) {
       reason = `Conflicts with class schedule "${conflictingSchedule.Title}" (${formatScheduleTime(conflictingSchedule.Start_Time)}–${formatScheduleTime(conflictingSchedule.End_Time)})`;
     } else {
@@ -920,11 +1138,43 @@ const decideSeriesStatus = async (req, res) => {
     rejected.push({ when: start.toISOString(), reason });
   }
 
-  const updated = await prisma.Booking_Series.update({
-    where: { Series_ID: seriesId },
-    data: { Status: 'APPROVED', Updated_At: new Date() }
+  const updated = await prisma.$transaction(async (tx) => {
+    const approved = await tx.Booking_Series.update({
+      where: { Series_ID: seriesId },
+      data: { Status: 'APPROVED', Updated_At: new Date() }
+    });
+    await WebhookService.record('booking.approved', {
+      bookingId: null,
+      seriesId,
+      roomId: series.Room_ID,
+      roomName: series.Room.Name,
+      userId: series.User_ID,
+      title: series.Title,
+      recurrenceRule: series.Recurrence_Rule,
+      startTime: series.Anchor_Start,
+      endTime: series.Anchor_End,
+      purpose: series.Purpose ?? null,
+      approvedBy: req.user.User_ID,
+      occurrences: occurrences.length - rejected.length,
+      rejectedOccurrences: rejected.length
+    }, tx);
+    return approved;
   });
 
+  try {
+    await AuditLogger.logBooking(
+      req.user.User_ID,
+      'BOOKING_APPROVED',
+      0,
+      `Recurring series for ${series.Room.Name} approved (${occurrences.length - rejected.length} of ${occurrences.length} occurrences)`,
+      null,
+      series.User_ID,
+      { entityType: 'BOOKING_SERIES', entityId: seriesId, before: series, after: updated }
+    );
+  } catch (err) {
+    console.error('[BookingSeries] AuditLogger.logBooking failed in decideSeriesStatus(approve all):', err);
+  }
+
   try {
     await NotificationManager.broadcastBookingEvent('BOOKING_APPROVED', {
       Booked_Room_ID: -seriesId,
@@ -943,7 +1193,7 @@ const decideSeriesStatus = async (req, res) => {
   res.json({
     success: true,
     data: {
-      series: updated,
+      series: { ...updated, Approvals: approval.steps },
       approved: occurrences.length - rejected.length,
       rejected: rejected.length,
       totalOccurrences: occurrences.length,
@@ -952,6 +1202,32 @@ const decideSeriesStatus = async (req, res) => {
   });
 };
 
+// ---- Approval history of a whole series ----
+
+const getSeriesApprovals = async (req, res) => {
+  const seriesId = parseInt(req.params.id, 10);
+  if (Number.isNaN(seriesId)) {
+    return res.status(400).json({ success: false, error: 'Invalid series id' });
+  }
+
+  const series = await prisma.Booking_Series.findUnique({
+    where: { Series_ID: seriesId },
+    include: { Room: true }
+  });
+  if (!series) return res.status(404).json({ success: false, error: 'Series not found' });
+
+  const isOwner = series.User_ID === req.user.User_ID;
+  if (!isOwner && !await PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.approve')) {
+    return res.status(403).json({ success: false, error: 'Forbidden', details: 'You can only view approvals of your own series.' });
+  }
+
+  const [steps, chain] = await Promise.all([
+    ApprovalChainService.getSteps({ seriesId }),
+    ApprovalChainService.resolveChain(series.Room, ApprovalChainService.durationMinutes(series.Anchor_Start, series.Anchor_End))
+  ]);
+  res.json({ success: true, data: { seriesId, status: series.Status, chain, steps } });
+};
+
 // ---- Exclude a specific occurrence (single-instance delete) ----
 
 const excludeSeriesDate = async (req, res) => {
@@ -979,7 +1255,7 @@ const excludeSeriesDate = async (req, res) => {
   if (Number.isNaN(occ.getTime())) {
     return res.status(400).json({ success: false, error: 'Original_Start is required and must be a valid datetime' });
   }
-  const ymd = `${occ.getFullYear()}-${String(occ.getMonth() + 1).padStart(2, '0')}-${String(occ.getDate()).padStart(2, '0')}`;
+  const ymd = getZonedDateKey(occ);
 
   // Drop any existing override for this slot — exclusion supersedes it.
   await prisma.Booked_Room.deleteMany({
@@ -995,6 +1271,20 @@ const excludeSeriesDate = async (req, res) => {
     }
   });
 
+  try {
+    await AuditLogger.logBooking(
+      req.user.User_ID,
+      'BOOKING_CANCELLED',
+      0,
+      `Occurrence of recurring series for ${series.Room.Name} on ${ymd} cancelled`,
+      null,
+      null,
+      { entityType: 'BOOKING_SERIES', entityId: seriesId, before: series, after: updated }
+    );
+  } catch (err) {
+    console.error('[BookingSeries] AuditLogger.logBooking failed in excludeSeriesDate:', err);
+  }
+
   try {
     await NotificationManager.broadcastBookingEvent('BOOKING_CANCELLED', {
       Booked_Room_ID: -seriesId,
@@ -1012,11 +1302,15 @@ const excludeSeriesDate = async (req, res) => {
 };
 
 module.exports = {
+  SERIES_HARD_CAP,
   buildVirtualOccurrences,
+  initialSeriesStatus,
+  findSlotConflicts,
   createBookingSeries,
   updateBookingSeries,
   deleteBookingSeries,
   upsertSeriesOverride,
   excludeSeriesDate,
-  decideSeriesStatus
+  decideSeriesStatus,
+  getSeriesApprovals
 };
@@ -4,11 +4,19 @@ const NotificationManager = require('../../services/notificationManager');
 const AuditLogger = require('../../utils/auditLogger');
 const { findScheduleConflict, formatScheduleTime } = require('../../utils/scheduleConflict');
 const { buildVirtualOccurrences } = require('./bookingSeries.controller');
+const PermissionService = require('../../services/permissionService');
+const BookingWaitlistService = require('../../services/bookingWaitlistService');
+const BookingCheckInService = require('../../services/bookingCheckInService');
+const BookingPolicyService = require('../../services/bookingPolicyService');
+const AcademicCalendarService = require('../../services/academicCalendarService');
+const RoomAvailabilityService = require('../../services/roomAvailabilityService');
+const ApprovalChainService = require('../../services/approvalChainService');
+const WebhookService = require('../../services/webhookService');
 
 const normalizeRole = (role = '') => String(role).toUpperCase();
 // Scheduling is owned by SECRETARY (conference/consultation) and LAB_HEAD/LAB_TECH
-// (lab/lecture). ADMIN is intentionally excluded — they don't manage day-to-day bookings.
-const BOOKING_MANAGER_ROLES = ['SECRETARY', 'LAB_HEAD', 'LAB_TECH'];
+// (lab/lecture), who hold bookings.approve by default. ADMIN is intentionally
+// excluded — they don't manage day-to-day bookings.
 const BOOKING_NOTIFICATION_ROLES = ['SECRETARY', 'LAB_HEAD', 'LAB_TECH'];
 
 const isSecretaryBooking = (user) => normalizeRole(user?.User_Role) === 'SECRETARY';
@@ -18,7 +26,7 @@ const formatBookingTime = (date) => (
     new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })
 );
 
-const notifyRejectedBooking = async (actorId, rejectedBooking, reason) => {
+const notifyRejectedBooking = async (actorId, previousBooking, rejectedBooking, reason) => {
     const message = `Your booking for ${rejectedBooking.Room.Name} was rejected. Reason: ${reason}`;
 
     await AuditLogger.logBooking(
@@ -27,7 +35,8 @@ const notifyRejectedBooking = async (actorId, rejectedBooking, reason) => {
         rejectedBooking.Booked_Room_ID,
         message,
         null,
-        rejectedBooking.User_ID
+        rejectedBooking.User_ID,
+        { before: previousBooking, after: rejectedBooking }
     );
 
     NotificationManager.send(rejectedBooking.User_ID, {
@@ -45,10 +54,55 @@ const notifyRejectedBooking = async (actorId, rejectedBooking, reason) => {
     });
 };
 
+const joinBookingWaitlist = async (req, res, { userId, room, startTime, endTime, purpose }) => {
+    let result;
+    try {
+        result = await BookingWaitlistService.join({ userId, roomId: room.Room_ID, startTime, endTime, purpose });
+    } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ success: false, error: err.message, details: err.details || undefined });
+        }
+        throw err;
+    }
+
+    const { entry, position } = result;
+    const message = `You are #${position} on the waitlist for ${room.Name} from ${formatBookingTime(startTime)} to ${formatBookingTime(endTime)}. We'll notify you if the slot opens up.`;
+    try {
+        await AuditLogger.logBooking(userId, 'BOOKING_WAITLISTED', null, message, null, userId, {
+            entityType: 'BOOKING_WAITLIST',
+            entityId: entry.Waitlist_ID,
+            after: entry
+        });
+    } catch (auditError) {
+        console.error('[Bookings] AuditLogger.logBooking failed:', auditError);
+    }
+
+    return res.status(202).json({
+        success: true,
+        data: { ...entry, position },
+        message
+    });
+};
+
+// A cancelled, rejected or deleted booking frees its slot: hand it to the
+// next waitlisted request. Never fails the request that freed the slot.
+const promoteWaitlist = async (freedBooking, actorId) => {
+    try {
+        const promoted = await BookingWaitlistService.promoteNext(freedBooking, actorId);
+        if (promoted) {
+            await NotificationManager.broadcastBookingEvent('BOOKING_CREATED', promoted, BOOKING_NOTIFICATION_ROLES);
+        }
+        return promoted;
+    } catch (err) {
+        console.error('[Bookings] Waitlist promotion failed:', err);
+        return null;
+    }
+};
+
 // Create a new room booking
 const createBooking = async (req, res) => {
     try {
-        const { User_ID, Room_ID, Start_Time, End_Time, Purpose } = req.body;
+        const { User_ID, Room_ID, Start_Time, End_Time, Purpose, joinWaitlist } = req.body;
 
         if (!User_ID || !Room_ID || !Start_Time || !End_Time) {
             return res.status(400).json({ success: false, error: 'Missing required fields' });
@@ -101,11 +155,16 @@ const createBooking = async (req, res) => {
 
         const isSecretary = isSecretaryBooking(requestingUser);
         const requiresSecretaryReview = SECRETARY_ALLOWED_ROOM_TYPES.has(room.Room_Type);
+        // A room governed by an approval chain never skips it, whoever books.
+        const approvalChain = await ApprovalChainService.resolveChain(
+            room,
+            ApprovalChainService.durationMinutes(requestedStart, requestedEnd)
+        );
         // Secretary "priority" (auto-approve + pre-empt pending) only applies on
         // rooms the secretary owns (consultation/conference). On other rooms a
         // secretary booking is just a regular request that lab head/lab tech
         // must approve.
-        const secretaryPriority = isSecretary && requiresSecretaryReview;
+        const secretaryPriority = isSecretary && requiresSecretaryReview && !approvalChain;
 
         // Check if room is available for booking
         if (room.Status !== 'AVAILABLE') {
@@ -115,8 +174,19 @@ const createBooking = async (req, res) => {
             });
         }
 
-        // Check for any recurring class schedule conflicts
-        const conflictingSchedule = findScheduleConflict(room.Schedule, requestedStart, requestedEnd);
+        const policyViolations = await BookingPolicyService.evaluate({
+            userId: parseInt(User_ID),
+            role: normalizeRole(requestingUser.User_Role),
+            room,
+            occurrences: [{ start: requestedStart, end: requestedEnd }]
+        });
+        if (policyViolations.length > 0) {
+            return res.status(403).json(BookingPolicyService.violationResponse(policyViolations));
+        }
+
+        // Check for any recurring class schedule conflicts (classes don't meet on holidays/suspensions)
+        const closedDates = await AcademicCalendarService.getClosedDates();
+        const conflictingSchedule = findScheduleConflict(room.Schedule, requestedStart, requestedEnd, { closedDates });
         if (conflictingSchedule) {
             return res.status(409).json({
                 success: false, error: 'Time conflict with existing schedule',
@@ -137,9 +207,20 @@ const createBooking = async (req, res) => {
         });
 
         if (conflictingApprovedBooking) {
+            if (joinWaitlist) {
+                return joinBookingWaitlist(req, res, {
+                    userId: parseInt(User_ID),
+                    room,
+                    startTime: requestedStart,
+                    endTime: requestedEnd,
+                    purpose: Purpose
+                });
+            }
+
             return res.status(409).json({
                 success: false,
                 error: 'Room is already booked for the selected time',
+                canJoinWaitlist: true,
                 conflictingBooking: {
                     id: conflictingApprovedBooking.Booked_Room_ID,
                     status: conflictingApprovedBooking.Status,
@@ -217,8 +298,9 @@ const createBooking = async (req, res) => {
         //   - secretary on conference/consultation rooms (secretaryPriority)
         //   - lab head on lab/lecture/other rooms (those they oversee)
         // Everyone else (including secretary on a lab room, lab head on CONF/CONS,
-        // lab tech on anything, faculty) goes through PENDING approval.
-        const isAutoApproved = secretaryPriority || (isLabHead && !requiresSecretaryReview);
+        // lab tech on anything, faculty) and any booking under an approval chain
+        // goes through PENDING approval.
+        const isAutoApproved = secretaryPriority || (isLabHead && !requiresSecretaryReview && !approvalChain);
         const bookingData = {
             User_ID: parseInt(User_ID),
             Room_ID: parseInt(Room_ID),
@@ -284,6 +366,17 @@ const createBooking = async (req, res) => {
                     data: bookingData,
                     include: bookingInclude
                 });
+                await WebhookService.record('booking.approved', {
+                    bookingId: created.Booked_Room_ID,
+                    seriesId: null,
+                    roomId: created.Room_ID,
+                    roomName: created.Room?.Name ?? null,
+                    userId: created.User_ID,
+                    startTime: created.Start_Time,
+                    endTime: created.End_Time,
+                    purpose: created.Purpose ?? null,
+                    approvedBy: created.Approved_By
+                }, tx);
 
                 return { booking: created, rejectedBookings: rejected };
             });
@@ -291,19 +384,40 @@ const createBooking = async (req, res) => {
             booking = transactionResult.booking;
             rejectedBookings = transactionResult.rejectedBookings;
 
-            for (const rejectedBooking of rejectedBookings) {
-                await notifyRejectedBooking(parseInt(User_ID), rejectedBooking, rejectReason);
+            for (const [index, rejectedBooking] of rejectedBookings.entries()) {
+                await notifyRejectedBooking(parseInt(User_ID), conflictingPendingBookings[index], rejectedBooking, rejectReason);
             }
 
             await NotificationManager.broadcastBookingEvent('BOOKING_REJECTED', rejectedBookings[0], BOOKING_NOTIFICATION_ROLES);
         } else {
-            // Create the booking with PENDING status unless the request is auto-approved.
-            booking = await prisma.Booked_Room.create({
-                data: bookingData,
-                include: bookingInclude
+            // Create the booking with PENDING status unless the request is auto-approved,
+            // in which case its booking.approved outbox event commits with it.
+            booking = await prisma.$transaction(async (tx) => {
+                const created = await tx.Booked_Room.create({
+                    data: bookingData,
+                    include: bookingInclude
+                });
+                if (isAutoApproved) {
+                    await WebhookService.record('booking.approved', {
+                        bookingId: created.Booked_Room_ID,
+                        seriesId: null,
+                        roomId: created.Room_ID,
+                        roomName: created.Room?.Name ?? null,
+                        userId: created.User_ID,
+                        startTime: created.Start_Time,
+                        endTime: created.End_Time,
+                        purpose: created.Purpose ?? null,
+                        approvedBy: created.Approved_By
+                    }, tx);
+                }
+                return created;
             });
         }
 
+        if (approvalChain) {
+            await ApprovalChainService.startChain({ bookingId: booking.Booked_Room_ID }, approvalChain);
+        }
+
         // Log and notify Lab Heads about the new booking request
         console.log('[Bookings] About to call AuditLogger.logBooking...');
         try {
@@ -314,7 +428,9 @@ const createBooking = async (req, res) => {
                 secretaryPriority
                     ? `Secretary booking for ${booking.Room.Name} was auto-approved`
                     : `New booking request for ${booking.Room.Name} by ${booking.User.First_Name} ${booking.User.Last_Name}`,
-                ['SECRETARY', 'LAB_HEAD'] // Notify booking managers
+                ['SECRETARY', 'LAB_HEAD'], // Notify booking managers
+                null,
+                { after: booking }
             );
             console.log('[Bookings] AuditLogger.logBooking completed successfully');
         } catch (auditError) {
@@ -490,13 +606,27 @@ const updateBooking = async (req, res) => {
             return res.status(404).json({ success: false, error: 'Room not found' });
         }
 
+        if (isReschedule) {
+            const policyViolations = await BookingPolicyService.evaluate({
+                userId: existingBooking.User_ID,
+                role: normalizeRole(existingBooking.User?.User_Role),
+                room: targetRoom,
+                occurrences: [{ start: newStart, end: newEnd }],
+                excludeBookingId: existingBooking.Booked_Room_ID
+            });
+            if (policyViolations.length > 0) {
+                return res.status(403).json(BookingPolicyService.violationResponse(policyViolations));
+            }
+        }
+
         // Secretaries can edit their own bookings on any room type (their
         // CONF/CONS bookings stay auto-approved; bookings they file on rooms
         // they don't own remain PENDING and need labhead/labtech review).
         const activeSchedules = await prisma.Schedule.findMany({
             where: { Room_ID: newRoom, IsActive: true }
         });
-        const conflictingSchedule = findScheduleConflict(activeSchedules, newStart, newEnd);
+        const closedDates = await AcademicCalendarService.getClosedDates();
+        const conflictingSchedule = findScheduleConflict(activeSchedules, newStart, newEnd, { closedDates });
         if (conflictingSchedule) {
             return res.status(409).json({
                 success: false,
@@ -591,6 +721,20 @@ const updateBooking = async (req, res) => {
             }
         });
 
+        try {
+            await AuditLogger.logBooking(
+                req.user.User_ID,
+                'BOOKING_UPDATED',
+                booking.Booked_Room_ID,
+                `Booking for ${booking.Room.Name} was updated`,
+                null,
+                null,
+                { before: existingBooking, after: booking }
+            );
+        } catch (auditError) {
+            console.error('[Bookings] AuditLogger.logBooking failed in updateBooking:', auditError);
+        }
+
         res.json({ success: true, data: booking });
     } catch (error) {
         console.error('Error updating booking:', error);
@@ -602,24 +746,14 @@ const updateBooking = async (req, res) => {
 const updateBookingStatus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, approverId, notes } = req.body;
+        const { status, notes } = req.body;
 
         if (!status || !['APPROVED', 'REJECTED', 'CANCELLED'].includes(status)) {
             return res.status(400).json({ success: false, error: 'Invalid status' });
         }
 
-        // Get the approver's user information
-        const approver = await prisma.user.findUnique({
-            where: { User_ID: parseInt(approverId) },
-            select: { User_Role: true }
-        });
-
-        if (!approver) {
-            return res.status(404).json({ success: false, error: 'Approver not found' });
-        }
-
-        // Check if user has permission to change booking status
-        const isStaff = BOOKING_MANAGER_ROLES.includes(approver.User_Role);
+        // The approver is always the authenticated caller, never a client-supplied ID.
+        const approver = req.user;
 
         // Get the booking to check ownership and current status
         const existingBooking = await prisma.Booked_Room.findUnique({
@@ -631,50 +765,63 @@ const updateBookingStatus = async (req, res) => {
             return res.status(404).json({ success: false, error: 'Booking not found' });
         }
 
-        // Permission logic:
-        // - STAFF (SECRETARY, LAB_TECH, LAB_HEAD, ADMIN) can approve/reject/cancel any booking
-        // - FACULTY can only CANCEL their OWN bookings
-        const isOwner = existingBooking.User_ID === parseInt(approverId);
-        const isOwnerCancelling = status === 'CANCELLED' && isOwner;
-        const isFacultyCancellingOwn = approver.User_Role === 'FACULTY' && isOwnerCancelling;
         const approverRole = normalizeRole(approver.User_Role);
-
-        if (!isStaff && !isFacultyCancellingOwn) {
-            return res.status(403).json({
-                success: false, error: 'Forbidden',
-                details: 'Only SECRETARY, LAB_TECH, LAB_HEAD, or ADMIN can approve/reject bookings. Faculty can only cancel their own bookings.'
-            });
-        }
-
-        // Conference and consultation room approvals/rejections must be handled by the secretary.
-        const requiresSecretaryReview = SECRETARY_ALLOWED_ROOM_TYPES.has(existingBooking.Room?.Room_Type);
-        if (
-            requiresSecretaryReview
-            && (status === 'APPROVED' || status === 'REJECTED')
-            && approverRole !== 'SECRETARY'
-        ) {
-            return res.status(403).json({
-                success: false,
-                error: 'Forbidden',
-                details: 'Only the secretary can approve or reject conference and consultation room bookings.'
-            });
-        }
-
-        // Only allow status changes for PENDING bookings, unless cancelling (staff or owner).
         const isCancellation = status === 'CANCELLED';
-        const canActOnNonPending = isCancellation;
-        if (existingBooking.Status !== 'PENDING' && !canActOnNonPending) {
-            return res.status(400).json({
-                error: 'Bad Request',
-                details: 'Only PENDING bookings can be approved or rejected',
-                currentStatus: existingBooking.Status
-            });
+        let approvalPlan = null;
+
+        if (isCancellation) {
+            // STAFF (SECRETARY, LAB_TECH, LAB_HEAD) can cancel any booking;
+            // FACULTY can only cancel their OWN bookings.
+            const isStaff = await PermissionService.hasPermission(approverRole, 'bookings.approve');
+            const isFacultyCancellingOwn = approverRole === 'FACULTY' && existingBooking.User_ID === approver.User_ID;
+
+            if (!isStaff && !isFacultyCancellingOwn) {
+                return res.status(403).json({
+                    success: false, error: 'Forbidden',
+                    details: 'You do not have permission to approve or reject bookings. Faculty can only cancel their own bookings.'
+                });
+            }
+        } else {
+            // Only PENDING bookings can be approved or rejected.
+            if (existingBooking.Status !== 'PENDING') {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    details: 'Only PENDING bookings can be approved or rejected',
+                    currentStatus: existingBooking.Status
+                });
+            }
+
+            // The room's approval chain decides who approves, step by step.
+            // Without one, staff decide alone and conference and consultation
+            // rooms are the secretary's. Delegates act with the delegator's role.
+            try {
+                approvalPlan = await ApprovalChainService.authorizeDecision({
+                    target: { bookingId: existingBooking.Booked_Room_ID },
+                    room: existingBooking.Room,
+                    durationMinutes: ApprovalChainService.durationMinutes(existingBooking.Start_Time, existingBooking.End_Time),
+                    approver,
+                    canDecideAlone: async ({ role }) => {
+                        if (!await PermissionService.hasPermission(role, 'bookings.approve')) {
+                            return 'You do not have permission to approve or reject bookings. Faculty can only cancel their own bookings.';
+                        }
+                        if (SECRETARY_ALLOWED_ROOM_TYPES.has(existingBooking.Room?.Room_Type) && role !== 'SECRETARY') {
+                            return 'Only the secretary can approve or reject conference and consultation room bookings.';
+                        }
+                        return null;
+                    }
+                });
+            } catch (err) {
+                if (err.statusCode) {
+                    return res.status(err.statusCode).json({ success: false, error: err.message, details: err.details || undefined });
+                }
+                throw err;
+            }
         }
 
         const updateData = {
             Status: status,
             Updated_At: new Date(),
-            ...(status === 'APPROVED' && { Approved_By: parseInt(approverId) }),
+            ...(status === 'APPROVED' && { Approved_By: approver.User_ID }),
             ...(notes && { Notes: notes })
         };
 
@@ -682,7 +829,8 @@ const updateBookingStatus = async (req, res) => {
             const activeSchedules = await prisma.Schedule.findMany({
                 where: { Room_ID: existingBooking.Room_ID, IsActive: true }
             });
-            const conflictingSchedule = findScheduleConflict(activeSchedules, existingBooking.Start_Time, existingBooking.End_Time);
+            const closedDates = await AcademicCalendarService.getClosedDates();
+            const conflictingSchedule = findScheduleConflict(activeSchedules, existingBooking.Start_Time, existingBooking.End_Time, { closedDates });
             if (conflictingSchedule) {
                 return res.status(409).json({
                     success: false,
@@ -692,26 +840,85 @@ const updateBookingStatus = async (req, res) => {
             }
         }
 
-        const booking = await prisma.Booked_Room.update({
-            where: { Booked_Room_ID: parseInt(id) },
-            data: updateData,
-            include: {
-                Room: true,
-                User: {
-                    select: {
-                        First_Name: true,
-                        Last_Name: true,
-                        Email: true
-                    }
-                },
-                Approver: {
-                    select: {
-                        First_Name: true,
-                        Last_Name: true,
-                        User_Role: true
+        let approval = null;
+        if (approvalPlan) {
+            approval = await ApprovalChainService.recordDecision(approvalPlan, { bookingId: existingBooking.Booked_Room_ID }, {
+                status,
+                reason: notes,
+                approverId: approver.User_ID
+            });
+
+            // An earlier step of the chain: the booking stays PENDING.
+            if (!approval.final) {
+                const onBehalfOf = approvalPlan.authority.onBehalfOf;
+                const message = `Step ${approvalPlan.step.Step_Order} of "${approvalPlan.chain.Name}" for ${existingBooking.Room.Name} was approved`
+                    + `${onBehalfOf ? ` on behalf of ${onBehalfOf.First_Name} ${onBehalfOf.Last_Name}` : ''}; waiting for ${approval.nextStep.Required_Role || `user #${approval.nextStep.Required_User_ID}`}.`;
+                try {
+                    await AuditLogger.logBooking(
+                        approver.User_ID,
+                        'BOOKING_APPROVAL_STEP_APPROVED',
+                        existingBooking.Booked_Room_ID,
+                        message,
+                        null,
+                        existingBooking.User_ID
+                    );
+                } catch (auditError) {
+                    console.error('[Bookings] AuditLogger.logBooking failed in updateBookingStatus:', auditError);
+                }
+
+                return res.json({
+                    success: true,
+                    data: {
+                        Booked_Room_ID: existingBooking.Booked_Room_ID,
+                        Room_ID: existingBooking.Room_ID,
+                        Status: existingBooking.Status,
+                        Start_Time: existingBooking.Start_Time,
+                        End_Time: existingBooking.End_Time,
+                        Approvals: approval.steps
+                    },
+                    message
+                });
+            }
+        }
+
+        // The booking.approved outbox event commits together with the approval.
+        const booking = await prisma.$transaction(async (tx) => {
+            const updated = await tx.Booked_Room.update({
+                where: { Booked_Room_ID: parseInt(id) },
+                data: updateData,
+                include: {
+                    Room: true,
+                    User: {
+                        select: {
+                            First_Name: true,
+                            Last_Name: true,
+                            Email: true
+                        }
+                    },
+                    Approver: {
+                        select: {
+                            First_Name: true,
+                            Last_Name: true,
+                            User_Role: true
+                        }
                     }
                 }
+            });
+
+            if (status === 'APPROVED') {
+                await WebhookService.record('booking.approved', {
+                    bookingId: updated.Booked_Room_ID,
+                    seriesId: updated.Series_ID ?? null,
+                    roomId: updated.Room_ID,
+                    roomName: updated.Room?.Name ?? null,
+                    userId: existingBooking.User_ID,
+                    startTime: updated.Start_Time,
+                    endTime: updated.End_Time,
+                    purpose: updated.Purpose ?? null,
+                    approvedBy: approver.User_ID
+                }, tx);
             }
+            return updated;
         });
 
         // Notify the requester about approval/rejection/cancellation
@@ -732,12 +939,13 @@ const updateBookingStatus = async (req, res) => {
         if (notificationType) {
             try {
                 await AuditLogger.logBooking(
-                    parseInt(approverId),
+                    approver.User_ID,
                     notificationType,
                     booking.Booked_Room_ID,
                     message,
                     null,
-                    existingBooking.User_ID
+                    existingBooking.User_ID,
+                    { before: existingBooking, after: booking }
                 );
             } catch (auditError) {
                 console.error('[Bookings] AuditLogger.logBooking failed in updateBookingStatus:', auditError);
@@ -767,13 +975,41 @@ const updateBookingStatus = async (req, res) => {
             }
         }
 
-        res.json({ success: true, data: booking });
+        if (status === 'CANCELLED' || status === 'REJECTED') {
+            await promoteWaitlist(existingBooking, approver.User_ID);
+        }
+
+        res.json({ success: true, data: approval ? { ...booking, Approvals: approval.steps } : booking });
     } catch (error) {
         console.error('Error updating room booking status:', error);
         res.status(500).json({ success: false, error: 'Failed to update room booking status' });
     }
 };
 
+// Approval steps recorded for a booking, with who decided and why.
+// Visible to the booker and to approvers.
+const getBookingApprovals = async (req, res) => {
+    const bookingId = parseInt(req.params.id, 10);
+    const booking = await prisma.Booked_Room.findUnique({
+        where: { Booked_Room_ID: bookingId },
+        include: { Room: true }
+    });
+    if (!booking) {
+        return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+
+    const isOwner = booking.User_ID === req.user.User_ID;
+    if (!isOwner && !await PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.approve')) {
+        return res.status(403).json({ success: false, error: 'Forbidden', details: 'You can only view approvals of your own bookings.' });
+    }
+
+    const [steps, chain] = await Promise.all([
+        ApprovalChainService.getSteps({ bookingId }),
+        ApprovalChainService.resolveChain(booking.Room, ApprovalChainService.durationMinutes(booking.Start_Time, booking.End_Time))
+    ]);
+    res.json({ success: true, data: { bookingId, status: booking.Status, chain, steps } });
+};
+
 // Get available rooms for a time period
 const getAvailableRooms = async (req, res) => {
     try {
@@ -814,8 +1050,9 @@ const getAvailableRooms = async (req, res) => {
             acc.get(schedule.Room_ID).push(schedule);
             return acc;
         }, new Map());
+        const closedDates = await AcademicCalendarService.getClosedDates();
         const availableRooms = roomsWithoutBookingConflicts.filter(room =>
-            !findScheduleConflict(schedulesByRoom.get(room.Room_ID) || [], startTime, endTime)
+            !findScheduleConflict(schedulesByRoom.get(room.Room_ID) || [], startTime, endTime, { closedDates })
         );
 
         res.json({ success: true, data: availableRooms });
@@ -825,6 +1062,13 @@ const getAvailableRooms = async (req, res) => {
     }
 };
 
+// Search free slots of a given length across all bookable rooms.
+// Invalid criteria surface as AppError 400 through asyncHandler.
+const searchAvailability = async (req, res) => {
+    const result = await RoomAvailabilityService.search(req.query);
+    res.json({ success: true, data: result });
+};
+
 // Delete a booking
 const deleteBooking = async (req, res) => {
     try {
@@ -842,7 +1086,7 @@ const deleteBooking = async (req, res) => {
 
         // Only allow staff or the owner of the booking to delete it
         const isOwner = existingBooking.User_ID === req.user.User_ID;
-        const isStaff = BOOKING_MANAGER_ROLES.includes(req.user.User_Role);
+        const isStaff = await PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.delete_any');
 
         if (!isOwner && !isStaff) {
             return res.status(403).json({
@@ -862,7 +1106,8 @@ const deleteBooking = async (req, res) => {
                 existingBooking.Booked_Room_ID,
                 `Booking for ${existingBooking.Room.Name} was deleted.`,
                 null,
-                existingBooking.User_ID
+                existingBooking.User_ID,
+                { before: existingBooking }
             );
         } catch (auditError) {
             console.error('[Bookings] AuditLogger.logBooking failed in deleteBooking:', auditError);
@@ -874,6 +1119,8 @@ const deleteBooking = async (req, res) => {
             console.error('[Bookings] NotificationManager broadcast failed in deleteBooking:', notifyError);
         }
 
+        await promoteWaitlist(existingBooking, req.user.User_ID);
+
         res.json({ success: true, data: { message: 'Booking deleted successfully' } });
     } catch (error) {
         console.error('Error deleting booking:', error);
@@ -881,6 +1128,197 @@ const deleteBooking = async (req, res) => {
     }
 };
 
+// List waitlist entries. Booking managers see every room's queue (optionally
+// ?roomId=), everyone else only their own entries.
+const getWaitlist = async (req, res) => {
+    try {
+        const status = req.query.status ? String(req.query.status).toUpperCase() : 'WAITING';
+        if (!BookingWaitlistService.STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${BookingWaitlistService.STATUSES.join(', ')}`
+            });
+        }
+
+        const canSeeAll = await PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.approve');
+        const entries = await BookingWaitlistService.list({
+            userId: canSeeAll ? null : req.user.User_ID,
+            roomId: req.query.roomId ? parseInt(req.query.roomId) : null,
+            status
+        });
+
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        console.error('Error fetching booking waitlist:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch booking waitlist' });
+    }
+};
+
+// Leave the waitlist (owner or booking managers)
+const cancelWaitlistEntry = async (req, res) => {
+    try {
+        const waitlistId = parseInt(req.params.id);
+        const entry = await prisma.booking_Waitlist.findUnique({ where: { Waitlist_ID: waitlistId } });
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+        }
+
+        const isOwner = entry.User_ID === req.user.User_ID;
+        const isStaff = await PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.approve');
+        if (!isOwner && !isStaff) {
+            return res.status(403).json({
+                success: false, error: 'Forbidden',
+                details: 'You can only leave your own waitlist entries.'
+            });
+        }
+
+        const cancelled = await BookingWaitlistService.cancel(waitlistId);
+
+        try {
+            await AuditLogger.logBooking(
+                req.user.User_ID,
+                'BOOKING_WAITLIST_LEFT',
+                null,
+                `Waitlist entry #${waitlistId} was cancelled`,
+                null,
+                null,
+                { entityType: 'BOOKING_WAITLIST', entityId: waitlistId, before: entry, after: cancelled }
+            );
+        } catch (auditError) {
+            console.error('[Bookings] AuditLogger.logBooking failed in cancelWaitlistEntry:', auditError);
+        }
+
+        res.json({ success: true, data: cancelled });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error('Error cancelling waitlist entry:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel waitlist entry' });
+    }
+};
+
+const sendCheckIn = async (req, res, booking) => {
+    let checkedIn;
+    try {
+        checkedIn = await BookingCheckInService.checkIn(booking, req.user.User_ID);
+    } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ success: false, error: err.message, details: err.details || undefined });
+        }
+        throw err;
+    }
+
+    try {
+        await AuditLogger.logBooking(
+            req.user.User_ID,
+            'BOOKING_CHECKED_IN',
+            checkedIn.Booked_Room_ID,
+            checkedIn.User_ID === req.user.User_ID
+                ? `${req.user.First_Name} ${req.user.Last_Name} checked in to ${checkedIn.Room.Name}`
+                : `${req.user.First_Name} ${req.user.Last_Name} checked in ${checkedIn.User.First_Name} ${checkedIn.User.Last_Name} to ${checkedIn.Room.Name}`,
+            null,
+            null,
+            { before: booking, after: checkedIn }
+        );
+    } catch (auditError) {
+        console.error('[Bookings] AuditLogger.logBooking failed in check-in:', auditError);
+    }
+
+    return res.json({ success: true, data: checkedIn });
+};
+
+// Check in to a booking (the booker, or lab staff on their behalf)
+const checkInBooking = async (req, res) => {
+    try {
+        const booking = await prisma.Booked_Room.findUnique({
+            where: { Booked_Room_ID: parseInt(req.params.id) }
+        });
+        if (!booking) {
+            return res.status(404).json({ success: false, error: 'Booking not found' });
+        }
+
+        const isOwner = booking.User_ID === req.user.User_ID;
+        const isStaff = await PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.check_in');
+        if (!isOwner && !isStaff) {
+            return res.status(403).json({
+                success: false, error: 'Forbidden',
+                details: 'You can only check in to your own bookings.'
+            });
+        }
+
+        return await sendCheckIn(req, res, booking);
+    } catch (error) {
+        console.error('Error checking in booking:', error);
+        res.status(500).json({ success: false, error: 'Failed to check in booking' });
+    }
+};
+
+// Check in by scanning the room's QR code. The booker checks in their own
+// booking; lab staff check in whichever booking is due in that room.
+const checkInByRoomCode = async (req, res) => {
+    try {
+        const roomId = BookingCheckInService.resolveRoomCode(req.body.code);
+        if (!roomId) {
+            return res.status(400).json({ success: false, error: 'Invalid room check-in code' });
+        }
+
+        const isStaff = await PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.check_in');
+        const candidates = await BookingCheckInService.findCheckInCandidates(roomId, isStaff ? null : req.user.User_ID);
+        if (candidates.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No approved booking is due for check-in in this room right now'
+            });
+        }
+        if (candidates.length > 1 && !req.body.bookingId) {
+            return res.status(409).json({
+                success: false,
+                error: 'Several bookings are due in this room; pass bookingId to pick one',
+                candidates: candidates.map(booking => ({
+                    id: booking.Booked_Room_ID,
+                    userId: booking.User_ID,
+                    startTime: booking.Start_Time,
+                    endTime: booking.End_Time
+                }))
+            });
+        }
+
+        const booking = req.body.bookingId
+            ? candidates.find(candidate => candidate.Booked_Room_ID === parseInt(req.body.bookingId))
+            : candidates[0];
+        if (!booking) {
+            return res.status(404).json({ success: false, error: 'That booking is not due for check-in in this room' });
+        }
+
+        return await sendCheckIn(req, res, booking);
+    } catch (error) {
+        console.error('Error checking in by room code:', error);
+        res.status(500).json({ success: false, error: 'Failed to check in booking' });
+    }
+};
+
+// Per-user attendance. Holders of bookings.no_shows see everyone (or
+// ?userId=), other users only themselves.
+const getNoShowStats = async (req, res) => {
+    try {
+        const canSeeAll = await PermissionService.hasPermission(normalizeRole(req.user.User_Role), 'bookings.no_shows');
+        const userId = canSeeAll
+            ? (req.query.userId ? parseInt(req.query.userId) : null)
+            : req.user.User_ID;
+
+        const stats = await BookingCheckInService.getNoShowStats(userId);
+        res.json({
+            success: true,
+            data: stats,
+            meta: { graceMinutes: BookingCheckInService.GRACE_MINUTES }
+        });
+    } catch (error) {
+        console.error('Error fetching no-show statistics:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch no-show statistics' });
+    }
+};
+
 // Create multiple bookings for a full week in a single atomic transaction
 // All-or-nothing: if ANY slot conflicts, no bookings are created.
 const createBookingsWeekly = async (req, res) => {
@@ -930,10 +1368,21 @@ const createBookingsWeekly = async (req, res) => {
             }
         }
 
+        const policyViolations = await BookingPolicyService.evaluate({
+            userId: req.user.User_ID,
+            role: normalizeRole(req.user.User_Role),
+            room,
+            occurrences: normalizedSlots
+        });
+        if (policyViolations.length > 0) {
+            return res.status(403).json(BookingPolicyService.violationResponse(policyViolations));
+        }
+
+        const closedDates = await AcademicCalendarService.getClosedDates();
         const conflictingSlots = [];
 
         for (const slot of normalizedSlots) {
-            const conflictingSchedule = findScheduleConflict(room.Schedule, slot.start, slot.end);
+            const conflictingSchedule = findScheduleConflict(room.Schedule, slot.start, slot.end, { closedDates });
             if (conflictingSchedule) {
                 conflictingSlots.push({
                     index: slot.idx,
@@ -1006,7 +1455,8 @@ const createBookingsWeekly = async (req, res) => {
                     booking.Booked_Room_ID,
                     `Weekly student usage booking for ${booking.Room.Name} auto-approved`,
                     null,
-                    req.user.User_ID
+                    req.user.User_ID,
+                    { after: booking }
                 );
             } catch (auditError) {
                 console.error('[Bookings/Weekly] AuditLogger failed:', auditError);
@@ -1098,7 +1548,8 @@ const updateOccupancyStatus = async (req, res) => {
             bookingId,
             `Queue status → ${status}`,
             null,
-            null
+            null,
+            { before: existing, after: updated }
         );
     } catch (auditError) {
         console.error('[Bookings/OccupancyStatus] AuditLogger failed:', auditError);
@@ -1175,7 +1626,14 @@ module.exports = {
     updateBooking,
     updateBookingStatus,
     getAvailableRooms,
+    searchAvailability,
+    getBookingApprovals,
     deleteBooking,
+    getWaitlist,
+    cancelWaitlistEntry,
+    checkInBooking,
+    checkInByRoomCode,
+    getNoShowStats,
     updateOccupancyStatus,
     getActiveQueues
 };
@@ -1,9 +1,10 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
 const { authorize } = require('../../middleware/authorize');
 const asyncHandler = require('../../utils/asyncHandler');
-const { validate, bookingSchemas } = require('../../middleware/validate');
+const { validate, validateId, bookingSchemas } = require('../../middleware/validate');
 const {
     createBooking,
     createBookingsWeekly,
@@ -11,7 +12,14 @@ const {
     updateBooking,
     updateBookingStatus,
     getAvailableRooms,
+    searchAvailability,
+    getBookingApprovals,
     deleteBooking,
+    getWaitlist,
+    cancelWaitlistEntry,
+    checkInBooking,
+    checkInByRoomCode,
+    getNoShowStats,
     updateOccupancyStatus,
     getActiveQueues
 } = require('./bookings.controller');
@@ -21,8 +29,37 @@ const {
     deleteBookingSeries,
     upsertSeriesOverride,
     excludeSeriesDate,
-    decideSeriesStatus
+    decideSeriesStatus,
+    getSeriesApprovals
 } = require('./bookingSeries.controller');
+const {
+    importIcsBookings,
+    previewIcsImport
+} = require('./icsImport.controller');
+
+const icsUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024
+    },
+    fileFilter: (req, file, cb) => {
+        if (!file.originalname.toLowerCase().endsWith('.ics')) {
+            return cb(new Error('Only .ics files are supported'));
+        }
+
+        return cb(null, true);
+    }
+});
+
+const uploadCalendar = (req, res, next) => {
+    icsUpload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ success: false, error: error.message || 'Invalid calendar upload' });
+        }
+
+        return next();
+    });
+};
 
 // Create a new room booking
 router.post('/', authenticateToken, validate(bookingSchemas.create), asyncHandler(createBooking));
@@ -36,6 +73,12 @@ router.post(
     asyncHandler(createBookingSeries)
 );
 
+// Import an .ics calendar file: recurring VEVENTs become series, one-off
+// VEVENTs become bookings, all owned by the uploader. /preview is a dry run
+// returning the same per-event report without writing anything.
+router.post('/series/import/preview', authenticateToken, uploadCalendar, asyncHandler(previewIcsImport));
+router.post('/series/import', authenticateToken, uploadCalendar, asyncHandler(importIcsBookings));
+
 // Update an entire series ("edit all events"). Re-validates every occurrence
 // against existing schedules + bookings when anchor/room change.
 router.patch(
@@ -77,11 +120,16 @@ router.post(
     asyncHandler(decideSeriesStatus)
 );
 
+// Approval steps of a series or booking: who decided each step, on whose
+// behalf and why. Rooms with an approval chain need every step approved.
+router.get('/series/:id/approvals', authenticateToken, validateId, asyncHandler(getSeriesApprovals));
+router.get('/:id/approvals', authenticateToken, validateId, asyncHandler(getBookingApprovals));
+
 // Create a full week of bookings for a single room (lab-tech weekly student-usage schedule)
 router.post(
     '/weekly',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('bookings.weekly'),
     validate(bookingSchemas.createWeekly),
     asyncHandler(createBookingsWeekly)
 );
@@ -89,6 +137,17 @@ router.post(
 // Get active Student-Usage queues (live right now). Any authenticated user.
 router.get('/active-queues', authenticateToken, asyncHandler(getActiveQueues));
 
+// Waitlist for slots already held by an approved booking. Entries are created
+// by POST / with joinWaitlist=true and promoted automatically when the slot frees up.
+router.get('/waitlist', authenticateToken, asyncHandler(getWaitlist));
+router.delete('/waitlist/:id', authenticateToken, validateId, asyncHandler(cancelWaitlistEntry));
+
+// Attendance: check in by scanning the room QR code, per-user no-show stats.
+// APPROVED bookings not checked in within the grace period are released by
+// the no-show job.
+router.post('/check-in', authenticateToken, validate(bookingSchemas.roomCheckIn), asyncHandler(checkInByRoomCode));
+router.get('/no-show-stats', authenticateToken, asyncHandler(getNoShowStats));
+
 // Get all room bookings
 router.get('/', authenticateToken, asyncHandler(getBookings));
 
@@ -98,11 +157,14 @@ router.patch('/:id', authenticateToken, asyncHandler(updateBooking));
 // Update room booking status
 router.patch('/:id/status', authenticateToken, validate(bookingSchemas.updateStatus), asyncHandler(updateBookingStatus));
 
+// Check in to a booking (booker or lab staff)
+router.post('/:id/check-in', authenticateToken, validateId, asyncHandler(checkInBooking));
+
 // Update queue occupancy status (OPEN / NEAR_FULL / FULL) — lab staff only.
 router.patch(
     '/:id/occupancy-status',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('bookings.occupancy'),
     validate(bookingSchemas.updateOccupancyStatus),
     asyncHandler(updateOccupancyStatus)
 );
@@ -110,6 +172,9 @@ router.patch(
 // Get available rooms for a time period
 router.get('/available', authenticateToken, asyncHandler(getAvailableRooms));
 
+// Search ranked free slots by duration, time bounds, capacity, room type and equipment
+router.get('/available/search', authenticateToken, asyncHandler(searchAvailability));
+
 // Delete a booking
 router.delete('/:id', authenticateToken, asyncHandler(deleteBooking));
 
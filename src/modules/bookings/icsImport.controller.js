@@ -0,0 +1,40 @@
+const { analyzeIcsImport, importIcsEvents } = require('./icsImport.service');
+
+const getUploadedCalendar = (req) => {
+  if (!req.file?.buffer) {
+    return null;
+  }
+
+  return req.file.buffer;
+};
+
+/**
+ * Dry run: what each VEVENT would become and why the rest would be skipped
+ */
+const previewIcsImport = async (req, res) => {
+  const calendar = getUploadedCalendar(req);
+  if (!calendar) {
+    return res.status(400).json({ success: false, error: '.ics file is required' });
+  }
+
+  const preview = await analyzeIcsImport(calendar, req.body, req.user);
+  return res.json({ success: true, data: preview });
+};
+
+/**
+ * Create the series and bookings for every valid VEVENT, owned by the uploader
+ */
+const importIcsBookings = async (req, res) => {
+  const calendar = getUploadedCalendar(req);
+  if (!calendar) {
+    return res.status(400).json({ success: false, error: '.ics file is required' });
+  }
+
+  const result = await importIcsEvents(calendar, req.body, req.user);
+  return res.status(201).json({ success: true, data: result });
+};
+
+module.exports = {
+  importIcsBookings,
+  previewIcsImport
+};
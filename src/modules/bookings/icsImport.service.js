@@ -0,0 +1,487 @@
+const prisma = require('../../lib/prisma');
+const AuditLogger = require('../../utils/auditLogger');
+const { AppError } = require('../../middleware/errorHandler');
+const { parseIcs } = require('../../utils/icsParser');
+const { formatUtc } = require('../../utils/icsBuilder');
+const { expandRrule, parseRrule } = require('../../utils/rruleExpander');
+const { rangesOverlap } = require('../../utils/scheduleConflict');
+const { getZonedDateKey } = require('../../utils/timezone');
+const BookingPolicyService = require('../../services/bookingPolicyService');
+const AcademicCalendarService = require('../../services/academicCalendarService');
+const ApprovalChainService = require('../../services/approvalChainService');
+const WebhookService = require('../../services/webhookService');
+const {
+  SERIES_HARD_CAP,
+  initialSeriesStatus,
+  findSlotConflicts
+} = require('./bookingSeries.controller');
+
+const MAX_REPORTED_CONFLICTS = 10;
+
+const normalizeRole = (role = '') => String(role).toUpperCase();
+
+const normalizeRoomKey = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const splitRrule = (rrule) => String(rrule || '')
+  .split(';')
+  .filter(Boolean)
+  .map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  });
+
+/**
+ * @returns {{rule: string}|{error: string}}
+ */
+const normalizeRrule = (rrule) => {
+  const rule = splitRrule(rrule).map(([key, value]) => `${key}=${value}`).join(';');
+  try {
+    parseRrule(rule);
+  } catch (err) {
+    return { error: err.message };
+  }
+  return { rule };
+};
+
+// A series that is already under way is imported from its next occurrence.
+// COUNT is turned into the equivalent UNTIL so the rule still ends on the
+// same date after the anchor moves.
+const rebaseRrule = (rule, lastOccurrence) => {
+  const parts = splitRrule(rule);
+  if (!parts.some(([key]) => key === 'COUNT')) return rule;
+  return [
+    ...parts.filter(([key]) => key !== 'COUNT' && key !== 'UNTIL'),
+    ['UNTIL', formatUtc(lastOccurrence)]
+  ].map(([key, value]) => `${key}=${value}`).join(';');
+};
+
+const buildRoomMatcher = (rooms) => {
+  const byKey = new Map();
+  for (const room of rooms) {
+    const key = normalizeRoomKey(room.Name);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(room);
+  }
+  return (location) => {
+    const matches = byKey.get(normalizeRoomKey(location)) || [];
+    if (matches.length === 1) return { room: matches[0], status: 'matched' };
+    if (matches.length > 1) return { room: null, status: 'ambiguous', matches: matches.map(room => room.Name) };
+    return { room: null, status: 'unknown', matches: [] };
+  };
+};
+
+const buildSummary = (rows) => ({
+  totalEvents: rows.length,
+  valid: rows.filter(row => row.status === 'valid').length,
+  imported: rows.filter(row => row.status === 'imported').length,
+  skipped: rows.filter(row => row.status === 'skipped').length,
+  invalid: rows.filter(row => row.status === 'invalid').length,
+  unknownRoom: rows.filter(row => row.status === 'unknown_room').length,
+  ambiguousRoom: rows.filter(row => row.status === 'ambiguous_room').length,
+  conflicts: rows.filter(row => row.status === 'conflict').length,
+  policyViolations: rows.filter(row => row.status === 'policy_violation').length,
+  duplicates: rows.filter(row => row.status === 'duplicate').length
+});
+
+/**
+ * Expand a recurring VEVENT into the series it would create, applying its
+ * EXDATEs and RECURRENCE-ID instances from the same file.
+ */
+const planSeries = (event, instances, now, closedDates) => {
+  const normalized = normalizeRrule(event.rrule);
+  if (normalized.error) return { status: 'invalid', reason: normalized.error };
+
+  const cancelled = instances.filter(instance => instance.status === 'CANCELLED');
+  const excludedDates = [...new Set([...event.exdates, ...cancelled.map(instance => instance.recurrenceId)].map(date => getZonedDateKey(date)))];
+  // Holidays/suspensions are skipped but not stored on the series.
+  const occurrences = expandRrule(normalized.rule, event.start, {
+    excludedDates: [...excludedDates, ...closedDates],
+    hardCap: SERIES_HARD_CAP
+  });
+  if (occurrences.length === 0) {
+    return { status: 'invalid', reason: 'Recurrence rule produced no occurrences' };
+  }
+
+  const future = occurrences.filter(start => start > now);
+  if (future.length === 0) {
+    return { status: 'skipped', reason: 'All occurrences are in the past' };
+  }
+
+  const durationMs = event.end.getTime() - event.start.getTime();
+  const occurrenceKeys = new Set(future.map(start => start.getTime()));
+  const overrides = instances
+    .filter(instance => instance.status !== 'CANCELLED' && occurrenceKeys.has(instance.recurrenceId.getTime()))
+    .filter(instance => instance.start && instance.end > instance.start)
+    .map(instance => ({
+      originalStart: instance.recurrenceId,
+      start: instance.start,
+      end: instance.end,
+      purpose: instance.summary || null
+    }));
+  const overridden = new Set(overrides.map(override => override.originalStart.getTime()));
+
+  const anchorStart = future[0];
+  return {
+    status: 'valid',
+    recurrenceRule: anchorStart.getTime() === event.start.getTime()
+      ? normalized.rule
+      : rebaseRrule(normalized.rule, occurrences[occurrences.length - 1]),
+    anchorStart,
+    anchorEnd: new Date(anchorStart.getTime() + durationMs),
+    excludedDates,
+    overrides,
+    occurrenceCount: future.length,
+    slots: [
+      ...future
+        .filter(start => !overridden.has(start.getTime()))
+        .map(start => ({ start, end: new Date(start.getTime() + durationMs) })),
+      ...overrides.map(({ start, end }) => ({ start, end }))
+    ]
+  };
+};
+
+/**
+ * Parse an uploaded .ics file and check every VEVENT the way the booking
+ * endpoints would: recurring events become Booking_Series (with EXDATEs and
+ * RECURRENCE-ID instances as excluded dates and overrides), one-off events
+ * become Booked_Room rows. Nothing is written.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} rawOptions - Multipart fields: roomId (books every event in
+ *   that room instead of matching LOCATION against room names)
+ * @param {Object} user - Uploader; owns the imported bookings
+ */
+const analyzeIcsImport = async (buffer, rawOptions = {}, user, now = new Date()) => {
+  const options = {
+    roomId: parseInt(rawOptions.roomId, 10) || null
+  };
+
+  let events;
+  try {
+    events = parseIcs(buffer);
+  } catch (err) {
+    throw new AppError(err.message, 400);
+  }
+
+  const rooms = await prisma.Room.findMany({
+    include: { Schedule: { where: { IsActive: true } } },
+    orderBy: { Room_ID: 'asc' }
+  });
+  const fixedRoom = options.roomId ? rooms.find(room => room.Room_ID === options.roomId) : null;
+  if (options.roomId && !fixedRoom) {
+    throw new AppError('Room not found', 404);
+  }
+  const matchRoom = buildRoomMatcher(rooms);
+  const role = normalizeRole(user.User_Role);
+  const closedDates = await AcademicCalendarService.getClosedDates();
+
+  const masterUids = new Set(events.filter(event => !event.recurrenceId && event.rrule).map(event => event.uid));
+  const instancesByUid = new Map();
+  for (const event of events) {
+    if (!event.recurrenceId || !masterUids.has(event.uid)) continue;
+    if (!instancesByUid.has(event.uid)) instancesByUid.set(event.uid, []);
+    instancesByUid.get(event.uid).push(event);
+  }
+
+  const rows = [];
+  const seenUids = new Set();
+  const acceptedSlots = [];
+
+  // Instances of a recurring event in the file are folded into its series;
+  // any other RECURRENCE-ID event is imported as a one-off.
+  for (const event of events.filter(candidate => !(candidate.recurrenceId && masterUids.has(candidate.uid)))) {
+    const common = {
+      line: event.line,
+      uid: event.uid || null,
+      title: event.summary || 'Imported booking',
+      location: event.location || null,
+      kind: event.rrule && !event.recurrenceId ? 'series' : 'booking',
+      startTime: event.start ? event.start.toISOString() : null,
+      endTime: event.end ? event.end.toISOString() : null
+    };
+
+    if (event.errors.length) {
+      rows.push({ ...common, status: 'invalid', reason: event.errors.join('; ') });
+      continue;
+    }
+    if (event.status === 'CANCELLED') {
+      rows.push({ ...common, status: 'skipped', reason: 'Event is cancelled' });
+      continue;
+    }
+    if (event.allDay) {
+      rows.push({ ...common, status: 'invalid', reason: 'All-day events cannot be booked; give the event a start and end time' });
+      continue;
+    }
+    if (!(event.end > event.start)) {
+      rows.push({ ...common, status: 'invalid', reason: 'Event must end after it starts' });
+      continue;
+    }
+
+    const uidKey = event.uid && `${event.uid}|${event.recurrenceId ? event.recurrenceId.getTime() : ''}`;
+    if (uidKey && seenUids.has(uidKey)) {
+      rows.push({ ...common, status: 'duplicate', reason: 'Duplicate event in uploaded file' });
+      continue;
+    }
+    if (uidKey) seenUids.add(uidKey);
+
+    const roomMatch = fixedRoom ? { room: fixedRoom } : matchRoom(event.location);
+    if (!roomMatch.room) {
+      rows.push({
+        ...common,
+        status: roomMatch.status === 'ambiguous' ? 'ambiguous_room' : 'unknown_room',
+        reason: roomMatch.status === 'ambiguous'
+          ? `Location matched multiple rooms: ${roomMatch.matches.join(', ')}`
+          : event.location ? `No room matched ${event.location}` : 'Event has no location; choose a room for the import',
+        matches: roomMatch.matches
+      });
+      continue;
+    }
+    const { room } = roomMatch;
+    const withRoom = { ...common, roomId: room.Room_ID, roomName: room.Name };
+
+    if (room.Is_Bookable === false || room.Status !== 'AVAILABLE') {
+      rows.push({
+        ...withRoom,
+        status: 'invalid',
+        reason: room.Is_Bookable === false
+          ? `${room.Name} has been marked as non-bookable`
+          : `Room status is currently ${room.Status}`
+      });
+      continue;
+    }
+
+    let plan;
+    if (common.kind === 'series') {
+      plan = planSeries(event, instancesByUid.get(event.uid) || [], now, closedDates);
+    } else if (event.start <= now) {
+      plan = { status: 'skipped', reason: 'Event is in the past' };
+    } else {
+      plan = { status: 'valid', slots: [{ start: event.start, end: event.end }] };
+    }
+    if (plan.status !== 'valid') {
+      rows.push({ ...withRoom, status: plan.status, reason: plan.reason });
+      continue;
+    }
+
+    const { slots, ...seriesPlan } = plan;
+    const candidate = common.kind === 'series'
+      ? {
+        ...withRoom,
+        ...seriesPlan,
+        startTime: plan.anchorStart.toISOString(),
+        endTime: plan.anchorEnd.toISOString()
+      }
+      : withRoom;
+
+    const existing = common.kind === 'series'
+      ? await prisma.Booking_Series.findFirst({
+        where: { User_ID: user.User_ID, Room_ID: room.Room_ID, Anchor_Start: plan.anchorStart }
+      })
+      : await prisma.Booked_Room.findFirst({
+        where: {
+          User_ID: user.User_ID,
+          Room_ID: room.Room_ID,
+          Start_Time: event.start,
+          End_Time: event.end,
+          Status: { in: ['PENDING', 'APPROVED'] }
+        }
+      });
+    if (existing) {
+      rows.push({ ...candidate, status: 'duplicate', reason: 'Matching booking already exists' });
+      continue;
+    }
+
+    const clash = acceptedSlots.find(accepted => accepted.roomId === room.Room_ID
+      && slots.some(slot => rangesOverlap(slot.start, slot.end, accepted.start, accepted.end)));
+    if (clash) {
+      rows.push({ ...candidate, status: 'conflict', reason: `Overlaps "${clash.title}" earlier in this file` });
+      continue;
+    }
+
+    const violations = await BookingPolicyService.evaluate({ userId: user.User_ID, role, room, occurrences: slots });
+    if (violations.length > 0) {
+      rows.push({
+        ...candidate,
+        status: 'policy_violation',
+        reason: violations[0].message,
+        violations: violations.slice(0, MAX_REPORTED_CONFLICTS),
+        totalViolations: violations.length
+      });
+      continue;
+    }
+
+    const conflicts = await findSlotConflicts(room, slots);
+    if (conflicts.length > 0) {
+      rows.push({
+        ...candidate,
+        status: 'conflict',
+        reason: conflicts.length === 1
+          ? conflicts[0].reason
+          : `${conflicts.length} of ${slots.length} occurrence(s) clash with existing bookings or class schedules`,
+        conflicts: conflicts.slice(0, MAX_REPORTED_CONFLICTS),
+        totalConflicts: conflicts.length
+      });
+      continue;
+    }
+
+    const chain = await ApprovalChainService.resolveChain(room, ApprovalChainService.durationMinutes(event.start, event.end));
+    acceptedSlots.push(...slots.map(slot => ({ ...slot, roomId: room.Room_ID, title: common.title })));
+    rows.push({
+      ...candidate,
+      status: 'valid',
+      reason: 'Ready to import',
+      bookingStatus: initialSeriesStatus(role, room, chain),
+      approvalChainId: chain ? chain.Chain_ID : null,
+      description: event.description || null
+    });
+  }
+
+  return {
+    options,
+    rows,
+    summary: buildSummary(rows)
+  };
+};
+
+/**
+ * Re-run the analysis and create every valid row in one transaction, with a
+ * booking.approved outbox event for each row approved on import.
+ * @returns {Promise<Object>} The preview with created rows marked `imported`
+ *   and carrying their seriesId / bookingId
+ */
+const importIcsEvents = async (buffer, rawOptions, user) => {
+  const preview = await analyzeIcsImport(buffer, rawOptions, user);
+  const validRows = preview.rows.filter(row => row.status === 'valid');
+  const semesters = await Promise.all(validRows.map(row =>
+    (row.kind === 'series' ? AcademicCalendarService.findSemesterFor(row.anchorStart) : null)
+  ));
+
+  const created = await prisma.$transaction(async (tx) => {
+    const results = [];
+    for (const [index, row] of validRows.entries()) {
+      if (row.kind === 'series') {
+        const series = await tx.Booking_Series.create({
+          data: {
+            Room_ID: row.roomId,
+            User_ID: user.User_ID,
+            Title: row.title,
+            Purpose: row.title.slice(0, 500),
+            Notes: row.description ? row.description.slice(0, 500) : null,
+            Recurrence_Rule: row.recurrenceRule,
+            Anchor_Start: row.anchorStart,
+            Anchor_End: row.anchorEnd,
+            Excluded_Dates: row.excludedDates,
+            Status: row.bookingStatus,
+            Semester_ID: semesters[index]?.Semester_ID ?? null
+          }
+        });
+        for (const override of row.overrides) {
+          await tx.Booked_Room.create({
+            data: {
+              User_ID: user.User_ID,
+              Room_ID: row.roomId,
+              Start_Time: override.start,
+              End_Time: override.end,
+              Status: row.bookingStatus,
+              Purpose: override.purpose || row.title,
+              Series_ID: series.Series_ID,
+              Original_Start: override.originalStart,
+              Created_At: new Date()
+            }
+          });
+        }
+        if (row.bookingStatus === 'APPROVED') {
+          await WebhookService.record('booking.approved', {
+            bookingId: null,
+            seriesId: series.Series_ID,
+            roomId: row.roomId,
+            roomName: row.roomName,
+            userId: user.User_ID,
+            title: row.title,
+            recurrenceRule: row.recurrenceRule,
+            startTime: row.anchorStart,
+            endTime: row.anchorEnd,
+            purpose: series.Purpose ?? null,
+            approvedBy: user.User_ID,
+            occurrences: row.occurrenceCount,
+            rejectedOccurrences: 0
+          }, tx);
+        }
+        results.push({ seriesId: series.Series_ID });
+      } else {
+        const booking = await tx.Booked_Room.create({
+          data: {
+            User_ID: user.User_ID,
+            Room_ID: row.roomId,
+            Start_Time: new Date(row.startTime),
+            End_Time: new Date(row.endTime),
+            Status: row.bookingStatus,
+            Approved_By: row.bookingStatus === 'APPROVED' ? user.User_ID : null,
+            Purpose: row.title,
+            Notes: row.description ? row.description.slice(0, 500) : null,
+            Created_At: new Date()
+          }
+        });
+        if (row.bookingStatus === 'APPROVED') {
+          await WebhookService.record('booking.approved', {
+            bookingId: booking.Booked_Room_ID,
+            seriesId: null,
+            roomId: row.roomId,
+            roomName: row.roomName,
+            userId: user.User_ID,
+            startTime: booking.Start_Time,
+            endTime: booking.End_Time,
+            purpose: booking.Purpose ?? null,
+            approvedBy: user.User_ID
+          }, tx);
+        }
+        results.push({ bookingId: booking.Booked_Room_ID });
+      }
+    }
+    return results;
+  });
+
+  // Rows whose room is under an approval chain were created PENDING
+  const chains = await ApprovalChainService.getActiveChains();
+  for (const [index, row] of validRows.entries()) {
+    const chain = row.approvalChainId && chains.find(candidate => candidate.Chain_ID === row.approvalChainId);
+    if (chain) await ApprovalChainService.startChain(created[index], chain);
+  }
+
+  const createdByRow = new Map(validRows.map((row, index) => [row, created[index]]));
+  const rows = preview.rows.map(row => {
+    if (row.status !== 'valid') return row;
+    return {
+      ...row,
+      ...createdByRow.get(row),
+      status: 'imported',
+      reason: 'Imported'
+    };
+  });
+
+  if (validRows.length > 0) {
+    const seriesCount = validRows.filter(row => row.kind === 'series').length;
+    const anyPending = validRows.some(row => row.bookingStatus === 'PENDING');
+    try {
+      await AuditLogger.logBooking(
+        user.User_ID,
+        anyPending ? 'ROOM_BOOKED' : 'BOOKING_APPROVED',
+        null,
+        `${user.First_Name} ${user.Last_Name} imported ${seriesCount} recurring series and ${validRows.length - seriesCount} booking(s) from a calendar file`,
+        anyPending ? ['SECRETARY', 'LAB_HEAD'] : null
+      );
+    } catch (err) {
+      console.error('[IcsImport] AuditLogger.logBooking failed:', err);
+    }
+  }
+
+  return {
+    ...preview,
+    rows,
+    summary: buildSummary(rows)
+  };
+};
+
+module.exports = {
+  analyzeIcsImport,
+  importIcsEvents
+};
@@ -84,7 +84,9 @@ const createBorrowing = async (req, res) => {
             user.User_ID,
             'BORROW_REQUESTED',
             `${user.First_Name} ${user.Last_Name} requested to borrow a ${itemType}`,
-            ['LAB_TECH', 'LAB_HEAD']
+            ['LAB_TECH', 'LAB_HEAD'],
+            null,
+            { entityType: 'BORROW_ITEM', entityId: borrowing.Borrow_Item_ID, after: borrowing }
         );
 
         return res.status(201).json({
@@ -142,7 +144,9 @@ const createBorrowing = async (req, res) => {
                 user.User_ID,
                 'BORROW_REQUESTED',
                 `${user.First_Name} ${user.Last_Name} requested to borrow ${item.Name || item.Item_Type} (${item.Item_Code})`,
-                ['LAB_TECH', 'LAB_HEAD'] // Notify both roles
+                ['LAB_TECH', 'LAB_HEAD'], // Notify both roles
+                null,
+                { entityType: 'BORROW_ITEM', entityId: borrowing.Borrow_Item_ID, after: borrowing }
             );
 
             borrowings.push(borrowing);
@@ -277,7 +281,8 @@ const approveBorrowing = async (req, res) => {
         'BORROW_APPROVED',
         `${approver.First_Name} ${approver.Last_Name} approved borrow request for ${itemName} by ${borrowing.Borrower.First_Name} ${borrowing.Borrower.Last_Name}`,
         null,
-        borrowing.Borrower_ID // Notify the requester
+        borrowing.Borrower_ID, // Notify the requester
+        { entityType: 'BORROW_ITEM', entityId: borrowing.Borrow_Item_ID, before: borrowing, after: updatedBorrowing }
     );
 
     // Real-time notification to requester
@@ -340,7 +345,8 @@ const rejectBorrowing = async (req, res) => {
         'BORROW_REJECTED',
         `${approver.First_Name} ${approver.Last_Name} rejected borrow request for ${itemName}${reason ? `: ${reason}` : ''}`,
         null,
-        borrowing.Borrower_ID
+        borrowing.Borrower_ID,
+        { entityType: 'BORROW_ITEM', entityId: borrowing.Borrow_Item_ID, before: borrowing, after: updatedBorrowing }
     );
 
     // Notify requester
@@ -384,7 +390,7 @@ const returnBorrowing = async (req, res) => {
     }
 
     // Update borrowing record
-    await prisma.borrow_Item.update({
+    const returned = await prisma.borrow_Item.update({
         where: { Borrow_Item_ID: parseInt(id) },
         data: {
             Status: 'RETURNED',
@@ -405,7 +411,9 @@ const returnBorrowing = async (req, res) => {
         user.User_ID,
         'ITEM_RETURNED',
         `${borrowing.Borrower.First_Name} ${borrowing.Borrower.Last_Name} returned ${itemName}${remarks ? ` (${remarks})` : ''}`,
-        'LAB_TECH'
+        'LAB_TECH',
+        null,
+        { entityType: 'BORROW_ITEM', entityId: borrowing.Borrow_Item_ID, before: borrowing, after: returned }
     );
 
     res.json({
@@ -544,6 +552,7 @@ const createWalkinBorrowing = async (req, res) => {
         `${approver.First_Name} ${approver.Last_Name} issued ${itemLabel} to ${borrowerLabel}. Return by ${returnAt.toLocaleString()}.`,
         null,
         borrowerIsRegistered ? borrower.User_ID : null,
+        { entityType: 'BORROW_ITEM', entityId: borrowing.Borrow_Item_ID, after: borrowing },
     );
 
     res.status(201).json({ success: true, data: { message: 'Walk-in borrowing recorded', borrowing } });
@@ -22,21 +22,21 @@ router.post('/', authenticateToken, asyncHandler(createBorrowing));
 // Lab Tech walk-in: create a BORROWED record directly
 router.post('/walkin',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('borrowing.manage'),
     asyncHandler(createWalkinBorrowing)
 );
 
 // Approve a borrow request
 router.patch('/:id/approve',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('borrowing.manage'),
     asyncHandler(approveBorrowing)
 );
 
 // Reject a borrow request
 router.patch('/:id/reject',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('borrowing.manage'),
     asyncHandler(rejectBorrowing)
 );
 
@@ -46,7 +46,7 @@ router.patch('/:id/return', authenticateToken, asyncHandler(returnBorrowing));
 // Get count of pending requests
 router.get('/pending/count',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('borrowing.manage'),
     asyncHandler(getPendingCount)
 );
 
@@ -0,0 +1,85 @@
+const AuditLogger = require('../../utils/auditLogger');
+const CalendarFeedService = require('../../services/calendarFeedService');
+
+/**
+ * Serve a feed as text/calendar. Public: the token in the URL is the credential.
+ */
+const getFeed = async (req, res) => {
+  const token = req.params.token.replace(/\.ics$/i, '');
+  const feed = await CalendarFeedService.resolveToken(token);
+  if (!feed) {
+    return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+  }
+
+  const body = await CalendarFeedService.renderFeed(feed);
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${feed.Feed_Type.toLowerCase()}-${feed.Target_ID}.ics"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(body);
+};
+
+/**
+ * The caller's active subscriptions
+ */
+const listFeeds = async (req, res) => {
+  const feeds = await CalendarFeedService.listFeeds(req.user.User_ID);
+  res.json({ success: true, data: feeds });
+};
+
+/**
+ * Create a subscription. The URL (which carries the token) is only returned here.
+ */
+const createFeed = async (req, res) => {
+  const { type, targetId } = req.body;
+  const { token, record } = await CalendarFeedService.createFeed(req.user, { type, targetId });
+
+  await AuditLogger.log({
+    userId: req.user.User_ID,
+    action: 'CALENDAR_FEED_CREATED',
+    details: `${req.user.First_Name} ${req.user.Last_Name} created a ${type.toLowerCase()} calendar feed (#${record.Feed_ID}) for #${targetId}`,
+    entityType: 'CALENDAR_FEED',
+    entityId: record.Feed_ID,
+    after: record
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...record,
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/feeds/${token}.ics`,
+      message: 'Store this URL now; it will not be shown again.'
+    }
+  });
+};
+
+/**
+ * Revoke one of the caller's subscriptions. Its URL stops working immediately.
+ */
+const revokeFeed = async (req, res) => {
+  const feedId = parseInt(req.params.id, 10);
+  const record = await CalendarFeedService.revokeFeed(feedId, req.user.User_ID);
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+  }
+
+  await AuditLogger.log({
+    userId: req.user.User_ID,
+    action: 'CALENDAR_FEED_REVOKED',
+    details: `${req.user.First_Name} ${req.user.Last_Name} revoked calendar feed #${record.Feed_ID}`,
+    entityType: 'CALENDAR_FEED',
+    entityId: record.Feed_ID,
+    before: { Revoked_At: null },
+    after: record
+  });
+
+  res.json({ success: true, data: record });
+};
+
+module.exports = {
+  getFeed,
+  listFeeds,
+  createFeed,
+  revokeFeed
+};
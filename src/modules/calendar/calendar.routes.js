@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const { validate, validateId, calendarFeedSchemas } = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+  getFeed,
+  listFeeds,
+  createFeed,
+  revokeFeed
+} = require('./calendar.controller');
+
+router.get('/feeds', authenticateToken, asyncHandler(listFeeds));
+router.post('/feeds', authenticateToken, validate(calendarFeedSchemas.create), asyncHandler(createFeed));
+router.delete('/feeds/:id', authenticateToken, validateId, asyncHandler(revokeFeed));
+
+// Public: calendar apps can't send an Authorization header, so the token in
+// the URL is the credential.
+router.get('/feeds/:token', asyncHandler(getFeed));
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const prisma = require('../../lib/prisma');
+const AuditLogger = require('../../utils/auditLogger');
 const {
     getRowValue,
     normalizeCsvHeader,
@@ -529,6 +530,12 @@ const createComputer = async (req, res) => {
             return computer;
         });
 
+        await AuditLogger.logInventory(req.user.User_ID, 'COMPUTER_CREATED', `Created computer ${updatedComputer.Name}`, {
+            entityType: 'COMPUTER',
+            entityId: updatedComputer.Computer_ID,
+            after: updatedComputer
+        });
+
         res.status(201).json({ success: true, data: updatedComputer });
     } catch (error) {
         const statusCode = error.statusCode || 500;
@@ -583,6 +590,7 @@ const updateComputer = async (req, res) => {
 
         updateData.Updated_At = new Date();
 
+        let previousComputer;
         const updatedComputer = await prisma.$transaction(async (tx) => {
             const existingComputer = await tx.computer.findUnique({
                 where: { Computer_ID: computerId },
@@ -594,6 +602,7 @@ const updateComputer = async (req, res) => {
                 error.statusCode = 404;
                 throw error;
             }
+            previousComputer = existingComputer;
 
             if (parsedRoomId !== undefined && parsedRoomId !== null) {
                 const room = await tx.room.findUnique({ where: { Room_ID: parsedRoomId } });
@@ -706,6 +715,13 @@ const updateComputer = async (req, res) => {
             });
         });
 
+        await AuditLogger.logInventory(req.user.User_ID, 'COMPUTER_UPDATED', `Updated computer ${updatedComputer.Name}`, {
+            entityType: 'COMPUTER',
+            entityId: computerId,
+            before: previousComputer,
+            after: updatedComputer
+        });
+
         res.json({ success: true, data: updatedComputer });
     } catch (error) {
         const statusCode = error.statusCode || 500;
@@ -753,6 +769,12 @@ const deleteComputer = async (req, res) => {
             where: { Computer_ID: computerId }
         });
 
+        await AuditLogger.logInventory(req.user.User_ID, 'COMPUTER_DELETED', `Deleted computer ${computer?.Name ?? computerId}`, {
+            entityType: 'COMPUTER',
+            entityId: computerId,
+            before: computer
+        });
+
         res.json({ success: true, data: { message: 'Computer deleted successfully' } });
     } catch (error) {
         console.error('Error deleting computer:', error);
@@ -820,6 +842,15 @@ const importComputersCsv = async (req, res) => {
             delete row.computer;
         });
 
+        if (createdComputers.length > 0) {
+            await AuditLogger.logInventory(
+                req.user.User_ID,
+                'COMPUTER_CREATED',
+                `Imported ${createdComputers.length} computer(s) into ${room.Name} from ${parsed.sourceType === 'xlsx' ? 'Excel' : 'CSV'}`,
+                { notificationData: { computerIds: createdComputers.map(computer => computer.Computer_ID) } }
+            );
+        }
+
         const summary = {
             totalRows: candidateRows.length,
             imported: candidateRows.filter(row => row.status === 'imported').length,
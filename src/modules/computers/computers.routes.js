@@ -3,6 +3,7 @@ const multer = require('multer');
 const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
 const { authorize } = require('../../middleware/authorize');
+const { allowApiToken } = require('../../middleware/apiTokenScope');
 const asyncHandler = require('../../utils/asyncHandler');
 const {
     getComputers,
@@ -34,9 +35,9 @@ const uploadCsv = (req, res, next) => {
 };
 
 router.get('/', authenticateToken, asyncHandler(getComputers));
-router.post('/import-csv', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), uploadCsv, asyncHandler(importComputersCsv));
-router.post('/', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(createComputer));
-router.put('/:id', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(updateComputer));
-router.delete('/:id', authenticateToken, authorize('LAB_HEAD', 'LAB_TECH'), asyncHandler(deleteComputer));
+router.post('/import-csv', allowApiToken('computers:import'), authenticateToken, authorize.can('computers.write'), uploadCsv, asyncHandler(importComputersCsv));
+router.post('/', authenticateToken, authorize.can('computers.write'), asyncHandler(createComputer));
+router.put('/:id', authenticateToken, authorize.can('computers.write'), asyncHandler(updateComputer));
+router.delete('/:id', authenticateToken, authorize.can('computers.delete'), asyncHandler(deleteComputer));
 
 module.exports = router;
@@ -1,5 +1,6 @@
 const prisma = require('../../lib/prisma');
 const AuditLogger = require('../../utils/auditLogger');
+const WebhookService = require('../../services/webhookService');
 
 const VALID_FORM_DEPARTMENTS = [
     'REQUESTOR',
@@ -522,7 +523,9 @@ const createForm = async (req, res) => {
                 userId,
                 'FORM_SUBMITTED',
                 `Submitted form ${formCode} to ${departmentEnum}`,
-                notifyRole
+                notifyRole,
+                null,
+                { entityType: 'FORM', entityId: form.Form_ID, after: form }
             );
         } catch (auditError) {
             console.error('Failed to write form submission audit log:', auditError);
@@ -641,7 +644,8 @@ const updateForm = async (req, res) => {
             action,
             `Form ${form.Form_Code} ${action === 'FORM_UPDATED' ? 'updated' : statusLabel}`,
             notifyAuditRole,
-            notifyUserId
+            notifyUserId,
+            { entityType: 'FORM', entityId: formId, before: existing, after: form }
         );
 
         res.json({ success: true, data: form });
@@ -693,7 +697,9 @@ const archiveForm = async (req, res) => {
             req.user.User_ID,
             'FORM_ARCHIVED',
             `Archived form ${form.Form_Code}`,
-            getNotifyRoles()
+            getNotifyRoles(),
+            null,
+            { entityType: 'FORM', entityId: formId, before: existingForm, after: form }
         );
 
         res.json({ success: true, data: form });
@@ -743,7 +749,9 @@ const unarchiveForm = async (req, res) => {
             req.user.User_ID,
             'FORM_UNARCHIVED',
             `Unarchived form ${form.Form_Code}`,
-            getNotifyRoles()
+            getNotifyRoles(),
+            null,
+            { entityType: 'FORM', entityId: formId, before: existingForm, after: form }
         );
 
         res.json({ success: true, data: form });
@@ -833,31 +841,48 @@ const transferForm = async (req, res) => {
 
         const historyAction = isBackwardTransfer ? 'RETURNED' : 'TRANSFERRED';
 
-        // Update form and add history entry
-        const form = await prisma.form.update({
-            where: { Form_ID: formId },
-            data: {
-                Department: departmentEnum,
-                Status: departmentEnum === 'COMPLETED' ? 'APPROVED' : 'PENDING',
-                Is_Archived: false,
-                History: {
-                    create: {
-                        Department: departmentEnum,
-                        Notes: notes || `${isBackwardTransfer ? 'Returned' : 'Transferred'} to ${departmentEnum}`,
-                        Performed_By: req.user.User_ID,
-                        Action: historyAction,
-                        Reason: String(reason || '').trim() || null
+        // Update form, add history entry and the form.transferred outbox event together
+        const form = await prisma.$transaction(async (tx) => {
+            const updated = await tx.form.update({
+                where: { Form_ID: formId },
+                data: {
+                    Department: departmentEnum,
+                    Status: departmentEnum === 'COMPLETED' ? 'APPROVED' : 'PENDING',
+                    Is_Archived: false,
+                    History: {
+                        create: {
+                            Department: departmentEnum,
+                            Notes: notes || `${isBackwardTransfer ? 'Returned' : 'Transferred'} to ${departmentEnum}`,
+                            Performed_By: req.user.User_ID,
+                            Action: historyAction,
+                            Reason: String(reason || '').trim() || null
+                        }
                     }
-                }
-            },
-            include: formInclude
+                },
+                include: formInclude
+            });
+
+            await WebhookService.record('form.transferred', {
+                formId: updated.Form_ID,
+                formCode: updated.Form_Code,
+                formType: updated.Form_Type,
+                action: historyAction,
+                fromDepartment: normalizeDepartment(existingForm.Department),
+                toDepartment: departmentEnum,
+                status: updated.Status,
+                reason: String(reason || '').trim() || null,
+                performedBy: req.user.User_ID
+            }, tx);
+            return updated;
         });
 
         await AuditLogger.logForm(
             req.user.User_ID,
             'FORM_TRANSFERRED',
             `Transferred form ${form.Form_Code} to ${departmentEnum}`,
-            getNotifyRoles()
+            getNotifyRoles(),
+            null,
+            { entityType: 'FORM', entityId: formId, before: existingForm, after: form }
         );
 
         res.json({ success: true, data: form });
@@ -925,7 +950,8 @@ const setFormReceived = async (req, res) => {
             isReceived ? 'FORM_RECEIVED' : 'FORM_RECEIVED_REVOKED',
             `${isReceived ? 'Marked' : 'Unmarked'} form ${form.Form_Code} as received`,
             getNotifyRoles(),
-            form.Creator_ID
+            form.Creator_ID,
+            { entityType: 'FORM', entityId: formId, before: existingForm, after: form }
         );
 
         res.json({ success: true, data: form });
@@ -1007,7 +1033,8 @@ const addFormAttachments = async (req, res) => {
             'FORM_ATTACHMENT_ADDED',
             `Added ${attachmentCreate.data.length} attachment(s) to form ${form.Form_Code}`,
             getNotifyRoles(),
-            form.Creator_ID
+            form.Creator_ID,
+            { entityType: 'FORM', entityId: formId, before: existingForm, after: form }
         );
 
         res.status(201).json({ success: true, data: form });
@@ -1062,9 +1089,10 @@ const deleteFormAttachment = async (req, res) => {
         await AuditLogger.logForm(
             req.user.User_ID,
             'FORM_ATTACHMENT_REMOVED',
-            `Removed attachment from form ${form.Form_Code}`,
+            `Removed attachment ${attachment.File_Name || `#${attachmentId}`} from form ${form.Form_Code}`,
             getNotifyRoles(),
-            form.Creator_ID
+            form.Creator_ID,
+            { entityType: 'FORM', entityId: formId, before: existingForm, after: form }
         );
 
         res.json({ success: true, data: form });
@@ -1083,10 +1111,19 @@ const deleteForm = async (req, res) => {
     }
 
     try {
-        await prisma.form.delete({
+        const form = await prisma.form.delete({
             where: { Form_ID: formId }
         });
 
+        await AuditLogger.logForm(
+            req.user.User_ID,
+            'FORM_DELETED',
+            `Deleted form ${form.Form_Code}`,
+            null,
+            null,
+            { entityType: 'FORM', entityId: formId, before: form }
+        );
+
         res.json({ success: true, data: { message: 'Form deleted successfully' } });
     } catch (error) {
         console.error('Error deleting form:', error);
@@ -17,7 +17,7 @@ const {
     deleteForm
 } = require('./forms.controller');
 
-const canManageForms = authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH');
+const canManageForms = authorize.can('forms.manage');
 
 router.get('/', authenticateToken, canManageForms, asyncHandler(getForms));
 router.get('/:id', authenticateToken, canManageForms, asyncHandler(getFormById));
@@ -29,6 +29,6 @@ router.patch('/:id/received', authenticateToken, canManageForms, asyncHandler(se
 router.post('/:id/transfer', authenticateToken, canManageForms, asyncHandler(transferForm));
 router.post('/:id/attachments', authenticateToken, canManageForms, asyncHandler(addFormAttachments));
 router.delete('/:id/attachments/:attachmentId', authenticateToken, canManageForms, asyncHandler(deleteFormAttachment));
-router.delete('/:id', authenticateToken, authorize('ADMIN', 'LAB_HEAD'), asyncHandler(deleteForm));
+router.delete('/:id', authenticateToken, authorize.can('forms.delete'), asyncHandler(deleteForm));
 
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
-const { authorize, ROLES } = require('../../middleware/authorize');
+const { authorize } = require('../../middleware/authorize');
+const { allowApiToken } = require('../../middleware/apiTokenScope');
 const asyncHandler = require('../../utils/asyncHandler');
 const {
     register,
@@ -12,26 +13,26 @@ const {
 } = require('./heartbeat.controller');
 
 // Auto-detect computer via MAC address
-router.post('/register', authenticateToken, asyncHandler(register));
+router.post('/register', allowApiToken('heartbeat:write'), authenticateToken, asyncHandler(register));
 
 // Receive heartbeat signal
-router.post('/', authenticateToken, asyncHandler(sendHeartbeat));
+router.post('/', allowApiToken('heartbeat:write'), authenticateToken, asyncHandler(sendHeartbeat));
 
 // Get status summary
 router.get('/status',
     authenticateToken,
-    authorize(ROLES.LAB_TECH, ROLES.LAB_HEAD, ROLES.ADMIN),
+    authorize.can('heartbeat.monitor'),
     asyncHandler(getStatus)
 );
 
 // Get detailed computer history
 router.get('/computer/:id',
     authenticateToken,
-    authorize(ROLES.LAB_TECH, ROLES.LAB_HEAD, ROLES.ADMIN),
+    authorize.can('heartbeat.monitor'),
     asyncHandler(getComputerHistory)
 );
 
 // End session
-router.delete('/session/:sessionId', authenticateToken, asyncHandler(endSession));
+router.delete('/session/:sessionId', allowApiToken('heartbeat:write'), authenticateToken, asyncHandler(endSession));
 
 module.exports = router;
@@ -257,7 +257,10 @@ const createItem = async (req, res) => {
       userId: req.user.User_ID,
       action: 'ITEM_CREATED',
       details: `Created item ${Item_Code} (${normalizedItemType})`,
-      logType: 'INVENTORY'
+      logType: 'INVENTORY',
+      entityType: 'ITEM',
+      entityId: item.Item_ID,
+      after: item
     });
 
     res.status(201).json({ success: true, data: item });
@@ -333,7 +336,11 @@ const updateItem = async (req, res) => {
       action: 'ITEM_UPDATED',
       details: `Updated item ${existingItem.Item_Code}`,
       logType: 'INVENTORY',
-      notificationData: { updates: updateData }
+      notificationData: { updates: updateData },
+      entityType: 'ITEM',
+      entityId: itemId,
+      before: existingItem,
+      after: updatedItem
     });
 
     res.json({ success: true, data: updatedItem });
@@ -372,7 +379,11 @@ const deleteItem = async (req, res) => {
       userId: req.user.User_ID,
       action: 'ITEM_DELETED',
       details: `Soft deleted item ${existingItem.Item_Code}`,
-      logType: 'INVENTORY'
+      logType: 'INVENTORY',
+      entityType: 'ITEM',
+      entityId: itemId,
+      before: existingItem,
+      after: deletedItem
     });
 
     res.json({ success: true, data: deletedItem });
@@ -553,6 +564,17 @@ const checkInventoryItem = async (req, res) => {
         },
     });
 
+    await AuditLogger.log({
+        userId: req.user.User_ID,
+        action: 'ITEM_CHECKED',
+        details: `Marked item ${item.Item_Code} as present in the inventory audit`,
+        logType: 'INVENTORY',
+        entityType: 'ITEM',
+        entityId: itemId,
+        before: item,
+        after: updated,
+    });
+
     res.json({ success: true, data: updated });
 };
 
@@ -582,6 +604,17 @@ const uncheckInventoryItem = async (req, res) => {
         },
     });
 
+    await AuditLogger.log({
+        userId: req.user.User_ID,
+        action: 'ITEM_CHECK_CLEARED',
+        details: `Cleared the inventory audit check of item ${item.Item_Code}`,
+        logType: 'INVENTORY',
+        entityType: 'ITEM',
+        entityId: itemId,
+        before: item,
+        after: updated,
+    });
+
     res.json({ success: true, data: updated });
 };
 
@@ -3,6 +3,7 @@ const multer = require('multer');
 const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
 const { authorize } = require('../../middleware/authorize');
+const { allowApiToken } = require('../../middleware/apiTokenScope');
 const asyncHandler = require('../../utils/asyncHandler');
 const {
   getItems,
@@ -46,28 +47,28 @@ router.get('/', asyncHandler(getItems));
 router.get('/available', asyncHandler(getAvailableItems));
 
 // Get item by code
-router.get('/code/:itemCode', authenticateToken, authorize('LAB_HEAD', 'LAB_TECH'), asyncHandler(getItemByCode));
+router.get('/code/:itemCode', authenticateToken, authorize.can('inventory.lookup'), asyncHandler(getItemByCode));
 
 // Get item by ID
 router.get('/:id', asyncHandler(getItemById));
 
 // Create new item
-router.post('/', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(createItem));
+router.post('/', authenticateToken, authorize.can('inventory.write'), asyncHandler(createItem));
 
 // Update item
-router.put('/:id', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(updateItem));
+router.put('/:id', authenticateToken, authorize.can('inventory.write'), asyncHandler(updateItem));
 
 // Delete item (soft delete)
-router.delete('/:id', authenticateToken, authorize('ADMIN', 'LAB_HEAD'), asyncHandler(deleteItem));
+router.delete('/:id', authenticateToken, authorize.can('inventory.delete'), asyncHandler(deleteItem));
 
 // Bulk create inventory items
-router.post('/bulk', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(bulkCreateItems));
+router.post('/bulk', allowApiToken('inventory:import'), authenticateToken, authorize.can('inventory.write'), asyncHandler(bulkCreateItems));
 
 // Import inventory items from CSV/XLSX
-router.post('/import-csv', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), uploadCsv, asyncHandler(importInventoryCsv));
+router.post('/import-csv', allowApiToken('inventory:import'), authenticateToken, authorize.can('inventory.write'), uploadCsv, asyncHandler(importInventoryCsv));
 
 // Mark an item as audited (present) for the current semester
-router.post('/:id/check', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(checkInventoryItem));
-router.delete('/:id/check', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(uncheckInventoryItem));
+router.post('/:id/check', authenticateToken, authorize.can('inventory.check'), asyncHandler(checkInventoryItem));
+router.delete('/:id/check', authenticateToken, authorize.can('inventory.check'), asyncHandler(uncheckInventoryItem));
 
 module.exports = router;
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { parser } = require('stream-json');
+const { pick } = require('stream-json/filters/Pick');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+const { streamValues } = require('stream-json/streamers/StreamValues');
+const { AppError } = require('../../middleware/errorHandler');
+const { ARCHIVE_DIR, archivePath, checkManifest } = require('./archiveRestore.service');
+
+const INDEX_DIR = path.join(ARCHIVE_DIR, '.index');
+// Bump when the index entry layout changes; older index files are rebuilt.
+const INDEX_VERSION = 1;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Archive tables that can be browsed, with the columns each filter reads
+const BROWSE_ENTITIES = {
+    forms: { date: 'Created_At', users: ['Creator_ID', 'Approver_ID', 'Received_By'], code: 'Form_Code' },
+    tickets: { date: 'Created_At', users: ['Reported_By_ID', 'Technician_ID'] },
+    bookings: { date: 'Start_Time', users: ['User_ID', 'Approved_By', 'Checked_In_By'] },
+    schedules: { date: 'Start_Time', users: ['Created_By'] },
+    borrowItems: { date: 'Created_At', users: ['Borrower_ID', 'Borrowee_ID'] },
+    reports: { date: 'Week_Start', users: ['User_ID', 'Reviewed_By'] },
+    auditLogs: { date: 'Timestamp', users: ['User_ID'] },
+    notifications: { date: 'Timestamp', users: ['User_ID'] }
+};
+
+// Index builds in progress, so concurrent first requests share one pass
+const building = new Map();
+
+// Parse one path of the gzipped archive JSON as a stream
+const streamArchivePath = (filePath, filter, streamer) => pipeline(
+    fs.createReadStream(filePath),
+    zlib.createGunzip(),
+    parser(),
+    pick({ filter }),
+    streamer(),
+    () => {}
+);
+
+// Archives are written manifest-first, so this stops after the first value
+const readManifest = async (filePath) => {
+    try {
+        for await (const { value } of streamArchivePath(filePath, 'manifest', streamValues)) {
+            return value;
+        }
+    } catch {
+        throw new AppError('Archive is not valid gzip JSON', 422);
+    }
+    return null;
+};
+
+const statArchive = async (filePath) => {
+    try {
+        return await fs.promises.stat(filePath);
+    } catch {
+        throw new AppError('Archive not found', 404);
+    }
+};
+
+/**
+ * Per-record filter keys of one archive table: [position, code, userIds,
+ * dateMs]. Cached in archives/.index and rebuilt when the archive changes.
+ */
+const loadIndex = async (fileName, type) => {
+    const filePath = archivePath(fileName);
+    const stats = await statArchive(filePath);
+    const indexPath = path.join(INDEX_DIR, `${path.basename(filePath)}.${type}.json`);
+
+    try {
+        const cached = JSON.parse(await fs.promises.readFile(indexPath, 'utf8'));
+        if (cached.version === INDEX_VERSION && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            return cached;
+        }
+    } catch {
+        // Missing or unreadable: rebuild below
+    }
+
+    if (!building.has(indexPath)) {
+        const build = buildIndex(filePath, type, stats, indexPath).finally(() => building.delete(indexPath));
+        building.set(indexPath, build);
+    }
+    return building.get(indexPath);
+};
+
+const buildIndex = async (filePath, type, stats, indexPath) => {
+    const manifest = await readManifest(filePath);
+    checkManifest(manifest);
+
+    const config = BROWSE_ENTITIES[type];
+    const entries = [];
+    try {
+        for await (const { key, value } of streamArchivePath(filePath, `data.${type}`, streamArray)) {
+            const date = value[config.date] ? new Date(value[config.date]).getTime() : null;
+            entries.push([
+                key,
+                config.code ? value[config.code] ?? null : null,
+                config.users.map(column => value[column]).filter(id => id !== null && id !== undefined),
+                Number.isNaN(date) ? null : date
+            ]);
+        }
+    } catch {
+        throw new AppError('Archive is not valid gzip JSON', 422);
+    }
+
+    const index = {
+        version: INDEX_VERSION,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        schoolYear: manifest.schoolYear || null,
+        entries
+    };
+
+    // Write then rename so a reader never sees a half-written index
+    await fs.promises.mkdir(INDEX_DIR, { recursive: true });
+    const tmpPath = `${indexPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(index));
+    await fs.promises.rename(tmpPath, indexPath);
+    return index;
+};
+
+const parseDateParam = (value, name) => {
+    if (value === undefined) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new AppError(`${name} must be a date`, 400);
+    }
+    return date.getTime();
+};
+
+const parseFilters = (type, query) => {
+    if (!BROWSE_ENTITIES[type]) {
+        throw new AppError(`type must be one of ${Object.keys(BROWSE_ENTITIES).join(', ')}`, 400);
+    }
+
+    const filters = {};
+    if (query.formCode !== undefined) {
+        if (!BROWSE_ENTITIES[type].code) throw new AppError('formCode only applies to forms', 400);
+        filters.code = String(query.formCode).trim().toUpperCase();
+    }
+    if (query.userId !== undefined) {
+        const userId = parseInt(query.userId, 10);
+        if (Number.isNaN(userId)) throw new AppError('userId must be a number', 400);
+        filters.userId = userId;
+    }
+    filters.from = parseDateParam(query.from, 'from');
+    filters.to = parseDateParam(query.to, 'to');
+
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    return { filters, page, limit };
+};
+
+const matches = ([, code, userIds, date], { code: codeFilter, userId, from, to }) => {
+    if (codeFilter && !(code && code.toUpperCase().includes(codeFilter))) return false;
+    if (userId !== undefined && !userIds.includes(userId)) return false;
+    if (from !== null && (date === null || date < from)) return false;
+    if (to !== null && (date === null || date > to)) return false;
+    return true;
+};
+
+// Stream the table again, keeping only the wanted positions
+const fetchRecords = async (fileName, type, positions) => {
+    if (positions.length === 0) return [];
+
+    const wanted = new Set(positions);
+    const last = positions[positions.length - 1];
+    const records = [];
+    for await (const { key, value } of streamArchivePath(archivePath(fileName), `data.${type}`, streamArray)) {
+        if (wanted.has(key)) records.push(value);
+        if (key >= last) break;
+    }
+    return records;
+};
+
+/**
+ * Filtered, paginated records of one archived table, read straight from the
+ * archive file
+ * @param {string} fileName - Archive file name
+ * @param {{type: string, formCode?: string, userId?: string, from?: string, to?: string, page?: string, limit?: string}} query
+ * @returns {Promise<{records: Object[], meta: Object}>}
+ * @throws {AppError} 400 on bad filters, 404/422 for missing or unreadable archives
+ */
+const browseArchive = async (fileName, query = {}) => {
+    const type = query.type;
+    const { filters, page, limit } = parseFilters(type, query);
+    const index = await loadIndex(fileName, type);
+
+    const matched = index.entries.filter(entry => matches(entry, filters));
+    const pageEntries = matched.slice((page - 1) * limit, page * limit);
+    const records = await fetchRecords(fileName, type, pageEntries.map(([position]) => position));
+
+    return {
+        records,
+        meta: {
+            archiveName: path.basename(fileName),
+            schoolYear: index.schoolYear,
+            type,
+            total: matched.length,
+            page,
+            limit,
+            totalPages: Math.ceil(matched.length / limit)
+        }
+    };
+};
+
+module.exports = {
+    BROWSE_ENTITIES,
+    browseArchive
+};
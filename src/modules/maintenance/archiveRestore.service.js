@@ -0,0 +1,483 @@
+const fs = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { PrismaClient } = require('@prisma/client');
+const prisma = require('../../lib/prisma');
+const { AppError } = require('../../middleware/errorHandler');
+const AuditLogger = require('../../utils/auditLogger');
+
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '../../../archives');
+// School-year archives, and the archives taken before each operational cleanup
+const ARCHIVE_FILE_PATTERN = /^BITS-Archive-(SY-\d{4}-\d{4}|Cleanup-\d{8}T\d{6}Z)\.json\.gz$/;
+const ARCHIVE_TYPES = ['school-year-operational-data', 'operational-cleanup'];
+
+// Bump when the archive layout changes and teach readArchive the old one.
+// Archives written before the manifest carried a version are version 1.
+const ARCHIVE_SCHEMA_VERSION = 1;
+const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+const RESTORE_CONFIRMATION_TEXT = 'RESTORE ARCHIVE';
+const RESTORE_TARGETS = ['live', 'readonly'];
+const RESTORE_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_REPORTED_CONFLICTS = 500;
+
+// Primary key of each model a restored row can point at
+const MODEL_KEYS = {
+    user: 'User_ID',
+    room: 'Room_ID',
+    item: 'Item_ID',
+    computer: 'Computer_ID',
+    semester: 'Semester_ID',
+    booking_Series: 'Series_ID',
+    form: 'Form_ID',
+    ticket: 'Ticket_ID',
+    schedule: 'Schedule_ID',
+    booked_Room: 'Booked_Room_ID',
+    audit_Log: 'Log_ID'
+};
+
+const ref = (model, { table = null, required = false } = {}) => ({ model, table, required });
+
+// Archive tables in restore order (parents first). Each reference column is
+// remapped to the new ID when its parent row was restored from the same
+// table selection; otherwise the original ID is kept if that row exists in
+// the target database. A missing required reference skips the row as a
+// conflict, a missing optional one is cleared.
+const RESTORE_TABLES = {
+    forms: {
+        model: 'form',
+        refs: {
+            Creator_ID: ref('user', { required: true }),
+            Approver_ID: ref('user'),
+            Received_By: ref('user')
+        },
+        uniqueKey: row => `Form_Code:${row.Form_Code}`
+    },
+    formAttachments: {
+        model: 'formAttachment',
+        id: 'Attachment_ID',
+        refs: {
+            Form_ID: ref('form', { table: 'forms', required: true }),
+            Uploaded_By: ref('user')
+        }
+    },
+    formHistory: {
+        model: 'formHistory',
+        id: 'History_ID',
+        refs: {
+            Form_ID: ref('form', { table: 'forms', required: true }),
+            Performed_By: ref('user')
+        }
+    },
+    tickets: {
+        model: 'ticket',
+        refs: {
+            Reported_By_ID: ref('user', { required: true }),
+            Technician_ID: ref('user'),
+            Room_ID: ref('room'),
+            Item_ID: ref('item')
+        }
+    },
+    schedules: {
+        model: 'schedule',
+        refs: {
+            Created_By: ref('user', { required: true }),
+            Room_ID: ref('room', { required: true }),
+            Semester_ID: ref('semester')
+        }
+    },
+    bookings: {
+        model: 'booked_Room',
+        refs: {
+            User_ID: ref('user', { required: true }),
+            Room_ID: ref('room', { required: true }),
+            Approved_By: ref('user'),
+            Checked_In_By: ref('user'),
+            Schedule_ID: ref('schedule', { table: 'schedules' }),
+            Series_ID: ref('booking_Series')
+        }
+    },
+    borrowItems: {
+        model: 'borrow_Item',
+        id: 'Borrow_Item_ID',
+        refs: {
+            Borrowee_ID: ref('user', { required: true }),
+            Borrower_ID: ref('user', { required: true }),
+            Item_ID: ref('item'),
+            Room_ID: ref('room')
+        }
+    },
+    borrowingComputers: {
+        model: 'borrowing_Comp',
+        id: 'Borrowing_Comp_ID',
+        refs: {
+            User_ID: ref('user', { required: true }),
+            Computer_ID: ref('computer', { required: true })
+        }
+    },
+    reports: {
+        model: 'weekly_Report',
+        id: 'Report_ID',
+        refs: {
+            User_ID: ref('user', { required: true }),
+            Reviewed_By: ref('user'),
+            Semester_ID: ref('semester')
+        },
+        uniqueKey: row => `User_ID,Week_Start:${row.User_ID},${new Date(row.Week_Start).toISOString()}`
+    },
+    auditLogs: {
+        model: 'audit_Log',
+        refs: {
+            User_ID: ref('user'),
+            Ticket_ID: ref('ticket', { table: 'tickets' }),
+            Booked_Room_ID: ref('booked_Room', { table: 'bookings' })
+        }
+    },
+    notifications: {
+        model: 'audit_Log',
+        refs: {
+            User_ID: ref('user'),
+            Ticket_ID: ref('ticket', { table: 'tickets' }),
+            Booked_Room_ID: ref('booked_Room', { table: 'bookings' })
+        }
+    },
+    notificationReads: {
+        model: 'notificationRead',
+        id: 'Read_ID',
+        refs: {
+            User_ID: ref('user', { required: true }),
+            Log_ID: ref('audit_Log', { table: 'notifications', required: true })
+        }
+    }
+};
+
+const primaryKeyOf = (table) => RESTORE_TABLES[table].id || MODEL_KEYS[RESTORE_TABLES[table].model];
+
+// Tables that must be restored alongside `table` because its required
+// references only exist in the archive
+const requiredTables = (table) => Object.values(RESTORE_TABLES[table].refs)
+    .filter(column => column.required && column.table)
+    .map(column => column.table);
+
+let readonlyClient = null;
+
+// Separate database restores go to: a copy of the live database (e.g. from a
+// backup) that reporting tools query with a read-only role.
+const getTargetClient = (target) => {
+    if (target === 'live') return prisma;
+
+    const url = process.env.ARCHIVE_READONLY_DATABASE_URL;
+    if (!url) {
+        throw new AppError('ARCHIVE_READONLY_DATABASE_URL is not configured', 503);
+    }
+    if (!readonlyClient) {
+        readonlyClient = new PrismaClient({ datasourceUrl: url, log: ['error', 'warn'] });
+    }
+    return readonlyClient;
+};
+
+const archivePath = (fileName) => {
+    const name = path.basename(fileName || '');
+    if (!ARCHIVE_FILE_PATTERN.test(name)) {
+        throw new AppError('Invalid archive file name', 400);
+    }
+    return path.join(ARCHIVE_DIR, name);
+};
+
+/**
+ * @returns {number} The archive's schema version
+ * @throws {AppError} 422 when not a BITS archive or the version isn't supported
+ */
+const checkManifest = (manifest) => {
+    if (manifest?.application !== 'BITS' || !ARCHIVE_TYPES.includes(manifest?.archiveType)) {
+        throw new AppError('File is not a BITS archive', 422);
+    }
+
+    const schemaVersion = manifest.schemaVersion ?? 1;
+    if (!SUPPORTED_SCHEMA_VERSIONS.includes(schemaVersion)) {
+        throw new AppError('Unsupported archive schema version', 422, {
+            schemaVersion,
+            supported: SUPPORTED_SCHEMA_VERSIONS
+        });
+    }
+    return schemaVersion;
+};
+
+/**
+ * Read, decompress and validate an archive file
+ * @returns {Promise<{fileName: string, sizeBytes: number, schemaVersion: number, manifest: Object, data: Object}>}
+ * @throws {AppError} 404 when missing, 422 when not a readable BITS archive
+ */
+const readArchive = async (fileName) => {
+    const filePath = archivePath(fileName);
+
+    let compressed;
+    try {
+        compressed = await fs.readFile(filePath);
+    } catch {
+        throw new AppError('Archive not found', 404);
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse((await gunzip(compressed)).toString('utf8'));
+    } catch {
+        throw new AppError('Archive is not valid gzip JSON', 422);
+    }
+
+    const manifest = payload?.manifest;
+    const schemaVersion = checkManifest(manifest);
+
+    const data = payload.data || {};
+    const malformed = Object.keys(data).filter(table => !Array.isArray(data[table]));
+    if (malformed.length) {
+        throw new AppError('Archive tables must be arrays', 422, { malformed });
+    }
+
+    return {
+        fileName: path.basename(filePath),
+        sizeBytes: compressed.length,
+        schemaVersion,
+        manifest,
+        data
+    };
+};
+
+/**
+ * Manifest and per-table row counts of an archive
+ */
+const inspectArchive = async (fileName) => {
+    const archive = await readArchive(fileName);
+    const tables = {};
+    for (const [table, rows] of Object.entries(archive.data)) {
+        tables[table] = {
+            rows: rows.length,
+            restorable: !!RESTORE_TABLES[table],
+            requires: RESTORE_TABLES[table] ? requiredTables(table) : []
+        };
+    }
+
+    return {
+        fileName: archive.fileName,
+        sizeBytes: archive.sizeBytes,
+        schemaVersion: archive.schemaVersion,
+        supported: true,
+        manifest: archive.manifest,
+        tables,
+        confirmationText: RESTORE_CONFIRMATION_TEXT,
+        targets: RESTORE_TARGETS
+    };
+};
+
+const checkSelection = (tables, archive) => {
+    const selected = [...new Set(tables)];
+    const unknown = selected.filter(table => !RESTORE_TABLES[table]);
+    if (unknown.length) {
+        throw new AppError('Unknown or non-restorable tables', 400, { unknown });
+    }
+    const notInArchive = selected.filter(table => !archive.data[table]);
+    if (notInArchive.length) {
+        throw new AppError('Tables not in this archive', 400, { notInArchive });
+    }
+
+    const missing = {};
+    for (const table of selected) {
+        const needed = requiredTables(table).filter(parent => !selected.includes(parent));
+        if (needed.length) missing[table] = needed;
+    }
+    if (Object.keys(missing).length) {
+        throw new AppError('Selected tables need their parent tables restored too', 400, { missing });
+    }
+
+    // Restore order, not request order
+    return Object.keys(RESTORE_TABLES).filter(table => selected.includes(table));
+};
+
+// IDs per referenced model that already exist in the target database
+const loadExistingIds = async (client, tables, data) => {
+    const wanted = {};
+    for (const table of tables) {
+        for (const [column, reference] of Object.entries(RESTORE_TABLES[table].refs)) {
+            if (!wanted[reference.model]) wanted[reference.model] = new Set();
+            for (const row of data[table]) {
+                if (row[column] !== null && row[column] !== undefined) wanted[reference.model].add(row[column]);
+            }
+        }
+    }
+
+    const existing = {};
+    await Promise.all(Object.entries(wanted).map(async ([model, ids]) => {
+        const key = MODEL_KEYS[model];
+        const rows = ids.size
+            ? await client[model].findMany({ where: { [key]: { in: [...ids] } }, select: { [key]: true } })
+            : [];
+        existing[model] = new Set((rows || []).map(row => row[key]));
+    }));
+    return existing;
+};
+
+// Natural keys already taken in the target database
+const loadTakenKeys = async (client, tables, data) => {
+    const taken = new Set();
+    if (tables.includes('forms') && data.forms.length) {
+        const rows = await client.form.findMany({
+            where: { Form_Code: { in: data.forms.map(row => row.Form_Code) } },
+            select: { Form_Code: true }
+        });
+        (rows || []).forEach(row => taken.add(RESTORE_TABLES.forms.uniqueKey(row)));
+    }
+    if (tables.includes('reports') && data.reports.length) {
+        const rows = await client.weekly_Report.findMany({
+            where: { OR: data.reports.map(row => ({ User_ID: row.User_ID, Week_Start: new Date(row.Week_Start) })) },
+            select: { User_ID: true, Week_Start: true }
+        });
+        (rows || []).forEach(row => taken.add(RESTORE_TABLES.reports.uniqueKey(row)));
+    }
+    return taken;
+};
+
+// An earlier restore of the same archive tables into the same target
+const findPreviousRestore = async (fileName, target, tables) => {
+    const previous = await prisma.audit_Log.findMany({
+        where: {
+            Action: 'ARCHIVE_RESTORED',
+            Notification_Data: { path: ['archiveName'], equals: fileName }
+        },
+        orderBy: { Timestamp: 'desc' }
+    });
+
+    for (const log of previous || []) {
+        const info = log.Notification_Data || {};
+        const overlap = (info.tables || []).filter(table => tables.includes(table));
+        if (info.target === target && overlap.length) {
+            return { logId: log.Log_ID, restoredAt: log.Timestamp, userId: log.User_ID, tables: overlap };
+        }
+    }
+    return null;
+};
+
+/**
+ * Copy selected archive tables back into the live or read-only database in
+ * one transaction. Rows get new IDs; references between restored rows are
+ * rewritten to match. Rows that would break a unique key or point at a
+ * missing user, room, etc. are skipped and reported.
+ * @param {string} fileName - Archive file name
+ * @param {{tables: string[], target: string}} options
+ * @param {number|null} userId - Admin running the restore
+ * @throws {AppError} 400 on a bad selection, 409 when already restored
+ */
+const restoreArchive = async (fileName, { tables, target = 'live' }, userId) => {
+    if (!RESTORE_TARGETS.includes(target)) {
+        throw new AppError(`target must be one of ${RESTORE_TARGETS.join(', ')}`, 400);
+    }
+
+    const archive = await readArchive(fileName);
+    const selected = checkSelection(tables || [], archive);
+
+    const previous = await findPreviousRestore(archive.fileName, target, selected);
+    if (previous) {
+        throw new AppError('These tables were already restored from this archive', 409, { previousRestore: previous });
+    }
+
+    const client = getTargetClient(target);
+    const existing = await loadExistingIds(client, selected, archive.data);
+    const taken = await loadTakenKeys(client, selected, archive.data);
+
+    const idMaps = {};
+    const summary = {};
+    const conflicts = [];
+    let conflictCount = 0;
+    const addConflict = (conflict) => {
+        conflictCount++;
+        if (conflicts.length < MAX_REPORTED_CONFLICTS) conflicts.push(conflict);
+    };
+
+    await client.$transaction(async (tx) => {
+        for (const table of selected) {
+            const config = RESTORE_TABLES[table];
+            const key = primaryKeyOf(table);
+            idMaps[table] = new Map();
+            summary[table] = { archived: archive.data[table].length, restored: 0, skipped: 0, clearedReferences: 0 };
+
+            for (const row of archive.data[table]) {
+                const { [key]: originalId, ...fields } = row;
+                // Omit nulls: nullable JSON columns reject a plain null
+                const data = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+
+                let missingReference = null;
+                for (const [column, reference] of Object.entries(config.refs)) {
+                    const value = data[column];
+                    if (value === undefined) continue;
+
+                    if (reference.table && idMaps[reference.table]?.has(value)) {
+                        data[column] = idMaps[reference.table].get(value);
+                    } else if (!existing[reference.model].has(value)) {
+                        if (reference.required) {
+                            missingReference = `${column} ${value} not found`;
+                            break;
+                        }
+                        delete data[column];
+                        summary[table].clearedReferences++;
+                    }
+                }
+
+                if (missingReference) {
+                    summary[table].skipped++;
+                    addConflict({ table, id: originalId, reason: missingReference });
+                    continue;
+                }
+
+                if (config.uniqueKey) {
+                    const uniqueKey = config.uniqueKey(data);
+                    if (taken.has(uniqueKey)) {
+                        summary[table].skipped++;
+                        addConflict({ table, id: originalId, reason: `${uniqueKey} already exists` });
+                        continue;
+                    }
+                    taken.add(uniqueKey);
+                }
+
+                const created = await tx[config.model].create({ data, select: { [key]: true } });
+                idMaps[table].set(originalId, created[key]);
+                summary[table].restored++;
+            }
+        }
+    }, { timeout: RESTORE_TIMEOUT_MS });
+
+    const restored = Object.values(summary).reduce((total, table) => total + table.restored, 0);
+    await AuditLogger.log({
+        userId,
+        action: 'ARCHIVE_RESTORED',
+        logType: 'SYSTEM',
+        details: `Restored ${restored} rows (${selected.join(', ')}) from ${archive.fileName} into the ${target} database`,
+        notificationData: { archiveName: archive.fileName, target, tables: selected, conflictCount },
+        entityType: 'ARCHIVE',
+        entityId: archive.fileName
+    });
+
+    return {
+        archiveName: archive.fileName,
+        schoolYear: archive.manifest.schoolYear,
+        target,
+        tables: summary,
+        conflictCount,
+        conflicts,
+        conflictsTruncated: conflictCount > conflicts.length
+    };
+};
+
+module.exports = {
+    ARCHIVE_DIR,
+    ARCHIVE_FILE_PATTERN,
+    ARCHIVE_SCHEMA_VERSION,
+    RESTORE_CONFIRMATION_TEXT,
+    RESTORE_TABLES,
+    archivePath,
+    checkManifest,
+    readArchive,
+    inspectArchive,
+    restoreArchive
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../lib/prisma');
+const { AppError } = require('../../middleware/errorHandler');
+const AuditLogger = require('../../utils/auditLogger');
+const { getZonedDateKey } = require('../../utils/timezone');
+const { ARCHIVE_SCHEMA_VERSION } = require('./archiveRestore.service');
+
+// Keep backups off the database host by pointing this at a mounted volume
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '../../../backups');
+const BACKUP_FILE_PATTERN = /^BITS-Backup-(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z\.json\.gz$/;
+const SNAPSHOT_TIMEOUT_MS = 30 * 60 * 1000;
+
+let running = false;
+
+const readKeepCount = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+const getRetentionPolicy = () => ({
+    daily: readKeepCount('BACKUP_KEEP_DAILY', 7),
+    weekly: readKeepCount('BACKUP_KEEP_WEEKLY', 4),
+    monthly: readKeepCount('BACKUP_KEEP_MONTHLY', 6)
+});
+
+const backupFileName = (date) => `BITS-Backup-${date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}.json.gz`;
+
+const backupDate = (fileName) => {
+    const match = fileName.match(BACKUP_FILE_PATTERN);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+const backupPath = (fileName) => {
+    const name = path.basename(fileName || '');
+    if (!BACKUP_FILE_PATTERN.test(name)) {
+        throw new AppError('Invalid backup file name', 400);
+    }
+    return path.join(BACKUP_DIR, name);
+};
+
+// Campus-time ISO week, e.g. "2026-W42"
+const weekKey = (date) => {
+    const [year, month, day] = getZonedDateKey(date).split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1, day));
+    const weekday = target.getUTCDay() || 7;
+    target.setUTCDate(target.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(target.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((target.getTime() - yearStart) / 86400000 + 1) / 7);
+    return `${target.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+const RETENTION_TIERS = {
+    daily: (date) => getZonedDateKey(date),
+    weekly: weekKey,
+    monthly: (date) => getZonedDateKey(date).slice(0, 7)
+};
+
+/**
+ * Grandfather-father-son selection: the newest backup of each of the last
+ * `daily` days, `weekly` weeks and `monthly` months (campus time) is kept.
+ * The newest backup is always kept.
+ * @param {Array<{fileName: string, createdAt: Date}>} backups - Newest first
+ * @returns {Set<string>} File names to keep
+ */
+const selectRetained = (backups, policy) => {
+    const keep = new Set(backups.length ? [backups[0].fileName] : []);
+    for (const [tier, keyOf] of Object.entries(RETENTION_TIERS)) {
+        const periods = new Set();
+        for (const backup of backups) {
+            const key = keyOf(backup.createdAt);
+            if (periods.has(key)) continue;
+            if (periods.size >= policy[tier]) break;
+            periods.add(key);
+            keep.add(backup.fileName);
+        }
+    }
+    return keep;
+};
+
+const readChecksumFile = async (filePath) => {
+    try {
+        return (await fs.promises.readFile(`${filePath}.sha256`, 'utf8')).split(/\s+/)[0] || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Backup files on disk, newest first
+ */
+const listBackups = async () => {
+    await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+    const entries = await fs.promises.readdir(BACKUP_DIR, { withFileTypes: true });
+    const backups = await Promise.all(entries
+        .filter(entry => entry.isFile() && BACKUP_FILE_PATTERN.test(entry.name))
+        .map(async (entry) => {
+            const filePath = path.join(BACKUP_DIR, entry.name);
+            const stats = await fs.promises.stat(filePath);
+            return {
+                fileName: entry.name,
+                createdAt: backupDate(entry.name),
+                sizeBytes: stats.size,
+                sha256: await readChecksumFile(filePath),
+                downloadUrl: `/maintenance/backups/${encodeURIComponent(entry.name)}`
+            };
+        }));
+    return backups.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+};
+
+const delegateName = (model) => model.charAt(0).toLowerCase() + model.slice(1);
+
+// JSON text of the snapshot, one model at a time so only the table being
+// written is held in memory
+async function* snapshotChunks(tx, manifest, counts) {
+    yield `{"manifest":${JSON.stringify(manifest)},"data":{`;
+    for (const [index, model] of manifest.models.entries()) {
+        const rows = await tx[delegateName(model)].findMany();
+        counts[model] = rows.length;
+        yield `${index ? ',' : ''}${JSON.stringify(model)}:[`;
+        for (const [rowIndex, row] of rows.entries()) {
+            yield `${rowIndex ? ',' : ''}${JSON.stringify(row)}`;
+        }
+        yield ']';
+    }
+    yield '}}';
+}
+
+const hashStream = (hash) => new Transform({
+    transform(chunk, _encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+    }
+});
+
+/**
+ * Recompute the file's SHA-256 and decompress it end to end
+ * @returns {Promise<{fileName: string, sha256: string|null, expected: string|null, verified: boolean, error?: string}>}
+ */
+const verifyBackup = async (fileName) => {
+    const filePath = backupPath(fileName);
+    try {
+        await fs.promises.access(filePath);
+    } catch {
+        throw new AppError('Backup not found', 404);
+    }
+
+    const expected = await readChecksumFile(filePath);
+    const hash = crypto.createHash('sha256');
+    try {
+        await pipeline(
+            fs.createReadStream(filePath),
+            hashStream(hash),
+            zlib.createGunzip(),
+            new Writable({ write: (_chunk, _encoding, callback) => callback() })
+        );
+    } catch (error) {
+        return { fileName: path.basename(filePath), sha256: null, expected, verified: false, error: error.message };
+    }
+
+    const sha256 = hash.digest('hex');
+    return {
+        fileName: path.basename(filePath),
+        sha256,
+        expected,
+        verified: !!expected && expected === sha256,
+        ...(expected && expected !== sha256 ? { error: 'Checksum mismatch' } : {})
+    };
+};
+
+/**
+ * Delete backups outside the retention policy, with their checksum files
+ * @returns {Promise<string[]>} Deleted file names
+ */
+const pruneBackups = async (policy = getRetentionPolicy()) => {
+    const backups = await listBackups();
+    const keep = selectRetained(backups, policy);
+    const pruned = backups.filter(backup => !keep.has(backup.fileName)).map(backup => backup.fileName);
+    for (const fileName of pruned) {
+        const filePath = path.join(BACKUP_DIR, fileName);
+        await fs.promises.rm(filePath, { force: true });
+        await fs.promises.rm(`${filePath}.sha256`, { force: true });
+    }
+    return pruned;
+};
+
+const recordRun = (userId, action, details, data) => AuditLogger.log({
+    userId,
+    action,
+    logType: 'SYSTEM',
+    details,
+    notificationData: data,
+    entityType: 'BACKUP',
+    entityId: data.fileName
+});
+
+/**
+ * Write a full logical snapshot of every model (archive format: manifest +
+ * data), read in one repeatable-read transaction so tables are consistent
+ * with each other. The file is verified against its checksum before old
+ * backups are pruned; a failed backup never prunes. Each run is recorded in
+ * the maintenance history.
+ * @param {number|null} userId - Admin who started it; null for the schedule
+ * @throws {AppError} 409 when a backup is already running
+ */
+const runBackup = async (userId = null, now = new Date()) => {
+    if (running) {
+        throw new AppError('A backup is already running', 409);
+    }
+    running = true;
+
+    const fileName = backupFileName(now);
+    const filePath = path.join(BACKUP_DIR, fileName);
+    const tmpPath = `${filePath}.tmp`;
+    try {
+        await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+
+        const manifest = {
+            application: 'BITS',
+            archiveType: 'full-backup',
+            schemaVersion: ARCHIVE_SCHEMA_VERSION,
+            createdAt: now.toISOString(),
+            createdBy: userId,
+            models: Object.values(Prisma.ModelName),
+            format: 'json-gzip'
+        };
+        const counts = {};
+        const hash = crypto.createHash('sha256');
+
+        await prisma.$transaction((tx) => pipeline(
+            Readable.from(snapshotChunks(tx, manifest, counts)),
+            zlib.createGzip(),
+            hashStream(hash),
+            fs.createWriteStream(tmpPath)
+        ), {
+            isolationLevel: Prisma.TransactionIsolationLevel?.RepeatableRead,
+            timeout: SNAPSHOT_TIMEOUT_MS
+        });
+
+        const sha256 = hash.digest('hex');
+        await fs.promises.rename(tmpPath, filePath);
+        await fs.promises.writeFile(`${filePath}.sha256`, `${sha256}  ${fileName}\n`);
+
+        const verification = await verifyBackup(fileName);
+        if (!verification.verified) {
+            throw new AppError(`Backup ${fileName} failed verification: ${verification.error || 'checksum mismatch'}`, 500);
+        }
+
+        const { size: sizeBytes } = await fs.promises.stat(filePath);
+        const pruned = await pruneBackups();
+        const rows = Object.values(counts).reduce((total, count) => total + count, 0);
+        const result = { fileName, sizeBytes, sha256, verified: true, rows, counts, pruned };
+
+        await recordRun(
+            userId,
+            'DATABASE_BACKUP',
+            `Backup ${fileName} written and verified (${rows} rows, ${sizeBytes} bytes); pruned ${pruned.length}`,
+            { fileName, sizeBytes, sha256, verified: true, rows, pruned }
+        );
+        return result;
+    } catch (error) {
+        await fs.promises.rm(tmpPath, { force: true }).catch(() => {});
+        await recordRun(userId, 'DATABASE_BACKUP_FAILED', `Backup ${fileName} failed: ${error.message}`, {
+            fileName,
+            error: error.message
+        });
+        throw error;
+    } finally {
+        running = false;
+    }
+};
+
+module.exports = {
+    BACKUP_DIR,
+    BACKUP_FILE_PATTERN,
+    backupPath,
+    getRetentionPolicy,
+    selectRetained,
+    listBackups,
+    verifyBackup,
+    pruneBackups,
+    runBackup
+};
@@ -2,12 +2,29 @@ const fs = require('fs/promises');
 const path = require('path');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../../lib/prisma');
+const { sendCsv } = require('../../utils/csvExport');
+const {
+    ARCHIVE_DIR: archiveDir,
+    ARCHIVE_FILE_PATTERN,
+    ARCHIVE_SCHEMA_VERSION,
+    RESTORE_CONFIRMATION_TEXT,
+    inspectArchive,
+    restoreArchive
+} = require('./archiveRestore.service');
+const { browseArchive } = require('./archiveBrowser.service');
+const {
+    backupPath,
+    getRetentionPolicy,
+    listBackups,
+    verifyBackup,
+    runBackup
+} = require('./backup.service');
 
 const CONFIRMATION_TEXT = 'RESET OPERATIONAL DATA';
 const ARCHIVE_CONFIRMATION_TEXT = 'ARCHIVE AND RESET SCHOOL YEAR';
 const gzip = promisify(zlib.gzip);
-const archiveDir = path.join(__dirname, '../../../archives');
 
 const getDelegate = (client, ...names) => {
     for (const name of names) {
@@ -112,37 +129,177 @@ const delegatesFor = (client) => ({
     user: getDelegate(client, 'User', 'user')
 });
 
-const buildCleanupPreview = async () => {
+const roomWhere = (roomId) => ({ Room_ID: roomId });
+const computerRoomWhere = (roomId) => ({ Computer: { Room_ID: roomId } });
+const auditLogRoomWhere = (roomId) => ({
+    OR: [
+        { Booked_Room: { Room_ID: roomId } },
+        { Ticket: { Room_ID: roomId } }
+    ]
+});
+
+// Tables a cleanup can be limited to. `date` is the column olderThanDays
+// applies to and `label` the column the dry-run report shows; tables without
+// `room` can't be limited to a room.
+const CLEANUP_TABLES = {
+    notifications: { delegate: 'auditLog', id: 'Log_ID', date: 'Timestamp', label: 'Action', base: { Is_Notification: true }, room: auditLogRoomWhere },
+    auditLogs: { delegate: 'auditLog', id: 'Log_ID', date: 'Timestamp', label: 'Action', base: { Is_Notification: false }, room: auditLogRoomWhere },
+    forms: { delegate: 'form', id: 'Form_ID', date: 'Created_At', label: 'Form_Code' },
+    tickets: { delegate: 'ticket', id: 'Ticket_ID', date: 'Created_At', label: 'Report_Problem', room: roomWhere },
+    borrowingComputers: { delegate: 'borrowingComp', id: 'Borrowing_Comp_ID', date: 'Created_At', label: 'Status', room: computerRoomWhere },
+    borrowItems: { delegate: 'borrowItem', id: 'Borrow_Item_ID', date: 'Created_At', label: 'Status', room: roomWhere },
+    bookings: { delegate: 'bookedRoom', id: 'Booked_Room_ID', date: 'Start_Time', label: 'Purpose', room: roomWhere },
+    schedules: { delegate: 'schedule', id: 'Schedule_ID', date: 'End_Time', label: 'Title', room: roomWhere },
+    workstationSessions: { delegate: 'computerHeartbeat', id: 'Heartbeat_ID', date: 'Timestamp', label: 'Session_ID', room: computerRoomWhere },
+    reports: { delegate: 'weeklyReport', id: 'Report_ID', date: 'Week_Start', label: 'Status' }
+};
+
+// Rows removed together with the parent rows they belong to
+const CLEANUP_CHILD_TABLES = {
+    notificationReads: { delegate: 'notificationRead', id: 'Read_ID', date: 'Read_At', relation: 'Audit_Log', parents: ['notifications', 'auditLogs'] },
+    formAttachments: { delegate: 'formAttachment', id: 'Attachment_ID', date: 'Uploaded_At', label: 'File_Name', relation: 'Form', parents: ['forms'] },
+    formHistory: { delegate: 'formHistory', id: 'History_ID', date: 'Changed_At', label: 'Action', relation: 'Form', parents: ['forms'] }
+};
+
+// Delete order: children before parents, referencing rows before referenced
+const CLEANUP_ORDER = [
+    'notificationReads',
+    'notifications',
+    'auditLogs',
+    'formAttachments',
+    'formHistory',
+    'forms',
+    'tickets',
+    'borrowingComputers',
+    'borrowItems',
+    'bookings',
+    'schedules',
+    'workstationSessions',
+    'reports'
+];
+
+// Kept rows that point at deleted ones lose the reference instead
+const CLEANUP_DETACH = {
+    tickets: [{ delegate: 'auditLog', column: 'Ticket_ID', relation: 'Ticket' }],
+    bookings: [{ delegate: 'auditLog', column: 'Booked_Room_ID', relation: 'Booked_Room' }],
+    schedules: [{ delegate: 'bookedRoom', column: 'Schedule_ID', relation: 'Schedule' }]
+};
+
+const CLEANUP_TIMEOUT_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const scopeError = (message, statusCode = 400, details) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+};
+
+const fullCleanupScope = () => ({
+    tables: Object.keys(CLEANUP_TABLES),
+    olderThanDays: null,
+    roomId: null,
+    cutoff: null,
+    full: true
+});
+
+/**
+ * Read a cleanup scope from query or body: `tables` (list or comma-separated),
+ * `olderThanDays` and `roomId`. Without any of them the scope is the full
+ * operational reset.
+ */
+const parseCleanupScope = async (input = {}, now = new Date()) => {
+    const { tables: rawTables, olderThanDays: rawDays, roomId: rawRoomId } = input || {};
+    const scope = fullCleanupScope();
+
+    if (rawDays !== undefined && rawDays !== null && rawDays !== '') {
+        const days = Number(rawDays);
+        if (!Number.isInteger(days) || days < 1) {
+            throw scopeError('olderThanDays must be a whole number of days, at least 1');
+        }
+        scope.olderThanDays = days;
+        scope.cutoff = new Date(now.getTime() - days * DAY_MS);
+    }
+
+    if (rawRoomId !== undefined && rawRoomId !== null && rawRoomId !== '') {
+        const roomId = Number(rawRoomId);
+        if (!Number.isInteger(roomId)) {
+            throw scopeError('roomId must be a number');
+        }
+        if (await countSafely(delegatesFor(prisma).room, { Room_ID: roomId }) === 0) {
+            throw scopeError('Room not found', 404);
+        }
+        scope.roomId = roomId;
+        scope.tables = scope.tables.filter(table => CLEANUP_TABLES[table].room);
+    }
+
+    if (rawTables !== undefined && rawTables !== null && rawTables !== '') {
+        const tables = [...new Set((Array.isArray(rawTables) ? rawTables : String(rawTables).split(','))
+            .map(table => String(table).trim())
+            .filter(Boolean))];
+        const unknown = tables.filter(table => !CLEANUP_TABLES[table]);
+        if (tables.length === 0 || unknown.length) {
+            throw scopeError('Unknown cleanup tables', 400, { unknown, allowed: Object.keys(CLEANUP_TABLES) });
+        }
+        const roomless = scope.roomId ? tables.filter(table => !CLEANUP_TABLES[table].room) : [];
+        if (roomless.length) {
+            throw scopeError('These tables cannot be limited to a room', 400, { tables: roomless });
+        }
+        scope.tables = Object.keys(CLEANUP_TABLES).filter(table => tables.includes(table));
+    }
+
+    scope.full = !scope.cutoff && !scope.roomId && scope.tables.length === Object.keys(CLEANUP_TABLES).length;
+    return scope;
+};
+
+const describeCleanupScope = (scope) => ({
+    full: scope.full,
+    tables: scope.tables,
+    olderThanDays: scope.olderThanDays,
+    before: scope.cutoff ? scope.cutoff.toISOString() : null,
+    roomId: scope.roomId
+});
+
+// Prisma where clause of every table the scope touches, children included
+const buildScopeWheres = (scope) => {
+    const wheres = {};
+    for (const table of scope.tables) {
+        const config = CLEANUP_TABLES[table];
+        const conditions = [
+            config.base,
+            scope.cutoff && { [config.date]: { lt: scope.cutoff } },
+            scope.roomId && config.room(scope.roomId)
+        ].filter(Boolean);
+        wheres[table] = conditions.length > 1 ? { AND: conditions } : conditions[0] || {};
+    }
+
+    for (const [table, config] of Object.entries(CLEANUP_CHILD_TABLES)) {
+        const parents = config.parents.filter(parent => wheres[parent]);
+        if (parents.length === 0) continue;
+        if (scope.full) {
+            wheres[table] = {};
+            continue;
+        }
+        const parentWhere = parents.length > 1 ? { OR: parents.map(parent => wheres[parent]) } : wheres[parents[0]];
+        wheres[table] = { [config.relation]: parentWhere };
+    }
+    return wheres;
+};
+
+const cleanupTableConfig = (table) => CLEANUP_TABLES[table] || CLEANUP_CHILD_TABLES[table];
+
+const buildCleanupPreview = async (scope = fullCleanupScope()) => {
     const delegates = delegatesFor(prisma);
+    const wheres = buildScopeWheres(scope);
+    const tables = CLEANUP_ORDER.filter(table => wheres[table]);
+    const counts = await Promise.all(tables.map(table => countSafely(delegates[cleanupTableConfig(table).delegate], wheres[table])));
     const [
-        forms,
-        formAttachments,
-        formHistory,
-        tickets,
-        bookings,
-        schedules,
-        borrowItems,
-        borrowingComputers,
-        notifications,
-        notificationReads,
-        reports,
         rooms,
         computers,
         borrowedItems,
         users,
         inventoryItems
     ] = await Promise.all([
-        countSafely(delegates.form),
-        countSafely(delegates.formAttachment),
-        countSafely(delegates.formHistory),
-        countSafely(delegates.ticket),
-        countSafely(delegates.bookedRoom),
-        countSafely(delegates.schedule),
-        countSafely(delegates.borrowItem),
-        countSafely(delegates.borrowingComp),
-        countSafely(delegates.auditLog),
-        countSafely(delegates.notificationRead),
-        countSafely(delegates.weeklyReport),
         countSafely(delegates.room),
         countSafely(delegates.computer),
         countSafely(delegates.item, { Status: 'BORROWED' }),
@@ -152,24 +309,14 @@ const buildCleanupPreview = async () => {
 
     return {
         confirmationText: CONFIRMATION_TEXT,
-        willDelete: {
-            forms,
-            formAttachments,
-            formHistory,
-            tickets,
-            bookings,
-            schedules,
-            borrowItems,
-            borrowingComputers,
-            notifications,
-            notificationReads,
-            reports
-        },
-        willReset: {
+        scope: describeCleanupScope(scope),
+        willDelete: Object.fromEntries(tables.map((table, index) => [table, counts[index]])),
+        // Room, computer and borrowed-item state is only reset by a full cleanup
+        willReset: scope.full ? {
             rooms,
             computers,
             borrowedItems
-        },
+        } : {},
         willPreserve: {
             users,
             rooms,
@@ -179,6 +326,48 @@ const buildCleanupPreview = async () => {
     };
 };
 
+/**
+ * Per-record dry run: every row the scope would delete, as table, id, date
+ * and a label
+ */
+const buildCleanupReport = async (scope) => {
+    const delegates = delegatesFor(prisma);
+    const wheres = buildScopeWheres(scope);
+    const records = [];
+    for (const table of CLEANUP_ORDER.filter(name => wheres[name])) {
+        const config = cleanupTableConfig(table);
+        const rows = await findManySafely(delegates[config.delegate], {
+            where: wheres[table],
+            select: {
+                [config.id]: true,
+                [config.date]: true,
+                ...(config.label ? { [config.label]: true } : {})
+            },
+            orderBy: { [config.id]: 'asc' }
+        });
+        for (const row of rows) {
+            records.push({
+                table,
+                id: row[config.id],
+                date: row[config.date] ?? null,
+                label: config.label ? row[config.label] ?? null : null
+            });
+        }
+    }
+
+    const counts = {};
+    for (const record of records) {
+        counts[record.table] = (counts[record.table] || 0) + 1;
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        scope: describeCleanupScope(scope),
+        counts,
+        records
+    };
+};
+
 const buildSchoolYearArchivePreview = async (schoolYear) => {
     const range = parseSchoolYear(schoolYear);
     const delegates = delegatesFor(prisma);
@@ -318,6 +507,7 @@ const collectArchivePayload = async (schoolYear, createdBy) => {
         manifest: {
             application: 'BITS',
             archiveType: 'school-year-operational-data',
+            schemaVersion: ARCHIVE_SCHEMA_VERSION,
             schoolYear: range.label,
             createdAt: new Date().toISOString(),
             createdBy,
@@ -353,46 +543,76 @@ const writeArchiveFile = async (payload, archiveName) => {
     return filePath;
 };
 
-const resetOperationalData = async (tx, userId, details) => {
+const cleanupArchiveName = (date) => `BITS-Archive-Cleanup-${date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}.json.gz`;
+
+// The rows a cleanup is about to delete, in the school-year archive layout so
+// the archive can be inspected, searched and restored like any other
+const collectCleanupArchivePayload = async (client, scope, wheres, createdBy, createdAt) => {
+    const delegates = delegatesFor(client);
+    const tables = CLEANUP_ORDER.filter(table => wheres[table] && table !== 'workstationSessions');
+    const rows = await Promise.all(tables.map(table => findManySafely(
+        delegates[cleanupTableConfig(table).delegate],
+        { where: wheres[table] }
+    )));
+
+    return {
+        manifest: {
+            application: 'BITS',
+            archiveType: 'operational-cleanup',
+            schemaVersion: ARCHIVE_SCHEMA_VERSION,
+            schoolYear: null,
+            createdAt: createdAt.toISOString(),
+            createdBy,
+            scope: describeCleanupScope(scope),
+            excludedFromArchive: wheres.workstationSessions ? ['workstationSessions'] : [],
+            format: 'json-gzip'
+        },
+        data: Object.fromEntries(tables.map((table, index) => [table, rows[index]]))
+    };
+};
+
+const resetOperationalData = async (tx, userId, details, scope = fullCleanupScope()) => {
     const delegates = delegatesFor(tx);
+    const wheres = buildScopeWheres(scope);
     const deleted = {};
-    deleted.notificationReads = await deleteManySafely(delegates.notificationRead, {});
-    deleted.notifications = await deleteManySafely(delegates.auditLog, {});
-    deleted.formAttachments = await deleteManySafely(delegates.formAttachment, {});
-    deleted.formHistory = await deleteManySafely(delegates.formHistory, {});
-    deleted.forms = await deleteManySafely(delegates.form, {});
-    deleted.tickets = await deleteManySafely(delegates.ticket, {});
-    deleted.borrowingComputers = await deleteManySafely(delegates.borrowingComp, {});
-    deleted.borrowItems = await deleteManySafely(delegates.borrowItem, {});
-    deleted.bookings = await deleteManySafely(delegates.bookedRoom, {});
-    deleted.schedules = await deleteManySafely(delegates.schedule, {});
-    deleted.workstationSessions = await deleteManySafely(delegates.computerHeartbeat, {});
-    deleted.reports = await deleteManySafely(delegates.weeklyReport, {});
+    for (const table of CLEANUP_ORDER.filter(name => wheres[name])) {
+        for (const detach of CLEANUP_DETACH[table] || []) {
+            await updateManySafely(delegates[detach.delegate], {
+                where: Object.keys(wheres[table]).length
+                    ? { [detach.relation]: { is: wheres[table] } }
+                    : { [detach.column]: { not: null } },
+                data: { [detach.column]: null }
+            });
+        }
+        deleted[table] = await deleteManySafely(delegates[cleanupTableConfig(table).delegate], { where: wheres[table] });
+    }
 
     const reset = {};
-    reset.rooms = await updateManySafely(delegates.room, {
-        data: {
-            Status: 'AVAILABLE',
-            Current_Use_Type: null,
-            Opened_By: null,
-            Opened_At: null,
-            Closed_At: null
-        }
-    });
+    if (scope.full) {
+        reset.rooms = await updateManySafely(delegates.room, {
+            data: {
+                Status: 'AVAILABLE',
+                Current_Use_Type: null,
+                Opened_By: null,
+                Opened_At: null,
+                Closed_At: null
+            }
+        });
 
-    reset.computers = await updateManySafely(delegates.computer, {
-        data: {
-            Status: 'AVAILABLE',
-            Is_Online: false,
-            Current_User_ID: null,
-            Last_Seen: null
-        }
-    });
+        reset.computers = await updateManySafely(delegates.computer, {
+            data: {
+                Status: 'AVAILABLE',
+                Is_Online: false,
+                Current_User_ID: null,
+                Last_Seen: null
+            }
+        });
 
-    reset.borrowedItems = await updateManySafely(delegates.item, {
-        where: { Status: 'BORROWED' },
-        data: { Status: 'AVAILABLE' }
-    });
+        reset.borrowedItems = await updateManySafely(delegates.item, {
+            where: { Status: 'BORROWED' },
+            data: { Status: 'AVAILABLE' }
+        });
+    }
 
     if (delegates.auditLog) {
         await delegates.auditLog.create({
@@ -401,7 +621,8 @@ const resetOperationalData = async (tx, userId, details) => {
                 Action: details.action,
                 Log_Type: 'SYSTEM',
                 Is_Notification: false,
-                Details: details.message
+                Details: details.message,
+                Notification_Data: details.data
             }
         });
     }
@@ -467,13 +688,39 @@ const resetSchoolYearOperationalData = async (tx, userId, schoolYear, details) =
     return { deleted, reset };
 };
 
-const getCleanupPreview = async (_req, res) => {
+const getCleanupPreview = async (req, res) => {
     try {
-        const preview = await buildCleanupPreview();
+        const preview = await buildCleanupPreview(await parseCleanupScope(req.query));
         res.json({ success: true, data: preview });
     } catch (error) {
         console.error('Error building cleanup preview:', error);
-        res.status(500).json({ success: false, error: 'Failed to build cleanup preview' });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to build cleanup preview',
+            details: error.details || undefined
+        });
+    }
+};
+
+const getCleanupReport = async (req, res) => {
+    try {
+        const report = await buildCleanupReport(await parseCleanupScope(req.query));
+        if (req.query.format === 'csv') {
+            return sendCsv(res, `cleanup-dry-run-${report.generatedAt.slice(0, 10)}.csv`, [
+                { header: 'Table', value: 'table' },
+                { header: 'ID', value: 'id' },
+                { header: 'Date', value: 'date' },
+                { header: 'Label', value: 'label' }
+            ], report.records);
+        }
+        res.json({ success: true, data: report });
+    } catch (error) {
+        console.error('Error building cleanup report:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to build cleanup report',
+            details: error.details || undefined
+        });
     }
 };
 
@@ -500,24 +747,45 @@ const runCleanup = async (req, res) => {
             });
         }
 
-        const before = await buildCleanupPreview();
+        const scope = await parseCleanupScope(req.body);
+        const before = await buildCleanupPreview(scope);
         const userId = req.user?.User_ID || null;
-        const result = await prisma.$transaction((tx) => resetOperationalData(tx, userId, {
-            action: 'DATABASE_CLEANUP',
-            message: 'Operational data reset by admin'
-        }));
+        const now = new Date();
+        const archiveName = cleanupArchiveName(now);
+
+        // Archive and delete from one snapshot so exactly the archived rows go
+        const result = await prisma.$transaction(async (tx) => {
+            const wheres = buildScopeWheres(scope);
+            await writeArchiveFile(await collectCleanupArchivePayload(tx, scope, wheres, userId, now), archiveName);
+            return resetOperationalData(tx, userId, {
+                action: 'DATABASE_CLEANUP',
+                message: scope.full
+                    ? `Operational data reset by admin; archived to ${archiveName}`
+                    : `Operational data cleanup (${scope.tables.join(', ')}) by admin; archived to ${archiveName}`,
+                data: { scope: describeCleanupScope(scope), archiveName }
+            }, scope);
+        }, {
+            isolationLevel: Prisma.TransactionIsolationLevel?.RepeatableRead,
+            timeout: CLEANUP_TIMEOUT_MS
+        });
 
         res.json({
             success: true,
             data: {
                 message: 'Operational data cleanup completed',
+                archiveName,
+                downloadUrl: `/maintenance/archives/${encodeURIComponent(archiveName)}`,
                 before,
                 result
             }
         });
     } catch (error) {
         console.error('Error running cleanup:', error);
-        res.status(500).json({ success: false, error: 'Failed to run cleanup' });
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to run cleanup',
+            details: error.details || undefined
+        });
     }
 };
 
@@ -567,7 +835,7 @@ const runSchoolYearArchiveCleanup = async (req, res) => {
 const downloadArchive = async (req, res) => {
     try {
         const fileName = path.basename(req.params.fileName || '');
-        if (!/^BITS-Archive-SY-\d{4}-\d{4}\.json\.gz$/.test(fileName)) {
+        if (!ARCHIVE_FILE_PATTERN.test(fileName)) {
             return res.status(400).json({ success: false, error: 'Invalid archive file name' });
         }
 
@@ -585,7 +853,7 @@ const listArchiveFiles = async (_req, res) => {
         await fs.mkdir(archiveDir, { recursive: true });
         const entries = await fs.readdir(archiveDir, { withFileTypes: true });
         const files = await Promise.all(entries
-            .filter((entry) => entry.isFile() && /^BITS-Archive-SY-\d{4}-\d{4}\.json\.gz$/.test(entry.name))
+            .filter((entry) => entry.isFile() && ARCHIVE_FILE_PATTERN.test(entry.name))
             .map(async (entry) => {
                 const filePath = path.join(archiveDir, entry.name);
                 const stats = await fs.stat(filePath);
@@ -606,13 +874,131 @@ const listArchiveFiles = async (_req, res) => {
     }
 };
 
+const getArchiveInspection = async (req, res) => {
+    try {
+        const inspection = await inspectArchive(req.params.fileName);
+        res.json({ success: true, data: inspection });
+    } catch (error) {
+        console.error('Error inspecting archive:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Failed to inspect archive',
+            details: error.details || undefined
+        });
+    }
+};
+
+const listArchiveRecords = async (req, res) => {
+    try {
+        const { records, meta } = await browseArchive(req.params.fileName, req.query);
+        res.json({ success: true, data: records, meta });
+    } catch (error) {
+        console.error('Error browsing archive records:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Failed to read archive records',
+            details: error.details || undefined
+        });
+    }
+};
+
+const runArchiveRestore = async (req, res) => {
+    try {
+        const confirmation = String(req.body?.confirmation || '').trim();
+        if (confirmation !== RESTORE_CONFIRMATION_TEXT) {
+            return res.status(400).json({
+                success: false,
+                error: `Confirmation text must exactly match: ${RESTORE_CONFIRMATION_TEXT}`
+            });
+        }
+
+        const result = await restoreArchive(req.params.fileName, {
+            tables: req.body.tables,
+            target: req.body.target
+        }, req.user?.User_ID || null);
+
+        res.json({
+            success: true,
+            data: {
+                message: `Archive ${result.archiveName} restored into the ${result.target} database`,
+                ...result
+            }
+        });
+    } catch (error) {
+        console.error('Error restoring archive:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Failed to restore archive',
+            details: error.details || undefined
+        });
+    }
+};
+
+const listBackupFiles = async (_req, res) => {
+    try {
+        const backups = await listBackups();
+        res.json({ success: true, data: backups, meta: { retention: getRetentionPolicy() } });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ success: false, error: 'Failed to list backups' });
+    }
+};
+
+const downloadBackup = async (req, res) => {
+    try {
+        const filePath = backupPath(req.params.fileName);
+        await fs.access(filePath);
+        res.download(filePath, path.basename(filePath));
+    } catch (error) {
+        console.error('Error downloading backup:', error);
+        res.status(error.statusCode || 404).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Backup not found'
+        });
+    }
+};
+
+const runBackupNow = async (req, res) => {
+    try {
+        const result = await runBackup(req.user?.User_ID || null);
+        res.json({
+            success: true,
+            data: {
+                message: `Backup ${result.fileName} written and verified`,
+                ...result
+            }
+        });
+    } catch (error) {
+        console.error('Error running backup:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Failed to run backup'
+        });
+    }
+};
+
+const runBackupVerification = async (req, res) => {
+    try {
+        const result = await verifyBackup(req.params.fileName);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error verifying backup:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Failed to verify backup'
+        });
+    }
+};
+
+const BACKUP_ACTIONS = ['DATABASE_BACKUP', 'DATABASE_BACKUP_FAILED'];
+
 const listMaintenanceHistory = async (_req, res) => {
     try {
         const delegates = delegatesFor(prisma);
         const rows = delegates.auditLog ? await delegates.auditLog.findMany({
             where: {
                 Action: {
-                    in: ['DATABASE_CLEANUP', 'SCHOOL_YEAR_ARCHIVE_CLEANUP']
+                    in: ['DATABASE_CLEANUP', 'SCHOOL_YEAR_ARCHIVE_CLEANUP', 'ARCHIVE_RESTORED', ...BACKUP_ACTIONS]
                 }
             },
             take: 20,
@@ -635,6 +1021,10 @@ const listMaintenanceHistory = async (_req, res) => {
                 action: row.Action,
                 details: row.Details,
                 timestamp: row.Timestamp,
+                backup: BACKUP_ACTIONS.includes(row.Action) ? {
+                    status: row.Action === 'DATABASE_BACKUP' ? 'SUCCESS' : 'FAILED',
+                    ...(row.Notification_Data || {})
+                } : undefined,
                 user: row.User ? {
                     firstName: row.User.First_Name,
                     lastName: row.User.Last_Name,
@@ -651,11 +1041,20 @@ const listMaintenanceHistory = async (_req, res) => {
 module.exports = {
     CONFIRMATION_TEXT,
     ARCHIVE_CONFIRMATION_TEXT,
+    RESTORE_CONFIRMATION_TEXT,
     getCleanupPreview,
+    getCleanupReport,
     getSchoolYearArchivePreview,
     runCleanup,
     runSchoolYearArchiveCleanup,
     downloadArchive,
     listArchiveFiles,
+    getArchiveInspection,
+    listArchiveRecords,
+    runArchiveRestore,
+    listBackupFiles,
+    downloadBackup,
+    runBackupNow,
+    runBackupVerification,
     listMaintenanceHistory
 };
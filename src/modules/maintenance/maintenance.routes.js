@@ -5,20 +5,37 @@ const { authorize } = require('../../middleware/authorize');
 const asyncHandler = require('../../utils/asyncHandler');
 const {
     getCleanupPreview,
+    getCleanupReport,
     getSchoolYearArchivePreview,
     runCleanup,
     runSchoolYearArchiveCleanup,
     downloadArchive,
     listArchiveFiles,
+    getArchiveInspection,
+    listArchiveRecords,
+    runArchiveRestore,
+    listBackupFiles,
+    downloadBackup,
+    runBackupNow,
+    runBackupVerification,
     listMaintenanceHistory
 } = require('./maintenance.controller');
 
-router.get('/cleanup-preview', authenticateToken, authorize('ADMIN'), asyncHandler(getCleanupPreview));
-router.get('/school-year-archive-preview', authenticateToken, authorize('ADMIN'), asyncHandler(getSchoolYearArchivePreview));
-router.get('/archives', authenticateToken, authorize('ADMIN'), asyncHandler(listArchiveFiles));
-router.get('/archives/:fileName', authenticateToken, authorize('ADMIN'), asyncHandler(downloadArchive));
-router.get('/history', authenticateToken, authorize('ADMIN'), asyncHandler(listMaintenanceHistory));
-router.post('/cleanup', authenticateToken, authorize('ADMIN'), asyncHandler(runCleanup));
-router.post('/school-year-archive-cleanup', authenticateToken, authorize('ADMIN'), asyncHandler(runSchoolYearArchiveCleanup));
+router.get('/cleanup-preview', authenticateToken, authorize.can('maintenance.view'), asyncHandler(getCleanupPreview));
+router.get('/cleanup-report', authenticateToken, authorize.can('maintenance.view'), asyncHandler(getCleanupReport));
+router.get('/school-year-archive-preview', authenticateToken, authorize.can('maintenance.view'), asyncHandler(getSchoolYearArchivePreview));
+router.get('/archives', authenticateToken, authorize.can('maintenance.view'), asyncHandler(listArchiveFiles));
+router.get('/archives/:fileName/inspect', authenticateToken, authorize.can('maintenance.view'), asyncHandler(getArchiveInspection));
+router.get('/archives/:fileName/records', authenticateToken, authorize.can('maintenance.view'), asyncHandler(listArchiveRecords));
+router.get('/archives/:fileName', authenticateToken, authorize.can('maintenance.view'), asyncHandler(downloadArchive));
+router.get('/backups', authenticateToken, authorize.can('maintenance.view'), asyncHandler(listBackupFiles));
+router.get('/backups/:fileName', authenticateToken, authorize.can('maintenance.view'), asyncHandler(downloadBackup));
+router.get('/history', authenticateToken, authorize.can('maintenance.view'), asyncHandler(listMaintenanceHistory));
+router.post('/cleanup', authenticateToken, authorize.can('maintenance.run'), asyncHandler(runCleanup));
+router.post('/school-year-archive-cleanup', authenticateToken, authorize.can('maintenance.run'), asyncHandler(runSchoolYearArchiveCleanup));
+router.post('/archives/:fileName/restore', authenticateToken, authorize.can('maintenance.run'), asyncHandler(runArchiveRestore));
+
+router.post('/backups', authenticateToken, authorize.can('maintenance.run'), asyncHandler(runBackupNow));
+router.post('/backups/:fileName/verify', authenticateToken, authorize.can('maintenance.view'), asyncHandler(runBackupVerification));
 
 module.exports = router;
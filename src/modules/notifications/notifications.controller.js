@@ -1,5 +1,7 @@
 const prisma = require('../../lib/prisma');
 const NotificationService = require('../../services/notificationService');
+const EmailNotificationService = require('../../services/emailNotificationService');
+const NotificationMuteService = require('../../services/notificationMuteService');
 
 // Get user's notifications
 const getNotifications = async (req, res) => {
@@ -186,6 +188,69 @@ const getNotificationById = async (req, res) => {
   }
 };
 
+// Email delivery preferences and mute rules of the signed-in user
+const buildPreferences = async (user) => ({
+  email: {
+    enabled: EmailNotificationService.isEnabled(),
+    address: user.Email || null,
+    types: await EmailNotificationService.getPreferences(user.User_ID),
+  },
+  mute: await NotificationMuteService.getRules(user.User_ID),
+});
+
+// Get notification preferences
+const getPreferences = async (req, res) => {
+  try {
+    res.json({ success: true, data: await buildPreferences(req.user) });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification preferences',
+    });
+  }
+};
+
+// Update notification preferences; types and mute rules not sent are kept
+const updatePreferences = async (req, res) => {
+  try {
+    if (req.body.email) {
+      await EmailNotificationService.setPreferences(req.user.User_ID, req.body.email);
+    }
+    if (req.body.mute) {
+      await NotificationMuteService.setRules(req.user.User_ID, req.body.mute);
+    }
+    res.json({ success: true, data: await buildPreferences(req.user) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, details: error.details || undefined });
+    }
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification preferences',
+    });
+  }
+};
+
+// Send a test e-mail to the signed-in user
+const sendTestEmail = async (req, res) => {
+  try {
+    const result = await EmailNotificationService.sendTestEmail(req.user);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error sending test e-mail:', error);
+    res.status(502).json({
+      success: false,
+      error: 'The mail server did not accept the test e-mail',
+      details: error.message,
+    });
+  }
+};
+
 module.exports = {
   getNotifications,
   getUnreadCount,
@@ -194,5 +259,8 @@ module.exports = {
   markAllAsRead,
   archiveNotification,
   restoreNotification,
-  getNotificationById
+  getNotificationById,
+  getPreferences,
+  updatePreferences,
+  sendTestEmail
 };
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
 const asyncHandler = require('../../utils/asyncHandler');
+const { validate, notificationPreferenceSchemas } = require('../../middleware/validate');
 const {
   getNotifications,
   getUnreadCount,
@@ -10,7 +11,10 @@ const {
   markAllAsRead,
   archiveNotification,
   restoreNotification,
-  getNotificationById
+  getNotificationById,
+  getPreferences,
+  updatePreferences,
+  sendTestEmail
 } = require('./notifications.controller');
 
 // Get user's notifications
@@ -19,6 +23,11 @@ router.get('/', authenticateToken, asyncHandler(getNotifications));
 // Get unread notification count
 router.get('/unread-count', authenticateToken, asyncHandler(getUnreadCount));
 
+// Delivery preferences (e-mail per notification type)
+router.get('/preferences', authenticateToken, asyncHandler(getPreferences));
+router.put('/preferences', authenticateToken, validate(notificationPreferenceSchemas.update), asyncHandler(updatePreferences));
+router.post('/preferences/test-email', authenticateToken, asyncHandler(sendTestEmail));
+
 // Mark notification as read
 router.patch('/:id/read', authenticateToken, asyncHandler(markAsRead));
 
@@ -0,0 +1,77 @@
+const AuditLogger = require('../../utils/auditLogger');
+const PermissionService = require('../../services/permissionService');
+const { normalizeRole } = require('../../middleware/authorize');
+
+const toMarkdown = ({ roles, permissions }) => {
+  const lines = [
+    `| Permission | ${roles.join(' | ')} | Description |`,
+    `|---|${roles.map(() => ':-:').join('|')}|---|`
+  ];
+  for (const permission of permissions) {
+    const cells = roles.map(role => (permission.roles[role] ? '✓' : ''));
+    lines.push(`| \`${permission.key}\` | ${cells.join(' | ')} | ${permission.description} |`);
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Permissions held by the caller's role (for UI gating)
+ */
+const getMyPermissions = async (req, res) => {
+  const role = normalizeRole(req.user.User_Role);
+  res.json({
+    success: true,
+    data: { role, permissions: role ? await PermissionService.getRolePermissions(role) : [] }
+  });
+};
+
+/**
+ * Role x permission matrix generated from the catalog and the live mapping.
+ * `?format=markdown` returns a table ready to paste into the docs.
+ */
+const getPermissionMatrix = async (req, res) => {
+  const matrix = await PermissionService.getMatrix();
+  if (req.query.format === 'markdown') {
+    return res.type('text/markdown').send(toMarkdown(matrix));
+  }
+  res.json({ success: true, data: matrix });
+};
+
+/**
+ * Replace the permission set of one role
+ */
+const setRolePermissions = async (req, res) => {
+  const role = String(req.params.role || '').toUpperCase();
+  const result = await PermissionService.setRolePermissions(role, req.body.permissions, req.user.User_ID);
+  const permissions = await PermissionService.getRolePermissions(role);
+
+  if (result.added.length || result.removed.length) {
+    const changes = [
+      result.added.length && `granted ${result.added.join(', ')}`,
+      result.removed.length && `revoked ${result.removed.join(', ')}`
+    ].filter(Boolean).join('; ');
+
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'ROLE_PERMISSIONS_UPDATED',
+      logType: 'AUTH',
+      details: `${req.user.First_Name} ${req.user.Last_Name} ${changes} for ${role}`,
+      notificationData: { role, ...result },
+      entityType: 'ROLE',
+      entityId: role,
+      before: { Permissions: [...permissions.filter(key => !result.added.includes(key)), ...result.removed].sort() },
+      after: { Permissions: permissions }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { role, permissions, ...result }
+  });
+};
+
+module.exports = {
+  getMyPermissions,
+  getPermissionMatrix,
+  setRolePermissions
+};
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const { authorize } = require('../../middleware/authorize');
+const { validate, permissionSchemas } = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+  getMyPermissions,
+  getPermissionMatrix,
+  setRolePermissions
+} = require('./permissions.controller');
+
+// Caller's own permissions
+router.get('/me', authenticateToken, asyncHandler(getMyPermissions));
+
+// Role x permission matrix (JSON, or ?format=markdown)
+router.get('/matrix', authenticateToken, authorize.can('permissions.manage'), asyncHandler(getPermissionMatrix));
+
+// Replace one role's permission set
+router.put(
+  '/roles/:role',
+  authenticateToken,
+  authorize.can('permissions.manage'),
+  validate(permissionSchemas.setRolePermissions),
+  asyncHandler(setRolePermissions)
+);
+
+module.exports = router;
@@ -1,39 +1,7 @@
 const prisma = require('../../lib/prisma');
 const AuditLogger = require('../../utils/auditLogger');
-
-const csvEscape = (value) => {
-    if (value === null || value === undefined) return '';
-
-    let stringValue = value instanceof Date
-        ? value.toISOString()
-        : typeof value === 'object'
-            ? JSON.stringify(value)
-            : String(value);
-
-    // Prevent spreadsheet formula execution when CSVs are opened in Excel.
-    if (/^[=+\-@]/.test(stringValue.trim())) {
-        stringValue = `'${stringValue}`;
-    }
-
-    if (/[",\r\n]/.test(stringValue)) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
-    }
-
-    return stringValue;
-};
-
-const sendCsv = (res, filename, columns, rows) => {
-    const header = columns.map(column => csvEscape(column.header)).join(',');
-    const body = rows.map(row =>
-        columns.map(column => csvEscape(
-            typeof column.value === 'function' ? column.value(row) : row[column.value]
-        )).join(',')
-    );
-
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send([header, ...body].join('\r\n'));
-};
+const AcademicCalendarService = require('../../services/academicCalendarService');
+const { sendCsv } = require('../../utils/csvExport');
 
 const formatDate = (value) => {
     if (!value) return '';
@@ -248,6 +216,8 @@ const createReport = async (req, res) => {
 
     const reportStatus = status === 'SUBMITTED' ? 'SUBMITTED' : 'DRAFT';
 
+    const semester = await AcademicCalendarService.findSemesterFor(start);
+
     let report;
     try {
         report = await prisma.weekly_Report.create({
@@ -255,6 +225,7 @@ const createReport = async (req, res) => {
                 User_ID: userId,
                 Week_Start: start,
                 Week_End: end,
+                Semester_ID: semester?.Semester_ID ?? null,
                 Tasks: tasks || { completed: [], pending: [], inProgress: [] },
                 Issues_Reported: tasks ? (tasks.completed.length + tasks.pending.length + tasks.inProgress.length) : 0,
                 Notes: notes || null,
@@ -278,12 +249,24 @@ const createReport = async (req, res) => {
         throw err;
     }
 
+    const reportChange = { entityType: 'WEEKLY_REPORT', entityId: report.Report_ID, after: report };
     if (reportStatus === 'SUBMITTED') {
         await AuditLogger.logReport(
             userId,
             'REPORT_SUBMITTED',
             `${req.user.First_Name} ${req.user.Last_Name} submitted a weekly report for ${start.toDateString()} - ${end.toDateString()}`,
-            ['LAB_HEAD']
+            ['LAB_HEAD'],
+            null,
+            reportChange
+        );
+    } else {
+        await AuditLogger.logReport(
+            userId,
+            'REPORT_CREATED',
+            `${req.user.First_Name} ${req.user.Last_Name} drafted a weekly report for ${start.toDateString()} - ${end.toDateString()}`,
+            null,
+            null,
+            reportChange
         );
     }
 
@@ -292,7 +275,7 @@ const createReport = async (req, res) => {
 
 // GET /api/reports - List reports (role-based)
 const getReports = async (req, res) => {
-    const { userId, status } = req.query;
+    const { userId, status, semesterId } = req.query;
 
     let whereClause = {};
 
@@ -310,6 +293,9 @@ const getReports = async (req, res) => {
         whereClause.Status = status.toUpperCase();
     }
 
+    const parsedSemesterId = parsePositiveInt(semesterId);
+    if (parsedSemesterId) whereClause.Semester_ID = parsedSemesterId;
+
     const reports = await prisma.weekly_Report.findMany({
         where: whereClause,
         include: {
@@ -722,6 +708,15 @@ const updateReport = async (req, res) => {
         }
     });
 
+    await AuditLogger.logReport(
+        req.user.User_ID,
+        'REPORT_UPDATED',
+        `${req.user.First_Name} ${req.user.Last_Name} updated draft weekly report #${report.Report_ID}`,
+        null,
+        null,
+        { entityType: 'WEEKLY_REPORT', entityId: report.Report_ID, before: report, after: updatedReport }
+    );
+
     res.json({ success: true, data: updatedReport });
 };
 
@@ -774,7 +769,9 @@ const submitReport = async (req, res) => {
         req.user.User_ID,
         'REPORT_SUBMITTED',
         `${req.user.First_Name} ${req.user.Last_Name} submitted weekly report #${report.Report_ID}`,
-        ['LAB_HEAD']
+        ['LAB_HEAD'],
+        null,
+        { entityType: 'WEEKLY_REPORT', entityId: report.Report_ID, before: report, after: updatedReport }
     );
 
     res.json({ success: true, data: updatedReport });
@@ -830,7 +827,8 @@ const reviewReport = async (req, res) => {
         'REPORT_REVIEWED',
         `${req.user.First_Name} ${req.user.Last_Name} reviewed weekly report #${report.Report_ID}`,
         null,
-        report.User_ID
+        report.User_ID,
+        { entityType: 'WEEKLY_REPORT', entityId: report.Report_ID, before: report, after: updatedReport }
     );
 
     res.json({ success: true, data: updatedReport });
@@ -967,10 +965,12 @@ const exportRoomsCsv = async (req, res) => {
 
 // GET /api/reports/weekly.csv - Download weekly reports CSV
 const exportWeeklyReportsCsv = async (req, res) => {
-    const { userId, status, from, to } = req.query;
+    const { userId, status, from, to, semesterId } = req.query;
     const whereClause = {
         ...buildDateRangeWhere('Week_Start', { from, to })
     };
+    const parsedSemesterId = parsePositiveInt(semesterId);
+    if (parsedSemesterId) whereClause.Semester_ID = parsedSemesterId;
 
     if (req.user.User_Role === 'LAB_TECH') {
         whereClause.User_ID = req.user.User_ID;
@@ -1046,6 +1046,14 @@ const deleteReport = async (req, res) => {
     }
 
     await prisma.weekly_Report.delete({ where: { Report_ID: reportId } });
+    await AuditLogger.logReport(
+        req.user.User_ID,
+        'REPORT_DELETED',
+        `${req.user.First_Name} ${req.user.Last_Name} deleted draft weekly report #${report.Report_ID}`,
+        null,
+        null,
+        { entityType: 'WEEKLY_REPORT', entityId: report.Report_ID, before: report }
+    );
     res.json({ success: true, data: { Report_ID: reportId } });
 };
 
@@ -22,91 +22,91 @@ const {
 // Create a new report
 router.post('/',
     authenticateToken,
-    authorize('LAB_TECH'),
+    authorize.can('reports.write'),
     asyncHandler(createReport)
 );
 
 // List reports (role-based)
 router.get('/',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD'),
+    authorize.can('reports.view'),
     asyncHandler(getReports)
 );
 
 // Auto-populate report from tickets
 router.get('/auto-populate',
     authenticateToken,
-    authorize('LAB_TECH'),
+    authorize.can('reports.write'),
     asyncHandler(autoPopulate)
 );
 
 // Dashboard report summary
 router.get('/summary',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('reports.export'),
     asyncHandler(getDashboardReportSummary)
 );
 
 // Dashboard report summary export
 router.get('/summary.csv',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('reports.export'),
     asyncHandler(exportDashboardSummaryCsv)
 );
 
 // Inventory report export
 router.get('/inventory.csv',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('reports.export'),
     asyncHandler(exportInventoryCsv)
 );
 
 // Room report export
 router.get('/rooms.csv',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('reports.export'),
     asyncHandler(exportRoomsCsv)
 );
 
 // Weekly reports export
 router.get('/weekly.csv',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD', 'ADMIN'),
+    authorize.can('reports.export'),
     asyncHandler(exportWeeklyReportsCsv)
 );
 
 // Get a single report
 router.get('/:id',
     authenticateToken,
-    authorize('LAB_TECH', 'LAB_HEAD'),
+    authorize.can('reports.view'),
     asyncHandler(getReportById)
 );
 
 // Update own draft report
 router.put('/:id',
     authenticateToken,
-    authorize('LAB_TECH'),
+    authorize.can('reports.write'),
     asyncHandler(updateReport)
 );
 
 // Submit a draft report
 router.patch('/:id/submit',
     authenticateToken,
-    authorize('LAB_TECH'),
+    authorize.can('reports.write'),
     asyncHandler(submitReport)
 );
 
 // Review a submitted report (Lab Head)
 router.patch('/:id/review',
     authenticateToken,
-    authorize('LAB_HEAD'),
+    authorize.can('reports.review'),
     asyncHandler(reviewReport)
 );
 
 // Delete own DRAFT report
 router.delete('/:id',
     authenticateToken,
-    authorize('LAB_TECH'),
+    authorize.can('reports.write'),
     asyncHandler(deleteReport)
 );
 
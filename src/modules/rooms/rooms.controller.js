@@ -1,6 +1,8 @@
 const prisma = require('../../lib/prisma');
 const AuditLogger = require('../../utils/auditLogger');
 const NotificationManager = require('../../services/notificationManager');
+const BookingCheckInService = require('../../services/bookingCheckInService');
+const AcademicCalendarService = require('../../services/academicCalendarService');
 const { findScheduleConflict, formatScheduleTime, parseDays, getLocalDateParts, DEFAULT_TIMEZONE_OFFSET_MINUTES } = require('../../utils/scheduleConflict');
 
 // Public student landing schedule window (hours, local time)
@@ -205,12 +207,11 @@ const createRoom = async (req, res) => {
       select: { Room_ID: true, Name: true, Capacity: true, Room_Type: true, Lab_Type: true, Status: true, Is_Bookable: true, Created_At: true, Updated_At: true }
     });
 
-    // Audit Log
-    await AuditLogger.log(
-      req.user.User_ID,
-      'ROOM_UPDATED', // Using ROOM_UPDATED as generic 'Room Mgmt' action, or create specific ROOM_CREATED if enum allows
-      `Created room ${Name}`
-    );
+    await AuditLogger.logRoom(req.user.User_ID, 'ROOM_CREATED', `Created room ${newRoom.Name}`, {
+      entityType: 'ROOM',
+      entityId: newRoom.Room_ID,
+      after: newRoom
+    });
 
     res.status(201).json({ success: true, data: newRoom });
   } catch (error) {
@@ -293,11 +294,12 @@ const updateRoom = async (req, res) => {
     if (Status === 'CLOSED') action = 'ROOM_CLOSED';
     if (Status === 'AVAILABLE' && req.body.Status) action = 'ROOM_OPENED';
 
-    await AuditLogger.log(
-      req.user.User_ID,
-      action,
-      `Updated room ${updatedRoom.Name}`
-    );
+    await AuditLogger.logRoom(req.user.User_ID, action, `Updated room ${updatedRoom.Name}`, {
+      entityType: 'ROOM',
+      entityId: roomId,
+      before: existingRoom,
+      after: updatedRoom
+    });
 
     res.json({ success: true, data: { message: 'Room updated successfully', room: updatedRoom } });
   } catch (error) {
@@ -327,11 +329,12 @@ const deleteRoom = async (req, res) => {
       prisma.Room.delete({ where: { Room_ID: roomId } })
     ]);
 
-    await AuditLogger.log(
-      req.user.User_ID,
-      'ROOM_UPDATED',
-      `Deleted room ${existingRoom.Name}`
-    );
+    const { Booked_Rooms, Schedule, ...deletedRoom } = existingRoom;
+    await AuditLogger.logRoom(req.user.User_ID, 'ROOM_DELETED', `Deleted room ${existingRoom.Name}`, {
+      entityType: 'ROOM',
+      entityId: roomId,
+      before: deletedRoom
+    });
 
     res.json({ success: true, data: { message: 'Room and related data deleted successfully' } });
   } catch (error) {
@@ -383,7 +386,8 @@ const setStudentAvailability = async (req, res) => {
     }
 
     // Check for overlapping recurring class schedules
-    const conflictingSchedule = findScheduleConflict(room.Schedule, requestedStart, requestedEnd);
+    const closedDates = await AcademicCalendarService.getClosedDates();
+    const conflictingSchedule = findScheduleConflict(room.Schedule, requestedStart, requestedEnd, { closedDates });
 
     if (conflictingSchedule) {
       return res.status(409).json({
@@ -521,6 +525,9 @@ const setStudentAvailability = async (req, res) => {
       isNotification: true,
       notifyRole: 'STUDENT', // Notify all students
       details: message,
+      entityType: 'BOOKING',
+      entityId: booking.Booked_Room_ID,
+      after: booking,
       notificationData: {
         roomId: room.Room_ID,
         roomName: room.Name,
@@ -762,6 +769,7 @@ const getPublicRoomSchedule7Day = async (req, res) => {
     const windowEnd = new Date(todayStartUtc.getTime() + PUBLIC_SCHEDULE_DAYS * 24 * 60 * 60 * 1000);
 
     // Fetch recurring schedules and concrete bookings that could fall in this window.
+    const closedDates = await AcademicCalendarService.getClosedDates();
     const [schedules, bookings] = await Promise.all([
       prisma.Schedule.findMany({
         where: { Room_ID: roomId, IsActive: true },
@@ -810,6 +818,7 @@ const getPublicRoomSchedule7Day = async (req, res) => {
       const dayOfWeek = dayLocal.getUTCDay();
       const dateStr = `${dayLocal.getUTCFullYear()}-${String(dayLocal.getUTCMonth() + 1).padStart(2, '0')}-${String(dayLocal.getUTCDate()).padStart(2, '0')}`;
 
+      const isClosed = closedDates.has(dateStr);
       const slots = [];
       for (let h = PUBLIC_SCHEDULE_HOUR_START; h < PUBLIC_SCHEDULE_HOUR_END; h++) {
         // Slot window in real UTC.
@@ -820,9 +829,10 @@ const getPublicRoomSchedule7Day = async (req, res) => {
 
         const sources = [];
 
-        // Matching recurring schedules (by day-of-week + minute-of-day overlap).
+        // Matching recurring schedules (by day-of-week + minute-of-day overlap);
+        // classes don't meet on holidays and suspension days.
         for (const s of preparedSchedules) {
-          if (!s.days.includes(dayOfWeek)) continue;
+          if (isClosed || !s.days.includes(dayOfWeek)) continue;
           if (s.startMinutes < slotEndMinutes && s.endMinutes > slotStartMinutes) {
             sources.push({
               source: 'SCHEDULE',
@@ -852,7 +862,7 @@ const getPublicRoomSchedule7Day = async (req, res) => {
         });
       }
 
-      days.push({ date: dateStr, dayOfWeek, slots });
+      days.push({ date: dateStr, dayOfWeek, closed: isClosed, slots });
     }
 
     res.json({
@@ -886,6 +896,25 @@ const getPublicRooms = async (req, res) => {
   }
 };
 
+// QR code to print in the room; scanning it calls POST /bookings/check-in.
+const getRoomCheckInQr = async (req, res) => {
+  const roomId = parseInt(req.params.id, 10);
+  if (Number.isNaN(roomId)) {
+    return res.status(400).json({ success: false, error: 'Invalid room id' });
+  }
+
+  const room = await prisma.room.findUnique({
+    where: { Room_ID: roomId },
+    select: { Room_ID: true, Name: true },
+  });
+  if (!room) {
+    return res.status(404).json({ success: false, error: 'Room not found' });
+  }
+
+  const { code, qrCodeDataUrl } = await BookingCheckInService.getRoomQrCode(roomId);
+  res.json({ success: true, data: { ...room, code, qrCodeDataUrl } });
+};
+
 module.exports = {
   getRooms,
   getRoomById,
@@ -895,6 +924,7 @@ module.exports = {
   deleteRoom,
   setStudentAvailability,
   getRoomAuditStatus,
+  getRoomCheckInQr,
   getPublicOpenedLabs,
   getPublicLectureRooms,
   getPublicRoomSchedule7Day,
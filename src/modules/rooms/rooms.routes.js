@@ -12,6 +12,7 @@ const {
   deleteRoom,
   setStudentAvailability,
   getRoomAuditStatus,
+  getRoomCheckInQr,
   getPublicOpenedLabs,
   getPublicLectureRooms,
   getPublicRoomSchedule7Day,
@@ -26,12 +27,13 @@ router.get('/public/:roomId/schedule-7day', asyncHandler(getPublicRoomSchedule7D
 router.get('/public', asyncHandler(getPublicRooms));
 
 router.get('/', asyncHandler(getRooms));
-router.get('/opened-labs', authenticateToken, authorize('STUDENT', 'LAB_HEAD', 'LAB_TECH', 'ADMIN'), asyncHandler(getOpenedLabs));
-router.get('/:id/audit-status', authenticateToken, authorize('LAB_HEAD', 'LAB_TECH', 'ADMIN'), asyncHandler(getRoomAuditStatus));
+router.get('/opened-labs', authenticateToken, authorize.can('rooms.view_opened_labs'), asyncHandler(getOpenedLabs));
+router.get('/:id/audit-status', authenticateToken, authorize.can('rooms.audit'), asyncHandler(getRoomAuditStatus));
+router.get('/:id/check-in-qr', authenticateToken, authorize.can('bookings.check_in'), asyncHandler(getRoomCheckInQr));
 router.get('/:id', asyncHandler(getRoomById));
-router.post('/', authenticateToken, authorize('ADMIN', 'LAB_HEAD'), asyncHandler(createRoom));
-router.put('/:id', authenticateToken, authorize('ADMIN', 'LAB_HEAD'), asyncHandler(updateRoom));
-router.delete('/:id', authenticateToken, authorize('ADMIN'), asyncHandler(deleteRoom));
-router.post('/:id/student-availability', authenticateToken, authorize('LAB_HEAD', 'LAB_TECH', 'ADMIN'), asyncHandler(setStudentAvailability));
+router.post('/', authenticateToken, authorize.can('rooms.write'), asyncHandler(createRoom));
+router.put('/:id', authenticateToken, authorize.can('rooms.write'), asyncHandler(updateRoom));
+router.delete('/:id', authenticateToken, authorize.can('rooms.delete'), asyncHandler(deleteRoom));
+router.post('/:id/student-availability', authenticateToken, authorize.can('rooms.audit'), asyncHandler(setStudentAvailability));
 
 module.exports = router;
@@ -1,4 +1,5 @@
 const prisma = require('../../lib/prisma');
+const { AppError } = require('../../middleware/errorHandler');
 const { readXlsxWorkbook } = require('../../utils/xlsxReader');
 const {
   DEFAULT_TIMEZONE_OFFSET_MINUTES,
@@ -290,19 +291,34 @@ const buildSummary = (rows) => ({
   duplicates: rows.filter(row => row.status === 'duplicate').length
 });
 
+// Schedules belong to a semester: the one asked for, else the active one.
+// Only the active semester's schedules are IsActive, so a workbook for next
+// term can be imported early and goes live at its rollover.
+const resolveSemester = async (semesterId) => {
+  if (semesterId !== undefined && semesterId !== null && semesterId !== '') {
+    const semester = await prisma.semester.findUnique({ where: { Semester_ID: parseInt(semesterId, 10) || 0 } });
+    if (!semester) throw new AppError('Semester not found', 404);
+    return semester;
+  }
+  return prisma.semester.findFirst({ where: { Is_Active: true }, orderBy: { Start_Date: 'desc' } });
+};
+
 const analyzeScheduleImport = async (buffer, rawOptions = {}) => {
+  const semester = await resolveSemester(rawOptions.semesterId);
   const options = {
     sheetNames: parseSheetNames(rawOptions.sheets || rawOptions.sheetNames),
     skipDissolved: parseBooleanOption(rawOptions.skipDissolved, true),
     approvedOnly: parseBooleanOption(rawOptions.approvedOnly, true),
     anchorDate: cleanText(rawOptions.anchorDate) || new Date().toISOString().slice(0, 10),
-    timezoneOffsetMinutes: parseInt(rawOptions.timezoneOffsetMinutes, 10) || DEFAULT_TIMEZONE_OFFSET_MINUTES
+    timezoneOffsetMinutes: parseInt(rawOptions.timezoneOffsetMinutes, 10) || DEFAULT_TIMEZONE_OFFSET_MINUTES,
+    semesterId: semester ? semester.Semester_ID : null,
+    activate: semester ? semester.Is_Active : true
   };
 
   const workbook = readXlsxWorkbook(buffer);
   const rooms = await prisma.Room.findMany({ orderBy: { Room_ID: 'asc' } });
   const activeSchedules = await prisma.Schedule.findMany({
-    where: { IsActive: true },
+    where: semester ? { Semester_ID: semester.Semester_ID, Archived_At: null } : { IsActive: true },
     include: { Room: true }
   });
   const matchRoom = buildRoomMatcher(rooms);
@@ -438,8 +454,9 @@ const importScheduleRows = async (buffer, rawOptions, userId) => {
         Start_Time: timeMinutesToDate(preview.options.anchorDate, row.startMinutes, preview.options.timezoneOffsetMinutes),
         End_Time: timeMinutesToDate(preview.options.anchorDate, row.endMinutes, preview.options.timezoneOffsetMinutes),
         Days: row.daysValue,
-        IsActive: true,
+        IsActive: preview.options.activate,
         IsRecurring: true,
+        Semester_ID: preview.options.semesterId,
         Created_By: userId
       }
     })
@@ -467,6 +484,9 @@ const importScheduleRows = async (buffer, rawOptions, userId) => {
 
 module.exports = {
   analyzeScheduleImport,
+  conflictsWithSchedule,
+  getScheduleMinutes,
   importScheduleRows,
-  parseScheduleString
+  parseScheduleString,
+  sameScheduleKey
 };
@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const { authenticateToken } = require('../../middleware/auth');
 const { authorize } = require('../../middleware/authorize');
+const { allowApiToken } = require('../../middleware/apiTokenScope');
 const asyncHandler = require('../../utils/asyncHandler');
 const {
   importOfferedCourseSchedules,
@@ -36,16 +37,18 @@ const uploadWorkbook = (req, res, next) => {
 
 router.post(
   '/import-offered-courses/preview',
+  allowApiToken('schedules:import'),
   authenticateToken,
-  authorize('ADMIN'),
+  authorize.can('schedules.import'),
   uploadWorkbook,
   asyncHandler(previewOfferedCourseImport)
 );
 
 router.post(
   '/import-offered-courses',
+  allowApiToken('schedules:import'),
   authenticateToken,
-  authorize('ADMIN'),
+  authorize.can('schedules.import'),
   uploadWorkbook,
   asyncHandler(importOfferedCourseSchedules)
 );
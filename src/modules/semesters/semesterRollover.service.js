@@ -0,0 +1,193 @@
+const prisma = require('../../lib/prisma');
+const { AppError } = require('../../middleware/errorHandler');
+const { DEFAULT_TIMEZONE_OFFSET_MINUTES } = require('../../utils/scheduleConflict');
+const { getZonedParts, zonedTimeToUtc } = require('../../utils/timezone');
+const {
+  conflictsWithSchedule,
+  getScheduleMinutes,
+  sameScheduleKey
+} = require('../schedules/scheduleImport.service');
+
+const scheduleSummary = schedule => ({
+  scheduleId: schedule.Schedule_ID,
+  roomId: schedule.Room_ID,
+  roomName: schedule.Room?.Name || null,
+  type: schedule.Schedule_Type,
+  title: schedule.Title,
+  days: schedule.Days,
+  semesterId: schedule.Semester_ID
+});
+
+const toCandidate = (schedule) => {
+  const { start, end } = getScheduleMinutes(schedule, DEFAULT_TIMEZONE_OFFSET_MINUTES);
+  return {
+    roomId: schedule.Room_ID,
+    days: String(schedule.Days || '').split(',').map(day => parseInt(day.trim(), 10)).filter(day => !Number.isNaN(day)),
+    daysValue: schedule.Days,
+    startMinutes: start,
+    endMinutes: end,
+    title: schedule.Title
+  };
+};
+
+// Same campus wall-clock time, moved onto the first day of the new term
+const moveToDate = (time, targetStart) => {
+  const { hour, minute } = getZonedParts(time);
+  const { year, month, day } = getZonedParts(targetStart);
+  return zonedTimeToUtc({ year, month, day, hour, minute });
+};
+
+/**
+ * Work out what rolling over to `targetId` would do, without writing.
+ * - close: schedules of the outgoing term (and unlinked legacy ones) that are still active
+ * - activate: schedules already imported into the target term
+ * - clone: recurring STUDENT_USE blocks of the outgoing term, when asked for
+ */
+const planRollover = async (targetId, { fromSemesterId, mode = 'deactivate', cloneStudentUsage = false } = {}) => {
+  const target = await prisma.semester.findUnique({ where: { Semester_ID: targetId } });
+  if (!target) throw new AppError('Semester not found', 404);
+
+  const from = fromSemesterId
+    ? await prisma.semester.findUnique({ where: { Semester_ID: fromSemesterId } })
+    : await prisma.semester.findFirst({
+      where: { Is_Active: true, Semester_ID: { not: targetId } },
+      orderBy: { Start_Date: 'desc' }
+    });
+  if (fromSemesterId && !from) throw new AppError('Previous semester not found', 404);
+  if (from && from.Semester_ID === targetId) {
+    throw new AppError('Cannot roll a semester over into itself', 400);
+  }
+
+  const [toClose, toActivate, targetSchedules, studentUsage] = await Promise.all([
+    prisma.Schedule.findMany({
+      where: {
+        IsActive: true,
+        OR: [{ Semester_ID: null }, ...(from ? [{ Semester_ID: from.Semester_ID }] : [])]
+      },
+      include: { Room: true },
+      orderBy: { Schedule_ID: 'asc' }
+    }),
+    prisma.Schedule.findMany({
+      where: { Semester_ID: targetId, IsActive: false, Archived_At: null },
+      include: { Room: true },
+      orderBy: { Schedule_ID: 'asc' }
+    }),
+    prisma.Schedule.findMany({
+      where: { Semester_ID: targetId, Archived_At: null },
+      include: { Room: true }
+    }),
+    cloneStudentUsage && from
+      ? prisma.Schedule.findMany({
+        where: { Semester_ID: from.Semester_ID, Schedule_Type: 'STUDENT_USE', IsRecurring: true, Archived_At: null },
+        include: { Room: true },
+        orderBy: { Schedule_ID: 'asc' }
+      })
+      : []
+  ]);
+
+  const clone = (studentUsage || []).map((schedule) => {
+    const candidate = toCandidate(schedule);
+    const row = { ...scheduleSummary(schedule), sourceScheduleId: schedule.Schedule_ID };
+
+    const duplicate = (targetSchedules || []).find(existing => sameScheduleKey(candidate, toCandidate(existing)));
+    if (duplicate) {
+      return { ...row, status: 'duplicate', reason: 'Matching schedule already exists in the new semester' };
+    }
+
+    const conflict = (targetSchedules || []).find(existing =>
+      conflictsWithSchedule(candidate, existing, DEFAULT_TIMEZONE_OFFSET_MINUTES)
+    );
+    if (conflict) {
+      return { ...row, status: 'conflict', reason: `Conflicts with ${conflict.Title} in ${conflict.Room?.Name || 'the same room'}` };
+    }
+
+    return { ...row, status: 'valid', reason: 'Ready to clone' };
+  });
+
+  return {
+    target,
+    from,
+    options: { mode, cloneStudentUsage: !!cloneStudentUsage },
+    close: (toClose || []).map(scheduleSummary),
+    activate: (toActivate || []).map(scheduleSummary),
+    clone,
+    summary: {
+      close: (toClose || []).length,
+      activate: (toActivate || []).length,
+      clone: clone.filter(row => row.status === 'valid').length,
+      skipped: clone.filter(row => row.status !== 'valid').length
+    },
+    sources: studentUsage || []
+  };
+};
+
+const previewRollover = async (targetId, options) => {
+  const { sources, ...plan } = await planRollover(targetId, options);
+  return plan;
+};
+
+/**
+ * Make `targetId` the active semester: close last term's schedules, switch
+ * on the ones imported for the new term and copy over the student-usage
+ * blocks that don't clash, all in one transaction.
+ */
+const applyRollover = async (targetId, options, userId) => {
+  const { sources, ...plan } = await planRollover(targetId, options);
+  const sourcesById = new Map(sources.map(schedule => [schedule.Schedule_ID, schedule]));
+  const cloneRows = plan.clone.filter(row => row.status === 'valid');
+
+  const { semester, cloned } = await prisma.$transaction(async (tx) => {
+    if (plan.close.length > 0) {
+      await tx.Schedule.updateMany({
+        where: { Schedule_ID: { in: plan.close.map(row => row.scheduleId) } },
+        data: plan.options.mode === 'archive'
+          ? { IsActive: false, Archived_At: new Date() }
+          : { IsActive: false }
+      });
+    }
+
+    if (plan.activate.length > 0) {
+      await tx.Schedule.updateMany({
+        where: { Schedule_ID: { in: plan.activate.map(row => row.scheduleId) } },
+        data: { IsActive: true }
+      });
+    }
+
+    const created = [];
+    for (const row of cloneRows) {
+      const source = sourcesById.get(row.sourceScheduleId);
+      created.push(await tx.Schedule.create({
+        data: {
+          Room_ID: source.Room_ID,
+          Schedule_Type: source.Schedule_Type,
+          Title: source.Title,
+          Start_Time: moveToDate(source.Start_Time, plan.target.Start_Date),
+          End_Time: moveToDate(source.End_Time, plan.target.Start_Date),
+          Days: source.Days,
+          IsActive: true,
+          IsRecurring: true,
+          Semester_ID: targetId,
+          Created_By: userId
+        }
+      }));
+    }
+
+    await tx.semester.updateMany({ where: { Is_Active: true }, data: { Is_Active: false } });
+    const activated = await tx.semester.update({ where: { Semester_ID: targetId }, data: { Is_Active: true } });
+    return { semester: activated, cloned: created };
+  });
+
+  const clonedIds = new Map(cloneRows.map((row, index) => [row.sourceScheduleId, cloned[index]?.Schedule_ID]));
+  return {
+    ...plan,
+    target: semester,
+    clone: plan.clone.map(row => (row.status === 'valid'
+      ? { ...row, status: 'cloned', scheduleId: clonedIds.get(row.sourceScheduleId), reason: 'Cloned' }
+      : row))
+  };
+};
+
+module.exports = {
+  applyRollover,
+  previewRollover
+};
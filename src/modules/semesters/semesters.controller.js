@@ -1,4 +1,7 @@
 const prisma = require('../../lib/prisma');
+const AuditLogger = require('../../utils/auditLogger');
+const AcademicCalendarService = require('../../services/academicCalendarService');
+const { previewRollover, applyRollover } = require('./semesterRollover.service');
 
 // GET /api/semesters - List all semesters
 const getSemesters = async (_req, res) => {
@@ -54,10 +57,21 @@ const createSemester = async (req, res) => {
         });
     });
 
+    await AuditLogger.log({
+        userId: req.user.User_ID,
+        action: 'SEMESTER_CREATED',
+        logType: 'BOOKING',
+        details: `${req.user.First_Name} ${req.user.Last_Name} created semester ${semester.Name}${semester.Is_Active ? ' and activated it' : ''}`,
+        entityType: 'SEMESTER',
+        entityId: semester.Semester_ID,
+        after: semester,
+    });
+
     res.status(201).json({ success: true, data: semester });
 };
 
 // PATCH /api/semesters/:id/activate - Activate this semester (deactivates others)
+// Only flips the flag; use the rollover endpoints to switch schedules over too.
 const activateSemester = async (req, res) => {
     const id = parseInt(req.params.id, 10);
     if (Number.isNaN(id)) {
@@ -74,12 +88,113 @@ const activateSemester = async (req, res) => {
         return tx.semester.update({ where: { Semester_ID: id }, data: { Is_Active: true } });
     });
 
+    await AuditLogger.log({
+        userId: req.user.User_ID,
+        action: 'SEMESTER_ACTIVATED',
+        logType: 'BOOKING',
+        details: `${req.user.First_Name} ${req.user.Last_Name} activated semester ${semester.Name}`,
+        entityType: 'SEMESTER',
+        entityId: id,
+        before: existing,
+        after: semester,
+    });
+
     res.json({ success: true, data: semester });
 };
 
+// GET /api/semesters/:id/calendar - Holidays and suspensions in a semester
+const getCalendarDays = async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const semester = await prisma.semester.findUnique({ where: { Semester_ID: id } });
+    if (!semester) {
+        return res.status(404).json({ success: false, error: 'Semester not found' });
+    }
+
+    const days = await AcademicCalendarService.listDays(id);
+    res.json({ success: true, data: days });
+};
+
+// POST /api/semesters/:id/calendar - Declare a holiday or class suspension
+const createCalendarDay = async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const result = await AcademicCalendarService.declareDay(id, req.body, req.user.User_ID);
+    if (!result) {
+        return res.status(404).json({ success: false, error: 'Semester not found' });
+    }
+
+    const { day, affected } = result;
+    await AuditLogger.log({
+        userId: req.user.User_ID,
+        action: day.Day_Type === 'SUSPENSION' ? 'CLASS_SUSPENSION_DECLARED' : 'HOLIDAY_DECLARED',
+        logType: 'BOOKING',
+        details: `${req.user.First_Name} ${req.user.Last_Name} declared ${req.body.date} a ${day.Day_Type.toLowerCase()} (${day.Title})`
+            + (affected ? `; ${affected.userIds.length} booker(s) notified` : ''),
+        entityType: 'ACADEMIC_CALENDAR_DAY',
+        entityId: day.Day_ID,
+        after: day,
+    });
+
+    res.status(201).json({ success: true, data: { ...day, affected } });
+};
+
+// DELETE /api/semesters/:id/calendar/:dayId - Remove a holiday or suspension
+const deleteCalendarDay = async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const dayId = parseInt(req.params.dayId, 10);
+    if (Number.isNaN(id) || Number.isNaN(dayId)) {
+        return res.status(400).json({ success: false, error: 'Invalid semester or calendar day id' });
+    }
+
+    const day = await AcademicCalendarService.removeDay(id, dayId);
+    if (!day) {
+        return res.status(404).json({ success: false, error: 'Calendar day not found' });
+    }
+
+    await AuditLogger.log({
+        userId: req.user.User_ID,
+        action: 'ACADEMIC_CALENDAR_DAY_REMOVED',
+        logType: 'BOOKING',
+        details: `${req.user.First_Name} ${req.user.Last_Name} removed the ${day.Day_Type.toLowerCase()} on ${day.Date.toISOString().slice(0, 10)} (${day.Title})`,
+        entityType: 'ACADEMIC_CALENDAR_DAY',
+        entityId: day.Day_ID,
+        before: day,
+    });
+
+    res.json({ success: true, data: day });
+};
+
+// POST /api/semesters/:id/rollover/preview - What a rollover into this semester would change
+const previewSemesterRollover = async (req, res) => {
+    const preview = await previewRollover(parseInt(req.params.id, 10), req.body);
+    res.json({ success: true, data: preview });
+};
+
+// POST /api/semesters/:id/rollover - Close last term's schedules and activate this semester
+const rolloverSemester = async (req, res) => {
+    const result = await applyRollover(parseInt(req.params.id, 10), req.body, req.user.User_ID);
+
+    await AuditLogger.log({
+        userId: req.user.User_ID,
+        action: 'SEMESTER_ROLLED_OVER',
+        logType: 'BOOKING',
+        details: `${req.user.First_Name} ${req.user.Last_Name} rolled over ${result.from ? result.from.Name : 'unassigned schedules'} into ${result.target.Name}: `
+            + `${result.summary.close} schedule(s) ${result.options.mode === 'archive' ? 'archived' : 'deactivated'}, `
+            + `${result.summary.activate} activated, ${result.summary.clone} student-usage block(s) cloned`,
+        entityType: 'SEMESTER',
+        entityId: result.target.Semester_ID,
+    });
+
+    res.json({ success: true, data: result });
+};
+
 module.exports = {
     getSemesters,
     getActiveSemester,
     createSemester,
     activateSemester,
+    getCalendarDays,
+    createCalendarDay,
+    deleteCalendarDay,
+    previewSemesterRollover,
+    rolloverSemester,
 };
@@ -3,11 +3,17 @@ const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
 const { authorize } = require('../../middleware/authorize');
 const asyncHandler = require('../../utils/asyncHandler');
+const { validate, validateId, academicCalendarSchemas, semesterRolloverSchemas } = require('../../middleware/validate');
 const {
     getSemesters,
     getActiveSemester,
     createSemester,
     activateSemester,
+    getCalendarDays,
+    createCalendarDay,
+    deleteCalendarDay,
+    previewSemesterRollover,
+    rolloverSemester,
 } = require('./semesters.controller');
 
 router.get('/', authenticateToken, asyncHandler(getSemesters));
@@ -15,14 +21,50 @@ router.get('/active', authenticateToken, asyncHandler(getActiveSemester));
 
 router.post('/',
     authenticateToken,
-    authorize('ADMIN', 'LAB_HEAD'),
+    authorize.can('semesters.manage'),
     asyncHandler(createSemester),
 );
 
 router.patch('/:id/activate',
     authenticateToken,
-    authorize('ADMIN', 'LAB_HEAD'),
+    authorize.can('semesters.manage'),
     asyncHandler(activateSemester),
 );
 
+// Academic calendar: holidays and class suspensions. Class schedules don't
+// block rooms on these days and recurring booking series skip them.
+router.get('/:id/calendar', authenticateToken, validateId, asyncHandler(getCalendarDays));
+
+router.post('/:id/calendar',
+    authenticateToken,
+    authorize.can('semesters.manage'),
+    validateId,
+    validate(academicCalendarSchemas.createDay),
+    asyncHandler(createCalendarDay),
+);
+
+router.delete('/:id/calendar/:dayId',
+    authenticateToken,
+    authorize.can('semesters.manage'),
+    asyncHandler(deleteCalendarDay),
+);
+
+// Rollover: close last term's schedules and make this semester active.
+// Preview first; it reports exactly what the rollover would change.
+router.post('/:id/rollover/preview',
+    authenticateToken,
+    authorize.can('semesters.manage'),
+    validateId,
+    validate(semesterRolloverSchemas.rollover),
+    asyncHandler(previewSemesterRollover),
+);
+
+router.post('/:id/rollover',
+    authenticateToken,
+    authorize.can('semesters.manage'),
+    validateId,
+    validate(semesterRolloverSchemas.rollover),
+    asyncHandler(rolloverSemester),
+);
+
 module.exports = router;
@@ -1,6 +1,8 @@
 const prisma = require('../../lib/prisma');
 const AuditLogger = require('../../utils/auditLogger');
 const { normalizeRole } = require('../../middleware/authorize');
+const PermissionService = require('../../services/permissionService');
+const WebhookService = require('../../services/webhookService');
 
 const VALID_STATUSES = ['PENDING', 'IN_PROGRESS', 'RESOLVED'];
 const VALID_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH'];
@@ -113,11 +115,11 @@ const sendValidationError = (res, error) => {
   return res.status(400).json({ success: false, error });
 };
 
-const isTicketManagerRole = (role) => ['ADMIN', 'LAB_HEAD', 'LAB_TECH'].includes(normalizeRole(role));
+const canManageTickets = (user) => PermissionService.hasPermission(normalizeRole(user.User_Role), 'tickets.manage');
 
-const canAccessTicket = (user, ticket) => {
+const canAccessTicket = async (user, ticket) => {
   if (!user) return false;
-  if (isTicketManagerRole(user.User_Role)) return true;
+  if (await canManageTickets(user)) return true;
   return ticket.Reported_By_ID === user.User_ID || ticket.Technician_ID === user.User_ID;
 };
 
@@ -127,7 +129,7 @@ const createTicket = async (req, res) => {
     const reporterResult = parseRequiredId(req.body.Reported_By_ID ?? req.user?.User_ID, 'Reported_By_ID');
     if (reporterResult.error) return sendValidationError(res, reporterResult.error);
 
-    if (req.user && !isTicketManagerRole(req.user.User_Role) && reporterResult.value !== req.user.User_ID) {
+    if (req.user && reporterResult.value !== req.user.User_ID && !(await canManageTickets(req.user))) {
       return res.status(403).json({ success: false, error: 'You can only create tickets for your own account' });
     }
 
@@ -174,7 +176,9 @@ const createTicket = async (req, res) => {
       'TICKET_CREATED',
       ticket.Ticket_ID,
       ticketDetails,
-      ['LAB_TECH', 'LAB_HEAD']
+      ['LAB_TECH', 'LAB_HEAD'],
+      null,
+      { after: ticket }
     );
 
     res.status(201).json({ success: true, data: ticket });
@@ -341,13 +345,32 @@ const updateTicket = async (req, res) => {
       return sendValidationError(res, 'No ticket update fields provided');
     }
 
-    const updatedTicket = await prisma.ticket.update({
-      where: { Ticket_ID: idResult.value },
-      data: updateData,
-      include: ticketInclude,
+    const updatedTicket = await prisma.$transaction(async (tx) => {
+      const ticket = await tx.ticket.update({
+        where: { Ticket_ID: idResult.value },
+        data: updateData,
+        include: ticketInclude,
+      });
+
+      if (isResolvingTicket) {
+        await WebhookService.record('ticket.resolved', {
+          ticketId: ticket.Ticket_ID,
+          category: ticket.Category ?? null,
+          priority: ticket.Priority,
+          problem: ticket.Report_Problem,
+          location: ticket.Location ?? null,
+          roomId: ticket.Room_ID ?? null,
+          itemId: ticket.Item_ID ?? null,
+          reportedBy: ticket.Reported_By_ID,
+          technicianId: ticket.Technician_ID ?? null,
+          resolvedBy: req.user ? req.user.User_ID : null,
+        }, tx);
+      }
+      return ticket;
     });
 
     let notificationSent = false;
+    const ticketChange = { before: existingTicket, after: updatedTicket };
 
     if (isAssigningTicket && updatedTicket.Technician) {
       await AuditLogger.logTicket(
@@ -356,7 +379,8 @@ const updateTicket = async (req, res) => {
         updatedTicket.Ticket_ID,
         `Ticket assigned to ${updatedTicket.Technician.First_Name} ${updatedTicket.Technician.Last_Name}`,
         ['LAB_TECH', 'LAB_HEAD'],
-        requestedTechnicianId
+        requestedTechnicianId,
+        ticketChange
       );
       notificationSent = true;
     }
@@ -368,7 +392,8 @@ const updateTicket = async (req, res) => {
         updatedTicket.Ticket_ID,
         `Ticket resolved: ${updatedTicket.Report_Problem.substring(0, 30)}...`,
         ['LAB_TECH', 'LAB_HEAD'],
-        updatedTicket.Reported_By_ID
+        updatedTicket.Reported_By_ID,
+        ticketChange
       );
       notificationSent = true;
     }
@@ -379,7 +404,9 @@ const updateTicket = async (req, res) => {
         archiveResult.value ? 'TICKET_ARCHIVED' : 'TICKET_UPDATED',
         updatedTicket.Ticket_ID,
         archiveResult.value ? 'Ticket archived' : 'Ticket restored',
-        ['LAB_TECH', 'LAB_HEAD']
+        ['LAB_TECH', 'LAB_HEAD'],
+        null,
+        ticketChange
       );
       notificationSent = true;
     }
@@ -399,7 +426,9 @@ const updateTicket = async (req, res) => {
         'TICKET_UPDATED',
         updatedTicket.Ticket_ID,
         'Ticket updated via System',
-        ['LAB_TECH', 'LAB_HEAD']
+        ['LAB_TECH', 'LAB_HEAD'],
+        null,
+        ticketChange
       );
     }
 
@@ -425,7 +454,7 @@ const getTicketById = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Ticket not found' });
     }
 
-    if (!canAccessTicket(req.user, ticket)) {
+    if (!(await canAccessTicket(req.user, ticket))) {
       return res.status(403).json({ success: false, error: 'You do not have permission to view this ticket' });
     }
 
@@ -30,13 +30,13 @@ router.post('/public', publicTicketLimiter, validate(ticketSchemas.createPublic)
 router.post('/', authenticateToken, validate(ticketSchemas.create), asyncHandler(createTicket));
 
 // Get ticket count by status
-router.get('/count', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(getTicketCount));
+router.get('/count', authenticateToken, authorize.can('tickets.manage'), asyncHandler(getTicketCount));
 
 // Get all tickets (optionally filter by status)
-router.get('/', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), asyncHandler(getTickets));
+router.get('/', authenticateToken, authorize.can('tickets.manage'), asyncHandler(getTickets));
 
 // Update ticket (status, priority, category)
-router.put('/:id', authenticateToken, authorize('ADMIN', 'LAB_HEAD', 'LAB_TECH'), validateId, validate(ticketSchemas.update), asyncHandler(updateTicket));
+router.put('/:id', authenticateToken, authorize.can('tickets.manage'), validateId, validate(ticketSchemas.update), asyncHandler(updateTicket));
 
 // Get single ticket
 router.get('/:id', authenticateToken, validateId, asyncHandler(getTicketById));
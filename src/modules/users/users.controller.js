@@ -1,5 +1,10 @@
 const prisma = require('../../lib/prisma');
 const { normalizeRole } = require('../../middleware/authorize');
+const { clearFailedLogins } = require('../../utils/loginLockout');
+const PasswordService = require('../../services/passwordService');
+const TwoFactorService = require('../../services/twoFactorService');
+const AuditLogger = require('../../utils/auditLogger');
+const { toSafeUser } = require('../../utils/safeUser');
 
 // Get current authenticated user
 const getCurrentUser = async (req, res) => {
@@ -11,6 +16,43 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
+// Change the current user's own DB password. Ends every session, including
+// the one making this request.
+const changeOwnPassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { User_ID: req.user.User_ID } });
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+
+    const tokenValidAfter = await PasswordService.changePassword(user, currentPassword, newPassword);
+
+    await AuditLogger.logAuth(
+      user.User_ID,
+      'PASSWORD_CHANGED',
+      `User ${user.First_Name} ${user.Last_Name} changed their password`,
+      req
+    );
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Password changed. Please log in again.',
+        tokenValidAfter
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      if (error.details?.retryAfterSeconds) {
+        res.set('Retry-After', String(error.details.retryAfterSeconds));
+      }
+      return res.status(error.statusCode).json({ success: false, error: error.message, details: error.details || undefined });
+    }
+    console.error('[Users] changeOwnPassword error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change password' });
+  }
+};
+
 // Get all users (with optional filters: active, role)
 const getUsers = async (req, res) => {
   try {
@@ -53,6 +95,8 @@ const getUsers = async (req, res) => {
         Email: true,
         User_Role: true,
         Is_Active: true,
+        Failed_Login_Attempts: true,
+        Locked_Until: true,
         Created_At: true,
         Updated_At: true
       }
@@ -128,10 +172,18 @@ const createUser = async (req, res) => {
       }
     });
 
-    // Remove password from response
-    const { Password: _, ...userWithoutPassword } = user;
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'USER_CREATED',
+      logType: 'AUTH',
+      details: `${req.user.First_Name} ${req.user.Last_Name} created ${User_Role} account ${First_Name} ${Last_Name} (${Email})`,
+      entityType: 'USER',
+      entityId: user.User_ID,
+      after: user
+    });
 
-    res.status(201).json({ success: true, data: userWithoutPassword });
+    // Remove password from response
+    res.status(201).json({ success: true, data: toSafeUser(user) });
   } catch (error) {
     console.error('Error creating user:', error);
     res.status(500).json({ success: false, error: 'Failed to create user' });
@@ -170,9 +222,19 @@ const updateUser = async (req, res) => {
       }
     });
 
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'USER_UPDATED',
+      logType: 'AUTH',
+      details: `${req.user.First_Name} ${req.user.Last_Name} updated ${currentUser.First_Name} ${currentUser.Last_Name}'s account`,
+      entityType: 'USER',
+      entityId: userId,
+      before: currentUser,
+      after: updatedUser
+    });
+
     // Remove password before sending response
-    const { Password, ...userWithoutPassword } = updatedUser;
-    res.json({ success: true, data: userWithoutPassword });
+    res.json({ success: true, data: toSafeUser(updatedUser) });
 
   } catch (error) {
     console.error(`Error updating user ${req.params.id}:`, error);
@@ -351,22 +413,24 @@ const changeUserRole = async (req, res) => {
           data: { Technician_ID: null },
         });
       }
+    });
 
-      await tx.audit_Log.create({
-        data: {
-          User_ID: req.user.User_ID,
-          Action: 'USER_ROLE_CHANGED',
-          Details: `${req.user.First_Name} ${req.user.Last_Name} changed ${target.First_Name} ${target.Last_Name}'s role from ${oldRole} to ${newRole}. Reason: ${reason.trim()}`,
-          Notification_Data: {
-            targetUserId: userId,
-            oldRole,
-            newRole,
-            reason: reason.trim(),
-            forced: !!force,
-            blockerCount: impact.blockers.length,
-          },
-        },
-      });
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'USER_ROLE_CHANGED',
+      details: `${req.user.First_Name} ${req.user.Last_Name} changed ${target.First_Name} ${target.Last_Name}'s role from ${oldRole} to ${newRole}. Reason: ${reason.trim()}`,
+      notificationData: {
+        targetUserId: userId,
+        oldRole,
+        newRole,
+        reason: reason.trim(),
+        forced: !!force,
+        blockerCount: impact.blockers.length,
+      },
+      entityType: 'USER',
+      entityId: userId,
+      before: { User_Role: oldRole, Token_Valid_After: target.Token_Valid_After },
+      after: { User_Role: newRole, Token_Valid_After: tokenValidAfter },
     });
 
     res.json({
@@ -424,20 +488,21 @@ const deleteUser = async (req, res) => {
     });
 
     // Log the deletion
-    await prisma.Audit_Log.create({
-      data: {
-        User_ID: userId,
-        Action: 'USER_DEACTIVATED',
-        Timestamp: new Date()
-      }
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'USER_DEACTIVATED',
+      logType: 'AUTH',
+      details: `${req.user.First_Name} ${req.user.Last_Name} deactivated ${user.First_Name} ${user.Last_Name}`,
+      entityType: 'USER',
+      entityId: userId,
+      before: user,
+      after: deletedUser
     });
 
     // Remove password from response
-    const { Password, ...userWithoutPassword } = deletedUser;
-
     res.json({
       success: true,
-      data: { message: 'User marked as inactive', user: userWithoutPassword }
+      data: { message: 'User marked as inactive', user: toSafeUser(deletedUser) }
     });
   } catch (error) {
     console.error(`Error deleting user ${req.params.id}:`, error);
@@ -445,6 +510,129 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// Clear a login lockout (failed-attempt counter and Locked_Until)
+const unlockUser = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const target = await prisma.user.findUnique({ where: { User_ID: userId } });
+    if (!target) return res.status(404).json({ success: false, error: 'User not found' });
+
+    const wasLocked = !!target.Locked_Until && new Date(target.Locked_Until) > new Date();
+    await clearFailedLogins(userId);
+
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'USER_UNLOCKED',
+      logType: 'AUTH',
+      details: `${req.user.First_Name} ${req.user.Last_Name} cleared the login lockout for ${target.First_Name} ${target.Last_Name}`,
+      notificationData: {
+        targetUserId: userId,
+        failedAttempts: target.Failed_Login_Attempts,
+        lockedUntil: target.Locked_Until,
+        wasLocked,
+      },
+      entityType: 'USER',
+      entityId: userId,
+      before: { Failed_Login_Attempts: target.Failed_Login_Attempts, Locked_Until: target.Locked_Until },
+      after: { Failed_Login_Attempts: 0, Locked_Until: null },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: wasLocked ? 'Account unlocked' : 'Failed login counter reset',
+        userId,
+        wasLocked,
+      },
+    });
+  } catch (error) {
+    console.error('[Users] unlockUser error:', error);
+    res.status(500).json({ success: false, error: 'Failed to unlock user' });
+  }
+};
+
+// Issue a one-time password reset token. The raw token is returned only in
+// this response; the ADMIN hands it to the user out of band.
+const issuePasswordReset = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const target = await prisma.user.findUnique({ where: { User_ID: userId } });
+    if (!target) return res.status(404).json({ success: false, error: 'User not found' });
+    if (target.Is_Active === false) {
+      return res.status(400).json({ success: false, error: 'Cannot reset the password of an inactive user' });
+    }
+
+    const { token, expiresAt } = await PasswordService.issueResetToken(userId, req.user.User_ID);
+
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'PASSWORD_RESET_ISSUED',
+      logType: 'AUTH',
+      details: `${req.user.First_Name} ${req.user.Last_Name} issued a password reset for ${target.First_Name} ${target.Last_Name}`,
+      notificationData: { targetUserId: userId, expiresAt },
+      entityType: 'USER',
+      entityId: userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: 'Reset token issued. It can be used once, before it expires.',
+        userId,
+        token,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('[Users] issuePasswordReset error:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue password reset' });
+  }
+};
+
+// Remove a user's 2FA enrollment (lost device). If their role requires 2FA
+// they'll be asked to enroll again on next login.
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const target = await prisma.user.findUnique({ where: { User_ID: userId } });
+    if (!target) return res.status(404).json({ success: false, error: 'User not found' });
+    if (!target.Two_Factor_Enabled && !target.Two_Factor_Secret) {
+      return res.status(400).json({ success: false, error: 'User has no two-factor enrollment' });
+    }
+
+    await TwoFactorService.disable(userId);
+
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'TWO_FACTOR_RESET',
+      logType: 'AUTH',
+      details: `${req.user.First_Name} ${req.user.Last_Name} reset two-factor authentication for ${target.First_Name} ${target.Last_Name}`,
+      notificationData: { targetUserId: userId },
+      entityType: 'USER',
+      entityId: userId,
+      before: { Two_Factor_Enabled: target.Two_Factor_Enabled },
+      after: { Two_Factor_Enabled: false },
+    });
+
+    res.json({ success: true, data: { message: 'Two-factor authentication reset', userId } });
+  } catch (error) {
+    console.error('[Users] resetUserTwoFactor error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset two-factor authentication' });
+  }
+};
+
 // Get user history (from audit log)
 const getUserHistory = async (req, res) => {
   try {
@@ -524,6 +712,14 @@ const bulkCreateUsers = async (req, res) => {
       )
     );
 
+    await AuditLogger.log({
+      userId: req.user.User_ID,
+      action: 'USERS_BULK_CREATED',
+      logType: 'AUTH',
+      details: `${req.user.First_Name} ${req.user.Last_Name} bulk created ${createdUsers.length} users`,
+      notificationData: { userIds: createdUsers.map(user => user.User_ID) }
+    });
+
     res.status(201).json({
       success: true,
       data: {
@@ -545,12 +741,16 @@ const bulkCreateUsers = async (req, res) => {
 
 module.exports = {
   getCurrentUser,
+  changeOwnPassword,
   getUsers,
   createUser,
   updateUser,
   getRoleChangeImpact,
   changeUserRole,
   deleteUser,
+  unlockUser,
+  issuePasswordReset,
+  resetUserTwoFactor,
   getUserHistory,
   bulkCreateUsers
 };
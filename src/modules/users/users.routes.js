@@ -3,14 +3,19 @@ const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
 const { authorize } = require('../../middleware/authorize');
 const asyncHandler = require('../../utils/asyncHandler');
+const { validate, authSchemas } = require('../../middleware/validate');
 const {
   getCurrentUser,
+  changeOwnPassword,
   getUsers,
   createUser,
   updateUser,
   getRoleChangeImpact,
   changeUserRole,
   deleteUser,
+  unlockUser,
+  issuePasswordReset,
+  resetUserTwoFactor,
   getUserHistory,
   bulkCreateUsers
 } = require('./users.controller');
@@ -18,29 +23,41 @@ const {
 // Get current authenticated user
 router.get('/me', authenticateToken, asyncHandler(getCurrentUser));
 
+// Change own DB password (requires the current password; ends all sessions)
+router.post('/me/password', authenticateToken, validate(authSchemas.changePassword), asyncHandler(changeOwnPassword));
+
 // Get all users (with optional filters: active, role)
 router.get('/', authenticateToken, asyncHandler(getUsers));
 
 // Create new user
-router.post('/', authenticateToken, authorize('ADMIN'), asyncHandler(createUser));
+router.post('/', authenticateToken, authorize.can('users.manage'), asyncHandler(createUser));
 
 // Update user (simple, no versioning)
-router.put('/:id', authenticateToken, authorize('ADMIN'), asyncHandler(updateUser));
+router.put('/:id', authenticateToken, authorize.can('users.manage'), asyncHandler(updateUser));
 
 // Role-change failsafe: preview impact before applying.
-router.get('/:id/role-change-impact', authenticateToken, authorize('ADMIN'), asyncHandler(getRoleChangeImpact));
+router.get('/:id/role-change-impact', authenticateToken, authorize.can('users.manage'), asyncHandler(getRoleChangeImpact));
 
 // Role-change failsafe: apply with reason. Bumps Token_Valid_After to invalidate
 // the user's existing JWTs so the old role's privileges die immediately.
-router.patch('/:id/role', authenticateToken, authorize('ADMIN'), asyncHandler(changeUserRole));
+router.patch('/:id/role', authenticateToken, authorize.can('users.manage'), asyncHandler(changeUserRole));
 
 // Soft delete user (mark as inactive)
-router.delete('/:id', authenticateToken, authorize('ADMIN'), asyncHandler(deleteUser));
+router.delete('/:id', authenticateToken, authorize.can('users.manage'), asyncHandler(deleteUser));
+
+// Clear a login lockout caused by repeated failed logins
+router.post('/:id/unlock', authenticateToken, authorize.can('users.security'), asyncHandler(unlockUser));
+
+// Issue a one-time, expiring password reset token (redeemed at /auth/reset-password)
+router.post('/:id/password-reset', authenticateToken, authorize.can('users.security'), asyncHandler(issuePasswordReset));
+
+// Remove a user's two-factor enrollment (lost authenticator device)
+router.delete('/:id/2fa', authenticateToken, authorize.can('users.security'), asyncHandler(resetUserTwoFactor));
 
 // Get user history (from audit log)
 router.get('/:id/history', authenticateToken, asyncHandler(getUserHistory));
 
 // Bulk create users
-router.post('/bulk', authenticateToken, authorize('ADMIN'), asyncHandler(bulkCreateUsers));
+router.post('/bulk', authenticateToken, authorize.can('users.manage'), asyncHandler(bulkCreateUsers));
 
 module.exports = router;
@@ -0,0 +1,134 @@
+const AuditLogger = require('../../utils/auditLogger');
+const WebhookService = require('../../services/webhookService');
+
+const logWebhookChange = (req, action, endpoint, verb, change = {}) => AuditLogger.log({
+  userId: req.user.User_ID,
+  action,
+  logType: 'SYSTEM',
+  details: `${req.user.First_Name} ${req.user.Last_Name} ${verb} webhook "${endpoint.Name}" (#${endpoint.Endpoint_ID})`,
+  entityType: 'WEBHOOK',
+  entityId: endpoint.Endpoint_ID,
+  ...change
+});
+
+/**
+ * Events an endpoint can subscribe to
+ */
+const listEventTypes = async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(WebhookService.EVENT_TYPES).map(([type, description]) => ({ type, description }))
+  });
+};
+
+/**
+ * Delivery log (?endpointId, ?status, ?eventType, ?limit)
+ */
+const listDeliveries = async (req, res) => {
+  const { endpointId, status, eventType, limit } = req.query;
+  const deliveries = await WebhookService.listDeliveries({ endpointId, status, eventType, limit });
+  res.json({ success: true, data: deliveries });
+};
+
+/**
+ * Deliveries that used up their retries
+ */
+const listDeadLetters = async (req, res) => {
+  const { endpointId, eventType, limit } = req.query;
+  const deliveries = await WebhookService.listDeliveries({ endpointId, eventType, limit, status: 'DEAD' });
+  res.json({ success: true, data: deliveries });
+};
+
+const retryDelivery = async (req, res) => {
+  const delivery = await WebhookService.retryDelivery(parseInt(req.params.id, 10));
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Webhook delivery not found' });
+  }
+  await AuditLogger.log({
+    userId: req.user.User_ID,
+    action: 'WEBHOOK_DELIVERY_RETRIED',
+    logType: 'SYSTEM',
+    details: `${req.user.First_Name} ${req.user.Last_Name} requeued webhook delivery #${delivery.Delivery_ID}`
+  });
+  res.json({ success: true, data: delivery });
+};
+
+const listWebhooks = async (req, res) => {
+  const endpoints = await WebhookService.listEndpoints();
+  res.json({ success: true, data: endpoints });
+};
+
+const getWebhook = async (req, res) => {
+  const endpoint = await WebhookService.getEndpoint(parseInt(req.params.id, 10));
+  if (!endpoint) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: true, data: endpoint });
+};
+
+/**
+ * Register an endpoint. The signing secret is only returned here.
+ */
+const createWebhook = async (req, res) => {
+  const { secret, record } = await WebhookService.createEndpoint(req.body, req.user.User_ID);
+  await logWebhookChange(req, 'WEBHOOK_CREATED', record, 'registered', { after: record });
+  res.status(201).json({
+    success: true,
+    data: {
+      ...record,
+      secret,
+      message: 'Store this secret now; it will not be shown again.'
+    }
+  });
+};
+
+const updateWebhook = async (req, res) => {
+  const result = await WebhookService.updateEndpoint(parseInt(req.params.id, 10), req.body);
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  await logWebhookChange(req, 'WEBHOOK_UPDATED', result.record, 'updated', { before: result.previous, after: result.record });
+  res.json({ success: true, data: result.record });
+};
+
+/**
+ * Replace the signing secret. Deliveries signed with the old one stop
+ * verifying immediately.
+ */
+const rotateWebhookSecret = async (req, res) => {
+  const result = await WebhookService.rotateSecret(parseInt(req.params.id, 10));
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  await logWebhookChange(req, 'WEBHOOK_SECRET_ROTATED', result.record, 'rotated the secret of');
+  res.json({
+    success: true,
+    data: {
+      ...result.record,
+      secret: result.secret,
+      message: 'Store this secret now; it will not be shown again.'
+    }
+  });
+};
+
+const deleteWebhook = async (req, res) => {
+  const endpoint = await WebhookService.deleteEndpoint(parseInt(req.params.id, 10));
+  if (!endpoint) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  await logWebhookChange(req, 'WEBHOOK_DELETED', endpoint, 'deleted', { before: endpoint });
+  res.json({ success: true, data: endpoint });
+};
+
+module.exports = {
+  listEventTypes,
+  listDeliveries,
+  listDeadLetters,
+  retryDelivery,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook
+};
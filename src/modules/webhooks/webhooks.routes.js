@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const { authorize } = require('../../middleware/authorize');
+const { validate, validateId, webhookSchemas } = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+  listEventTypes,
+  listDeliveries,
+  listDeadLetters,
+  retryDelivery,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook
+} = require('./webhooks.controller');
+
+const canManageWebhooks = authorize.can('webhooks.manage');
+
+router.get('/event-types', authenticateToken, canManageWebhooks, asyncHandler(listEventTypes));
+router.get('/deliveries', authenticateToken, canManageWebhooks, asyncHandler(listDeliveries));
+router.get('/dead-letters', authenticateToken, canManageWebhooks, asyncHandler(listDeadLetters));
+router.post('/deliveries/:id/retry', authenticateToken, canManageWebhooks, validateId, asyncHandler(retryDelivery));
+
+router.get('/', authenticateToken, canManageWebhooks, asyncHandler(listWebhooks));
+router.get('/:id', authenticateToken, canManageWebhooks, validateId, asyncHandler(getWebhook));
+router.post('/', authenticateToken, canManageWebhooks, validate(webhookSchemas.create), asyncHandler(createWebhook));
+router.put('/:id', authenticateToken, canManageWebhooks, validateId, validate(webhookSchemas.update), asyncHandler(updateWebhook));
+router.post('/:id/rotate-secret', authenticateToken, canManageWebhooks, validateId, asyncHandler(rotateWebhookSecret));
+router.delete('/:id', authenticateToken, canManageWebhooks, validateId, asyncHandler(deleteWebhook));
+
+module.exports = router;
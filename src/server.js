@@ -124,6 +124,9 @@ app.use('/users', require('./modules/users/users.routes'));
 app.use('/tickets', require('./modules/tickets/tickets.routes'));
 app.use('/rooms', require('./modules/rooms/rooms.routes'));
 app.use('/bookings', require('./modules/bookings/bookings.routes'));
+app.use('/booking-policies', require('./modules/bookingPolicies/bookingPolicies.routes'));
+app.use('/approval-chains', require('./modules/approvalChains/approvalChains.routes'));
+app.use('/calendar', require('./modules/calendar/calendar.routes'));
 app.use('/computers', require('./modules/computers/computers.routes'));
 
 app.use('/borrowing', require('./modules/borrowing/borrowing.routes'));
@@ -136,6 +139,10 @@ app.use('/dashboard', require('./modules/dashboard/dashboard.routes'));
 app.use('/heartbeat', require('./modules/heartbeat/heartbeat.routes'));
 app.use('/reports', require('./modules/reports/reports.routes'));
 app.use('/semesters', require('./modules/semesters/semesters.routes'));
+app.use('/permissions', require('./modules/permissions/permissions.routes'));
+app.use('/api-tokens', require('./modules/apiTokens/apiTokens.routes'));
+app.use('/webhooks', require('./modules/webhooks/webhooks.routes'));
+app.use('/audit', require('./modules/audit/audit.routes'));
 
 // Static file serving for uploads
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
@@ -171,6 +178,10 @@ wss.on('connection', async (ws, req) => {
   try {
     // Verify JWT token
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose) {
+      ws.close(4004, 'Invalid token');
+      return;
+    }
     const userId = decoded.userId;
 
     // Verify user exists and is active
@@ -188,6 +199,16 @@ wss.on('connection', async (ws, req) => {
       return;
     }
 
+    if (decoded.sessionId) {
+      const session = await prisma.user_Session.findUnique({
+        where: { Session_ID: decoded.sessionId }
+      });
+      if (!session || session.User_ID !== userId || session.Revoked_At) {
+        ws.close(4005, 'Session has been revoked');
+        return;
+      }
+    }
+
     console.log(`[WebSocket] User ${userId} connected`);
 
     // Add to NotificationManager
@@ -0,0 +1,203 @@
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const AuditLogger = require('../utils/auditLogger');
+const { expandRrule } = require('../utils/rruleExpander');
+const { CAMPUS_TIMEZONE, getZonedDateKey, zonedTimeToUtc } = require('../utils/timezone');
+
+const CACHE_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_BOOKING_STATUSES = ['APPROVED', 'PENDING'];
+
+let closedDateCache = null;
+
+// @db.Date columns come back as UTC midnight of the stored day.
+const toDateKey = date => new Date(date).toISOString().slice(0, 10);
+
+// [start, end) of a campus calendar day as UTC instants
+const campusDayRange = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return {
+    start: zonedTimeToUtc({ year, month, day }, CAMPUS_TIMEZONE),
+    end: zonedTimeToUtc({
+      year: next.getUTCFullYear(),
+      month: next.getUTCMonth() + 1,
+      day: next.getUTCDate()
+    }, CAMPUS_TIMEZONE)
+  };
+};
+
+/**
+ * AcademicCalendarService - Which semester a date falls in, and the
+ * holidays and class suspensions of each semester.
+ * Closed days free rooms from class schedules and are skipped by every
+ * recurring booking series, without touching each series' Excluded_Dates.
+ */
+class AcademicCalendarService {
+  /**
+   * @returns {Promise<Set<string>>} Every declared holiday/suspension date (YYYY-MM-DD)
+   */
+  static async getClosedDates() {
+    if (closedDateCache && closedDateCache.expiresAt > Date.now()) {
+      return closedDateCache.dates;
+    }
+
+    const days = await prisma.academic_Calendar_Day.findMany({ select: { Date: true } });
+    closedDateCache = {
+      dates: new Set((days || []).map(day => toDateKey(day.Date))),
+      expiresAt: Date.now() + CACHE_TTL_MS
+    };
+    return closedDateCache.dates;
+  }
+
+  static clearCache() {
+    closedDateCache = null;
+  }
+
+  /**
+   * Semester whose dates cover `date` (campus calendar days), preferring the
+   * active one when terms overlap
+   * @returns {Promise<Object|null>}
+   */
+  static async findSemesterFor(date) {
+    const dateKey = getZonedDateKey(date);
+    const semesters = await prisma.semester.findMany({
+      where: {
+        Start_Date: { lte: new Date(new Date(date).getTime() + DAY_MS) },
+        End_Date: { gte: new Date(new Date(date).getTime() - DAY_MS) }
+      },
+      orderBy: [{ Is_Active: 'desc' }, { Start_Date: 'desc' }]
+    });
+    return (semesters || []).find(semester =>
+      getZonedDateKey(semester.Start_Date) <= dateKey && dateKey <= getZonedDateKey(semester.End_Date)
+    ) || null;
+  }
+
+  static async listDays(semesterId) {
+    return prisma.academic_Calendar_Day.findMany({
+      where: { Semester_ID: semesterId },
+      orderBy: { Date: 'asc' }
+    });
+  }
+
+  /**
+   * Bookings and series with an occurrence on a campus date
+   * @returns {Promise<{bookings: Object[], series: Object[]}>} Rows with their User_ID
+   */
+  static async findAffectedBookings(dateKey) {
+    const { start, end } = campusDayRange(dateKey);
+    const [bookings, series] = await Promise.all([
+      prisma.Booked_Room.findMany({
+        where: { Status: { in: ACTIVE_BOOKING_STATUSES }, Start_Time: { gte: start, lt: end } },
+        select: { Booked_Room_ID: true, User_ID: true }
+      }),
+      prisma.Booking_Series.findMany({
+        where: { Status: { in: ACTIVE_BOOKING_STATUSES }, Anchor_Start: { lt: end } },
+        select: { Series_ID: true, User_ID: true, Recurrence_Rule: true, Anchor_Start: true, Excluded_Dates: true }
+      })
+    ]);
+
+    const affectedSeries = (series || []).filter((s) => {
+      try {
+        return expandRrule(s.Recurrence_Rule, s.Anchor_Start, {
+          windowStart: start,
+          windowEnd: new Date(end.getTime() - 1),
+          excludedDates: s.Excluded_Dates,
+          hardCap: 1
+        }).length > 0;
+      } catch {
+        return false;
+      }
+    });
+
+    return { bookings: bookings || [], series: affectedSeries };
+  }
+
+  /**
+   * Declare a holiday or suspension. Suspensions are usually called on short
+   * notice, so everyone with a booking that day is notified.
+   * @returns {Promise<{day: Object, affected: Object|null}|null>} null when
+   *   the semester doesn't exist
+   */
+  static async declareDay(semesterId, { date, type, title, notes }, createdBy) {
+    const semester = await prisma.semester.findUnique({ where: { Semester_ID: semesterId } });
+    if (!semester) return null;
+
+    if (date < getZonedDateKey(semester.Start_Date) || date > getZonedDateKey(semester.End_Date)) {
+      throw new AppError('Date falls outside the semester', 400, {
+        startDate: semester.Start_Date,
+        endDate: semester.End_Date
+      });
+    }
+
+    const existing = await prisma.academic_Calendar_Day.findFirst({
+      where: { Semester_ID: semesterId, Date: new Date(`${date}T00:00:00.000Z`) }
+    });
+    if (existing) {
+      throw new AppError(`${date} is already declared as ${existing.Day_Type.toLowerCase()}: ${existing.Title}`, 409);
+    }
+
+    const day = await prisma.academic_Calendar_Day.create({
+      data: {
+        Semester_ID: semesterId,
+        Date: new Date(`${date}T00:00:00.000Z`),
+        Day_Type: type,
+        Title: title,
+        Notes: notes || null,
+        Created_By: createdBy
+      }
+    });
+    this.clearCache();
+
+    let affected = null;
+    if (type === 'SUSPENSION') {
+      const { bookings, series } = await this.findAffectedBookings(date);
+      affected = {
+        bookingIds: bookings.map(b => b.Booked_Room_ID),
+        seriesIds: series.map(s => s.Series_ID),
+        userIds: [...new Set([...bookings, ...series].map(row => row.User_ID))]
+      };
+      const message = `${title}: classes are suspended on ${date}. Recurring bookings skip the day automatically; please review any other bookings you have that day.`;
+      // One persisted notice per booker, so it is still in their inbox if
+      // they were offline when the suspension was declared. It lists only
+      // their own bookings and series.
+      for (const userId of affected.userIds) {
+        await AuditLogger.log({
+          userId: createdBy,
+          action: 'CLASS_SUSPENSION',
+          logType: 'SCHEDULE',
+          isNotification: true,
+          notifyUserId: userId,
+          details: message,
+          notificationData: {
+            targetUserId: userId,
+            date,
+            dayId: day.Day_ID,
+            bookingIds: bookings.filter(b => b.User_ID === userId).map(b => b.Booked_Room_ID),
+            seriesIds: series.filter(s => s.User_ID === userId).map(s => s.Series_ID)
+          },
+          entityType: 'ACADEMIC_CALENDAR_DAY',
+          entityId: day.Day_ID
+        });
+      }
+    }
+
+    return { day, affected };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Deleted day, or null when not found
+   */
+  static async removeDay(semesterId, dayId) {
+    const day = await prisma.academic_Calendar_Day.findFirst({
+      where: { Day_ID: dayId, Semester_ID: semesterId }
+    });
+    if (!day) return null;
+
+    await prisma.academic_Calendar_Day.delete({ where: { Day_ID: dayId } });
+    this.clearCache();
+    return day;
+  }
+}
+
+module.exports = AcademicCalendarService;
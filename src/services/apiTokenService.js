@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const AuditLogger = require('../utils/auditLogger');
+const { AppError } = require('../middleware/errorHandler');
+
+const TOKEN_PREFIX = 'bits_';
+
+/**
+ * Scopes an API token can carry. A route accepts API tokens only when it
+ * declares one of these with allowApiToken(); the token's user still needs
+ * the route's permission.
+ */
+const SCOPES = {
+  'heartbeat:write': 'Register lab PCs, send heartbeats and end heartbeat sessions',
+  'inventory:import': 'Bulk-create and import inventory items',
+  'computers:import': 'Import computers from CSV/XLSX',
+  'schedules:import': 'Preview and import offered-course schedules'
+};
+
+const tokenSelect = {
+  Token_ID: true,
+  Name: true,
+  Token_Prefix: true,
+  Scopes: true,
+  User_ID: true,
+  Created_By: true,
+  Created_At: true,
+  Expires_At: true,
+  Last_Used_At: true,
+  Last_Used_IP: true,
+  Revoked_At: true,
+  Revoked_By: true,
+  User: { select: { User_ID: true, Username: true, First_Name: true, Last_Name: true, User_Role: true } }
+};
+
+/**
+ * ApiTokenService - Long-lived, scoped, revocable tokens for lab agents and
+ * integrations. Tokens look like `bits_<random>` so authenticateToken can
+ * tell them apart from JWTs without a lookup.
+ */
+class ApiTokenService {
+  static SCOPES = SCOPES;
+
+  static isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @returns {Promise<{token: string, record: Object}>} Plain token (shown once) and the stored row
+   */
+  static async createToken({ name, userId, scopes, expiresAt = null, createdBy }) {
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length) {
+      throw new AppError('Unknown scopes', 400, { unknown });
+    }
+
+    const owner = await prisma.user.findUnique({ where: { User_ID: userId } });
+    if (!owner) {
+      throw new AppError('User not found', 404);
+    }
+    if (owner.Is_Active === false) {
+      throw new AppError('Cannot issue an API token for a deactivated user', 400);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = await prisma.api_Token.create({
+      data: {
+        Name: name,
+        Token_Prefix: token.slice(0, 12),
+        Token_Hash: this.hashToken(token),
+        Scopes: [...new Set(scopes)],
+        User_ID: userId,
+        Created_By: createdBy,
+        Expires_At: expiresAt
+      },
+      select: tokenSelect
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Resolve a presented token to its row and user
+   * @throws {AppError} 401 when unknown, revoked, expired or the user is inactive
+   */
+  static async authenticate(token) {
+    const record = await prisma.api_Token.findUnique({
+      where: { Token_Hash: this.hashToken(token) },
+      include: { User: true }
+    });
+
+    if (!record || record.Revoked_At) {
+      throw new AppError('Invalid or revoked API token', 401);
+    }
+    if (record.Expires_At && new Date(record.Expires_At).getTime() <= Date.now()) {
+      throw new AppError('API token has expired', 401);
+    }
+    if (!record.User || record.User.Is_Active === false) {
+      throw new AppError('Account is deactivated', 401);
+    }
+
+    return record;
+  }
+
+  /**
+   * Track and audit one use of a token. Callers don't await this; a failed
+   * write must not fail the request the token authenticated.
+   */
+  static async recordUse(record, req) {
+    try {
+      await prisma.api_Token.update({
+        where: { Token_ID: record.Token_ID },
+        data: { Last_Used_At: new Date(), Last_Used_IP: req.ip || null }
+      });
+      await AuditLogger.logAuth(
+        record.User_ID,
+        'API_TOKEN_USED',
+        `API token "${record.Name}" (#${record.Token_ID}) used for ${req.method} ${req.originalUrl.split('?')[0]}`,
+        req,
+        { entityType: 'API_TOKEN', entityId: record.Token_ID }
+      );
+    } catch (err) {
+      console.error('[ApiToken] Failed to record token use:', err.message);
+    }
+  }
+
+  static async listTokens({ includeRevoked = false } = {}) {
+    return prisma.api_Token.findMany({
+      where: includeRevoked ? {} : { Revoked_At: null },
+      select: tokenSelect,
+      orderBy: { Created_At: 'desc' }
+    });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The token row, or null when it doesn't exist
+   * @throws {AppError} 409 when already revoked
+   */
+  static async revokeToken(tokenId, revokedBy) {
+    const existing = await prisma.api_Token.findUnique({ where: { Token_ID: tokenId } });
+    if (!existing) return null;
+    if (existing.Revoked_At) {
+      throw new AppError('API token is already revoked', 409);
+    }
+
+    return prisma.api_Token.update({
+      where: { Token_ID: tokenId },
+      data: { Revoked_At: new Date(), Revoked_By: revokedBy },
+      select: tokenSelect
+    });
+  }
+}
+
+module.exports = ApiTokenService;
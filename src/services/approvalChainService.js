@@ -0,0 +1,424 @@
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+
+const CACHE_TTL_MS = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+let chainCache = null;
+
+const normalizeRole = (role = '') => String(role).toUpperCase();
+
+// { bookingId } or { seriesId } -> Booking_Approval filter
+const targetWhere = target => (target.bookingId
+  ? { Booked_Room_ID: target.bookingId }
+  : { Series_ID: target.seriesId, Booked_Room_ID: null });
+
+const describeStep = step => (step.Required_User_ID
+  ? `user #${step.Required_User_ID}`
+  : step.Required_Role);
+
+const approvalInclude = {
+  Approver: { select: { User_ID: true, First_Name: true, Last_Name: true } },
+  Delegator: { select: { User_ID: true, First_Name: true, Last_Name: true } }
+};
+
+/**
+ * ApprovalChainService - Multi-level booking approval. A chain lists the
+ * roles (or users) that must approve, in order; each decision is stored as a
+ * Booking_Approval row with its reason. Approvers on leave can delegate their
+ * authority to someone else for a time window.
+ */
+class ApprovalChainService {
+  static async getActiveChains() {
+    if (chainCache && chainCache.expiresAt > Date.now()) {
+      return chainCache.chains;
+    }
+
+    const chains = await prisma.approval_Chain.findMany({
+      where: { Is_Active: true },
+      orderBy: { Chain_ID: 'asc' }
+    });
+    chainCache = { chains: chains || [], expiresAt: Date.now() + CACHE_TTL_MS };
+    return chainCache.chains;
+  }
+
+  static clearCache() {
+    chainCache = null;
+  }
+
+  static appliesTo(chain, room, durationMinutes) {
+    const roomMatches = chain.Room_ID
+      ? chain.Room_ID === room.Room_ID
+      : !chain.Room_Type || chain.Room_Type === room.Room_Type;
+    return roomMatches && (!chain.Min_Duration_Minutes || durationMinutes > chain.Min_Duration_Minutes);
+  }
+
+  /**
+   * Most specific active chain for a booking: a room's own chain beats its
+   * room type's, which beats a catch-all; then the highest duration threshold.
+   * @returns {Promise<Object|null>}
+   */
+  static async resolveChain(room, durationMinutes) {
+    const specificity = chain => (chain.Room_ID ? 2 : chain.Room_Type ? 1 : 0);
+    const matching = (await this.getActiveChains())
+      .filter(chain => this.appliesTo(chain, room, durationMinutes))
+      .sort((a, b) =>
+        specificity(b) - specificity(a) ||
+        (b.Min_Duration_Minutes || 0) - (a.Min_Duration_Minutes || 0) ||
+        a.Chain_ID - b.Chain_ID
+      );
+    return matching[0] || null;
+  }
+
+  static durationMinutes(start, end) {
+    return (new Date(end).getTime() - new Date(start).getTime()) / MINUTE_MS;
+  }
+
+  /**
+   * Whose authority `user` can approve with right now: their own, plus that
+   * of every active approver who delegated to them.
+   * @returns {Promise<Array<{userId: number, role: string, onBehalfOf: Object|null}>>}
+   */
+  static async getAuthorities(user, now = new Date()) {
+    const delegations = await prisma.approval_Delegation.findMany({
+      where: {
+        Delegate_ID: user.User_ID,
+        Revoked_At: null,
+        Starts_At: { lte: now },
+        Ends_At: { gt: now }
+      },
+      include: {
+        Delegator: { select: { User_ID: true, User_Role: true, First_Name: true, Last_Name: true, Is_Active: true } }
+      },
+      orderBy: { Delegation_ID: 'asc' }
+    });
+
+    return [
+      { userId: user.User_ID, role: normalizeRole(user.User_Role), onBehalfOf: null },
+      ...(delegations || [])
+        .filter(delegation => delegation.Delegator && delegation.Delegator.Is_Active !== false)
+        .map(delegation => ({
+          userId: delegation.Delegator.User_ID,
+          role: normalizeRole(delegation.Delegator.User_Role),
+          onBehalfOf: delegation.Delegator
+        }))
+    ];
+  }
+
+  static canActOnStep(step, authority) {
+    return step.Required_User_ID
+      ? step.Required_User_ID === authority.userId
+      : step.Required_Role === authority.role;
+  }
+
+  static async getSteps(target, client = prisma) {
+    const steps = await client.booking_Approval.findMany({
+      where: targetWhere(target),
+      include: approvalInclude,
+      orderBy: [{ Created_At: 'asc' }, { Step_Order: 'asc' }]
+    });
+    return steps || [];
+  }
+
+  /**
+   * Pending steps of the current round, creating them from the chain when
+   * the booking has none (first decision, or resubmitted after a change).
+   * Pass a transaction client to create them together with the booking.
+   */
+  static async ensureSteps(target, chain, client = null) {
+    const pending = (await this.getSteps(target, client || prisma)).filter(step => step.Status === 'PENDING');
+    if (pending.length > 0) return pending;
+
+    const steps = Array.isArray(chain.Steps) ? chain.Steps : [];
+    const data = steps.map((step, index) => ({
+      ...targetWhere(target),
+      Chain_ID: chain.Chain_ID,
+      Step_Order: index + 1,
+      Required_Role: step.userId ? null : normalizeRole(step.role),
+      Required_User_ID: step.userId || null,
+      Status: 'PENDING'
+    }));
+    if (!client) {
+      return prisma.$transaction(data.map(row => prisma.booking_Approval.create({ data: row })));
+    }
+
+    const created = [];
+    for (const row of data) {
+      created.push(await client.booking_Approval.create({ data: row }));
+    }
+    return created;
+  }
+
+  /**
+   * Open the chain of a booking created PENDING under it: its steps exist
+   * from the start and whoever holds the first one is told.
+   */
+  static async startChain(target, chain, client = null) {
+    const [step] = await this.ensureSteps(target, chain, client);
+    if (step) await this.notifyStep(step, target, chain);
+  }
+
+  /**
+   * Check that `approver` may decide the booking now. Creates the chain's
+   * steps on first use but records no decision.
+   * With no matching chain, `canDecideAlone(authority)` applies the
+   * endpoint's single-step rule: it returns null when allowed, otherwise the
+   * reason it isn't.
+   * @returns {Promise<{chain: Object|null, step: Object|null, pending: Object[], authority: Object}>}
+   * @throws {AppError} 403 when no authority the approver holds may decide
+   */
+  static async authorizeDecision({ target, room, durationMinutes, approver, canDecideAlone, useChain = true }) {
+    const authorities = await this.getAuthorities(approver);
+    const chain = useChain ? await this.resolveChain(room, durationMinutes) : null;
+
+    if (!chain) {
+      let firstRefusal = null;
+      for (const authority of authorities) {
+        const refusal = await canDecideAlone(authority);
+        if (!refusal) return { chain: null, step: null, pending: [], authority };
+        firstRefusal = firstRefusal || refusal;
+      }
+      throw new AppError('Forbidden', 403, firstRefusal);
+    }
+
+    const pending = await this.ensureSteps(target, chain);
+    const step = pending[0];
+    if (!step) throw new AppError(`Approval chain "${chain.Name}" has no steps`, 409);
+
+    const authority = authorities.find(candidate => this.canActOnStep(step, candidate));
+    if (!authority) {
+      throw new AppError('Forbidden', 403,
+        `Step ${step.Step_Order} of ${pending.length + step.Step_Order - 1} ("${chain.Name}") must be decided by ${describeStep(step)}`);
+    }
+    return { chain, step, pending, authority };
+  }
+
+  /**
+   * Store a decision authorized by authorizeDecision. A rejection ends the
+   * chain (later steps are SKIPPED); an approval only finalizes the booking
+   * once no step is left.
+   * @returns {Promise<{final: boolean, nextStep: Object|null, steps: Object[]}>}
+   */
+  static async recordDecision(plan, target, { status, reason, approverId }) {
+    const decision = {
+      Status: status,
+      Approved_By: approverId,
+      On_Behalf_Of: plan.authority.onBehalfOf ? plan.authority.onBehalfOf.User_ID : null,
+      Reason: reason || null,
+      Decided_At: new Date()
+    };
+
+    if (!plan.chain) {
+      await prisma.booking_Approval.create({
+        data: { ...targetWhere(target), Step_Order: 1, ...decision }
+      });
+      return { final: true, nextStep: null, steps: await this.getSteps(target) };
+    }
+
+    await prisma.booking_Approval.update({ where: { Approval_ID: plan.step.Approval_ID }, data: decision });
+
+    const remaining = plan.pending.slice(1);
+    if (status === 'REJECTED' && remaining.length > 0) {
+      await prisma.booking_Approval.updateMany({
+        where: { Approval_ID: { in: remaining.map(step => step.Approval_ID) } },
+        data: { Status: 'SKIPPED' }
+      });
+    }
+
+    const final = status === 'REJECTED' || remaining.length === 0;
+    const nextStep = final ? null : remaining[0];
+    if (nextStep) await this.notifyStep(nextStep, target, plan.chain);
+
+    return { final, nextStep, steps: await this.getSteps(target) };
+  }
+
+  // Tell whoever holds the next step, and anyone they delegated to, that it's their turn.
+  static async notifyStep(step, target, chain) {
+    const label = target.bookingId ? `booking #${target.bookingId}` : `booking series #${target.seriesId}`;
+    const notification = {
+      type: 'BOOKING_APPROVAL_REQUESTED',
+      title: 'Approval Needed',
+      message: `Step ${step.Step_Order} of "${chain.Name}" for ${label} is waiting for your decision.`,
+      data: { ...target, approvalId: step.Approval_ID }
+    };
+
+    const approvers = step.Required_User_ID
+      ? [{ User_ID: step.Required_User_ID }]
+      : await prisma.user.findMany({
+        where: { User_Role: step.Required_Role, Is_Active: true },
+        select: { User_ID: true }
+      });
+    const approverIds = (approvers || []).map(user => user.User_ID);
+    const delegations = approverIds.length > 0
+      ? await prisma.approval_Delegation.findMany({
+        where: { Delegator_ID: { in: approverIds }, Revoked_At: null, Starts_At: { lte: new Date() }, Ends_At: { gt: new Date() } },
+        select: { Delegate_ID: true }
+      })
+      : [];
+
+    await NotificationService.notifyUsers(
+      [...approverIds, ...(delegations || []).map(delegation => delegation.Delegate_ID)],
+      notification
+    );
+  }
+
+  // ---- Admin management ----
+
+  static async listChains({ includeInactive = false } = {}) {
+    return prisma.approval_Chain.findMany({
+      where: includeInactive ? {} : { Is_Active: true },
+      orderBy: { Chain_ID: 'asc' }
+    });
+  }
+
+  static async getChain(chainId) {
+    return prisma.approval_Chain.findUnique({ where: { Chain_ID: chainId } });
+  }
+
+  static toData(input) {
+    const data = {};
+    const fields = {
+      name: 'Name',
+      description: 'Description',
+      roomId: 'Room_ID',
+      roomType: 'Room_Type',
+      minDurationMinutes: 'Min_Duration_Minutes',
+      isActive: 'Is_Active'
+    };
+    for (const [key, column] of Object.entries(fields)) {
+      if (input[key] !== undefined) data[column] = input[key];
+    }
+    if (input.steps !== undefined) {
+      data.Steps = input.steps.map(step => (step.userId ? { userId: step.userId } : { role: step.role }));
+    }
+    return data;
+  }
+
+  static async createChain(input, createdBy) {
+    const chain = await prisma.approval_Chain.create({
+      data: { ...this.toData(input), Created_By: createdBy }
+    });
+    this.clearCache();
+    return chain;
+  }
+
+  /**
+   * Steps already created for pending bookings keep the old chain; the new
+   * definition applies from the next booking that starts its approval.
+   * @returns {Promise<{previous: Object, record: Object}|null>} Chain before and after, or null when not found
+   */
+  static async updateChain(chainId, input) {
+    const existing = await this.getChain(chainId);
+    if (!existing) return null;
+
+    const data = this.toData(input);
+    if (Object.keys(data).length === 0) {
+      throw new AppError('No approval chain fields to update', 400);
+    }
+
+    const record = await prisma.approval_Chain.update({ where: { Chain_ID: chainId }, data });
+    this.clearCache();
+    return { previous: existing, record };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Deleted chain, or null when not found
+   */
+  static async deleteChain(chainId) {
+    const existing = await this.getChain(chainId);
+    if (!existing) return null;
+
+    await prisma.approval_Chain.delete({ where: { Chain_ID: chainId } });
+    this.clearCache();
+    return existing;
+  }
+
+  // ---- Delegations ----
+
+  /**
+   * Delegations the user gave or received; every delegation with `all`
+   */
+  static async listDelegations(userId, { all = false, includeExpired = false } = {}) {
+    return prisma.approval_Delegation.findMany({
+      where: {
+        ...(all ? {} : { OR: [{ Delegator_ID: userId }, { Delegate_ID: userId }] }),
+        ...(includeExpired ? {} : { Revoked_At: null, Ends_At: { gt: new Date() } })
+      },
+      include: {
+        Delegator: { select: { User_ID: true, First_Name: true, Last_Name: true, User_Role: true } },
+        Delegate: { select: { User_ID: true, First_Name: true, Last_Name: true, User_Role: true } }
+      },
+      orderBy: { Starts_At: 'asc' }
+    });
+  }
+
+  /**
+   * @throws {AppError} 400 for self-delegation or an inactive delegate,
+   *   409 when the delegator already delegated an overlapping window
+   */
+  static async createDelegation(delegator, { delegateId, startsAt, endsAt, reason }) {
+    const delegatorId = delegator.User_ID;
+    if (delegateId === delegatorId) {
+      throw new AppError('You cannot delegate approvals to yourself', 400);
+    }
+
+    const delegate = await prisma.user.findUnique({
+      where: { User_ID: delegateId },
+      select: { User_ID: true, First_Name: true, Last_Name: true, Is_Active: true }
+    });
+    if (!delegate || delegate.Is_Active === false) {
+      throw new AppError('Delegate must be an active user', 400);
+    }
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    const overlapping = await prisma.approval_Delegation.findFirst({
+      where: { Delegator_ID: delegatorId, Revoked_At: null, Starts_At: { lt: end }, Ends_At: { gt: start } }
+    });
+    if (overlapping) {
+      throw new AppError('You already have a delegation during this period', 409, {
+        delegationId: overlapping.Delegation_ID
+      });
+    }
+
+    const delegation = await prisma.approval_Delegation.create({
+      data: {
+        Delegator_ID: delegatorId,
+        Delegate_ID: delegateId,
+        Starts_At: start,
+        Ends_At: end,
+        Reason: reason || null
+      }
+    });
+
+    await NotificationService.notifyUsers([delegateId], {
+      type: 'APPROVAL_DELEGATED',
+      title: 'Approvals Delegated to You',
+      message: `You can approve bookings on behalf of ${delegator.First_Name} ${delegator.Last_Name} from ${start.toISOString()} to ${end.toISOString()}.`,
+      data: { delegationId: delegation.Delegation_ID }
+    });
+
+    return delegation;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Revoked delegation, or null when not found
+   * @throws {AppError} 403 when neither the delegator nor a chain manager
+   */
+  static async revokeDelegation(delegationId, userId, { canManageAll = false } = {}) {
+    const delegation = await prisma.approval_Delegation.findUnique({ where: { Delegation_ID: delegationId } });
+    if (!delegation) return null;
+    if (delegation.Delegator_ID !== userId && !canManageAll) {
+      throw new AppError('Only the delegator can revoke this delegation', 403);
+    }
+    if (delegation.Revoked_At) return delegation;
+
+    return prisma.approval_Delegation.update({
+      where: { Delegation_ID: delegationId },
+      data: { Revoked_At: new Date() }
+    });
+  }
+}
+
+module.exports = ApprovalChainService;
@@ -1,121 +1,123 @@
 const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
 
-class AuditService {
-  // Log user authentication events
-  static async logAuthEvent(userId, action, details = {}) {
-    return this._createLog({
-      userId,
-      action: `AUTH_${action}`,
-      details: details,  // Remove JSON.stringify() as Prisma handles JSON serialization
-      logType: 'AUTH',
-      relatedId: userId,
-      relatedType: 'USER'
-    });
-  }
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// Rows in one CSV export; narrow the filters for more
+const MAX_EXPORT_ROWS = 10000;
 
-  // Log item management events
-  static async logItemEvent(userId, action, itemId, details = {}) {
-    return this._createLog({
-      userId,
-      action: `ITEM_${action}`,
-      details: details,  // Remove JSON.stringify() as Prisma handles JSON serialization
-      logType: 'ITEM',
-      relatedId: itemId,
-      relatedType: 'ITEM'
-    });
-  }
+const LOG_TYPES = ['TICKET', 'SCHEDULE', 'BORROWING', 'SYSTEM', 'AUTH', 'BOOKING', 'FORM', 'ROOM', 'INVENTORY', 'REPORT'];
 
-  // Log borrowing system events
-  static async logBorrowingEvent(userId, action, borrowId, details = {}) {
-    return this._createLog({
-      userId,
-      action: `BORROW_${action}`,
-      details: details,  // Remove JSON.stringify() as Prisma handles JSON serialization
-      logType: 'BORROW',
-      relatedId: borrowId,
-      relatedType: 'BORROW_ITEM'
-    });
-  }
+const actorSelect = { User_ID: true, First_Name: true, Last_Name: true, Email: true };
 
-  // Log room booking events
-  static async logBookingEvent(userId, action, bookingId, details = {}) {
-    return this._createLog({
-      userId,
-      action: `BOOKING_${action}`,
-      details: details,  // Remove JSON.stringify() as Prisma handles JSON serialization
-      logType: 'BOOKING',
-      relatedId: bookingId,
-      relatedType: 'BOOKED_ROOM'
-    });
-  }
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AppError(`${name} must be a date`, 400);
+  return date;
+};
 
-  // Log ticket events
-  static async logTicketEvent(userId, action, ticketId, details = {}) {
-    return this._createLog({
-      userId,
-      action: `TICKET_${action}`,
-      details: details,  // Remove JSON.stringify() as Prisma handles JSON serialization
-      logType: 'TICKET',
-      relatedId: ticketId,
-      relatedType: 'TICKET'
-    });
-  }
+const parseList = (value) => String(value).split(',').map(entry => entry.trim()).filter(Boolean);
 
-  // Generic log creation method
-  static async _createLog({ userId, action, details = {}, logType, relatedId, relatedType }) {
-    try {
-      // Ensure details is an object
-      const detailsObj = typeof details === 'string' ? JSON.parse(details) : details;
+/**
+ * AuditService - Search the audit log that AuditLogger writes
+ */
+class AuditService {
+  static MAX_EXPORT_ROWS = MAX_EXPORT_ROWS;
 
-      // Log the data for debugging
-      console.log('Creating audit log with data:', {
-        userId,
-        action,
-        logType,
-        relatedId,
-        relatedType,
-        details: detailsObj
-      });
+  /**
+   * Prisma where clause from query filters: entityType, entityId, actorId,
+   * action (comma-separated), logType, from, to
+   * @throws {AppError} 400 for malformed filters
+   */
+  static buildWhere({ entityType, entityId, actorId, action, logType, from, to } = {}) {
+    const where = {};
+    if (entityType !== undefined) where.Entity_Type = String(entityType).trim().toUpperCase();
+    if (entityId !== undefined) {
+      if (entityType === undefined) throw new AppError('entityId needs an entityType', 400);
+      where.Entity_ID = String(entityId).trim();
+    }
+    if (actorId !== undefined) {
+      const id = parseInt(actorId, 10);
+      if (Number.isNaN(id)) throw new AppError('actorId must be a number', 400);
+      where.User_ID = id;
+    }
+    if (action !== undefined) {
+      where.Action = { in: parseList(action).map(entry => entry.toUpperCase()) };
+    }
+    if (logType !== undefined) {
+      const normalized = String(logType).toUpperCase();
+      if (!LOG_TYPES.includes(normalized)) {
+        throw new AppError(`logType must be one of ${LOG_TYPES.join(', ')}`, 400);
+      }
+      where.Log_Type = normalized;
+    }
+    if (from !== undefined || to !== undefined) {
+      where.Timestamp = {};
+      if (from !== undefined) where.Timestamp.gte = parseDate(from, 'from');
+      if (to !== undefined) where.Timestamp.lte = parseDate(to, 'to');
+    }
+    return where;
+  }
 
-      // Create the log data with proper relation
-      const logData = {
-        Action: action,
-        Details: detailsObj,  // Pass the object directly, Prisma will handle JSON serialization
-        Log_Type: logType,
-        Timestamp: new Date(),
-        User: userId ? {
-          connect: { User_ID: userId }
-        } : undefined
-      };
+  static toEntry(row) {
+    return {
+      id: row.Log_ID,
+      timestamp: row.Timestamp,
+      action: row.Action,
+      logType: row.Log_Type,
+      actor: row.User ? {
+        id: row.User.User_ID,
+        name: [row.User.First_Name, row.User.Last_Name].filter(Boolean).join(' '),
+        email: row.User.Email
+      } : null,
+      entityType: row.Entity_Type,
+      entityId: row.Entity_ID,
+      details: row.Details,
+      changes: row.Changes
+    };
+  }
 
-      // Add related entity reference if provided
-      // Only add if it's not a USER relation (since we already have User connected)
-      if (relatedId && relatedType && relatedType !== 'USER') {
-        const relationField = relatedType.charAt(0).toUpperCase() + relatedType.slice(1).toLowerCase();
-        logData[relationField] = { connect: { [`${relationField}_ID`]: relatedId } };
-      }
+  /**
+   * Newest-first page of audit entries
+   * @returns {Promise<{entries: Object[], meta: {total: number, page: number, limit: number, totalPages: number}}>}
+   */
+  static async search(query = {}) {
+    const where = this.buildWhere(query);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
 
-      const createdLog = await prisma.audit_Log.create({
-        data: logData,
-        include: {
-          User: {
-            select: {
-              User_ID: true,
-              Email: true,
-              First_Name: true,
-              Last_Name: true
-            }
-          }
-        }
-      });
+    const [rows, total] = await Promise.all([
+      prisma.audit_Log.findMany({
+        where,
+        include: { User: { select: actorSelect } },
+        orderBy: [{ Timestamp: 'desc' }, { Log_ID: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.audit_Log.count({ where })
+    ]);
 
-      console.log('Successfully created audit log:', createdLog);
-      return createdLog;
-    } catch (error) {
-      console.error('Failed to create audit log:', error);
-      // Don't fail the main operation if logging fails
-      return null;
-    }
+    return {
+      entries: rows.map(row => this.toEntry(row)),
+      meta: { total, page, limit, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Every matching entry, newest first, up to MAX_EXPORT_ROWS
+   * @returns {Promise<{entries: Object[], truncated: boolean}>}
+   */
+  static async export(query = {}) {
+    const rows = await prisma.audit_Log.findMany({
+      where: this.buildWhere(query),
+      include: { User: { select: actorSelect } },
+      orderBy: [{ Timestamp: 'desc' }, { Log_ID: 'desc' }],
+      take: MAX_EXPORT_ROWS + 1
+    });
+    return {
+      entries: rows.slice(0, MAX_EXPORT_ROWS).map(row => this.toEntry(row)),
+      truncated: rows.length > MAX_EXPORT_ROWS
+    };
   }
 }
 
@@ -0,0 +1,20 @@
+const PasswordService = require('../passwordService');
+
+/**
+ * DB provider - the password stored on the User row (bcrypt, or legacy
+ * plain text). Used for admins and accounts that aren't in any directory.
+ * Never provisions users and has no directory to sync.
+ * @type {import('./index').AuthProvider}
+ */
+const dbProvider = {
+  name: 'db',
+  provisionsUsers: false,
+
+  async authenticate({ password, user }) {
+    if (!user) return null;
+    const isValid = await PasswordService.verifyPassword(user, password);
+    return isValid ? { profile: {} } : null;
+  }
+};
+
+module.exports = dbProvider;
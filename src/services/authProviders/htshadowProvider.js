@@ -0,0 +1,63 @@
+const bcrypt = require('bcrypt');
+const fs = require('fs');
+
+/**
+ * Path is read per call so a rotated/replaced file is picked up without a
+ * restart.
+ */
+const getHtshadowPath = () => process.env.HTSHADOW_PATH || '/etc/htshadow';
+
+/**
+ * Verify password against the htshadow file
+ * @param {string} username - Username to look up
+ * @param {string} password - Plain text password to verify
+ * @returns {Promise<boolean>} Whether password matches
+ */
+const verifyHtshadowPassword = async (username, password) => {
+  try {
+    const data = fs.readFileSync(getHtshadowPath(), 'utf-8');
+    const line = data.split('\n').find(l => l.startsWith(username + ':'));
+    if (!line) return false;
+
+    const hash = line.split(':')[1].trim();
+    // Normalize $2y$ (PHP bcrypt) to $2b$ (Node bcrypt)
+    const normalized = hash.replace(/^\$2y\$/, '$2b$');
+    return bcrypt.compare(password, normalized);
+  } catch (err) {
+    console.error('[Auth] Error reading htshadow file:', err.message);
+    return false;
+  }
+};
+
+/**
+ * htshadow provider - bcrypt hashes in an Apache-style `user:hash` file.
+ * Only usernames are known, so auto-provisioned users get placeholder names
+ * and e-mail addresses.
+ * @type {import('./index').AuthProvider}
+ */
+const htshadowProvider = {
+  name: 'htshadow',
+  provisionsUsers: true,
+
+  async authenticate({ identifier, password, user }) {
+    // The file is keyed by username; an e-mail identifier only works when it
+    // resolves to a known DB user.
+    const username = user?.Username || (identifier.includes('@') ? null : identifier);
+    if (!username) return null;
+
+    const isValid = await verifyHtshadowPassword(username, password);
+    return isValid ? { profile: { Username: username } } : null;
+  },
+
+  async listUsers() {
+    const data = fs.readFileSync(getHtshadowPath(), 'utf-8');
+    return data
+      .split('\n')
+      .filter(l => l.includes(':'))
+      .map(l => l.split(':')[0].trim())
+      .filter(Boolean)
+      .map(username => ({ Username: username }));
+  }
+};
+
+module.exports = htshadowProvider;
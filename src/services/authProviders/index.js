@@ -0,0 +1,95 @@
+const htshadowProvider = require('./htshadowProvider');
+const dbProvider = require('./dbProvider');
+const ldapProvider = require('./ldapProvider');
+
+/**
+ * @typedef {Object} AuthProfile
+ * @property {string} [Username]
+ * @property {string} [Email]
+ * @property {string} [First_Name]
+ * @property {string} [Last_Name]
+ */
+
+/**
+ * @typedef {Object} AuthProvider
+ * @property {string} name - Key used in AUTH_PROVIDERS and the sync endpoint
+ * @property {boolean} provisionsUsers - Whether a successful login for an unknown identifier creates a User row
+ * @property {(ctx: {identifier: string, password: string, user: Object|null}) => Promise<{profile: AuthProfile}|null>} authenticate
+ *   Resolves `{ profile }` on success, null otherwise. Must not throw for bad credentials.
+ * @property {() => Promise<AuthProfile[]>} [listUsers] - Directory listing used by the sync job
+ */
+
+const PROVIDERS = {
+  [htshadowProvider.name]: htshadowProvider,
+  [dbProvider.name]: dbProvider,
+  [ldapProvider.name]: ldapProvider
+};
+
+// Matches the behaviour before providers existed: htshadow first, then the
+// DB password.
+const DEFAULT_CHAIN = 'htshadow,db';
+
+const getProvider = (name) => PROVIDERS[String(name || '').trim().toLowerCase()] || null;
+
+/**
+ * Ordered provider chain from AUTH_PROVIDERS (comma-separated). Unknown names
+ * are skipped with a warning so a typo can't lock everyone out.
+ * @returns {AuthProvider[]}
+ */
+const getProviderChain = () => {
+  const names = (process.env.AUTH_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const chain = [];
+  for (const name of names) {
+    const provider = getProvider(name);
+    if (!provider) {
+      console.warn(`[Auth] Unknown authentication provider "${name}" in AUTH_PROVIDERS - skipping`);
+      continue;
+    }
+    if (!chain.includes(provider)) chain.push(provider);
+  }
+  return chain;
+};
+
+/**
+ * Try each provider in order; the first success wins
+ * @returns {Promise<{provider: AuthProvider, profile: AuthProfile}|null>}
+ */
+const authenticateWithProviders = async ({ identifier, password, user }) => {
+  for (const provider of getProviderChain()) {
+    const result = await provider.authenticate({ identifier, password, user });
+    if (result) {
+      return { provider, profile: result.profile || {} };
+    }
+  }
+  return null;
+};
+
+/**
+ * User row for a directory account seen for the first time. Directories that
+ * only know a username (htshadow) get placeholder names and e-mail.
+ */
+const buildProvisionedUser = (profile, fallbackUsername) => {
+  const username = profile.Username || fallbackUsername;
+  return {
+    Username: username,
+    First_Name: profile.First_Name || username,
+    Middle_Name: '',
+    Last_Name: profile.Last_Name || '',
+    Email: profile.Email || `${username}@placeholder.local`,
+    Password: '',
+    User_Role: 'STUDENT',
+    Is_Active: true
+  };
+};
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  getProviderChain,
+  authenticateWithProviders,
+  buildProvisionedUser
+};
@@ -0,0 +1,179 @@
+const ldap = require('ldapjs');
+
+/**
+ * Read LDAP settings per call so tests and config reloads don't need a
+ * restart. `{{identifier}}` in LDAP_USER_FILTER is replaced with the escaped
+ * login identifier.
+ */
+const getConfig = () => ({
+  url: process.env.LDAP_URL,
+  bindDn: process.env.LDAP_BIND_DN,
+  bindPassword: process.env.LDAP_BIND_PASSWORD || '',
+  searchBase: process.env.LDAP_SEARCH_BASE,
+  userFilter: process.env.LDAP_USER_FILTER || '(|(uid={{identifier}})(mail={{identifier}}))',
+  syncFilter: process.env.LDAP_SYNC_FILTER || '(objectClass=person)',
+  timeoutMs: parseInt(process.env.LDAP_TIMEOUT_MS, 10) || 5000,
+  rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+  attributes: {
+    username: process.env.LDAP_ATTR_USERNAME || 'uid',
+    email: process.env.LDAP_ATTR_EMAIL || 'mail',
+    firstName: process.env.LDAP_ATTR_FIRST_NAME || 'givenName',
+    lastName: process.env.LDAP_ATTR_LAST_NAME || 'sn'
+  }
+});
+
+/**
+ * Escape a value for use inside an LDAP search filter (RFC 4515)
+ */
+const escapeFilterValue = (value) =>
+  String(value).replace(/[\\*()\0]/g, ch => `\\${ch.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+const createClient = (config) => {
+  const client = ldap.createClient({
+    url: config.url,
+    timeout: config.timeoutMs,
+    connectTimeout: config.timeoutMs,
+    tlsOptions: { rejectUnauthorized: config.rejectUnauthorized }
+  });
+  // Connection errors also surface through the pending operation; without a
+  // listener they would crash the process.
+  client.on('error', (err) => {
+    console.error('[Auth][LDAP] Client error:', err.message);
+  });
+  return client;
+};
+
+const bind = (client, dn, password) =>
+  new Promise((resolve, reject) => {
+    client.bind(dn, password, err => (err ? reject(err) : resolve()));
+  });
+
+const unbind = (client) =>
+  new Promise((resolve) => {
+    client.unbind(() => resolve());
+  });
+
+const search = (client, base, options) =>
+  new Promise((resolve, reject) => {
+    client.search(base, options, (err, res) => {
+      if (err) return reject(err);
+      const entries = [];
+      res.on('searchEntry', entry => entries.push(entry.pojo));
+      // Directories without the paged-results control answer in one page;
+      // with this listener ldapjs ends normally instead of erroring.
+      res.on('pageError', () => {});
+      res.on('error', reject);
+      res.on('end', () => resolve(entries));
+    });
+  });
+
+/**
+ * Flatten an ldapjs entry into a User-shaped profile. Attribute names are
+ * matched case-insensitively since servers differ in what they return.
+ */
+const toProfile = (entry, attributes) => {
+  const values = {};
+  for (const attribute of entry.attributes || []) {
+    values[attribute.type.toLowerCase()] = attribute.values?.[0];
+  }
+  const read = name => values[name.toLowerCase()] || undefined;
+
+  return {
+    dn: entry.objectName,
+    Username: read(attributes.username),
+    Email: read(attributes.email),
+    First_Name: read(attributes.firstName),
+    Last_Name: read(attributes.lastName)
+  };
+};
+
+const withServiceBinding = async (config, fn) => {
+  const client = createClient(config);
+  try {
+    if (config.bindDn) {
+      await bind(client, config.bindDn, config.bindPassword);
+    }
+    return await fn(client);
+  } finally {
+    await unbind(client);
+  }
+};
+
+/**
+ * LDAP provider - search-then-bind. A service account (LDAP_BIND_DN) looks
+ * up the user's entry, then the entry's DN is bound with the supplied
+ * password.
+ * @type {import('./index').AuthProvider}
+ */
+const ldapProvider = {
+  name: 'ldap',
+  provisionsUsers: true,
+
+  async authenticate({ identifier, password, user }) {
+    const config = getConfig();
+    if (!config.url || !config.searchBase) {
+      console.error('[Auth][LDAP] LDAP_URL and LDAP_SEARCH_BASE must be set to use the ldap provider');
+      return null;
+    }
+    // An empty password would be an anonymous bind, which most servers accept.
+    if (!password) return null;
+
+    const lookup = user?.Username || identifier;
+    const filter = config.userFilter.replace(/\{\{identifier\}\}/g, escapeFilterValue(lookup));
+
+    try {
+      const entries = await withServiceBinding(config, client =>
+        search(client, config.searchBase, {
+          scope: 'sub',
+          filter,
+          sizeLimit: 2,
+          attributes: Object.values(config.attributes)
+        })
+      );
+
+      // Ambiguous matches are refused rather than guessing which entry to bind.
+      if (entries.length !== 1) return null;
+      const profile = toProfile(entries[0], config.attributes);
+
+      const client = createClient(config);
+      try {
+        await bind(client, profile.dn, password);
+      } finally {
+        await unbind(client);
+      }
+
+      const { dn, ...userProfile } = profile;
+      return { profile: userProfile };
+    } catch (err) {
+      if (!(err instanceof ldap.InvalidCredentialsError)) {
+        console.error('[Auth][LDAP] Authentication error:', err.message);
+      }
+      return null;
+    }
+  },
+
+  async listUsers() {
+    const config = getConfig();
+    if (!config.url || !config.searchBase) {
+      throw new Error('LDAP_URL and LDAP_SEARCH_BASE must be set to sync the ldap directory');
+    }
+
+    const entries = await withServiceBinding(config, client =>
+      search(client, config.searchBase, {
+        scope: 'sub',
+        filter: config.syncFilter,
+        paged: true,
+        attributes: Object.values(config.attributes)
+      })
+    );
+
+    return entries
+      .map(entry => {
+        const { dn, ...profile } = toProfile(entry, config.attributes);
+        return profile;
+      })
+      .filter(profile => profile.Username);
+  }
+};
+
+module.exports = ldapProvider;
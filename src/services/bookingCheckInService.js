@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { JWT_SECRET } = require('../middleware/auth');
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Minutes after Start_Time an APPROVED booking may go unchecked before the
+// no-show job releases it. Check-in opens a fixed window before the start.
+const GRACE_MINUTES = readPositiveInt(process.env.BOOKING_CHECK_IN_GRACE_MINUTES, 15);
+const EARLY_CHECK_IN_MINUTES = 15;
+
+// Lab-staff open sessions are walk-in queues, not reservations.
+const EXEMPT_PURPOSES = ['Student Usage'];
+
+const roomSignature = (roomId) =>
+  crypto.createHmac('sha256', JWT_SECRET).update(`room-check-in:${roomId}`).digest('base64url').slice(0, 16);
+
+/**
+ * BookingCheckInService - Attendance for approved bookings: check-in (direct
+ * or via the room's QR code), no-show release and per-user statistics
+ */
+class BookingCheckInService {
+  static GRACE_MINUTES = GRACE_MINUTES;
+
+  /**
+   * Code printed as a QR in the room. Signed, so it can't be guessed for
+   * other rooms, and stable, so printed codes don't go stale.
+   */
+  static getRoomCode(roomId) {
+    return `${roomId}.${roomSignature(roomId)}`;
+  }
+
+  /**
+   * @returns {number|null} Room_ID, or null when the code is malformed or forged
+   */
+  static resolveRoomCode(code) {
+    const match = /^(\d+)\.([A-Za-z0-9_-]{16})$/.exec(String(code || '').trim());
+    if (!match) return null;
+
+    const roomId = parseInt(match[1], 10);
+    const expected = Buffer.from(roomSignature(roomId));
+    const given = Buffer.from(match[2]);
+    return crypto.timingSafeEqual(expected, given) ? roomId : null;
+  }
+
+  static async getRoomQrCode(roomId) {
+    const code = this.getRoomCode(roomId);
+    return { code, qrCodeDataUrl: await QRCode.toDataURL(code) };
+  }
+
+  static isWithinWindow(booking, now = new Date()) {
+    const opensAt = new Date(booking.Start_Time).getTime() - EARLY_CHECK_IN_MINUTES * 60 * 1000;
+    return now.getTime() >= opensAt && now.getTime() < new Date(booking.End_Time).getTime();
+  }
+
+  /**
+   * APPROVED bookings in a room whose check-in window is open right now
+   */
+  static async findCheckInCandidates(roomId, userId = null, now = new Date()) {
+    return prisma.Booked_Room.findMany({
+      where: {
+        Room_ID: roomId,
+        Status: 'APPROVED',
+        Checked_In_At: null,
+        Start_Time: { lte: new Date(now.getTime() + EARLY_CHECK_IN_MINUTES * 60 * 1000) },
+        End_Time: { gt: now },
+        ...(userId && { User_ID: userId })
+      },
+      include: { Room: { select: { Room_ID: true, Name: true } } },
+      orderBy: { Start_Time: 'asc' }
+    });
+  }
+
+  /**
+   * @param {Object} booking - Booked_Room row
+   * @param {number} checkedInBy - User performing the check-in
+   */
+  static async checkIn(booking, checkedInBy, now = new Date()) {
+    if (booking.Status !== 'APPROVED') {
+      throw new AppError('Only approved bookings can be checked in', 400, { currentStatus: booking.Status });
+    }
+    if (booking.Checked_In_At) {
+      throw new AppError('Booking is already checked in', 409, { checkedInAt: booking.Checked_In_At });
+    }
+    if (!this.isWithinWindow(booking, now)) {
+      throw new AppError(
+        `Check-in opens ${EARLY_CHECK_IN_MINUTES} minutes before the booking starts and closes when it ends`,
+        400
+      );
+    }
+
+    return prisma.Booked_Room.update({
+      where: { Booked_Room_ID: booking.Booked_Room_ID },
+      data: {
+        Checked_In_At: now,
+        Checked_In_By: checkedInBy,
+        Outcome: 'CHECKED_IN',
+        Updated_At: now
+      },
+      include: {
+        Room: true,
+        User: { select: { User_ID: true, First_Name: true, Last_Name: true, Email: true } }
+      }
+    });
+  }
+
+  /**
+   * Release APPROVED bookings that are still running but were not checked
+   * into within the grace period. Bookings that already ended are left
+   * alone, so the first run doesn't rewrite history.
+   * @returns {Promise<Object[]>} The released bookings
+   */
+  static async releaseNoShows(now = new Date()) {
+    const cutoff = new Date(now.getTime() - GRACE_MINUTES * 60 * 1000);
+    const candidates = await prisma.Booked_Room.findMany({
+      where: {
+        Status: 'APPROVED',
+        Checked_In_At: null,
+        Start_Time: { lte: cutoff },
+        End_Time: { gt: now },
+        Purpose: { notIn: EXEMPT_PURPOSES }
+      },
+      include: { Room: true, User: { select: { User_ID: true, First_Name: true, Last_Name: true, Email: true } } }
+    });
+
+    const released = [];
+    for (const booking of candidates || []) {
+      const note = `Released as a no-show: not checked in within ${GRACE_MINUTES} minutes of the start time.`;
+      // Conditional update so a check-in that lands mid-run wins.
+      const result = await prisma.Booked_Room.updateMany({
+        where: { Booked_Room_ID: booking.Booked_Room_ID, Status: 'APPROVED', Checked_In_At: null },
+        data: {
+          Status: 'CANCELLED',
+          Outcome: 'NO_SHOW',
+          Notes: booking.Notes ? `${booking.Notes}\n${note}` : note,
+          Updated_At: now
+        }
+      });
+      if (result.count === 0) continue;
+
+      released.push({ ...booking, Status: 'CANCELLED', Outcome: 'NO_SHOW' });
+    }
+
+    return released;
+  }
+
+  /**
+   * Attendance per user from recorded outcomes
+   * @param {number|null} userId - Limit to one user
+   * @returns {Promise<Array<{userId: number, user: Object|null, checkedIn: number, noShows: number, noShowRate: number}>>}
+   */
+  static async getNoShowStats(userId = null) {
+    const groups = await prisma.Booked_Room.groupBy({
+      by: ['User_ID', 'Outcome'],
+      where: {
+        Outcome: { in: ['CHECKED_IN', 'NO_SHOW'] },
+        ...(userId && { User_ID: userId })
+      },
+      _count: { _all: true }
+    });
+
+    const byUser = new Map();
+    for (const group of groups || []) {
+      if (!byUser.has(group.User_ID)) byUser.set(group.User_ID, { checkedIn: 0, noShows: 0 });
+      const stats = byUser.get(group.User_ID);
+      if (group.Outcome === 'CHECKED_IN') stats.checkedIn = group._count._all;
+      if (group.Outcome === 'NO_SHOW') stats.noShows = group._count._all;
+    }
+
+    const users = byUser.size
+      ? await prisma.user.findMany({
+        where: { User_ID: { in: [...byUser.keys()] } },
+        select: { User_ID: true, First_Name: true, Last_Name: true, Email: true, User_Role: true }
+      })
+      : [];
+    const usersById = new Map(users.map(user => [user.User_ID, user]));
+
+    return [...byUser.entries()]
+      .map(([id, { checkedIn, noShows }]) => ({
+        userId: id,
+        user: usersById.get(id) || null,
+        checkedIn,
+        noShows,
+        noShowRate: Math.round((noShows / (checkedIn + noShows)) * 1000) / 1000
+      }))
+      .sort((a, b) => b.noShows - a.noShows || b.noShowRate - a.noShowRate);
+  }
+}
+
+module.exports = BookingCheckInService;
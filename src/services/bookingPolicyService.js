@@ -0,0 +1,290 @@
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { DEFAULT_TIMEZONE_OFFSET_MINUTES } = require('../utils/scheduleConflict');
+
+const CACHE_TTL_MS = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const WEEK_MS = 7 * DAY_MS;
+const MAX_REPORTED_VIOLATIONS = 50;
+
+let policyCache = null;
+
+const overlapMinutes = (start, end, windowStart, windowEnd) => {
+  const from = Math.max(start.getTime(), windowStart.getTime());
+  const to = Math.min(end.getTime(), windowEnd.getTime());
+  return Math.max(0, (to - from) / MINUTE_MS);
+};
+
+// Monday 00:00 local time of the week containing `date`, as a UTC instant.
+const weekStartOf = (date) => {
+  const offsetMs = DEFAULT_TIMEZONE_OFFSET_MINUTES * MINUTE_MS;
+  const local = new Date(date.getTime() + offsetMs);
+  const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+  const localMidnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  return new Date(localMidnight - daysSinceMonday * DAY_MS - offsetMs);
+};
+
+const formatHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * BookingPolicyService - Declarative booking rules (duration, advance
+ * notice, weekly quota, blackouts) per room type and role
+ */
+class BookingPolicyService {
+  static async getActivePolicies() {
+    if (policyCache && policyCache.expiresAt > Date.now()) {
+      return policyCache.policies;
+    }
+
+    const policies = await prisma.booking_Policy.findMany({
+      where: { Is_Active: true },
+      orderBy: { Policy_ID: 'asc' }
+    });
+    policyCache = { policies: policies || [], expiresAt: Date.now() + CACHE_TTL_MS };
+    return policyCache.policies;
+  }
+
+  static clearCache() {
+    policyCache = null;
+  }
+
+  static appliesTo(policy, roomType, role) {
+    return (!policy.Room_Type || policy.Room_Type === roomType)
+      && (!policy.Role || policy.Role === role);
+  }
+
+  /**
+   * Evaluate every matching active policy against the requested slots.
+   * @param {Object} params
+   * @param {number} params.userId - Booking owner (quota is per owner)
+   * @param {string} params.role - Owner's role
+   * @param {{Room_ID: number, Room_Type: string}} params.room - Target room
+   * @param {Array<{start: Date, end: Date}>} params.occurrences - Requested slots
+   * @param {number} [params.excludeBookingId] - Booking being edited (not counted twice)
+   * @param {number} [params.excludeSeriesId] - Series being edited (not counted twice)
+   * @returns {Promise<Array<Object>>} Violations; empty when the request is allowed
+   */
+  static async evaluate({ userId, role, room, occurrences, excludeBookingId = null, excludeSeriesId = null, now = new Date() }) {
+    const policies = (await this.getActivePolicies())
+      .filter(policy => this.appliesTo(policy, room.Room_Type, role));
+    if (policies.length === 0 || occurrences.length === 0) return [];
+
+    const slots = occurrences.map(({ start, end }) => ({ start: new Date(start), end: new Date(end) }));
+    const violations = [];
+    const violation = (policy, code, message, extra) => ({
+      code,
+      policyId: policy.Policy_ID,
+      policyName: policy.Name,
+      message,
+      ...extra
+    });
+
+    for (const policy of policies) {
+      const blackouts = Array.isArray(policy.Blackouts) ? policy.Blackouts : [];
+
+      for (const { start, end } of slots) {
+        const when = start.toISOString();
+        const durationMinutes = (end.getTime() - start.getTime()) / MINUTE_MS;
+        const noticeMinutes = (start.getTime() - now.getTime()) / MINUTE_MS;
+
+        if (policy.Max_Duration_Minutes && durationMinutes > policy.Max_Duration_Minutes) {
+          violations.push(violation(policy, 'MAX_DURATION',
+            `Bookings can last at most ${policy.Max_Duration_Minutes} minutes (requested ${Math.round(durationMinutes)})`,
+            { when, limit: policy.Max_Duration_Minutes, actual: Math.round(durationMinutes) }));
+        }
+
+        if (policy.Min_Advance_Minutes && noticeMinutes < policy.Min_Advance_Minutes) {
+          violations.push(violation(policy, 'MIN_ADVANCE_NOTICE',
+            `Bookings must be made at least ${policy.Min_Advance_Minutes} minutes in advance`,
+            { when, limit: policy.Min_Advance_Minutes, actual: Math.floor(noticeMinutes) }));
+        }
+
+        if (policy.Max_Advance_Days && noticeMinutes > policy.Max_Advance_Days * 24 * 60) {
+          violations.push(violation(policy, 'MAX_ADVANCE_NOTICE',
+            `Bookings can be made at most ${policy.Max_Advance_Days} days in advance`,
+            { when, limit: policy.Max_Advance_Days, actual: Math.ceil(noticeMinutes / (24 * 60)) }));
+        }
+
+        const blackout = blackouts.find(window =>
+          overlapMinutes(start, end, new Date(window.start), new Date(window.end)) > 0
+        );
+        if (blackout) {
+          violations.push(violation(policy, 'BLACKOUT',
+            `Bookings are not allowed from ${new Date(blackout.start).toISOString()} to ${new Date(blackout.end).toISOString()}${blackout.reason ? ` (${blackout.reason})` : ''}`,
+            { when, blackout }));
+        }
+      }
+
+      if (policy.Weekly_Quota_Hours) {
+        const exceeded = await this.checkWeeklyQuota(policy, { userId, slots, excludeBookingId, excludeSeriesId });
+        for (const { weekStart, hours } of exceeded) {
+          violations.push(violation(policy, 'WEEKLY_QUOTA',
+            `Weekly quota is ${policy.Weekly_Quota_Hours} hours; this request brings the week of ${weekStart.slice(0, 10)} to ${hours}`,
+            { when: weekStart, limit: policy.Weekly_Quota_Hours, actual: hours }));
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Existing PENDING/APPROVED booking hours of the owner (in rooms the policy
+   * covers) plus the requested hours, per local Monday-to-Sunday week.
+   * Existing hours include the owner's recurring series, expanded like the
+   * booking list does.
+   */
+  static async checkWeeklyQuota(policy, { userId, slots, excludeBookingId, excludeSeriesId }) {
+    const requestedByWeek = new Map();
+    for (const { start, end } of slots) {
+      const key = weekStartOf(start).getTime();
+      requestedByWeek.set(key, (requestedByWeek.get(key) || 0) + (end.getTime() - start.getTime()) / MINUTE_MS);
+    }
+
+    const weekKeys = [...requestedByWeek.keys()];
+    const seriesOccurrences = await this.seriesOccurrences(policy, {
+      userId,
+      from: new Date(Math.min(...weekKeys)),
+      to: new Date(Math.max(...weekKeys) + WEEK_MS),
+      excludeSeriesId
+    });
+
+    const exceeded = [];
+    for (const [key, requestedMinutes] of requestedByWeek) {
+      const weekStart = new Date(key);
+      const weekEnd = new Date(key + WEEK_MS);
+      const existing = await prisma.Booked_Room.findMany({
+        where: {
+          User_ID: userId,
+          Status: { in: ['PENDING', 'APPROVED'] },
+          Start_Time: { lt: weekEnd },
+          End_Time: { gt: weekStart },
+          ...(policy.Room_Type && { Room: { Room_Type: policy.Room_Type } }),
+          ...(excludeBookingId && { Booked_Room_ID: { not: excludeBookingId } }),
+          ...(excludeSeriesId && { NOT: { Series_ID: excludeSeriesId } })
+        },
+        select: { Start_Time: true, End_Time: true }
+      });
+
+      const existingMinutes = [...(existing || []), ...seriesOccurrences].reduce((sum, booking) =>
+        sum + overlapMinutes(new Date(booking.Start_Time), new Date(booking.End_Time), weekStart, weekEnd), 0);
+      const totalMinutes = existingMinutes + requestedMinutes;
+      if (totalMinutes > policy.Weekly_Quota_Hours * 60) {
+        exceeded.push({ weekStart: weekStart.toISOString(), hours: formatHours(totalMinutes) });
+      }
+    }
+    return exceeded;
+  }
+
+  /**
+   * Not-yet-materialized occurrences of the owner's PENDING/APPROVED series
+   * between `from` and `to`. Edited occurrences are Booked_Room rows and are
+   * counted with the other bookings.
+   */
+  static async seriesOccurrences(policy, { userId, from, to, excludeSeriesId }) {
+    // Required here: the series controller itself depends on this service.
+    const { buildVirtualOccurrences } = require('../modules/bookings/bookingSeries.controller');
+    const occurrences = await buildVirtualOccurrences({
+      from: new Date(from.getTime() - DAY_MS),
+      to,
+      where: { User_ID: userId }
+    });
+    return occurrences.filter(occurrence =>
+      ['PENDING', 'APPROVED'].includes(occurrence.Status)
+      && occurrence.Series_ID !== excludeSeriesId
+      && (!policy.Room_Type || occurrence.Room?.Room_Type === policy.Room_Type));
+  }
+
+  /**
+   * Response body for a request rejected by policy
+   */
+  static violationResponse(violations) {
+    return {
+      success: false,
+      code: 'BOOKING_POLICY_VIOLATION',
+      error: 'Booking violates booking policy',
+      details: violations[0].message,
+      violations: violations.slice(0, MAX_REPORTED_VIOLATIONS),
+      totalViolations: violations.length
+    };
+  }
+
+  // ---- Admin management ----
+
+  static async listPolicies({ includeInactive = false } = {}) {
+    return prisma.booking_Policy.findMany({
+      where: includeInactive ? {} : { Is_Active: true },
+      orderBy: { Policy_ID: 'asc' }
+    });
+  }
+
+  static async getPolicy(policyId) {
+    return prisma.booking_Policy.findUnique({ where: { Policy_ID: policyId } });
+  }
+
+  static toData(input) {
+    const data = {};
+    const fields = {
+      name: 'Name',
+      description: 'Description',
+      roomType: 'Room_Type',
+      role: 'Role',
+      maxDurationMinutes: 'Max_Duration_Minutes',
+      minAdvanceMinutes: 'Min_Advance_Minutes',
+      maxAdvanceDays: 'Max_Advance_Days',
+      weeklyQuotaHours: 'Weekly_Quota_Hours',
+      isActive: 'Is_Active'
+    };
+    for (const [key, column] of Object.entries(fields)) {
+      if (input[key] !== undefined) data[column] = input[key];
+    }
+    if (input.blackouts !== undefined) {
+      data.Blackouts = input.blackouts.map(({ start, end, reason }) => ({
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        ...(reason && { reason })
+      }));
+    }
+    return data;
+  }
+
+  static async createPolicy(input, createdBy) {
+    const policy = await prisma.booking_Policy.create({
+      data: { ...this.toData(input), Created_By: createdBy }
+    });
+    this.clearCache();
+    return policy;
+  }
+
+  /**
+   * @returns {Promise<{previous: Object, record: Object}|null>} Policy before and after, or null when not found
+   */
+  static async updatePolicy(policyId, input) {
+    const existing = await this.getPolicy(policyId);
+    if (!existing) return null;
+
+    const data = this.toData(input);
+    if (Object.keys(data).length === 0) {
+      throw new AppError('No policy fields to update', 400);
+    }
+
+    const record = await prisma.booking_Policy.update({ where: { Policy_ID: policyId }, data });
+    this.clearCache();
+    return { previous: existing, record };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Deleted policy, or null when not found
+   */
+  static async deletePolicy(policyId) {
+    const existing = await this.getPolicy(policyId);
+    if (!existing) return null;
+
+    await prisma.booking_Policy.delete({ where: { Policy_ID: policyId } });
+    this.clearCache();
+    return existing;
+  }
+}
+
+module.exports = BookingPolicyService;
@@ -0,0 +1,275 @@
+const prisma = require('../lib/prisma');
+const NotificationManager = require('./notificationManager');
+const AuditLogger = require('../utils/auditLogger');
+const { AppError } = require('../middleware/errorHandler');
+const { findScheduleConflict } = require('../utils/scheduleConflict');
+const { normalizeRole } = require('../middleware/authorize');
+const AcademicCalendarService = require('./academicCalendarService');
+const ApprovalChainService = require('./approvalChainService');
+const BookingPolicyService = require('./bookingPolicyService');
+
+const overlaps = (start, end) => ({
+  Start_Time: { lt: end },
+  End_Time: { gt: start }
+});
+
+const waitlistInclude = {
+  Room: { select: { Room_ID: true, Name: true, Room_Type: true } },
+  User: { select: { User_ID: true, First_Name: true, Last_Name: true, Email: true, User_Role: true } }
+};
+
+/**
+ * BookingWaitlistService - Queue for room slots held by an APPROVED booking.
+ * Entries are served first-come-first-served; promotion turns an entry into
+ * an ordinary PENDING booking that still goes through approval.
+ */
+class BookingWaitlistService {
+  static STATUSES = ['WAITING', 'PROMOTED', 'CANCELLED', 'EXPIRED'];
+
+  /**
+   * 1-based position among WAITING entries that overlap the same slot
+   */
+  static async getPosition(entry) {
+    const ahead = await prisma.booking_Waitlist.count({
+      where: {
+        Room_ID: entry.Room_ID,
+        Status: 'WAITING',
+        Created_At: { lt: entry.Created_At },
+        ...overlaps(entry.Start_Time, entry.End_Time)
+      }
+    });
+    return ahead + 1;
+  }
+
+  /**
+   * @returns {Promise<{entry: Object, position: number}>}
+   */
+  static async join({ userId, roomId, startTime, endTime, purpose }) {
+    const existing = await prisma.booking_Waitlist.findFirst({
+      where: { User_ID: userId, Room_ID: roomId, Status: 'WAITING', ...overlaps(startTime, endTime) }
+    });
+    if (existing) {
+      throw new AppError('You are already on the waitlist for this room and time', 409, {
+        waitlistId: existing.Waitlist_ID
+      });
+    }
+
+    const entry = await prisma.booking_Waitlist.create({
+      data: {
+        User_ID: userId,
+        Room_ID: roomId,
+        Start_Time: startTime,
+        End_Time: endTime,
+        Purpose: purpose || null
+      },
+      include: waitlistInclude
+    });
+
+    return { entry, position: await this.getPosition(entry) };
+  }
+
+  /**
+   * Entries whose slot has already started can never be served.
+   */
+  static async expireStale(now = new Date()) {
+    const result = await prisma.booking_Waitlist.updateMany({
+      where: { Status: 'WAITING', Start_Time: { lte: now } },
+      data: { Status: 'EXPIRED' }
+    });
+    return result?.count || 0;
+  }
+
+  static async list({ userId = null, roomId = null, status = 'WAITING' } = {}) {
+    await this.expireStale();
+
+    const where = {};
+    if (userId) where.User_ID = userId;
+    if (roomId) where.Room_ID = roomId;
+    if (status) where.Status = status;
+
+    return prisma.booking_Waitlist.findMany({
+      where,
+      include: waitlistInclude,
+      orderBy: [{ Start_Time: 'asc' }, { Created_At: 'asc' }]
+    });
+  }
+
+  /**
+   * Leave the waitlist
+   * @returns {Promise<Object|null>} The cancelled entry, or null when not found
+   */
+  static async cancel(waitlistId) {
+    const entry = await prisma.booking_Waitlist.findUnique({ where: { Waitlist_ID: waitlistId } });
+    if (!entry) return null;
+    if (entry.Status !== 'WAITING') {
+      throw new AppError(`Waitlist entry is already ${entry.Status.toLowerCase()}`, 409);
+    }
+
+    return prisma.booking_Waitlist.update({
+      where: { Waitlist_ID: waitlistId },
+      data: { Status: 'CANCELLED' },
+      include: waitlistInclude
+    });
+  }
+
+  /**
+   * Called after a booking stops holding its slot (cancelled, rejected or
+   * deleted). Promotes the oldest WAITING entry overlapping that slot whose
+   * own slot is now clear of APPROVED bookings and class schedules, and
+   * notifies its user. Booking policies are checked again at promotion;
+   * entries that now violate one are expired and skipped.
+   * @param {Object} freedBooking - The booking that released the slot
+   * @param {number} actorId - User whose action freed the slot (for the audit log)
+   * @returns {Promise<Object|null>} The new PENDING booking, or null if nobody could be promoted
+   */
+  static async promoteNext(freedBooking, actorId) {
+    const now = new Date();
+    const candidates = await prisma.booking_Waitlist.findMany({
+      where: {
+        Room_ID: freedBooking.Room_ID,
+        Status: 'WAITING',
+        ...overlaps(new Date(freedBooking.Start_Time), new Date(freedBooking.End_Time))
+      },
+      include: waitlistInclude,
+      orderBy: { Created_At: 'asc' }
+    });
+    if (!candidates || candidates.length === 0) return null;
+
+    const closedDates = await AcademicCalendarService.getClosedDates();
+    const schedules = await prisma.Schedule.findMany({
+      where: { Room_ID: freedBooking.Room_ID, IsActive: true }
+    });
+
+    for (const entry of candidates) {
+      if (new Date(entry.Start_Time) <= now) {
+        await prisma.booking_Waitlist.update({
+          where: { Waitlist_ID: entry.Waitlist_ID },
+          data: { Status: 'EXPIRED' }
+        });
+        continue;
+      }
+
+      // The freed booking may only have covered part of this entry's slot.
+      const stillBlocked = await prisma.Booked_Room.findFirst({
+        where: {
+          Room_ID: entry.Room_ID,
+          Status: 'APPROVED',
+          ...overlaps(entry.Start_Time, entry.End_Time)
+        }
+      });
+      if (stillBlocked || findScheduleConflict(schedules || [], entry.Start_Time, entry.End_Time, { closedDates })) {
+        continue;
+      }
+
+      // Same rule as createBooking: no stacking on the user's own pending request.
+      const ownPending = await prisma.Booked_Room.findFirst({
+        where: {
+          Room_ID: entry.Room_ID,
+          User_ID: entry.User_ID,
+          Status: 'PENDING',
+          ...overlaps(entry.Start_Time, entry.End_Time)
+        }
+      });
+      if (ownPending) continue;
+
+      // Quota, blackouts and notice may have changed since the user joined.
+      const policyViolations = await BookingPolicyService.evaluate({
+        userId: entry.User_ID,
+        role: normalizeRole(entry.User?.User_Role),
+        room: entry.Room || { Room_ID: entry.Room_ID },
+        occurrences: [{ start: entry.Start_Time, end: entry.End_Time }],
+        now
+      });
+      if (policyViolations.length > 0) {
+        await prisma.booking_Waitlist.update({
+          where: { Waitlist_ID: entry.Waitlist_ID },
+          data: { Status: 'EXPIRED' }
+        });
+        continue;
+      }
+
+      const booking = await prisma.$transaction(async (tx) => {
+        // Claim the entry first so two concurrent cancellations can't both
+        // promote it.
+        const claimed = await tx.booking_Waitlist.updateMany({
+          where: { Waitlist_ID: entry.Waitlist_ID, Status: 'WAITING' },
+          data: { Status: 'PROMOTED', Promoted_At: new Date() }
+        });
+        if (claimed.count === 0) return null;
+
+        const created = await tx.Booked_Room.create({
+          data: {
+            User_ID: entry.User_ID,
+            Room_ID: entry.Room_ID,
+            Start_Time: entry.Start_Time,
+            End_Time: entry.End_Time,
+            Status: 'PENDING',
+            Purpose: entry.Purpose || '',
+            Created_At: new Date()
+          },
+          include: {
+            Room: true,
+            User: { select: { User_ID: true, First_Name: true, Last_Name: true, Email: true } }
+          }
+        });
+
+        await tx.booking_Waitlist.update({
+          where: { Waitlist_ID: entry.Waitlist_ID },
+          data: { Promoted_Booking_ID: created.Booked_Room_ID }
+        });
+
+        // Like createBooking: the room's approval chain opens with the booking.
+        const chain = await ApprovalChainService.resolveChain(
+          created.Room,
+          ApprovalChainService.durationMinutes(created.Start_Time, created.End_Time)
+        );
+        if (chain) {
+          await ApprovalChainService.startChain({ bookingId: created.Booked_Room_ID }, chain, tx);
+        }
+
+        return created;
+      });
+      if (!booking) continue;
+
+      await this.notifyPromoted(entry, booking, actorId);
+      return booking;
+    }
+
+    return null;
+  }
+
+  static async notifyPromoted(entry, booking, actorId) {
+    const message = `A slot opened up in ${booking.Room.Name}. Your waitlisted request is now a pending booking awaiting approval.`;
+
+    try {
+      await AuditLogger.logBooking(
+        actorId,
+        'BOOKING_WAITLIST_PROMOTED',
+        booking.Booked_Room_ID,
+        message,
+        null,
+        entry.User_ID,
+        { after: booking }
+      );
+    } catch (auditError) {
+      console.error('[Waitlist] AuditLogger.logBooking failed:', auditError);
+    }
+
+    NotificationManager.send(entry.User_ID, {
+      type: 'BOOKING_WAITLIST_PROMOTED',
+      category: 'BOOKING_UPDATE',
+      timestamp: new Date().toISOString(),
+      message,
+      waitlistId: entry.Waitlist_ID,
+      booking: {
+        id: booking.Booked_Room_ID,
+        roomId: booking.Room_ID,
+        status: booking.Status,
+        startTime: booking.Start_Time,
+        endTime: booking.End_Time
+      }
+    });
+  }
+}
+
+module.exports = BookingWaitlistService;
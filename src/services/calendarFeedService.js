@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeRole } = require('../middleware/authorize');
+const PermissionService = require('./permissionService');
+const { buildCalendar, formatUtc } = require('../utils/icsBuilder');
+const { expandRrule, parseRrule } = require('../utils/rruleExpander');
+const { DEFAULT_TIMEZONE_OFFSET_MINUTES, getLocalDateParts, parseDays } = require('../utils/scheduleConflict');
+const AcademicCalendarService = require('./academicCalendarService');
+
+const TOKEN_PREFIX = 'cal_';
+const FEED_TYPES = ['ROOM', 'USER', 'SERIES'];
+const SERIES_HARD_CAP = 366; // same cap bookingSeries.controller expands with
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Past bookings kept in a feed so subscribers still see recent history.
+const HISTORY_DAYS = 90;
+const UID_DOMAIN = 'bits';
+
+const ICS_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const ICS_STATUS = {
+  APPROVED: 'CONFIRMED',
+  PENDING: 'TENTATIVE',
+  CANCELLED: 'CANCELLED',
+  REJECTED: 'CANCELLED'
+};
+
+const feedSelect = {
+  Feed_ID: true,
+  Feed_Type: true,
+  Target_ID: true,
+  Token_Prefix: true,
+  User_ID: true,
+  Created_At: true,
+  Last_Accessed_At: true,
+  Revoked_At: true
+};
+
+const bookingInclude = {
+  Room: { select: { Room_ID: true, Name: true } },
+  User: { select: { User_ID: true, First_Name: true, Last_Name: true } }
+};
+
+const fullName = (user) => (user ? `${user.First_Name} ${user.Last_Name}` : null);
+
+// The expander reads a date-only UNTIL as end of that day in campus time;
+// calendar apps need an explicit UTC DATE-TIME when DTSTART carries a TZID.
+const normalizeRrule = (rrule) => {
+  const { until } = parseRrule(rrule);
+  return String(rrule)
+    .split(';')
+    .filter(Boolean)
+    .map(part => (part.split('=')[0].toUpperCase() === 'UNTIL' ? `UNTIL=${formatUtc(until)}` : part))
+    .join(';');
+};
+
+const bookingEvent = (booking) => ({
+  uid: `booking-${booking.Booked_Room_ID}@${UID_DOMAIN}`,
+  start: booking.Start_Time,
+  end: booking.End_Time,
+  summary: booking.Purpose || 'Room booking',
+  description: [fullName(booking.User) && `Booked by ${fullName(booking.User)}`, booking.Notes]
+    .filter(Boolean).join('\n'),
+  location: booking.Room?.Name,
+  status: ICS_STATUS[booking.Status],
+  lastModified: booking.Updated_At
+});
+
+/**
+ * One recurring VEVENT for the series plus one RECURRENCE-ID VEVENT per
+ * override. Overrides moved out of `roomId` are excluded from the rule
+ * instead, since they belong to another room's feed; holidays and
+ * suspensions (`closedDates`) become EXDATEs too.
+ */
+const seriesEvents = (series, overrides, roomId = null, closedDates = new Set()) => {
+  const uid = `series-${series.Series_ID}@${UID_DOMAIN}`;
+  const durationMs = new Date(series.Anchor_End).getTime() - new Date(series.Anchor_Start).getTime();
+
+  // Excluded_Dates are calendar days; EXDATE needs the exact instance start.
+  const kept = new Set(expandRrule(series.Recurrence_Rule, series.Anchor_Start, {
+    excludedDates: [...series.Excluded_Dates, ...closedDates],
+    hardCap: SERIES_HARD_CAP
+  }).map(date => date.getTime()));
+  const occurrences = expandRrule(series.Recurrence_Rule, series.Anchor_Start, { hardCap: SERIES_HARD_CAP });
+  if (occurrences.length === 0) return [];
+  const exdates = occurrences.filter(date => !kept.has(date.getTime()));
+
+  // Clients always render DTSTART as an instance (and count it toward COUNT),
+  // but the anchor needn't match the rule (a Monday anchor with BYDAY=TU,TH).
+  // Start the master at the first occurrence the server actually books.
+  const firstStart = occurrences[0];
+
+  const instances = [];
+  for (const override of overrides) {
+    if (roomId && override.Room_ID !== roomId) {
+      exdates.push(new Date(override.Original_Start));
+      continue;
+    }
+    instances.push({
+      ...bookingEvent(override),
+      uid,
+      summary: override.Purpose || series.Title,
+      recurrenceId: override.Original_Start
+    });
+  }
+
+  const master = {
+    uid,
+    start: firstStart,
+    end: new Date(firstStart.getTime() + durationMs),
+    rrule: normalizeRrule(series.Recurrence_Rule),
+    exdates,
+    summary: series.Title,
+    description: [series.Purpose, fullName(series.User) && `Booked by ${fullName(series.User)}`, series.Notes]
+      .filter(Boolean).join('\n'),
+    location: series.Room?.Name,
+    status: ICS_STATUS[series.Status],
+    lastModified: series.Updated_At
+  };
+
+  return [master, ...instances];
+};
+
+/**
+ * Class schedules repeat weekly on Days with no end date; DTSTART is moved
+ * to the first listed weekday so it is itself an instance. Classes that fall
+ * on a holiday or suspension day are EXDATEd.
+ */
+const scheduleEvent = (schedule, room, closedDates = new Set()) => {
+  const base = {
+    uid: `schedule-${schedule.Schedule_ID}@${UID_DOMAIN}`,
+    summary: schedule.Title,
+    description: `${schedule.Schedule_Type} schedule`,
+    location: room?.Name,
+    status: 'CONFIRMED',
+    lastModified: schedule.Updated_At
+  };
+  if (!schedule.IsRecurring) {
+    return { ...base, start: schedule.Start_Time, end: schedule.End_Time };
+  }
+
+  const days = parseDays(schedule.Days).filter(day => day >= 0 && day <= 6);
+  if (days.length === 0) return null;
+
+  const start = getLocalDateParts(schedule.Start_Time);
+  const end = getLocalDateParts(schedule.End_Time);
+  const durationMinutes = end.minutes - start.minutes;
+  if (durationMinutes <= 0) return null;
+
+  const shift = [...Array(7).keys()].find(offset => days.includes((start.day + offset) % 7));
+  const firstStart = new Date(new Date(schedule.Start_Time).getTime() + shift * DAY_MS);
+  const exdates = [...closedDates]
+    .map(dateKey => new Date(Date.parse(`${dateKey}T00:00:00.000Z`) + (start.minutes - DEFAULT_TIMEZONE_OFFSET_MINUTES) * 60 * 1000))
+    .filter(date => date >= firstStart && days.includes(getLocalDateParts(date).day))
+    .sort((a, b) => a - b);
+
+  return {
+    ...base,
+    start: firstStart,
+    end: new Date(firstStart.getTime() + durationMinutes * 60 * 1000),
+    rrule: `FREQ=WEEKLY;BYDAY=${[...new Set(days)].sort().map(day => ICS_DAY_CODES[day]).join(',')}`,
+    exdates
+  };
+};
+
+/**
+ * CalendarFeedService - Tokenized, read-only iCalendar subscriptions for a
+ * room, a user's own bookings or a single booking series
+ */
+class CalendarFeedService {
+  static FEED_TYPES = FEED_TYPES;
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Check that the target exists and that `user` may subscribe to it:
+   * rooms are open to everyone, user and series feeds to their owner and
+   * to booking staff.
+   */
+  static async assertCanSubscribe(user, type, targetId) {
+    const isStaff = () => PermissionService.hasPermission(normalizeRole(user.User_Role), 'bookings.approve');
+
+    if (type === 'ROOM') {
+      const room = await prisma.Room.findUnique({ where: { Room_ID: targetId } });
+      if (!room) throw new AppError('Room not found', 404);
+      return;
+    }
+
+    if (type === 'USER') {
+      if (targetId !== user.User_ID && !(await isStaff())) {
+        throw new AppError('You can only subscribe to your own bookings', 403);
+      }
+      const target = await prisma.user.findUnique({ where: { User_ID: targetId } });
+      if (!target) throw new AppError('User not found', 404);
+      return;
+    }
+
+    const series = await prisma.Booking_Series.findUnique({ where: { Series_ID: targetId } });
+    if (!series) throw new AppError('Series not found', 404);
+    if (series.User_ID !== user.User_ID && !(await isStaff())) {
+      throw new AppError('You can only subscribe to series you own', 403);
+    }
+  }
+
+  /**
+   * @returns {Promise<{token: string, record: Object}>} Plain token (shown once) and the stored row
+   */
+  static async createFeed(user, { type, targetId }) {
+    await this.assertCanSubscribe(user, type, targetId);
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = await prisma.calendar_Feed.create({
+      data: {
+        Feed_Type: type,
+        Target_ID: targetId,
+        Token_Prefix: token.slice(0, 12),
+        Token_Hash: this.hashToken(token),
+        User_ID: user.User_ID
+      },
+      select: feedSelect
+    });
+
+    return { token, record };
+  }
+
+  static async listFeeds(userId) {
+    return prisma.calendar_Feed.findMany({
+      where: { User_ID: userId, Revoked_At: null },
+      select: feedSelect,
+      orderBy: { Created_At: 'desc' }
+    });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The revoked feed, or null when the caller has no such feed
+   * @throws {AppError} 409 when already revoked
+   */
+  static async revokeFeed(feedId, userId) {
+    const existing = await prisma.calendar_Feed.findUnique({ where: { Feed_ID: feedId } });
+    if (!existing || existing.User_ID !== userId) return null;
+    if (existing.Revoked_At) {
+      throw new AppError('Calendar feed is already revoked', 409);
+    }
+
+    return prisma.calendar_Feed.update({
+      where: { Feed_ID: feedId },
+      data: { Revoked_At: new Date() },
+      select: feedSelect
+    });
+  }
+
+  /**
+   * Resolve a token from a feed URL. Revoked feeds and feeds of deactivated
+   * users resolve to null, indistinguishable from unknown tokens.
+   */
+  static async resolveToken(token) {
+    const record = await prisma.calendar_Feed.findUnique({
+      where: { Token_Hash: this.hashToken(token) },
+      include: { User: { select: { User_ID: true, Is_Active: true } } }
+    });
+    if (!record || record.Revoked_At || !record.User || record.User.Is_Active === false) {
+      return null;
+    }
+
+    // Calendar apps poll; a failed bookkeeping write must not fail the feed.
+    prisma.calendar_Feed.update({
+      where: { Feed_ID: record.Feed_ID },
+      data: { Last_Accessed_At: new Date() }
+    }).catch(err => console.error('[CalendarFeed] Failed to record access:', err.message));
+
+    return record;
+  }
+
+  /**
+   * Render a feed as text/calendar. Active class schedules of every room in
+   * the feed are included: the room itself for ROOM feeds, the rooms of the
+   * user's bookings and series for USER feeds and the series' room for SERIES
+   * feeds, so faculty see their classes next to their bookings.
+   * @throws {AppError} 404 when the feed's target no longer exists
+   */
+  static async renderFeed(feed, now = new Date()) {
+    const since = new Date(now.getTime() - HISTORY_DAYS * DAY_MS);
+    const activeBookings = { Status: { in: ['PENDING', 'APPROVED'] }, End_Time: { gte: since } };
+    const seriesInclude = {
+      Room: { select: { Room_ID: true, Name: true } },
+      User: { select: { User_ID: true, First_Name: true, Last_Name: true } }
+    };
+
+    let name;
+    let bookingWhere = null;
+    let seriesWhere;
+    let roomId = null;
+
+    if (feed.Feed_Type === 'ROOM') {
+      const room = await prisma.Room.findUnique({ where: { Room_ID: feed.Target_ID } });
+      if (!room) throw new AppError('Room not found', 404);
+      name = `${room.Name} bookings`;
+      roomId = room.Room_ID;
+      bookingWhere = { Room_ID: roomId, ...activeBookings };
+      seriesWhere = { Room_ID: roomId };
+    } else if (feed.Feed_Type === 'USER') {
+      const user = await prisma.user.findUnique({ where: { User_ID: feed.Target_ID } });
+      if (!user) throw new AppError('User not found', 404);
+      name = `${fullName(user)} bookings`;
+      bookingWhere = { User_ID: user.User_ID, ...activeBookings };
+      seriesWhere = { User_ID: user.User_ID };
+    } else {
+      seriesWhere = { Series_ID: feed.Target_ID };
+    }
+
+    const series = await prisma.Booking_Series.findMany({ where: seriesWhere, include: seriesInclude });
+    if (feed.Feed_Type === 'SERIES') {
+      if (series.length === 0) throw new AppError('Series not found', 404);
+      name = series[0].Title;
+    }
+
+    const seriesIds = new Set(series.map(s => s.Series_ID));
+    const overrides = seriesIds.size
+      ? await prisma.Booked_Room.findMany({
+        where: { Series_ID: { in: [...seriesIds] }, Original_Start: { not: null } },
+        include: bookingInclude
+      })
+      : [];
+    const bookings = bookingWhere
+      ? await prisma.Booked_Room.findMany({ where: bookingWhere, include: bookingInclude, orderBy: { Start_Time: 'asc' } })
+      : [];
+
+    const scheduleRoomIds = roomId
+      ? [roomId]
+      : [...new Set([...bookings, ...overrides, ...series].map(entry => entry.Room_ID))];
+    const schedules = scheduleRoomIds.length
+      ? await prisma.Schedule.findMany({
+        where: { Room_ID: { in: scheduleRoomIds }, IsActive: true },
+        include: { Room: { select: { Room_ID: true, Name: true } } }
+      })
+      : [];
+
+    const closedDates = await AcademicCalendarService.getClosedDates();
+
+    const events = [];
+    for (const booking of bookings) {
+      // Overrides of a series in this feed are emitted as RECURRENCE-ID instances.
+      if (booking.Series_ID && booking.Original_Start && seriesIds.has(booking.Series_ID)) continue;
+      events.push(bookingEvent(booking));
+    }
+    for (const s of series) {
+      try {
+        events.push(...seriesEvents(s, overrides.filter(o => o.Series_ID === s.Series_ID), roomId, closedDates));
+      } catch (err) {
+        // A stored rule the expander rejects shouldn't take the whole feed down.
+        console.error(`Skipping series ${s.Series_ID} in calendar feed:`, err.message);
+      }
+    }
+    for (const schedule of schedules) {
+      const event = scheduleEvent(schedule, schedule.Room, closedDates);
+      if (event) events.push(event);
+    }
+
+    return buildCalendar({ name, events });
+  }
+}
+
+module.exports = CalendarFeedService;
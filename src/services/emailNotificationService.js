@@ -0,0 +1,163 @@
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { getEnabledChannel } = require('./notificationChannels');
+const { TEMPLATES, renderNotification, renderDigest } = require('./notificationChannels/emailTemplates');
+
+const EMAIL_MODES = ['INSTANT', 'DIGEST', 'OFF'];
+
+const userSelect = { User_ID: true, Email: true, First_Name: true, Is_Active: true };
+
+/**
+ * EmailNotificationService - Copies notifications to e-mail so people see
+ * approvals and alerts without being logged in. Each user picks, per
+ * notification type, instant mail, the daily digest or nothing.
+ */
+class EmailNotificationService {
+  static MODES = EMAIL_MODES;
+
+  static isEnabled() {
+    return !!getEnabledChannel('email');
+  }
+
+  /**
+   * Every e-mailable type with the user's effective mode
+   * @returns {Promise<Array<{type: string, subject: string, mode: string, defaultMode: string}>>}
+   */
+  static async getPreferences(userId) {
+    const rows = await prisma.notification_Preference.findMany({ where: { User_ID: userId } });
+    const overrides = new Map((rows || []).map(row => [row.Notification_Type, row.Email_Mode]));
+    return Object.entries(TEMPLATES).map(([type, template]) => ({
+      type,
+      subject: template.subject,
+      mode: overrides.get(type) || template.defaultMode,
+      defaultMode: template.defaultMode
+    }));
+  }
+
+  /**
+   * @param {Object<string, string>} modes - Notification type -> INSTANT | DIGEST | OFF
+   * @throws {AppError} 400 for types that are never e-mailed
+   */
+  static async setPreferences(userId, modes) {
+    const entries = Object.entries(modes || {});
+    const unknown = entries.map(([type]) => type).filter(type => !TEMPLATES[type]);
+    if (unknown.length) {
+      throw new AppError('Unknown notification types', 400, { unknown });
+    }
+
+    await prisma.$transaction(entries.map(([type, mode]) => prisma.notification_Preference.upsert({
+      where: { User_ID_Notification_Type: { User_ID: userId, Notification_Type: type } },
+      update: { Email_Mode: mode },
+      create: { User_ID: userId, Notification_Type: type, Email_Mode: mode }
+    })));
+    return this.getPreferences(userId);
+  }
+
+  static async getMode(userId, type) {
+    const preference = await prisma.notification_Preference.findUnique({
+      where: { User_ID_Notification_Type: { User_ID: userId, Notification_Type: type } }
+    });
+    return preference?.Email_Mode || TEMPLATES[type].defaultMode;
+  }
+
+  /**
+   * Mail one notification now or queue it for the digest, per the user's
+   * preference. Never throws: e-mail must not break the in-app notification.
+   * @returns {Promise<string|null>} Mode used, or null when nothing was sent
+   */
+  static async deliver(userId, notification) {
+    const channel = getEnabledChannel('email');
+    if (!channel || !TEMPLATES[notification.type]) return null;
+
+    try {
+      const mode = await this.getMode(userId, notification.type);
+      if (mode === 'OFF') return null;
+
+      const user = await prisma.user.findUnique({ where: { User_ID: userId }, select: userSelect });
+      if (!user || !user.Email || user.Is_Active === false) return null;
+
+      if (mode === 'DIGEST') {
+        await prisma.email_Digest_Item.create({
+          data: {
+            User_ID: userId,
+            Notification_Type: notification.type,
+            Title: notification.title || notification.type.replace(/_/g, ' '),
+            Message: notification.message
+          }
+        });
+        return mode;
+      }
+
+      await channel.send({ to: user.Email, ...renderNotification(notification, user) });
+      return mode;
+    } catch (error) {
+      console.error(`[EmailNotificationService] Failed to e-mail ${notification.type} to user ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send each user one e-mail with their queued digest items. Items of users
+   * without a usable address are dropped; a failed send is retried next run.
+   * @returns {Promise<{users: number, items: number}>} Digests sent
+   */
+  static async sendDigests(now = new Date()) {
+    const channel = getEnabledChannel('email');
+    if (!channel) return { users: 0, items: 0 };
+
+    const items = await prisma.email_Digest_Item.findMany({
+      where: { Sent_At: null },
+      include: { User: { select: userSelect } },
+      orderBy: { Created_At: 'asc' }
+    });
+
+    const byUser = new Map();
+    for (const item of items || []) {
+      if (!byUser.has(item.User_ID)) byUser.set(item.User_ID, []);
+      byUser.get(item.User_ID).push(item);
+    }
+
+    const results = { users: 0, items: 0 };
+    for (const userItems of byUser.values()) {
+      const user = userItems[0].User;
+      const ids = userItems.map(item => item.Item_ID);
+      try {
+        if (user && user.Email && user.Is_Active !== false) {
+          await channel.send({ to: user.Email, ...renderDigest(userItems, user) });
+          results.users++;
+          results.items += userItems.length;
+        }
+        await prisma.email_Digest_Item.updateMany({
+          where: { Item_ID: { in: ids } },
+          data: { Sent_At: now }
+        });
+      } catch (error) {
+        console.error(`[EmailNotificationService] Failed to send digest to user ${userItems[0].User_ID}:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Check the SMTP settings by mailing the user
+   * @throws {AppError} 503 when e-mail is not configured
+   */
+  static async sendTestEmail(user) {
+    const channel = getEnabledChannel('email');
+    if (!channel) {
+      throw new AppError('E-mail notifications are not configured', 503);
+    }
+    if (!user.Email) {
+      throw new AppError('Your account has no e-mail address', 400);
+    }
+
+    await channel.send({
+      to: user.Email,
+      subject: '[BITS] Test e-mail',
+      text: `Hi ${user.First_Name || 'there'},\n\nE-mail notifications from BITS are working.\n`
+    });
+    return { to: user.Email };
+  }
+}
+
+module.exports = EmailNotificationService;
@@ -2,6 +2,7 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const prisma = require('../lib/prisma');
 const NotificationService = require('./notificationService');
+const WebhookService = require('./webhookService');
 
 const execAsync = promisify(exec);
 
@@ -337,10 +338,20 @@ class HeartbeatService {
      */
     static async markComputerOffline(computer) {
         try {
-            // Update Computer.Is_Online = false
-            await prisma.computer.update({
-                where: { Computer_ID: computer.Computer_ID },
-                data: { Is_Online: false }
+            // Update Computer.Is_Online = false, with its computer.offline outbox event
+            await prisma.$transaction(async (tx) => {
+                await tx.computer.update({
+                    where: { Computer_ID: computer.Computer_ID },
+                    data: { Is_Online: false }
+                });
+                await WebhookService.record('computer.offline', {
+                    computerId: computer.Computer_ID,
+                    computerName: computer.Name,
+                    roomId: computer.Room_ID ?? null,
+                    roomName: computer.Room?.Name ?? null,
+                    ipAddress: computer.IP_Address ?? null,
+                    lastSeen: computer.Last_Seen ?? null
+                }, tx);
             });
 
             // Create offline heartbeat record
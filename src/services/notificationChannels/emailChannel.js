@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const createTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || '' }
+    : undefined,
+  // Local SMTP sinks (Mailpit, MailHog) usually don't speak TLS
+  ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true'
+});
+
+/**
+ * Outbound e-mail over SMTP. Enabled when SMTP_HOST is set; point it at a
+ * local sink (e.g. Mailpit on localhost:1025 with SMTP_IGNORE_TLS=true) to
+ * test without sending real mail.
+ * @type {import('./index').NotificationChannel}
+ */
+module.exports = {
+  name: 'email',
+
+  isEnabled: () => !!process.env.SMTP_HOST,
+
+  async send({ to, subject, text, html }) {
+    transporter = transporter || createTransport();
+    return transporter.sendMail({
+      from: process.env.SMTP_FROM || 'BITS <no-reply@localhost>',
+      to,
+      subject,
+      text,
+      html
+    });
+  },
+
+  // Drop the cached transport after SMTP settings change (tests)
+  reset() {
+    transporter = null;
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * E-mail subject and default delivery mode per notification type. The body
+ * is the notification's own message. Only types listed here are e-mailed;
+ * users can override the mode per type (INSTANT, DIGEST or OFF).
+ */
+const TEMPLATES = {
+  // Bookings
+  BOOKING_APPROVAL_REQUESTED: { subject: 'A booking is waiting for your approval', defaultMode: 'INSTANT' },
+  APPROVAL_DELEGATED: { subject: 'Booking approvals have been delegated to you', defaultMode: 'INSTANT' },
+  ROOM_BOOKED: { subject: 'New room booking request', defaultMode: 'DIGEST' },
+  BOOKING_APPROVED: { subject: 'Your booking was approved', defaultMode: 'INSTANT' },
+  BOOKING_REJECTED: { subject: 'Your booking was rejected', defaultMode: 'INSTANT' },
+  BOOKING_CANCELLED: { subject: 'A booking was cancelled', defaultMode: 'DIGEST' },
+  BOOKING_WAITLISTED: { subject: 'You are on the waitlist', defaultMode: 'DIGEST' },
+  BOOKING_WAITLIST_PROMOTED: { subject: 'A waitlisted slot opened up for you', defaultMode: 'INSTANT' },
+  BOOKING_NO_SHOW: { subject: 'Your booking was released (no check-in)', defaultMode: 'INSTANT' },
+  CLASS_SUSPENSION: { subject: 'Classes suspended', defaultMode: 'INSTANT' },
+
+  // Borrowing
+  BORROW_REQUESTED: { subject: 'New borrow request', defaultMode: 'DIGEST' },
+  BORROW_APPROVED: { subject: 'Your borrow request was approved', defaultMode: 'INSTANT' },
+  BORROW_REJECTED: { subject: 'Your borrow request was rejected', defaultMode: 'INSTANT' },
+  ITEM_OVERDUE: { subject: 'A borrowed item is overdue', defaultMode: 'INSTANT' },
+
+  // Tickets
+  TICKET_CREATED: { subject: 'New ticket reported', defaultMode: 'DIGEST' },
+  TICKET_ASSIGNED: { subject: 'A ticket was assigned', defaultMode: 'INSTANT' },
+  TICKET_RESOLVED: { subject: 'Your ticket was resolved', defaultMode: 'DIGEST' },
+
+  // Forms
+  FORM_SUBMITTED: { subject: 'New form submitted', defaultMode: 'DIGEST' },
+  FORM_TRANSFERRED: { subject: 'A form was transferred', defaultMode: 'DIGEST' },
+  FORM_APPROVED: { subject: 'Your form was approved', defaultMode: 'DIGEST' },
+
+  // Lab monitoring
+  COMPUTER_OFFLINE: { subject: 'A lab computer went offline', defaultMode: 'DIGEST' },
+
+  // Reports
+  REPORT_SUBMITTED: { subject: 'Weekly report submitted', defaultMode: 'DIGEST' },
+  REPORT_REVIEWED: { subject: 'Your weekly report was reviewed', defaultMode: 'INSTANT' }
+};
+
+const FOOTER = 'You can change which BITS notifications reach your inbox under Notifications > Preferences.';
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Message for one notification
+ * @param {{type: string, title?: string, message: string}} notification
+ * @param {{First_Name?: string}} user
+ * @returns {{subject: string, text: string, html: string}|null} null for types without a template
+ */
+const renderNotification = (notification, user) => {
+  const template = TEMPLATES[notification.type];
+  if (!template) return null;
+
+  const greeting = `Hi ${user.First_Name || 'there'},`;
+  return {
+    subject: `[BITS] ${template.subject}`,
+    text: `${greeting}\n\n${notification.message}\n\n--\n${FOOTER}\n`,
+    html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(notification.message)}</p><hr><p><small>${escapeHtml(FOOTER)}</small></p>`
+  };
+};
+
+/**
+ * One e-mail listing queued digest items, oldest first
+ * @param {Array<{Notification_Type: string, Title: string, Message: string, Created_At: Date}>} items
+ * @returns {{subject: string, text: string, html: string}}
+ */
+const renderDigest = (items, user) => {
+  const greeting = `Hi ${user.First_Name || 'there'},`;
+  const intro = `Here ${items.length === 1 ? 'is 1 notification' : `are ${items.length} notifications`} from BITS since your last digest.`;
+  return {
+    subject: `[BITS] Your daily digest (${items.length})`,
+    text: `${greeting}\n\n${intro}\n\n${items.map(item => `- ${item.Title}: ${item.Message}`).join('\n')}\n\n--\n${FOOTER}\n`,
+    html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p><ul>${items
+      .map(item => `<li><strong>${escapeHtml(item.Title)}</strong>: ${escapeHtml(item.Message)}</li>`)
+      .join('')}</ul><hr><p><small>${escapeHtml(FOOTER)}</small></p>`
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderNotification,
+  renderDigest
+};
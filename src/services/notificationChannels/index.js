@@ -0,0 +1,34 @@
+const emailChannel = require('./emailChannel');
+
+/**
+ * @typedef {Object} NotificationChannel
+ * @property {string} name - Key used in NOTIFICATION_CHANNELS and preferences
+ * @property {() => boolean} isEnabled - Whether the channel is configured
+ * @property {(message: {to: string, subject: string, text: string, html?: string}) => Promise<Object>} send
+ *   Deliver one message; rejects when the transport fails
+ */
+
+const CHANNELS = {
+  [emailChannel.name]: emailChannel
+};
+
+const getChannel = (name) => CHANNELS[String(name || '').trim().toLowerCase()] || null;
+
+/**
+ * A channel that is configured and listed in NOTIFICATION_CHANNELS
+ * (comma-separated, default "email"), or null. Lets an operator switch a
+ * channel off without removing its settings.
+ * @returns {NotificationChannel|null}
+ */
+const getEnabledChannel = (name) => {
+  const listed = (process.env.NOTIFICATION_CHANNELS ?? 'email')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase());
+  const channel = getChannel(name);
+  return channel && listed.includes(channel.name) && channel.isEnabled() ? channel : null;
+};
+
+module.exports = {
+  getChannel,
+  getEnabledChannel
+};
@@ -1,4 +1,5 @@
 const WebSocket = require('ws');
+const NotificationMuteService = require('./notificationMuteService');
 
 const NotificationManager = {
     clients: new Map(), // userId -> Set of WebSocket connections
@@ -71,7 +72,8 @@ const NotificationManager = {
     },
 
     /**
-     * Broadcast booking-related events to trigger UI updates.
+     * Broadcast booking-related events to trigger UI updates. Users who muted
+     * the event's type or room, or are in their quiet hours, are skipped.
      * @param {string} eventType - BOOKING_CREATED, BOOKING_CANCELLED, BOOKING_APPROVED, BOOKING_REJECTED
      * @param {object} booking - Minimal booking data (Booked_Room_ID, Room_ID, Status, etc.)
      * @param {string[]} targetRoles - Array of roles to notify (e.g., ['LAB_HEAD', 'LAB_TECH'])
@@ -109,11 +111,19 @@ const NotificationManager = {
                 select: { User_ID: true }
             });
 
-            users.forEach(user => {
-                this.send(user.User_ID, payload);
+            const recipients = await NotificationMuteService.filterRecipients(
+                users.map(user => user.User_ID),
+                {
+                    type: NotificationMuteService.BOOKING_EVENT_TYPES[eventType] || eventType,
+                    roomId: booking.Room_ID
+                }
+            );
+
+            recipients.forEach(userId => {
+                this.send(userId, payload);
             });
 
-            console.log(`[NotificationManager] Sent ${eventType} to ${users.length} users with roles: ${targetRoles.join(', ')}`);
+            console.log(`[NotificationManager] Sent ${eventType} to ${recipients.length} users with roles: ${targetRoles.join(', ')}`);
         } catch (err) {
             console.error(`[NotificationManager] Error finding users for broadcast:`, err.message);
         }
@@ -0,0 +1,126 @@
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { CAMPUS_TIMEZONE, getZonedParts } = require('../utils/timezone');
+
+// broadcastBookingEvent names -> the notification type users know them by
+const BOOKING_EVENT_TYPES = {
+  BOOKING_CREATED: 'ROOM_BOOKED'
+};
+
+// Live dashboard refreshes sent through notifyRole; not alerts, never muted
+const LIVE_UPDATE_TYPES = ['COMPUTER_STATUS_UPDATE'];
+
+const toMinutes = (hhmm) => {
+  const [hour, minute] = hhmm.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * NotificationMuteService - Per-user mute rules for role-wide notifications
+ * (notifyRole, broadcastBookingEvent). A muted user still finds the
+ * notification in their inbox; they just aren't pushed or e-mailed.
+ * Notifications addressed to one user are never muted.
+ */
+class NotificationMuteService {
+  static BOOKING_EVENT_TYPES = BOOKING_EVENT_TYPES;
+
+  static toResponse(row) {
+    return {
+      types: row?.Muted_Types || [],
+      rooms: row?.Muted_Room_IDs || [],
+      quietHours: row?.Quiet_Hours_Start && row?.Quiet_Hours_End
+        ? { start: row.Quiet_Hours_Start, end: row.Quiet_Hours_End }
+        : null,
+      timezone: CAMPUS_TIMEZONE
+    };
+  }
+
+  static async getRules(userId) {
+    const row = await prisma.notification_Mute.findUnique({ where: { User_ID: userId } });
+    return this.toResponse(row);
+  }
+
+  /**
+   * Replace the given parts of the user's rules; omitted parts are kept.
+   * `quietHours: null` turns quiet hours off.
+   * @throws {AppError} 400 for rooms that don't exist
+   */
+  static async setRules(userId, { types, rooms, quietHours }) {
+    const data = {};
+    if (types !== undefined) data.Muted_Types = [...new Set(types)];
+    if (rooms !== undefined) {
+      const roomIds = [...new Set(rooms)];
+      const found = await prisma.room.findMany({ where: { Room_ID: { in: roomIds } }, select: { Room_ID: true } });
+      const foundIds = new Set((found || []).map(room => room.Room_ID));
+      const unknown = roomIds.filter(id => !foundIds.has(id));
+      if (unknown.length) {
+        throw new AppError('Unknown rooms', 400, { unknown });
+      }
+      data.Muted_Room_IDs = roomIds;
+    }
+    if (quietHours !== undefined) {
+      data.Quiet_Hours_Start = quietHours ? quietHours.start : null;
+      data.Quiet_Hours_End = quietHours ? quietHours.end : null;
+    }
+
+    const row = await prisma.notification_Mute.upsert({
+      where: { User_ID: userId },
+      update: data,
+      create: { User_ID: userId, ...data }
+    });
+    return this.toResponse(row);
+  }
+
+  /**
+   * Whether `now` falls in the rule's quiet hours (campus time). A window
+   * whose end is before its start runs past midnight.
+   */
+  static inQuietHours(rule, now = new Date()) {
+    if (!rule.Quiet_Hours_Start || !rule.Quiet_Hours_End) return false;
+    const start = toMinutes(rule.Quiet_Hours_Start);
+    const end = toMinutes(rule.Quiet_Hours_End);
+    if (start === end) return false;
+
+    const { hour, minute } = getZonedParts(now);
+    const current = hour * 60 + minute;
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * @param {Object} rule - Notification_Mute row
+   * @param {{type: string, roomId?: number}} notification
+   */
+  static isMuted(rule, { type, roomId }, now = new Date()) {
+    if (type && rule.Muted_Types.includes(type)) return true;
+    if (roomId !== null && roomId !== undefined && rule.Muted_Room_IDs.includes(Number(roomId))) return true;
+    return this.inQuietHours(rule, now);
+  }
+
+  /**
+   * Drop the users whose rules mute this notification
+   * @param {number[]} userIds
+   * @param {{type: string, roomId?: number}} notification
+   * @returns {Promise<number[]>} Users to notify
+   */
+  static async filterRecipients(userIds, notification, now = new Date()) {
+    if (userIds.length === 0 || LIVE_UPDATE_TYPES.includes(notification.type)) return userIds;
+
+    const rules = await prisma.notification_Mute.findMany({ where: { User_ID: { in: userIds } } });
+    if (!rules || rules.length === 0) return userIds;
+
+    const muted = new Set(rules.filter(rule => this.isMuted(rule, notification, now)).map(rule => rule.User_ID));
+    return userIds.filter(id => !muted.has(id));
+  }
+
+  /**
+   * Room a role notification is about, from its payload
+   */
+  static roomIdOf(notification) {
+    const data = notification.data || {};
+    return notification.roomId ?? data.roomId ?? data.room_id ?? data.Room_ID ?? null;
+  }
+}
+
+module.exports = NotificationMuteService;
@@ -1,5 +1,7 @@
 const prisma = require('../lib/prisma');
 const NotificationManager = require('./notificationManager');
+const EmailNotificationService = require('./emailNotificationService');
+const NotificationMuteService = require('./notificationMuteService');
 
 class NotificationService {
   /**
@@ -35,6 +37,13 @@ class NotificationService {
         time: timestamp || new Date().toISOString(),
         read: false
       });
+
+      // Not awaited: a slow mail server must not hold up the request.
+      EmailNotificationService.deliver(userId, {
+        type,
+        title: title || type.replace(/_/g, ' '),
+        message
+      });
     } else {
       console.log('[NotificationService] Skipping real-time send: No userId provided');
     }
@@ -48,7 +57,9 @@ class NotificationService {
     };
   }
 
-  // Broadcast notification to all users with specific role(s), optionally excluding specific users
+  // Broadcast notification to all users with specific role(s), optionally excluding specific users.
+  // Users whose mute rules cover the notification's type, room or the current
+  // quiet hours are skipped.
   static async notifyRole(roleOrRoles, notificationData, excludeUserIds = []) {
     try {
       const roles = Array.isArray(roleOrRoles) ? roleOrRoles : [roleOrRoles];
@@ -71,11 +82,16 @@ class NotificationService {
         select: { User_ID: true }
       });
 
+      const recipients = await NotificationMuteService.filterRecipients(
+        users.map(user => user.User_ID),
+        { type: notificationData.type, roomId: NotificationMuteService.roomIdOf(notificationData) }
+      );
+
       const notifications = await Promise.all(
-        users.map(user =>
+        recipients.map(userId =>
           this.createNotification({
             ...notificationData,
-            userId: user.User_ID
+            userId
           })
         )
       );
@@ -88,6 +104,24 @@ class NotificationService {
     }
   }
 
+  // Send the same notification to each of a list of users (deduplicated)
+  static async notifyUsers(userIds, notificationData) {
+    try {
+      const uniqueIds = [...new Set(userIds)].filter(id => id !== null && id !== undefined);
+      return await Promise.all(
+        uniqueIds.map(userId =>
+          this.createNotification({
+            ...notificationData,
+            userId
+          })
+        )
+      );
+    } catch (error) {
+      console.error('Failed to notify users:', error);
+      return [];
+    }
+  }
+
   // Helper to determine log type from notification type
   static _getLogTypeFromNotificationType(notificationType) {
     const typeMap = {
@@ -114,6 +148,13 @@ class NotificationService {
       'BOOKING_APPROVED': 'BOOKING',
       'BOOKING_REJECTED': 'BOOKING',
       'BOOKING_CANCELLED': 'BOOKING',
+      'BOOKING_WAITLISTED': 'BOOKING',
+      'BOOKING_WAITLIST_PROMOTED': 'BOOKING',
+      'BOOKING_CHECKED_IN': 'BOOKING',
+      'BOOKING_NO_SHOW': 'BOOKING',
+      'CLASS_SUSPENSION': 'BOOKING',
+      'BOOKING_APPROVAL_REQUESTED': 'BOOKING',
+      'APPROVAL_DELEGATED': 'BOOKING',
       'TICKET_CREATED': 'TICKET',
 
       // Issues/Reports
@@ -129,6 +170,15 @@ class NotificationService {
   // Keeping this in one place is the only way to guarantee the badge count
   // matches the visible list — see getUnreadCount and markAllAsRead.
   static _buildNotificationWhere(userRole, userId) {
+    // Class suspension notices go to every affected booker, whatever their role
+    const classSuspension = {
+      Action: 'CLASS_SUSPENSION',
+      Notification_Data: {
+        path: ['targetUserId'],
+        equals: userId
+      }
+    };
+
     if (userRole === 'FACULTY') {
       return {
         Is_Notification: true,
@@ -150,7 +200,8 @@ class NotificationService {
               path: ['targetUserId'],
               equals: userId
             }
-          }
+          },
+          classSuspension
         ]
       };
     }
@@ -161,7 +212,8 @@ class NotificationService {
         OR: [
           { User_ID: userId },
           { User_ID: null, Is_Notification: true },
-          { Action: { in: ['ROOM_AVAILABLE', 'ROOM_OPENED_FOR_STUDENTS'] } }
+          { Action: { in: ['ROOM_AVAILABLE', 'ROOM_OPENED_FOR_STUDENTS'] } },
+          classSuspension
         ]
       };
     }
@@ -176,6 +228,7 @@ class NotificationService {
       'ITEM_READY_FOR_PICKUP',
       'BOOKING_APPROVED',
       'BOOKING_REJECTED',
+      'CLASS_SUSPENSION',
     ];
 
     // LAB_HEAD, LAB_TECH, ADMIN
@@ -184,6 +237,7 @@ class NotificationService {
       OR: [
         { User_ID: userId, Action: { notIn: TARGETED_ACTIONS } },
         { User_ID: null, Is_Notification: true },
+        classSuspension,
         ...(userRole === 'LAB_HEAD' ? [{
           Action: { in: ['ROOM_BOOKED', 'FORM_SUBMITTED', 'FORM_TRANSFERRED', 'TICKET_CREATED', 'BORROW_REQUESTED'] }
         }] : []),
@@ -465,19 +519,18 @@ class NotificationService {
     });
   }
 
-  // Notify when a room is full
-  static async notifyRoomFull(room, user) {
-    return this.createNotification({
+  // Notify lab staff when a room is full (checkRoomCapacity job passes the
+  // room with its in-use computer count)
+  static async notifyRoomFull(room) {
+    return this.notifyRole(['LAB_TECH', 'LAB_HEAD'], {
       type: 'ROOM_FULL',
       title: 'Room at Full Capacity',
-      message: `Room ${room.Room_Name} has reached its maximum capacity.`,
-      userId: user.User_ID,
-      relatedId: room.Room_ID,
-      relatedType: 'Room',
+      message: `Room ${room.Name} has reached its maximum capacity.`,
       data: {
-        roomName: room.Room_Name,
+        room_id: room.Room_ID,
+        roomName: room.Name,
         capacity: room.Capacity,
-        currentOccupancy: room.Current_Occupancy
+        currentOccupancy: room._count?.Computers
       }
     });
   }
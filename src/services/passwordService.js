@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const { hashPassword, comparePassword } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const SessionService = require('./sessionService');
+const { isAccountLocked, getRetryAfterSeconds, recordFailedLogin } = require('../utils/loginLockout');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 60;
+
+/**
+ * PasswordService - Local (DB) password changes and ADMIN-issued reset tokens
+ * Every password write bumps Token_Valid_After and revokes the user's
+ * sessions so tokens issued under the old password stop working.
+ */
+class PasswordService {
+  static RESET_TOKEN_TTL_MS = RESET_TOKEN_TTL_MINUTES * 60 * 1000;
+
+  /**
+   * Check a password against the stored DB password. Legacy rows may still
+   * hold plain text, mirroring the fallback in login.
+   */
+  static async verifyPassword(user, password) {
+    if (!user?.Password) return false;
+    if (user.Password.startsWith('$2a$') || user.Password.startsWith('$2b$')) {
+      return comparePassword(password, user.Password);
+    }
+    return user.Password === password;
+  }
+
+  /**
+   * Store a new password and end every existing session for the user
+   * @param {Object} client - Prisma client or transaction
+   * @param {number} userId - Target user
+   * @param {string} passwordHash - Already-hashed password
+   * @param {string} reason - Revocation reason recorded on the sessions
+   * @returns {Promise<Date>} The new Token_Valid_After
+   */
+  static async applyPassword(client, userId, passwordHash, reason) {
+    const now = new Date();
+    await client.user.update({
+      where: { User_ID: userId },
+      data: {
+        Password: passwordHash,
+        Token_Valid_After: now,
+        Updated_At: now,
+        Failed_Login_Attempts: 0,
+        Last_Failed_Login_At: null,
+        Locked_Until: null
+      }
+    });
+    await SessionService.revokeAllSessions(userId, reason, client);
+    return now;
+  }
+
+  /**
+   * Self-service change: requires the current password. Wrong guesses count
+   * toward the same per-account lockout as failed logins; they answer 400,
+   * not 401, so the client doesn't treat them as an expired session.
+   * @throws {AppError} 400 for a wrong current password, 423 while locked
+   */
+  static async changePassword(user, currentPassword, newPassword) {
+    if (!user.Password) {
+      throw new AppError('This account has no local password. Change it through the directory it signs in with.', 400);
+    }
+    if (isAccountLocked(user)) {
+      throw this.lockedError(user.Locked_Until);
+    }
+    if (!(await this.verifyPassword(user, currentPassword))) {
+      const { lockedUntil } = await recordFailedLogin(user);
+      if (lockedUntil) throw this.lockedError(lockedUntil);
+      throw new AppError('Current password is incorrect', 400);
+    }
+    if (currentPassword === newPassword) {
+      throw new AppError('New password must be different from the current password', 400);
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    return prisma.$transaction(tx =>
+      this.applyPassword(tx, user.User_ID, passwordHash, 'PASSWORD_CHANGED')
+    );
+  }
+
+  static lockedError(lockedUntil) {
+    return new AppError('Account is temporarily locked after repeated failed password attempts. Try again later or contact an administrator.', 423, {
+      lockedUntil,
+      retryAfterSeconds: getRetryAfterSeconds({ Locked_Until: lockedUntil })
+    });
+  }
+
+  /**
+   * Issue a reset token for a user. Earlier unused tokens for the same user
+   * are discarded so only the newest one can be redeemed.
+   * @returns {Promise<{token: string, expiresAt: Date}>} Raw token (shown once)
+   */
+  static async issueResetToken(userId, issuedBy) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.RESET_TOKEN_TTL_MS);
+
+    await prisma.$transaction([
+      prisma.password_Reset_Token.deleteMany({
+        where: { User_ID: userId, Used_At: null }
+      }),
+      prisma.password_Reset_Token.create({
+        data: {
+          User_ID: userId,
+          Token_Hash: SessionService.hashToken(token),
+          Issued_By: issuedBy,
+          Expires_At: expiresAt
+        }
+      })
+    ]);
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Redeem a reset token and set the new password
+   * @returns {Promise<Object>} The user whose password was reset
+   */
+  static async redeemResetToken(token, newPassword) {
+    const record = await prisma.password_Reset_Token.findUnique({
+      where: { Token_Hash: SessionService.hashToken(token) },
+      include: { User: true }
+    });
+
+    if (!record || record.Used_At || new Date(record.Expires_At).getTime() <= Date.now()) {
+      throw new AppError('Reset token is invalid or has expired', 400);
+    }
+    if (!record.User || record.User.Is_Active === false) {
+      throw new AppError('Account is deactivated. Please contact administrator.', 400);
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    await prisma.$transaction(async (tx) => {
+      // Claim the token first; a concurrent redemption will match zero rows.
+      const claimed = await tx.password_Reset_Token.updateMany({
+        where: { Token_ID: record.Token_ID, Used_At: null },
+        data: { Used_At: new Date() }
+      });
+      if (claimed.count === 0) {
+        throw new AppError('Reset token is invalid or has expired', 400);
+      }
+      await this.applyPassword(tx, record.User_ID, passwordHash, 'PASSWORD_RESET');
+    });
+
+    return record.User;
+  }
+}
+
+module.exports = PasswordService;
@@ -0,0 +1,208 @@
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+
+const ROLES = ['ADMIN', 'LAB_HEAD', 'LAB_TECH', 'FACULTY', 'SECRETARY', 'STUDENT'];
+const CACHE_TTL_MS = 60 * 1000;
+
+// ADMIN can never lose this one, otherwise nobody could edit the mapping.
+const MANAGE_PERMISSION = 'permissions.manage';
+
+const LAB_STAFF = ['ADMIN', 'LAB_HEAD', 'LAB_TECH'];
+
+/**
+ * Every permission the API checks, with the roles that hold it on a fresh
+ * install. The defaults mirror the role lists the routes used before
+ * permissions existed; the live mapping is the Role_Permission table.
+ */
+const CATALOG = [
+  { key: 'users.manage', description: 'Create, update, deactivate and bulk-import users; change roles', roles: ['ADMIN'] },
+  { key: 'users.security', description: 'Unlock accounts, issue password resets, reset 2FA', roles: ['ADMIN'] },
+  { key: 'users.sync', description: 'Sync users from an external directory', roles: ['ADMIN'] },
+  { key: 'security.policies', description: 'Set per-role 2FA requirements', roles: ['ADMIN'] },
+  { key: MANAGE_PERMISSION, description: 'Edit the role-permission mapping', roles: ['ADMIN'] },
+  { key: 'api_tokens.manage', description: 'Issue, list and revoke scoped API tokens', roles: ['ADMIN'] },
+  { key: 'webhooks.manage', description: 'Register webhook endpoints; view and retry deliveries', roles: ['ADMIN'] },
+  { key: 'audit.view', description: 'Search and export the audit log', roles: ['ADMIN'] },
+
+  { key: 'inventory.lookup', description: 'Look up items by item code', roles: ['LAB_HEAD', 'LAB_TECH'] },
+  { key: 'inventory.write', description: 'Create, update, bulk-create and import items', roles: LAB_STAFF },
+  { key: 'inventory.delete', description: 'Delete items', roles: ['ADMIN', 'LAB_HEAD'] },
+  { key: 'inventory.check', description: 'Mark items checked during an inventory audit', roles: LAB_STAFF },
+
+  { key: 'computers.write', description: 'Create, update and import computers', roles: LAB_STAFF },
+  { key: 'computers.delete', description: 'Delete computers', roles: ['LAB_HEAD', 'LAB_TECH'] },
+
+  { key: 'rooms.view_opened_labs', description: 'See which labs are open to students', roles: ['STUDENT', ...LAB_STAFF] },
+  { key: 'rooms.audit', description: 'View room audit status and set student availability', roles: LAB_STAFF },
+  { key: 'rooms.write', description: 'Create and update rooms', roles: ['ADMIN', 'LAB_HEAD'] },
+  { key: 'rooms.delete', description: 'Delete rooms', roles: ['ADMIN'] },
+
+  { key: 'bookings.approve', description: 'Approve, reject or cancel any booking', roles: ['SECRETARY', 'LAB_HEAD', 'LAB_TECH'] },
+  { key: 'bookings.delete_any', description: 'Delete bookings owned by other users', roles: ['SECRETARY', 'LAB_HEAD', 'LAB_TECH'] },
+  { key: 'bookings.weekly', description: 'Create weekly lab bookings', roles: LAB_STAFF },
+  { key: 'bookings.policies', description: 'Create, edit and delete booking policies', roles: ['ADMIN'] },
+  { key: 'bookings.approval_chains', description: 'Configure approval chains; manage everyone\'s approval delegations', roles: ['ADMIN'] },
+  { key: 'bookings.check_in', description: 'Check in any booking; generate room check-in QR codes', roles: LAB_STAFF },
+  { key: 'bookings.no_shows', description: 'View no-show statistics for all users', roles: ['SECRETARY', 'LAB_HEAD', 'LAB_TECH'] },
+  { key: 'bookings.occupancy', description: 'Update room occupancy status for a booking', roles: LAB_STAFF },
+
+  { key: 'borrowing.manage', description: 'Walk-in lending, approve and reject borrow requests', roles: LAB_STAFF },
+
+  { key: 'tickets.manage', description: 'List, count and update all tickets; file tickets for others', roles: LAB_STAFF },
+
+  { key: 'forms.manage', description: 'View, create, update, archive and transfer forms', roles: LAB_STAFF },
+  { key: 'forms.delete', description: 'Delete forms', roles: ['ADMIN', 'LAB_HEAD'] },
+
+  { key: 'reports.write', description: 'Create, edit, submit and delete own lab reports', roles: ['LAB_TECH'] },
+  { key: 'reports.view', description: 'List and read lab reports', roles: ['LAB_TECH', 'LAB_HEAD'] },
+  { key: 'reports.review', description: 'Review submitted lab reports', roles: ['LAB_HEAD'] },
+  { key: 'reports.export', description: 'Summary report and CSV exports', roles: LAB_STAFF },
+
+  { key: 'heartbeat.monitor', description: 'View computer heartbeat status', roles: LAB_STAFF },
+
+  { key: 'schedules.import', description: 'Import offered courses', roles: ['ADMIN'] },
+  { key: 'semesters.manage', description: 'Create, activate and roll over semesters; declare holidays and class suspensions', roles: ['ADMIN', 'LAB_HEAD'] },
+  { key: 'maintenance.view', description: 'Preview cleanups and download dry-run reports, list, inspect and download archives and backups, verify backups, view history', roles: ['ADMIN'] },
+  { key: 'maintenance.run', description: 'Run cleanup, school-year archive, archive restore and backup jobs', roles: ['ADMIN'] }
+];
+
+const CATALOG_KEYS = new Set(CATALOG.map(permission => permission.key));
+
+let mappingCache = null;
+
+const defaultMapping = () => {
+  const mapping = new Map(ROLES.map(role => [role, new Set()]));
+  for (const permission of CATALOG) {
+    for (const role of permission.roles) mapping.get(role).add(permission.key);
+  }
+  return mapping;
+};
+
+/**
+ * PermissionService - Named permissions and the DB-backed role mapping
+ */
+class PermissionService {
+  static CATALOG = CATALOG;
+  static ROLES = ROLES;
+  static MANAGE_PERMISSION = MANAGE_PERMISSION;
+
+  static isKnownPermission(key) {
+    return CATALOG_KEYS.has(key);
+  }
+
+  /**
+   * Role -> Set of permission keys. Cached briefly because authorize.can()
+   * consults it on every permission-gated request. An empty table (migration
+   * not yet applied) falls back to the catalog defaults.
+   * @returns {Promise<Map<string, Set<string>>>}
+   */
+  static async getMapping() {
+    if (mappingCache && mappingCache.expiresAt > Date.now()) {
+      return mappingCache.mapping;
+    }
+
+    const rows = await prisma.role_Permission.findMany({ select: { Role: true, Permission: true } });
+    let mapping;
+    if (!rows || rows.length === 0) {
+      mapping = defaultMapping();
+    } else {
+      mapping = new Map(ROLES.map(role => [role, new Set()]));
+      for (const row of rows) {
+        // Rows for permissions removed from the catalog are ignored.
+        if (mapping.has(row.Role) && CATALOG_KEYS.has(row.Permission)) {
+          mapping.get(row.Role).add(row.Permission);
+        }
+      }
+    }
+
+    mappingCache = { mapping, expiresAt: Date.now() + CACHE_TTL_MS };
+    return mapping;
+  }
+
+  static clearCache() {
+    mappingCache = null;
+  }
+
+  static async hasPermission(role, permission) {
+    const mapping = await this.getMapping();
+    return !!mapping.get(role)?.has(permission);
+  }
+
+  /**
+   * @returns {Promise<string[]>} Permission keys held by a role, sorted
+   */
+  static async getRolePermissions(role) {
+    const mapping = await this.getMapping();
+    return [...(mapping.get(role) || [])].sort();
+  }
+
+  /**
+   * Catalog crossed with roles, in catalog order
+   * @returns {Promise<{roles: string[], permissions: Array<{key: string, description: string, roles: Object<string, boolean>}>}>}
+   */
+  static async getMatrix() {
+    const mapping = await this.getMapping();
+    return {
+      roles: ROLES,
+      permissions: CATALOG.map(({ key, description }) => ({
+        key,
+        description,
+        roles: Object.fromEntries(ROLES.map(role => [role, mapping.get(role).has(key)]))
+      }))
+    };
+  }
+
+  /**
+   * Replace the full permission set of one role
+   * @returns {Promise<{added: string[], removed: string[]}>}
+   */
+  static async setRolePermissions(role, permissions, updatedBy) {
+    if (!ROLES.includes(role)) {
+      throw new AppError(`role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+
+    const requested = [...new Set(permissions)];
+    const unknown = requested.filter(key => !CATALOG_KEYS.has(key));
+    if (unknown.length) {
+      throw new AppError('Unknown permissions', 400, { unknown });
+    }
+    if (role === 'ADMIN' && !requested.includes(MANAGE_PERMISSION)) {
+      throw new AppError(`ADMIN must keep ${MANAGE_PERMISSION}`, 400);
+    }
+
+    const current = await this.getRolePermissions(role);
+    const added = requested.filter(key => !current.includes(key)).sort();
+    const removed = current.filter(key => !requested.includes(key));
+
+    // Writing the whole mapping the first time turns the catalog defaults
+    // into rows, so editing one role doesn't silently strip the others.
+    const mapping = await this.getMapping();
+    const rows = [];
+    for (const [mappedRole, keys] of mapping) {
+      const roleKeys = mappedRole === role ? requested : [...keys];
+      for (const key of roleKeys) {
+        rows.push({ Role: mappedRole, Permission: key, Granted_By: mappedRole === role ? updatedBy : null });
+      }
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const existing = await tx.role_Permission.count();
+      if (existing === 0) {
+        await tx.role_Permission.createMany({ data: rows });
+        return;
+      }
+      await tx.role_Permission.deleteMany({ where: { Role: role, Permission: { in: removed } } });
+      if (added.length) {
+        await tx.role_Permission.createMany({
+          data: added.map(key => ({ Role: role, Permission: key, Granted_By: updatedBy })),
+          skipDuplicates: true
+        });
+      }
+    });
+
+    this.clearCache();
+    return { added, removed };
+  }
+}
+
+module.exports = PermissionService;
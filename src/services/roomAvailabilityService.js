@@ -0,0 +1,291 @@
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const { getLocalDateParts, parseDays } = require('../utils/scheduleConflict');
+const { getZonedDateKey, zonedTimeToUtc } = require('../utils/timezone');
+const { buildVirtualOccurrences } = require('../modules/bookings/bookingSeries.controller');
+const AcademicCalendarService = require('./academicCalendarService');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_RANGE_DAYS = 31;
+const ROOM_TYPES = ['CONSULTATION', 'LECTURE', 'LAB', 'CONFERENCE', 'OTHER'];
+const LAB_TYPES = ['WINDOWS', 'MAC'];
+// Rooms that are shut for longer than a booking; IN_USE/RESERVED are momentary.
+const UNAVAILABLE_ROOM_STATUSES = ['MAINTENANCE', 'CLOSED'];
+
+const parseInteger = (value, name, { min, max, fallback }) => {
+  if (value === undefined || value === null || value === '') {
+    if (fallback === undefined) throw new AppError(`${name} is required`, 400);
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw new AppError(`${name} must be a whole number between ${min} and ${max}`, 400);
+  }
+  return parsed;
+};
+
+const parseClock = (value, name, fallback) => {
+  const match = String(value || fallback).match(/^(\d{1,2}):(\d{2})$/);
+  const minutes = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+  if (!match || parseInt(match[2], 10) > 59 || minutes > 24 * 60) {
+    throw new AppError(`${name} must be a time of day as HH:MM`, 400);
+  }
+  return minutes;
+};
+
+const parseDate = (value, name, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AppError(`${name} must be a valid date`, 400);
+  return date;
+};
+
+const parseList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(entry => String(entry).trim())
+  .filter(Boolean);
+
+// "PROJECTOR,MONITOR:20" -> one projector and twenty monitors
+const parseEquipment = value => parseList(value).map((entry) => {
+  const [type, count = '1'] = entry.split(':');
+  const parsedCount = Number(count);
+  if (!type.trim() || !Number.isInteger(parsedCount) || parsedCount < 1) {
+    throw new AppError(`Invalid equipment requirement "${entry}"; use TYPE or TYPE:COUNT`, 400);
+  }
+  return { type: type.trim().toUpperCase(), count: parsedCount };
+});
+
+const parseEnum = (value, name, allowed) => {
+  if (!value) return null;
+  const normalized = String(value).toUpperCase();
+  if (!allowed.includes(normalized)) {
+    throw new AppError(`${name} must be one of ${allowed.join(', ')}`, 400);
+  }
+  return normalized;
+};
+
+const campusTime = (dateKey, minutes) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day, hour: Math.floor(minutes / 60), minute: minutes % 60 });
+};
+
+const nextDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * RoomAvailabilityService - Finds free slots of a given length across every
+ * bookable room, e.g. "any 2-hour lab slot this week for 40 students".
+ * A room is busy during approved bookings, approved series occurrences and
+ * active class schedules (except on holidays and suspensions).
+ */
+class RoomAvailabilityService {
+  /**
+   * Normalize and validate search query parameters
+   * @throws {AppError} 400 on invalid criteria
+   */
+  static parseCriteria(query = {}) {
+    const duration = parseInteger(query.duration, 'duration', { min: 15, max: 12 * 60 });
+    const from = parseDate(query.from, 'from', new Date());
+    const to = parseDate(query.to, 'to', new Date(from.getTime() + 7 * DAY_MS));
+    if (to <= from) throw new AppError('to must be after from', 400);
+    if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+      throw new AppError(`Search range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+    }
+
+    const earliestTime = parseClock(query.earliestTime, 'earliestTime', '07:00');
+    const latestTime = parseClock(query.latestTime, 'latestTime', '21:00');
+    if (latestTime - earliestTime < duration) {
+      throw new AppError('duration does not fit between earliestTime and latestTime', 400);
+    }
+
+    const days = parseList(query.days).map(Number);
+    if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new AppError('days must be weekday numbers 0 (Sunday) to 6 (Saturday)', 400);
+    }
+
+    return {
+      duration,
+      from,
+      to,
+      earliestTime,
+      latestTime,
+      days: days.length > 0 ? [...new Set(days)].sort() : null,
+      capacity: parseInteger(query.capacity, 'capacity', { min: 1, max: 10000, fallback: null }),
+      roomType: parseEnum(query.roomType, 'roomType', ROOM_TYPES),
+      labType: parseEnum(query.labType, 'labType', LAB_TYPES),
+      equipment: parseEquipment(query.equipment),
+      step: parseInteger(query.step, 'step', { min: 5, max: 120, fallback: 30 }),
+      limit: parseInteger(query.limit, 'limit', { min: 1, max: 200, fallback: 50 })
+    };
+  }
+
+  /**
+   * Rooms matching capacity, type and equipment, with their working equipment counts
+   */
+  static async findCandidateRooms(criteria) {
+    const rooms = await prisma.Room.findMany({
+      where: {
+        Is_Bookable: true,
+        Status: { notIn: UNAVAILABLE_ROOM_STATUSES },
+        ...(criteria.capacity ? { Capacity: { gte: criteria.capacity } } : {}),
+        ...(criteria.roomType ? { Room_Type: criteria.roomType } : {}),
+        ...(criteria.labType ? { Lab_Type: criteria.labType } : {})
+      },
+      orderBy: { Capacity: 'asc' }
+    });
+    if (!rooms || rooms.length === 0) return [];
+
+    const equipmentByRoom = new Map(rooms.map(room => [room.Room_ID, {}]));
+    if (criteria.equipment.length > 0) {
+      const items = await prisma.item.findMany({
+        where: { Room_ID: { in: rooms.map(room => room.Room_ID) }, Status: 'AVAILABLE' },
+        select: { Room_ID: true, Item_Type: true }
+      });
+      for (const item of items || []) {
+        const counts = equipmentByRoom.get(item.Room_ID);
+        const type = String(item.Item_Type).toUpperCase();
+        counts[type] = (counts[type] || 0) + 1;
+      }
+    }
+
+    return rooms
+      .map(room => ({ room, equipment: equipmentByRoom.get(room.Room_ID) }))
+      .filter(({ equipment }) => criteria.equipment.every(({ type, count }) => (equipment[type] || 0) >= count));
+  }
+
+  /**
+   * Busy intervals per room: approved bookings, approved series occurrences
+   * and class schedules laid out on each campus day of the range
+   * @returns {Promise<Map<number, Array<{start: Date, end: Date}>>>}
+   */
+  static async loadBusyIntervals(roomIds, from, to, dateKeys) {
+    const busy = new Map(roomIds.map(id => [id, []]));
+    const add = (roomId, start, end) => {
+      if (busy.has(roomId)) busy.get(roomId).push({ start: new Date(start), end: new Date(end) });
+    };
+
+    const [bookings, occurrences, schedules, closedDates] = await Promise.all([
+      prisma.Booked_Room.findMany({
+        where: { Room_ID: { in: roomIds }, Status: 'APPROVED', Start_Time: { lt: to }, End_Time: { gt: from } },
+        select: { Room_ID: true, Start_Time: true, End_Time: true }
+      }),
+      // Start a day early so occurrences already running at `from` count.
+      buildVirtualOccurrences({ from: new Date(from.getTime() - DAY_MS), to }),
+      prisma.Schedule.findMany({ where: { IsActive: true, Room_ID: { in: roomIds } } }),
+      AcademicCalendarService.getClosedDates()
+    ]);
+
+    (bookings || []).forEach(b => add(b.Room_ID, b.Start_Time, b.End_Time));
+    (occurrences || [])
+      .filter(o => o.Status === 'APPROVED')
+      .forEach(o => add(o.Room_ID, o.Start_Time, o.End_Time));
+
+    for (const schedule of schedules || []) {
+      const scheduleDays = parseDays(schedule.Days);
+      const startMinutes = getLocalDateParts(schedule.Start_Time).minutes;
+      const endMinutes = getLocalDateParts(schedule.End_Time).minutes;
+      if (endMinutes <= startMinutes) continue;
+
+      for (const dateKey of dateKeys) {
+        if (closedDates.has(dateKey) || !scheduleDays.includes(weekdayOf(dateKey))) continue;
+        add(schedule.Room_ID, campusTime(dateKey, startMinutes), campusTime(dateKey, endMinutes));
+      }
+    }
+
+    return busy;
+  }
+
+  /**
+   * Earliest step-aligned slot in each free gap of the day window
+   */
+  static findFreeSlots(windowStart, windowEnd, intervals, { duration, step }, dayStart) {
+    const durationMs = duration * MINUTE_MS;
+    const stepMs = step * MINUTE_MS;
+    const slots = [];
+    let cursor = windowStart;
+
+    const takeGap = (gapEnd) => {
+      const aligned = new Date(dayStart.getTime() + Math.ceil((cursor - dayStart) / stepMs) * stepMs);
+      if (aligned.getTime() + durationMs <= gapEnd.getTime()) {
+        slots.push({ start: aligned, end: new Date(aligned.getTime() + durationMs), freeUntil: gapEnd });
+      }
+    };
+
+    const overlapping = intervals
+      .filter(interval => interval.start < windowEnd && interval.end > windowStart)
+      .sort((a, b) => a.start - b.start);
+
+    for (const interval of overlapping) {
+      if (interval.start > cursor) takeGap(interval.start);
+      if (interval.end > cursor) cursor = interval.end;
+    }
+    if (cursor < windowEnd) takeGap(windowEnd);
+
+    return slots;
+  }
+
+  /**
+   * Ranked free slots: soonest first, then the room whose capacity fits the
+   * group most tightly
+   * @returns {Promise<{criteria: Object, total: number, slots: Object[]}>}
+   */
+  static async search(query) {
+    const criteria = this.parseCriteria(query);
+    const candidates = await this.findCandidateRooms(criteria);
+    if (candidates.length === 0) return { criteria, total: 0, slots: [] };
+
+    const dateKeys = [];
+    const lastKey = getZonedDateKey(criteria.to);
+    for (let key = getZonedDateKey(criteria.from); key <= lastKey; key = nextDateKey(key)) {
+      if (!criteria.days || criteria.days.includes(weekdayOf(key))) dateKeys.push(key);
+    }
+
+    const busy = await this.loadBusyIntervals(
+      candidates.map(({ room }) => room.Room_ID), criteria.from, criteria.to, dateKeys
+    );
+
+    const slots = [];
+    for (const { room, equipment } of candidates) {
+      for (const dateKey of dateKeys) {
+        const dayStart = campusTime(dateKey, 0);
+        const windowStart = new Date(Math.max(campusTime(dateKey, criteria.earliestTime), criteria.from));
+        const windowEnd = new Date(Math.min(campusTime(dateKey, criteria.latestTime), criteria.to));
+        if (windowEnd <= windowStart) continue;
+
+        for (const slot of this.findFreeSlots(windowStart, windowEnd, busy.get(room.Room_ID), criteria, dayStart)) {
+          slots.push({
+            roomId: room.Room_ID,
+            roomName: room.Name,
+            roomType: room.Room_Type,
+            labType: room.Lab_Type,
+            capacity: room.Capacity,
+            capacitySurplus: criteria.capacity ? room.Capacity - criteria.capacity : null,
+            equipment,
+            ...slot
+          });
+        }
+      }
+    }
+
+    slots.sort((a, b) =>
+      a.start - b.start ||
+      a.capacity - b.capacity ||
+      String(a.roomName).localeCompare(String(b.roomName))
+    );
+
+    return {
+      criteria,
+      total: slots.length,
+      slots: slots.slice(0, criteria.limit).map((slot, index) => ({ rank: index + 1, ...slot }))
+    };
+  }
+}
+
+module.exports = RoomAvailabilityService;
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../lib/prisma');
+const { JWT_SECRET } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * SessionService - Server-side login session registry
+ * Issues short-lived access JWTs bound to a User_Session row and rotating
+ * opaque refresh tokens. Only the SHA-256 hash of a refresh token is stored.
+ */
+class SessionService {
+  static ACCESS_TOKEN_EXPIRES_IN = ACCESS_TOKEN_EXPIRES_IN;
+  static REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Refresh tokens are `<sessionId>.<secret>` so the session row can be found
+   * by primary key before comparing hashes.
+   */
+  static generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+  }
+
+  static signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.User_ID, role: user.User_Role, sessionId },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  /**
+   * Open a new session for a freshly authenticated user
+   * @param {Object} user - User row
+   * @param {Object} req - Express request (for user agent / IP)
+   * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>}
+   */
+  static async createSession(user, req) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = this.generateRefreshToken(sessionId);
+
+    const session = await prisma.user_Session.create({
+      data: {
+        Session_ID: sessionId,
+        User_ID: user.User_ID,
+        Refresh_Token_Hash: this.hashToken(refreshToken),
+        User_Agent: req?.get?.('user-agent')?.slice(0, 255) || null,
+        IP_Address: req?.ip || null,
+        Expires_At: new Date(Date.now() + this.REFRESH_TOKEN_TTL_MS)
+      }
+    });
+
+    return {
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token, rotating the refresh
+   * token. Presenting an already-rotated token is treated as theft and
+   * revokes the whole session.
+   * @param {string} refreshToken - Opaque refresh token from login/refresh
+   * @param {Object} req - Express request
+   * @returns {Promise<{accessToken: string, refreshToken: string, user: Object, session: Object}>}
+   */
+  static async refreshSession(refreshToken, req) {
+    const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : null;
+    if (!sessionId) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await prisma.user_Session.findUnique({
+      where: { Session_ID: sessionId },
+      include: { User: true }
+    });
+
+    if (!session || session.Revoked_At) {
+      throw new AppError('Session has been revoked. Please log in again.', 401);
+    }
+
+    if (session.Refresh_Token_Hash !== this.hashToken(refreshToken)) {
+      await this.revokeSession(session.Session_ID, 'REFRESH_TOKEN_REUSE');
+      throw new AppError('Session has been revoked. Please log in again.', 401);
+    }
+
+    if (new Date(session.Expires_At).getTime() <= Date.now()) {
+      throw new AppError('Session has expired. Please log in again.', 401);
+    }
+
+    const user = session.User;
+    if (!user || user.Is_Active === false) {
+      await this.revokeSession(session.Session_ID, 'ACCOUNT_DEACTIVATED');
+      throw new AppError('Account is deactivated', 401);
+    }
+
+    // Sessions opened before Token_Valid_After (role change etc.) may not
+    // mint new access tokens; the user has to log in again.
+    if (user.Token_Valid_After && new Date(session.Created_At) < new Date(user.Token_Valid_After)) {
+      await this.revokeSession(session.Session_ID, 'TOKEN_INVALIDATED');
+      throw new AppError('Session ended. Please log in again.', 401);
+    }
+
+    // Rotate only if the presented token is still current: of two concurrent
+    // refreshes with the same token, the loser sees count 0 and is treated
+    // as reuse.
+    const nextRefreshToken = this.generateRefreshToken(session.Session_ID);
+    const data = {
+      Refresh_Token_Hash: this.hashToken(nextRefreshToken),
+      Last_Used_At: new Date(),
+      IP_Address: req?.ip || session.IP_Address
+    };
+    const rotated = await prisma.user_Session.updateMany({
+      where: { Session_ID: session.Session_ID, Refresh_Token_Hash: session.Refresh_Token_Hash, Revoked_At: null },
+      data
+    });
+    if (rotated.count === 0) {
+      await this.revokeSession(session.Session_ID, 'REFRESH_TOKEN_REUSE');
+      throw new AppError('Session has been revoked. Please log in again.', 401);
+    }
+
+    const { User, ...sessionRecord } = session;
+    return {
+      accessToken: this.signAccessToken(user, session.Session_ID),
+      refreshToken: nextRefreshToken,
+      user,
+      session: { ...sessionRecord, ...data }
+    };
+  }
+
+  /**
+   * Mark a session as revoked. Already-revoked sessions keep their original
+   * reason.
+   */
+  static async revokeSession(sessionId, reason = 'USER_REVOKED') {
+    const result = await prisma.user_Session.updateMany({
+      where: { Session_ID: sessionId, Revoked_At: null },
+      data: { Revoked_At: new Date(), Revoked_Reason: reason }
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * Revoke every open session for a user (password change/reset). Accepts a
+   * transaction client so it can commit together with the password update.
+   */
+  static async revokeAllSessions(userId, reason, client = prisma) {
+    const result = await client.user_Session.updateMany({
+      where: { User_ID: userId, Revoked_At: null },
+      data: { Revoked_At: new Date(), Revoked_Reason: reason }
+    });
+    return result.count;
+  }
+
+  /**
+   * Active (not revoked, not expired) sessions for a user, newest first
+   */
+  static async listActiveSessions(userId) {
+    return prisma.user_Session.findMany({
+      where: {
+        User_ID: userId,
+        Revoked_At: null,
+        Expires_At: { gt: new Date() }
+      },
+      select: {
+        Session_ID: true,
+        User_Agent: true,
+        IP_Address: true,
+        Created_At: true,
+        Last_Used_At: true,
+        Expires_At: true
+      },
+      orderBy: { Last_Used_At: 'desc' }
+    });
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const prisma = require('../lib/prisma');
+const { JWT_SECRET } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'BITS';
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_PURPOSE = 'TWO_FACTOR_CHALLENGE';
+const RECOVERY_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+// Accept the previous and next 30s step to tolerate phone clock drift.
+authenticator.options = { window: 1, step: STEP_SECONDS };
+
+// Secrets are encrypted with a dedicated key when configured; otherwise the
+// key is derived from JWT_SECRET so a DB dump alone doesn't reveal them.
+const getEncryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET).digest();
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+let policyCache = null;
+
+/**
+ * TwoFactorService - TOTP enrollment, verification, recovery codes, the
+ * interim login challenge and the per-role "require 2FA" policy
+ */
+class TwoFactorService {
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+  }
+
+  static decryptSecret(payload) {
+    const [iv, tag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Start (or restart) enrollment. The secret is stored but 2FA stays off
+   * until the user proves possession with a code via enable().
+   * @returns {Promise<{secret: string, otpauthUrl: string, qrCodeDataUrl: string}>}
+   */
+  static async beginEnrollment(user) {
+    if (user.Two_Factor_Enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = authenticator.generateSecret();
+    const label = user.Username || user.Email;
+    const otpauthUrl = authenticator.keyuri(label, ISSUER, secret);
+
+    await prisma.user.update({
+      where: { User_ID: user.User_ID },
+      data: {
+        Two_Factor_Secret: this.encryptSecret(secret),
+        Two_Factor_Recovery_Codes: [],
+        Two_Factor_Last_Step: null
+      }
+    });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCodeDataUrl: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Check a TOTP code and reject replays of an already-accepted step
+   * @returns {Promise<boolean>}
+   */
+  static async verifyTotp(user, code) {
+    if (!user.Two_Factor_Secret || !/^\d{6}$/.test(String(code || ''))) return false;
+
+    const delta = authenticator.checkDelta(String(code), this.decryptSecret(user.Two_Factor_Secret));
+    if (delta === null) return false;
+
+    const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+    if (user.Two_Factor_Last_Step !== null && user.Two_Factor_Last_Step !== undefined
+      && step <= user.Two_Factor_Last_Step) {
+      return false;
+    }
+
+    await prisma.user.update({
+      where: { User_ID: user.User_ID },
+      data: { Two_Factor_Last_Step: step }
+    });
+    return true;
+  }
+
+  /**
+   * Burn a recovery code. Each code works once.
+   * @returns {Promise<boolean>}
+   */
+  static async consumeRecoveryCode(user, code) {
+    const hash = hashRecoveryCode(code);
+    const remaining = user.Two_Factor_Recovery_Codes || [];
+    if (!normalizeRecoveryCode(code) || !remaining.includes(hash)) return false;
+
+    await prisma.user.update({
+      where: { User_ID: user.User_ID },
+      data: { Two_Factor_Recovery_Codes: remaining.filter(h => h !== hash) }
+    });
+    return true;
+  }
+
+  /**
+   * Verify either a TOTP code or a recovery code
+   * @returns {Promise<'totp'|'recovery'|null>} Which factor matched
+   */
+  static async verifySecondFactor(user, { code, recoveryCode }) {
+    if (code && await this.verifyTotp(user, code)) return 'totp';
+    if (recoveryCode && await this.consumeRecoveryCode(user, recoveryCode)) return 'recovery';
+    return null;
+  }
+
+  static generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Confirm enrollment with a first code
+   * @returns {Promise<string[]>} Plain recovery codes (shown once)
+   */
+  static async enable(user, code) {
+    if (user.Two_Factor_Enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+    if (!user.Two_Factor_Secret) {
+      throw new AppError('Start enrollment before enabling two-factor authentication', 400);
+    }
+    if (!(await this.verifyTotp(user, code))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await prisma.user.update({
+      where: { User_ID: user.User_ID },
+      data: {
+        Two_Factor_Enabled: true,
+        Two_Factor_Enabled_At: new Date(),
+        Two_Factor_Recovery_Codes: recoveryCodes.map(hashRecoveryCode)
+      }
+    });
+    return recoveryCodes;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @returns {Promise<string[]>} Plain recovery codes (shown once)
+   */
+  static async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await prisma.user.update({
+      where: { User_ID: userId },
+      data: { Two_Factor_Recovery_Codes: recoveryCodes.map(hashRecoveryCode) }
+    });
+    return recoveryCodes;
+  }
+
+  static async disable(userId) {
+    await prisma.user.update({
+      where: { User_ID: userId },
+      data: {
+        Two_Factor_Enabled: false,
+        Two_Factor_Secret: null,
+        Two_Factor_Recovery_Codes: [],
+        Two_Factor_Last_Step: null,
+        Two_Factor_Enabled_At: null
+      }
+    });
+  }
+
+  /**
+   * Short-lived token proving the password step succeeded. It deliberately
+   * has no `userId` claim and carries `purpose`, so authenticateToken never
+   * accepts it as an access token. Its ID is stored on the user, so only the
+   * latest challenge is valid and it can be used once.
+   */
+  static async issueChallenge(user) {
+    const challengeId = crypto.randomBytes(16).toString('hex');
+    await prisma.user.update({
+      where: { User_ID: user.User_ID },
+      data: { Two_Factor_Challenge_ID: challengeId }
+    });
+    return jwt.sign(
+      { challengeUserId: user.User_ID, purpose: CHALLENGE_PURPOSE },
+      JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRES_IN, jwtid: challengeId }
+    );
+  }
+
+  /**
+   * Verify a challenge token and use it up, whether or not the code sent
+   * with it turns out to be right. A wrong code therefore costs a password
+   * login to retry.
+   * @returns {Promise<number>} User ID from a valid, unused challenge token
+   */
+  static async consumeChallenge(token) {
+    const invalid = new AppError('Two-factor challenge is invalid or has expired. Please log in again.', 401);
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      throw invalid;
+    }
+    if (decoded.purpose !== CHALLENGE_PURPOSE || !decoded.challengeUserId || !decoded.jti) {
+      throw invalid;
+    }
+
+    const consumed = await prisma.user.updateMany({
+      where: { User_ID: decoded.challengeUserId, Two_Factor_Challenge_ID: decoded.jti },
+      data: { Two_Factor_Challenge_ID: null }
+    });
+    if (consumed.count === 0) {
+      throw invalid;
+    }
+    return decoded.challengeUserId;
+  }
+
+  /**
+   * Roles whose members must have 2FA enabled. Cached briefly because
+   * authorize() consults it on every role-gated request.
+   * @returns {Promise<Set<string>>}
+   */
+  static async getRequiredRoles() {
+    if (policyCache && policyCache.expiresAt > Date.now()) {
+      return policyCache.roles;
+    }
+    const policies = await prisma.role_Security_Policy.findMany({
+      where: { Require_Two_Factor: true },
+      select: { Role: true }
+    });
+    const roles = new Set((policies || []).map(policy => policy.Role));
+    policyCache = { roles, expiresAt: Date.now() + POLICY_CACHE_TTL_MS };
+    return roles;
+  }
+
+  static async isRequiredForRole(role) {
+    return (await this.getRequiredRoles()).has(role);
+  }
+
+  static clearPolicyCache() {
+    policyCache = null;
+  }
+
+  static async listPolicies() {
+    return prisma.role_Security_Policy.findMany({ orderBy: { Role: 'asc' } });
+  }
+
+  static async setRolePolicy(role, requireTwoFactor, updatedBy) {
+    const policy = await prisma.role_Security_Policy.upsert({
+      where: { Role: role },
+      create: { Role: role, Require_Two_Factor: requireTwoFactor, Updated_By: updatedBy },
+      update: { Require_Two_Factor: requireTwoFactor, Updated_By: updatedBy }
+    });
+    this.clearPolicyCache();
+    return policy;
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const BATCH_SIZE = 50;
+const MAX_LIST_LIMIT = 200;
+
+// Minutes to wait before each retry; a delivery still failing after the
+// last one is dead-lettered.
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'DEAD'];
+
+/**
+ * Events integrations can subscribe to
+ */
+const EVENT_TYPES = {
+  'booking.approved': 'A room booking, booking series or single series occurrence was approved',
+  'ticket.resolved': 'A ticket was marked resolved',
+  'borrow.overdue': 'A borrowed item passed its return date',
+  'form.transferred': 'A form moved to another department or was returned to an earlier one',
+  'computer.offline': 'A lab computer stopped sending heartbeats'
+};
+
+// Never returned after creation; see createEndpoint/rotateSecret.
+const endpointSelect = {
+  Endpoint_ID: true,
+  Name: true,
+  Url: true,
+  Event_Types: true,
+  Is_Active: true,
+  Created_By: true,
+  Created_At: true,
+  Updated_At: true
+};
+
+const newSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * WebhookService - Transactional outbox and webhook delivery for
+ * integrations (chat bots, the registrar system).
+ * Domain code records an Outbox_Event with the same client (or transaction)
+ * that writes the change; the dispatcher job fans events out to subscribed
+ * endpoints and POSTs them with an HMAC signature, retrying with backoff.
+ */
+class WebhookService {
+  static EVENT_TYPES = EVENT_TYPES;
+  static RETRY_DELAYS_MINUTES = RETRY_DELAYS_MINUTES;
+
+  /**
+   * Write a domain event. Pass the transaction client so the event only
+   * exists if the change it describes is committed.
+   * @param {string} eventType - Key of EVENT_TYPES
+   * @param {Object} payload - JSON-serializable event data
+   * @param {Object} [client] - Prisma client or transaction
+   */
+  static async record(eventType, payload, client = prisma) {
+    if (!EVENT_TYPES[eventType]) {
+      throw new Error(`Unknown webhook event type "${eventType}"`);
+    }
+    return client.outbox_Event.create({
+      data: { Event_Type: eventType, Payload: payload }
+    });
+  }
+
+  /**
+   * `sha256=<hex>` HMAC of "<timestamp>.<body>". Receivers recompute it with
+   * their secret and should reject stale timestamps.
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  static subscribes(endpoint, eventType) {
+    return !endpoint.Event_Types || endpoint.Event_Types.length === 0 || endpoint.Event_Types.includes(eventType);
+  }
+
+  /**
+   * Create a delivery per subscribed active endpoint for each undispatched
+   * event, then mark the event dispatched. Endpoints registered later don't
+   * receive older events.
+   * @returns {Promise<number>} Events fanned out
+   */
+  static async fanOut() {
+    const events = await prisma.outbox_Event.findMany({
+      where: { Dispatched_At: null },
+      orderBy: { Event_ID: 'asc' },
+      take: BATCH_SIZE
+    });
+    if (!events || events.length === 0) return 0;
+
+    const endpoints = await prisma.webhook_Endpoint.findMany({
+      where: { Is_Active: true },
+      select: { Endpoint_ID: true, Event_Types: true }
+    });
+
+    for (const event of events) {
+      const subscribed = (endpoints || []).filter(endpoint => this.subscribes(endpoint, event.Event_Type));
+      await prisma.$transaction([
+        prisma.webhook_Delivery.createMany({
+          data: subscribed.map(endpoint => ({ Event_ID: event.Event_ID, Endpoint_ID: endpoint.Endpoint_ID })),
+          skipDuplicates: true
+        }),
+        prisma.outbox_Event.update({
+          where: { Event_ID: event.Event_ID },
+          data: { Dispatched_At: new Date() }
+        })
+      ]);
+    }
+    return events.length;
+  }
+
+  /**
+   * POST one delivery and record the outcome. Any 2xx counts as delivered;
+   * other statuses, timeouts and network errors are retried until
+   * MAX_ATTEMPTS, then the delivery is DEAD.
+   * @returns {Promise<Object>} Updated delivery
+   */
+  static async attempt(delivery, now = new Date()) {
+    const { Event: event, Endpoint: endpoint } = delivery;
+    const body = JSON.stringify({
+      id: event.Event_ID,
+      type: event.Event_Type,
+      createdAt: event.Created_At,
+      data: event.Payload
+    });
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await axios.post(endpoint.Url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BITS-Webhooks/1.0',
+          'X-BITS-Event': event.Event_Type,
+          'X-BITS-Delivery': String(delivery.Delivery_ID),
+          'X-BITS-Timestamp': String(timestamp),
+          'X-BITS-Signature': this.sign(endpoint.Secret, timestamp, body)
+        },
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (err) {
+      error = err.code ? `${err.code}: ${err.message}` : err.message;
+    }
+
+    const attempts = delivery.Attempts + 1;
+    const outcome = !error
+      ? { Status: 'DELIVERED', Delivered_At: now }
+      : attempts >= MAX_ATTEMPTS
+        ? { Status: 'DEAD' }
+        : { Status: 'PENDING', Next_Attempt_At: new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * MINUTE_MS) };
+
+    return prisma.webhook_Delivery.update({
+      where: { Delivery_ID: delivery.Delivery_ID },
+      data: {
+        ...outcome,
+        Attempts: attempts,
+        Last_Attempt_At: now,
+        Last_Status_Code: statusCode,
+        Last_Error: error ? error.slice(0, 500) : null
+      }
+    });
+  }
+
+  /**
+   * Send every delivery that is due. Deliveries to disabled endpoints wait
+   * until the endpoint is enabled again.
+   * @returns {Promise<{delivered: number, retrying: number, dead: number}>}
+   */
+  static async deliverDue(now = new Date()) {
+    const due = await prisma.webhook_Delivery.findMany({
+      where: { Status: 'PENDING', Next_Attempt_At: { lte: now }, Endpoint: { Is_Active: true } },
+      include: { Event: true, Endpoint: true },
+      orderBy: { Next_Attempt_At: 'asc' },
+      take: BATCH_SIZE
+    });
+
+    const results = { delivered: 0, retrying: 0, dead: 0 };
+    for (const delivery of due || []) {
+      const updated = await this.attempt(delivery, now);
+      if (updated.Status === 'DELIVERED') results.delivered++;
+      else if (updated.Status === 'DEAD') results.dead++;
+      else results.retrying++;
+    }
+    return results;
+  }
+
+  /**
+   * One dispatcher pass: fan out new events, then send what's due
+   */
+  static async dispatch() {
+    const events = await this.fanOut();
+    const results = await this.deliverDue();
+    return { events, ...results };
+  }
+
+  // ---- Endpoints ----
+
+  static async listEndpoints() {
+    return prisma.webhook_Endpoint.findMany({ select: endpointSelect, orderBy: { Endpoint_ID: 'asc' } });
+  }
+
+  static async getEndpoint(endpointId) {
+    return prisma.webhook_Endpoint.findUnique({ where: { Endpoint_ID: endpointId }, select: endpointSelect });
+  }
+
+  static checkEventTypes(eventTypes = []) {
+    const unknown = eventTypes.filter(type => !EVENT_TYPES[type]);
+    if (unknown.length) {
+      throw new AppError('Unknown event types', 400, { unknown });
+    }
+    return [...new Set(eventTypes)];
+  }
+
+  /**
+   * @returns {Promise<{secret: string, record: Object}>} Signing secret (shown once) and the stored row
+   */
+  static async createEndpoint({ name, url, eventTypes = [], isActive = true }, createdBy) {
+    const secret = newSecret();
+    const record = await prisma.webhook_Endpoint.create({
+      data: {
+        Name: name,
+        Url: url,
+        Secret: secret,
+        Event_Types: this.checkEventTypes(eventTypes),
+        Is_Active: isActive,
+        Created_By: createdBy
+      },
+      select: endpointSelect
+    });
+    return { secret, record };
+  }
+
+  /**
+   * @returns {Promise<{previous: Object, record: Object}|null>} Endpoint before and after, or null when not found
+   */
+  static async updateEndpoint(endpointId, { name, url, eventTypes, isActive }) {
+    const existing = await this.getEndpoint(endpointId);
+    if (!existing) return null;
+
+    const data = {};
+    if (name !== undefined) data.Name = name;
+    if (url !== undefined) data.Url = url;
+    if (eventTypes !== undefined) data.Event_Types = this.checkEventTypes(eventTypes);
+    if (isActive !== undefined) data.Is_Active = isActive;
+
+    const record = await prisma.webhook_Endpoint.update({ where: { Endpoint_ID: endpointId }, data, select: endpointSelect });
+    return { previous: existing, record };
+  }
+
+  /**
+   * @returns {Promise<{secret: string, record: Object}|null>} null when not found
+   */
+  static async rotateSecret(endpointId) {
+    const existing = await this.getEndpoint(endpointId);
+    if (!existing) return null;
+
+    const secret = newSecret();
+    const record = await prisma.webhook_Endpoint.update({
+      where: { Endpoint_ID: endpointId },
+      data: { Secret: secret },
+      select: endpointSelect
+    });
+    return { secret, record };
+  }
+
+  /**
+   * Deletes the endpoint and its delivery log
+   * @returns {Promise<Object|null>} Deleted endpoint, or null when not found
+   */
+  static async deleteEndpoint(endpointId) {
+    const existing = await this.getEndpoint(endpointId);
+    if (!existing) return null;
+
+    await prisma.webhook_Endpoint.delete({ where: { Endpoint_ID: endpointId } });
+    return existing;
+  }
+
+  // ---- Delivery log ----
+
+  /**
+   * Newest deliveries first, filtered by ?endpointId, ?status, ?eventType
+   * @throws {AppError} 400 on an invalid filter
+   */
+  static async listDeliveries({ endpointId, status, eventType, limit } = {}) {
+    const where = {};
+    if (endpointId !== undefined) {
+      const id = parseInt(endpointId, 10);
+      if (Number.isNaN(id)) throw new AppError('endpointId must be a number', 400);
+      where.Endpoint_ID = id;
+    }
+    if (status !== undefined) {
+      const normalized = String(status).toUpperCase();
+      if (!DELIVERY_STATUSES.includes(normalized)) {
+        throw new AppError(`status must be one of ${DELIVERY_STATUSES.join(', ')}`, 400);
+      }
+      where.Status = normalized;
+    }
+    if (eventType !== undefined) {
+      if (!EVENT_TYPES[eventType]) throw new AppError('Unknown event type', 400);
+      where.Event = { Event_Type: eventType };
+    }
+
+    const take = Math.min(parseInt(limit, 10) || 50, MAX_LIST_LIMIT);
+    return prisma.webhook_Delivery.findMany({
+      where,
+      include: {
+        Event: true,
+        Endpoint: { select: { Endpoint_ID: true, Name: true, Url: true } }
+      },
+      orderBy: { Delivery_ID: 'desc' },
+      take
+    });
+  }
+
+  /**
+   * Put a dead-lettered delivery back in the queue with a fresh set of attempts
+   * @returns {Promise<Object|null>} Requeued delivery, or null when not found
+   * @throws {AppError} 409 when the delivery isn't DEAD
+   */
+  static async retryDelivery(deliveryId) {
+    const delivery = await prisma.webhook_Delivery.findUnique({ where: { Delivery_ID: deliveryId } });
+    if (!delivery) return null;
+    if (delivery.Status !== 'DEAD') {
+      throw new AppError('Only dead-lettered deliveries can be retried', 409, { status: delivery.Status });
+    }
+
+    return prisma.webhook_Delivery.update({
+      where: { Delivery_ID: deliveryId },
+      data: { Status: 'PENDING', Attempts: 0, Next_Attempt_At: new Date() }
+    });
+  }
+}
+
+module.exports = WebhookService;
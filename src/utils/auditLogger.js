@@ -1,9 +1,37 @@
 const prisma = require('../lib/prisma');
 const NotificationService = require('../services/notificationService');
+const NotificationMuteService = require('../services/notificationMuteService');
+
+// Secret columns (Password, Two_Factor_Secret, Token_Hash, ...): flagged as
+// changed in a diff but never copied into it. Matched by suffix so columns
+// like Token_Valid_After stay readable.
+const SECRET_FIELD = /(^|_)(Password|Secret|Hash)$|^Two_Factor_Recovery_Codes$/;
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = new Set(['Updated_At', 'Last_Activity']);
+
+// Included relations (nested records and lists of them) are left out of
+// diffs. They are told from JSON columns by their Column_Name keys.
+const COLUMN_KEY = /^[A-Z][A-Za-z0-9]*(_[A-Za-z0-9]+)*$/;
+const isNestedRecord = (value) => {
+    if (Array.isArray(value)) return value.some(isNestedRecord);
+    if (!value || typeof value !== 'object' || value instanceof Date) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => COLUMN_KEY.test(key));
+};
+
+const auditableFields = (record) => Object.fromEntries(Object.entries(record)
+    .filter(([key, value]) => value !== undefined && !IGNORED_FIELDS.has(key) && !isNestedRecord(value)));
+
+const redact = (fields) => Object.fromEntries(Object.entries(fields)
+    .map(([key, value]) => [key, SECRET_FIELD.test(key) && value !== null ? '[REDACTED]' : value]));
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
 
 /**
  * Centralized audit logging utility for the BITS system.
- * Handles both activity logging and notification creation.
+ * Handles both activity logging and notification creation. Mutations pass
+ * the entity they changed and its state before and after, stored as a field
+ * diff in Changes.
  */
 class AuditLogger {
     /**
@@ -20,6 +48,10 @@ class AuditLogger {
      * @param {number} options.ticketId - Related ticket ID
      * @param {number} options.bookedRoomId - Related booking ID
      * @param {Object} options.notificationData - Additional JSON data for notification
+     * @param {string} options.entityType - Entity changed (e.g. 'BOOKING'); defaults from ticketId/bookedRoomId
+     * @param {number|string} options.entityId - Its primary key
+     * @param {Object} options.before - Entity before the change (omit for creations)
+     * @param {Object} options.after - Entity after the change (omit for deletions)
      */
     static async log({
         userId,
@@ -31,14 +63,24 @@ class AuditLogger {
         details = null,
         ticketId = null,
         bookedRoomId = null,
-        notificationData = null
+        notificationData = null,
+        entityType = null,
+        entityId = null,
+        before = null,
+        after = null
     }) {
         let log = null;
         try {
             console.log(`[AuditLogger] Attempting to log: ${action}, logType: ${logType}, userId: ${userId}`);
 
             // Create audit log entry
-            log = await prisma.Audit_Log.create({
+            const entity = entityType
+                ? { type: entityType, id: entityId }
+                : ticketId ? { type: 'TICKET', id: ticketId }
+                    : bookedRoomId ? { type: 'BOOKING', id: bookedRoomId }
+                        : { type: null, id: null };
+
+            log = await prisma.audit_Log.create({
                 data: {
                     User_ID: userId || null,
                     Action: action,
@@ -48,7 +90,10 @@ class AuditLogger {
                     Ticket_ID: ticketId || null,
                     Booked_Room_ID: bookedRoomId || null,
                     Notification_Type: isNotification ? action : null,
-                    Notification_Data: notificationData || null
+                    Notification_Data: notificationData || null,
+                    Entity_Type: entity.type,
+                    Entity_ID: entity.id !== null && entity.id !== undefined ? String(entity.id) : null,
+                    Changes: this.diff(before, after)
                 }
             });
 
@@ -75,7 +120,9 @@ class AuditLogger {
                         const excludeUserIds = [userId, notifyUserId].filter(
                             (id) => id !== null && id !== undefined,
                         );
-                        await NotificationService.notifyRole(roles, notificationPayload, excludeUserIds);
+                        // The room lets users who muted it be skipped
+                        const roomId = await this._getRoomId({ bookedRoomId, ticketId, notificationData });
+                        await NotificationService.notifyRole(roles, { ...notificationPayload, roomId }, excludeUserIds);
                         console.log(`[AuditLogger] Notification sent to roles: ${roles.join(', ')}`);
                     } catch (notifyError) {
                         console.error(`[AuditLogger] Failed to notify roles ${roles}:`, notifyError.message);
@@ -107,6 +154,50 @@ class AuditLogger {
         }
     }
 
+    /**
+     * Field-level diff of an entity: { before, after } holding only the
+     * fields that changed. A creation has `before: null` and the new record
+     * as `after`; a deletion the reverse. Secret fields show as [REDACTED].
+     * @returns {Object|null} Null when nothing changed
+     */
+    static diff(before, after) {
+        if (!before && !after) return null;
+        if (!before) return { before: null, after: redact(auditableFields(after)) };
+        if (!after) return { before: redact(auditableFields(before)), after: null };
+
+        const previous = auditableFields(before);
+        const next = auditableFields(after);
+        const changed = Object.keys(next).filter(key => key in previous && !sameValue(previous[key], next[key]));
+        if (changed.length === 0) return null;
+
+        const pick = (fields) => redact(Object.fromEntries(changed.map(key => [key, fields[key]])));
+        return { before: pick(previous), after: pick(next) };
+    }
+
+    /**
+     * Room a notification is about: from its data, else its booking or ticket
+     */
+    static async _getRoomId({ bookedRoomId, ticketId, notificationData }) {
+        const fromData = NotificationMuteService.roomIdOf({ data: notificationData });
+        if (fromData !== null) return fromData;
+
+        if (bookedRoomId) {
+            const booking = await prisma.booked_Room.findUnique({
+                where: { Booked_Room_ID: bookedRoomId },
+                select: { Room_ID: true }
+            });
+            return booking?.Room_ID ?? null;
+        }
+        if (ticketId) {
+            const ticket = await prisma.ticket.findUnique({
+                where: { Ticket_ID: ticketId },
+                select: { Room_ID: true }
+            });
+            return ticket?.Room_ID ?? null;
+        }
+        return null;
+    }
+
     /**
      * Get human-readable title for notification
      */
@@ -123,6 +214,11 @@ class AuditLogger {
             'BOOKING_REJECTED': 'Booking Rejected',
             'BOOKING_CANCELLED': 'Booking Cancelled',
             'BOOKING_UPDATED': 'Booking Updated',
+            'BOOKING_WAITLISTED': 'Added to Waitlist',
+            'BOOKING_WAITLIST_PROMOTED': 'Waitlist Spot Opened',
+            'BOOKING_CHECKED_IN': 'Checked In',
+            'BOOKING_NO_SHOW': 'Booking Released (No-Show)',
+            'CLASS_SUSPENSION': 'Classes Suspended',
 
             // Tickets
             'TICKET_CREATED': 'New Ticket Reported',
@@ -184,8 +280,9 @@ class AuditLogger {
 
     /**
      * Log user authentication event
+     * @param {Object} change - { entityType, entityId, before, after } when account data changed
      */
-    static async logAuth(userId, action, details = null, req = null) {
+    static async logAuth(userId, action, details = null, req = null, change = {}) {
         const requestDetails = req ? {
             ip: req.ip || req.connection?.remoteAddress,
             userAgent: req.headers?.['user-agent']
@@ -196,14 +293,17 @@ class AuditLogger {
             action,
             logType: 'AUTH',
             isNotification: false,
-            details: details || (requestDetails ? JSON.stringify(requestDetails) : null)
+            details: details || (requestDetails ? JSON.stringify(requestDetails) : null),
+            entityType: 'USER',
+            entityId: userId,
+            ...change
         });
     }
 
     /**
      * Log booking event with optional notification
      */
-    static async logBooking(userId, action, bookedRoomId, details, notifyRole = null, notifyUserId = null) {
+    static async logBooking(userId, action, bookedRoomId, details, notifyRole = null, notifyUserId = null, change = {}) {
         return this.log({
             userId,
             action,
@@ -213,14 +313,15 @@ class AuditLogger {
             notifyUserId,
             bookedRoomId,
             details,
-            notificationData: notifyUserId ? { targetUserId: notifyUserId } : null
+            notificationData: notifyUserId ? { targetUserId: notifyUserId } : null,
+            ...change
         });
     }
 
     /**
      * Log ticket event with optional notification
      */
-    static async logTicket(userId, action, ticketId, details, notifyRole = null, notifyUserId = null) {
+    static async logTicket(userId, action, ticketId, details, notifyRole = null, notifyUserId = null, change = {}) {
         return this.log({
             userId,
             action,
@@ -229,14 +330,15 @@ class AuditLogger {
             notifyRole,
             notifyUserId,
             ticketId,
-            details
+            details,
+            ...change
         });
     }
 
     /**
      * Log borrowing event with optional notification
      */
-    static async logBorrowing(userId, action, details, notifyRole = null, notifyUserId = null) {
+    static async logBorrowing(userId, action, details, notifyRole = null, notifyUserId = null, change = {}) {
         return this.log({
             userId,
             action,
@@ -245,14 +347,15 @@ class AuditLogger {
             notifyRole,
             notifyUserId,
             details,
-            notificationData: notifyUserId ? { targetUserId: notifyUserId } : null
+            notificationData: notifyUserId ? { targetUserId: notifyUserId } : null,
+            ...change
         });
     }
 
     /**
      * Log form event with optional notification
      */
-    static async logForm(userId, action, details, notifyRole = null, notifyUserId = null) {
+    static async logForm(userId, action, details, notifyRole = null, notifyUserId = null, change = {}) {
         return this.log({
             userId,
             action,
@@ -260,40 +363,43 @@ class AuditLogger {
             isNotification: !!(notifyRole || notifyUserId),
             notifyRole,
             notifyUserId,
-            details
+            details,
+            ...change
         });
     }
 
     /**
      * Log inventory event (usually not a notification)
      */
-    static async logInventory(userId, action, details) {
+    static async logInventory(userId, action, details, change = {}) {
         return this.log({
             userId,
             action,
             logType: 'INVENTORY',
             isNotification: false,
-            details
+            details,
+            ...change
         });
     }
 
     /**
      * Log room event (usually not a notification)
      */
-    static async logRoom(userId, action, details) {
+    static async logRoom(userId, action, details, change = {}) {
         return this.log({
             userId,
             action,
             logType: 'ROOM',
             isNotification: false,
-            details
+            details,
+            ...change
         });
     }
 
     /**
      * Log report event with optional notification
      */
-    static async logReport(userId, action, details, notifyRole = null, notifyUserId = null) {
+    static async logReport(userId, action, details, notifyRole = null, notifyUserId = null, change = {}) {
         return this.log({
             userId,
             action,
@@ -301,7 +407,8 @@ class AuditLogger {
             isNotification: !!(notifyRole || notifyUserId),
             notifyRole,
             notifyUserId,
-            details
+            details,
+            ...change
         });
     }
 }
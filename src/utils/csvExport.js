@@ -0,0 +1,44 @@
+const csvEscape = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let stringValue = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object'
+      ? JSON.stringify(value)
+      : String(value);
+
+  // Prevent spreadsheet formula execution when CSVs are opened in Excel.
+  if (/^[=+\-@]/.test(stringValue.trim())) {
+    stringValue = `'${stringValue}`;
+  }
+
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+
+  return stringValue;
+};
+
+/**
+ * Send rows as a CSV download
+ * @param {string} filename
+ * @param {Array<{header: string, value: string|Function}>} columns - Row key or row => value
+ * @param {Object[]} rows
+ */
+const sendCsv = (res, filename, columns, rows) => {
+  const header = columns.map(column => csvEscape(column.header)).join(',');
+  const body = rows.map(row =>
+    columns.map(column => csvEscape(
+      typeof column.value === 'function' ? column.value(row) : row[column.value]
+    )).join(',')
+  );
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send([header, ...body].join('\r\n'));
+};
+
+module.exports = {
+  csvEscape,
+  sendCsv,
+};
@@ -0,0 +1,141 @@
+// Minimal RFC-5545 (iCalendar) writer for the read-only subscription feeds.
+// Times are written in the campus timezone (a fixed-offset VTIMEZONE, same
+// offset the schedule-conflict code uses) so RRULE BYDAY expansion in the
+// subscriber's calendar app lands on the same local weekday as ours.
+
+const { DEFAULT_TIMEZONE_OFFSET_MINUTES } = require('./scheduleConflict');
+const { CAMPUS_TIMEZONE } = require('./timezone');
+
+const PRODID = '-//BITS//Room Bookings//EN';
+const TZID = CAMPUS_TIMEZONE;
+const MAX_LINE_OCTETS = 75;
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+// 20261019T083000Z
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// 20261019T163000 (wall time in TZID)
+const formatLocal = (date, offsetMinutes = DEFAULT_TIMEZONE_OFFSET_MINUTES) => {
+  const d = new Date(new Date(date).getTime() + offsetMinutes * 60 * 1000);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+};
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuation lines start with a space.
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const localProp = (name, date) => `${name};TZID=${TZID}:${formatLocal(date)}`;
+
+const buildTimezone = () => [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TZID}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  `TZOFFSETFROM:${formatOffset(DEFAULT_TIMEZONE_OFFSET_MINUTES)}`,
+  `TZOFFSETTO:${formatOffset(DEFAULT_TIMEZONE_OFFSET_MINUTES)}`,
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+/**
+ * @param {Object} event
+ * @param {string} event.uid - Stable across refreshes; overrides share the series UID
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.status] - CONFIRMED | TENTATIVE | CANCELLED
+ * @param {string} [event.rrule] - RRULE value without the "RRULE:" prefix
+ * @param {Date[]} [event.exdates]
+ * @param {Date} [event.recurrenceId] - Original start of the overridden instance
+ * @param {Date} [event.lastModified]
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.lastModified || new Date())}`,
+    localProp('DTSTART', event.start),
+    localProp('DTEND', event.end)
+  ];
+  if (event.recurrenceId) lines.push(localProp('RECURRENCE-ID', event.recurrenceId));
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  if (event.exdates && event.exdates.length > 0) {
+    lines.push(`EXDATE;TZID=${TZID}:${event.exdates.map(date => formatLocal(date)).join(',')}`);
+  }
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown by calendar apps as the subscription name
+ * @param {Object[]} calendar.events - See buildEvent
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+const buildCalendar = ({ name, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    ...buildTimezone(),
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  TZID,
+  buildCalendar,
+  buildEvent,
+  escapeText,
+  foldLine,
+  formatLocal,
+  formatUtc
+};
@@ -0,0 +1,162 @@
+// Minimal RFC-5545 (iCalendar) reader for calendar-file imports. Reads the
+// VEVENT properties bookings care about; everything else is ignored.
+// Times with a TZID are resolved through Intl, so any IANA zone a calendar
+// app exports works; unknown zones and floating times are read as campus
+// time.
+
+const { CAMPUS_TIMEZONE, isValidTimeZone, zonedTimeToUtc } = require('./timezone');
+
+const unfoldLines = (text) => String(text)
+  .replace(/^\uFEFF/, '')
+  .replace(/\r\n|\r/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim() !== '');
+
+const unescapeText = (value) => String(value)
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([\\;,])/g, '$1');
+
+// NAME;PARAM=VALUE;PARAM="QUOTED":VALUE (colons may appear inside quotes)
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse a DATE or DATE-TIME value into a UTC instant.
+ * @returns {{date: Date, allDay: boolean}|null}
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s, utc] = match;
+  const allDay = params.VALUE === 'DATE' || h === undefined;
+  const fields = { year: +y, month: +mo, day: +d, hour: +(h || 0), minute: +(mi || 0), second: +(s || 0) };
+
+  if (utc) {
+    return { date: new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second)), allDay };
+  }
+
+  const timeZone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : CAMPUS_TIMEZONE;
+  return { date: zonedTimeToUtc(fields, timeZone), allDay };
+};
+
+// PT1H30M, P1D, P1DT2H ...
+const parseDurationMs = (value) => {
+  const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, w = 0, d = 0, h = 0, mi = 0, s = 0] = match;
+  const ms = ((((+w * 7 + +d) * 24 + +h) * 60 + +mi) * 60 + +s) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * @param {string|Buffer} text - Contents of an .ics file
+ * @returns {Array<Object>} One entry per VEVENT: uid, summary, description,
+ *   location, status, start, end, allDay, rrule, exdates, recurrenceId, line
+ *   (1-based, after unfolding, of its BEGIN:VEVENT) and errors
+ */
+const parseIcs = (text) => {
+  const lines = unfoldLines(Buffer.isBuffer(text) ? text.toString('utf8') : text);
+  if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+  }
+
+  const events = [];
+  const stack = [];
+  let event = null;
+  let durationMs = null;
+
+  lines.forEach((line, index) => {
+    const property = parseContentLine(line.trim());
+    if (!property) return;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT' && stack.length === 2) {
+        event = { line: index + 1, exdates: [], errors: [] };
+        durationMs = null;
+      }
+      return;
+    }
+    if (name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && event) {
+        if (!event.end && event.start) {
+          event.end = durationMs !== null
+            ? new Date(event.start.getTime() + durationMs)
+            : new Date(event.start.getTime() + (event.allDay ? 24 * 60 * 60 * 1000 : 0));
+        }
+        if (!event.start) event.errors.push('DTSTART is missing or invalid');
+        events.push(event);
+        event = null;
+      }
+      return;
+    }
+    // Properties of nested components (VALARM) don't describe the event.
+    if (!event || stack[stack.length - 1] !== 'VEVENT') return;
+
+    switch (name) {
+      case 'UID': event.uid = value.trim(); break;
+      case 'SUMMARY': event.summary = unescapeText(value).trim(); break;
+      case 'DESCRIPTION': event.description = unescapeText(value).trim(); break;
+      case 'LOCATION': event.location = unescapeText(value).trim(); break;
+      case 'STATUS': event.status = value.trim().toUpperCase(); break;
+      case 'RRULE': event.rrule = value.trim(); break;
+      case 'DTSTART': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) {
+          event.start = parsed.date;
+          event.allDay = parsed.allDay;
+        }
+        break;
+      }
+      case 'DTEND': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) event.end = parsed.date;
+        break;
+      }
+      case 'DURATION': durationMs = parseDurationMs(value); break;
+      case 'RECURRENCE-ID': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) event.recurrenceId = parsed.date;
+        break;
+      }
+      case 'EXDATE':
+        for (const part of value.split(',')) {
+          const parsed = parseDateValue(part, params);
+          if (parsed) event.exdates.push(parsed.date);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+module.exports = {
+  parseDateValue,
+  parseDurationMs,
+  parseIcs,
+  unescapeText
+};
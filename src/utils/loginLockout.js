@@ -0,0 +1,80 @@
+const prisma = require('../lib/prisma');
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Failures allowed before the first lock, the first lock's length, and the
+// ceiling the doubling backoff is clamped to.
+const LOCKOUT_THRESHOLD = readPositiveInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 5);
+const LOCKOUT_BASE_MINUTES = readPositiveInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 1);
+const LOCKOUT_MAX_MINUTES = readPositiveInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 60);
+
+const isAccountLocked = (user, now = new Date()) =>
+  !!user?.Locked_Until && new Date(user.Locked_Until).getTime() > now.getTime();
+
+const getRetryAfterSeconds = (user, now = new Date()) =>
+  Math.max(1, Math.ceil((new Date(user.Locked_Until).getTime() - now.getTime()) / 1000));
+
+// Lock length for the Nth consecutive failure: nothing below the threshold,
+// then base, 2x base, 4x base, ... capped at the configured maximum.
+const getLockoutMinutes = (failedAttempts) => {
+  if (failedAttempts < LOCKOUT_THRESHOLD) return 0;
+  const exponent = Math.min(failedAttempts - LOCKOUT_THRESHOLD, 30);
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** exponent, LOCKOUT_MAX_MINUTES);
+};
+
+/**
+ * Record a failed password attempt and lock the account when the threshold
+ * is reached.
+ * @param {Object} user - User row that failed to authenticate
+ * @returns {Promise<{failedAttempts: number, lockedUntil: Date|null}>}
+ */
+const recordFailedLogin = async (user, now = new Date()) => {
+  // Increment in the database so parallel guesses can't undercount.
+  const updated = await prisma.user.update({
+    where: { User_ID: user.User_ID },
+    data: {
+      Failed_Login_Attempts: { increment: 1 },
+      Last_Failed_Login_At: now
+    },
+    select: { Failed_Login_Attempts: true }
+  });
+
+  const failedAttempts = updated.Failed_Login_Attempts;
+  const lockMinutes = getLockoutMinutes(failedAttempts);
+  if (!lockMinutes) {
+    return { failedAttempts, lockedUntil: null };
+  }
+
+  const lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+  await prisma.user.update({
+    where: { User_ID: user.User_ID },
+    data: { Locked_Until: lockedUntil }
+  });
+
+  return { failedAttempts, lockedUntil };
+};
+
+/**
+ * Clear failure tracking after a successful login or an ADMIN unlock
+ */
+const clearFailedLogins = async (userId) =>
+  prisma.user.update({
+    where: { User_ID: userId },
+    data: {
+      Failed_Login_Attempts: 0,
+      Last_Failed_Login_At: null,
+      Locked_Until: null
+    }
+  });
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  isAccountLocked,
+  getRetryAfterSeconds,
+  getLockoutMinutes,
+  recordFailedLogin,
+  clearFailedLogins
+};
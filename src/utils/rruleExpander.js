@@ -1,176 +1,416 @@
-// Minimal RFC-5545 RRULE expander tailored to the subset produced by the
-// frontend RecurrenceModal. Supports:
-//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY
-//   INTERVAL=N
-//   BYDAY=MO,WE   (weekly)
-//   BYDAY=1MO     (monthly/yearly positional, n is 1..4 or -1)
-//   BYMONTHDAY=N
-//   BYMONTH=N
-//   COUNT=N
-//   UNTIL=YYYYMMDDTHHMMSSZ
+// RFC-5545 RRULE expander. Supports every rule part:
+//   FREQ=YEARLY|MONTHLY|WEEKLY|DAILY|HOURLY
+//   INTERVAL, COUNT, UNTIL, WKST
+//   BYMONTH, BYWEEKNO, BYYEARDAY
+//   BYMONTHDAY    (multi-valued, negative counts from the end: -1 = last day)
+//   BYDAY         (plain MO,WE or positional 2TU,-1FR; positional values count
+//                  within the month, or the year for YEARLY without BYMONTH)
+//   BYHOUR, BYMINUTE, BYSECOND
+//   BYSETPOS      (picks from each period's set: BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1
+//                  is "last weekday of the month")
+// FREQ=MINUTELY/SECONDLY are rejected; bookings don't recur more often than
+// hourly.
 //
-// We avoid `rrule` npm dep to keep the backend lean. If you ever need
-// BYHOUR/BYMINUTE/BYSETPOS-on-WEEKLY/etc, swap this for the library.
+// Expansion runs on wall-clock time in an IANA zone (campus time unless the
+// caller passes one), so the anchor's local time of day holds on a UTC
+// server and across DST changes. Rules that are malformed, unsupported or
+// contradict RFC-5545 throw an AppError (400) naming the offending part.
+//
+// As in most calendar implementations, an anchor that doesn't match the rule
+// is not itself an occurrence.
+
+const { AppError } = require('../middleware/errorHandler');
+const { CAMPUS_TIMEZONE, getZonedDateKey, getZonedParts, zonedTimeToUtc } = require('./timezone');
 
 const DAY_CODE_TO_INDEX = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const FREQUENCIES = new Set(['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY', 'HOURLY']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_HORIZON_MS = 365 * 5 * DAY_MS; // hard 5y cap for open-ended rules
+
+const ruleError = (message, part) => new AppError(message, 400, { part });
+
+// ---- Parsing ----
+
+const parseIntList = (key, value, { min, max, signed = false }) =>
+  String(value).split(',').map((raw) => {
+    const token = raw.trim();
+    const n = /^[+-]?\d+$/.test(token) ? parseInt(token, 10) : NaN;
+    const inRange = signed
+      ? n !== 0 && Math.abs(n) <= max
+      : n >= min && n <= max;
+    if (!inRange) {
+      throw ruleError(`Invalid ${key} value "${token}"`, key);
+    }
+    return n;
+  });
+
+const parseByDay = (value) => String(value).split(',').map((raw) => {
+  const match = raw.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  const n = match && match[1] ? parseInt(match[1], 10) : null;
+  if (!match || n === 0 || Math.abs(n) > 53) {
+    throw ruleError(`Invalid BYDAY value "${raw.trim()}"`, 'BYDAY');
+  }
+  return { weekday: DAY_CODE_TO_INDEX[match[2]], n };
+});
+
+// A date-only UNTIL means "through the end of that day" in the rule's zone;
+// a floating time is read in the zone too.
+const parseUntil = (raw, timeZone) => {
+  const match = String(raw).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    throw ruleError(`Invalid UNTIL value "${raw}"`, 'UNTIL');
+  }
+  const [, y, m, d, h, mi, s, utc] = match;
+  if (h === undefined) {
+    return zonedTimeToUtc({ year: +y, month: +m, day: +d, hour: 23, minute: 59, second: 59 }, timeZone);
+  }
+  if (utc) return new Date(Date.UTC(+y, +m - 1, +d, +h, +mi, +s));
+  return zonedTimeToUtc({ year: +y, month: +m, day: +d, hour: +h, minute: +mi, second: +s }, timeZone);
+};
+
+/**
+ * Parse and validate an RRULE value (with or without the "RRULE:" prefix)
+ * @param {string} rrule
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Zone for date-only and floating UNTIL
+ * @returns {Object} freq, interval, count, until, wkst (0 = Sunday) and the
+ *   BYxxx lists (byDay entries are {weekday, n}; n is null when not positional)
+ * @throws {AppError} 400 naming the offending part
+ */
+const parseRrule = (rrule, { timeZone = CAMPUS_TIMEZONE } = {}) => {
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    wkst: DAY_CODE_TO_INDEX.MO,
+    byMonth: [],
+    byWeekNo: [],
+    byYearDay: [],
+    byMonthDay: [],
+    byDay: [],
+    byHour: [],
+    byMinute: [],
+    bySecond: [],
+    bySetPos: []
+  };
+
+  const seen = new Set();
+  const parts = String(rrule || '').trim().replace(/^RRULE:/i, '').split(';').filter(part => part.trim());
+  for (const part of parts) {
+    const eq = part.indexOf('=');
+    if (eq < 1) {
+      throw ruleError(`Malformed RRULE part "${part}"`, part);
+    }
+    const key = part.slice(0, eq).trim().toUpperCase();
+    const value = part.slice(eq + 1).trim();
+    if (seen.has(key)) {
+      throw ruleError(`RRULE part ${key} appears more than once`, key);
+    }
+    seen.add(key);
 
-const parseUntil = (raw) => {
-  if (!raw) return null;
-  const match = String(raw).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
-  if (!match) return null;
-  const [, y, m, d, h = '23', mi = '59', s = '59'] = match;
-  return new Date(Date.UTC(+y, +m - 1, +d, +h, +mi, +s));
+    switch (key) {
+      case 'FREQ': {
+        const freq = value.toUpperCase();
+        if (freq === 'MINUTELY' || freq === 'SECONDLY') {
+          throw ruleError(`FREQ=${freq} is not supported; bookings recur at most hourly`, key);
+        }
+        if (!FREQUENCIES.has(freq)) {
+          throw ruleError(`Invalid FREQ value "${value}"`, key);
+        }
+        rule.freq = freq;
+        break;
+      }
+      case 'INTERVAL':
+        [rule.interval] = parseIntList(key, value, { min: 1, max: Number.MAX_SAFE_INTEGER });
+        break;
+      case 'COUNT':
+        [rule.count] = parseIntList(key, value, { min: 1, max: Number.MAX_SAFE_INTEGER });
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value, timeZone);
+        break;
+      case 'WKST':
+        if (DAY_CODE_TO_INDEX[value.toUpperCase()] === undefined) {
+          throw ruleError(`Invalid WKST value "${value}"`, key);
+        }
+        rule.wkst = DAY_CODE_TO_INDEX[value.toUpperCase()];
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(key, value, { min: 1, max: 12 });
+        break;
+      case 'BYWEEKNO':
+        rule.byWeekNo = parseIntList(key, value, { max: 53, signed: true });
+        break;
+      case 'BYYEARDAY':
+        rule.byYearDay = parseIntList(key, value, { max: 366, signed: true });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(key, value, { max: 31, signed: true });
+        break;
+      case 'BYDAY':
+        rule.byDay = parseByDay(value);
+        break;
+      case 'BYHOUR':
+        rule.byHour = parseIntList(key, value, { min: 0, max: 23 });
+        break;
+      case 'BYMINUTE':
+        rule.byMinute = parseIntList(key, value, { min: 0, max: 59 });
+        break;
+      case 'BYSECOND':
+        rule.bySecond = parseIntList(key, value, { min: 0, max: 59 });
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntList(key, value, { max: 366, signed: true });
+        break;
+      default:
+        throw ruleError(`Unsupported RRULE part ${key}`, key);
+    }
+  }
+
+  if (!rule.freq) {
+    throw ruleError('RRULE must include FREQ', 'FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw ruleError('RRULE cannot have both COUNT and UNTIL', 'COUNT');
+  }
+  if (rule.byWeekNo.length && rule.freq !== 'YEARLY') {
+    throw ruleError('BYWEEKNO is only valid with FREQ=YEARLY', 'BYWEEKNO');
+  }
+  if (rule.byYearDay.length && ['MONTHLY', 'WEEKLY', 'DAILY'].includes(rule.freq)) {
+    throw ruleError(`BYYEARDAY is not valid with FREQ=${rule.freq}`, 'BYYEARDAY');
+  }
+  if (rule.byMonthDay.length && rule.freq === 'WEEKLY') {
+    throw ruleError('BYMONTHDAY is not valid with FREQ=WEEKLY', 'BYMONTHDAY');
+  }
+  if (rule.byDay.some(day => day.n !== null)) {
+    if (rule.freq !== 'MONTHLY' && rule.freq !== 'YEARLY') {
+      throw ruleError('Positional BYDAY values (like 2TU) need FREQ=MONTHLY or FREQ=YEARLY', 'BYDAY');
+    }
+    if (rule.byWeekNo.length) {
+      throw ruleError('Positional BYDAY values cannot be combined with BYWEEKNO', 'BYDAY');
+    }
+  }
+  if (rule.bySetPos.length && ![...seen].some(key => key.startsWith('BY') && key !== 'BYSETPOS')) {
+    throw ruleError('BYSETPOS needs another BYxxx rule part to select from', 'BYSETPOS');
+  }
+
+  return rule;
 };
 
-const parseByDayToken = (token) => {
-  const match = String(token).trim().match(/^(-?\d+)?([A-Z]{2})$/);
-  if (!match) return null;
-  const setPos = match[1] ? parseInt(match[1], 10) : null;
-  const weekday = DAY_CODE_TO_INDEX[match[2]];
-  if (weekday === undefined) return null;
-  return { setPos, weekday };
+// ---- Civil calendar arithmetic (day numbers = days since 1970-01-01) ----
+
+const dayNumber = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const civilDate = (dn) => {
+  const d = new Date(dn * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
 };
 
-const parseRrule = (rrule) => {
-  const params = {};
-  String(rrule || '').split(';').forEach(part => {
-    const [key, value] = part.split('=');
-    if (key) params[key.toUpperCase()] = value || '';
-  });
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+// Week 1 is the first week (starting on WKST) with at least four days in the year.
+const firstWeekStart = (year, wkst) => {
+  const jan1 = dayNumber(year, 1, 1);
+  const offset = (civilDate(jan1).weekday - wkst + 7) % 7;
+  return offset <= 3 ? jan1 - offset : jan1 + 7 - offset;
+};
+
+const weekNumberOf = (dn, year, wkst) => {
+  let weekYear = year;
+  if (dn < firstWeekStart(year, wkst)) weekYear = year - 1;
+  else if (dn >= firstWeekStart(year + 1, wkst)) weekYear = year + 1;
+  const start = firstWeekStart(weekYear, wkst);
   return {
-    freq: params.FREQ || null,
-    interval: Math.max(1, parseInt(params.INTERVAL || '1', 10)),
-    byDay: params.BYDAY ? params.BYDAY.split(',').map(parseByDayToken).filter(Boolean) : [],
-    byMonthDay: params.BYMONTHDAY ? parseInt(params.BYMONTHDAY, 10) : null,
-    byMonth: params.BYMONTH ? parseInt(params.BYMONTH, 10) : null,
-    count: params.COUNT ? parseInt(params.COUNT, 10) : null,
-    until: parseUntil(params.UNTIL)
+    week: Math.floor((dn - start) / 7) + 1,
+    weeksInYear: (firstWeekStart(weekYear + 1, wkst) - start) / 7
   };
 };
 
-const ymd = (d) =>
-  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-
-const nthWeekdayOfMonth = (year, month, weekday, n) => {
-  if (n === -1) {
-    const last = new Date(year, month + 1, 0);
-    const offset = (last.getDay() - weekday + 7) % 7;
-    return new Date(year, month, last.getDate() - offset);
+// Day numbers matching positional BYDAY entries within [from, to)
+const positionalDays = (from, to, entries) => {
+  const days = new Set();
+  const fromWeekday = civilDate(from).weekday;
+  for (const { weekday, n } of entries) {
+    const first = from + ((weekday - fromWeekday + 7) % 7);
+    const count = first < to ? Math.floor((to - 1 - first) / 7) + 1 : 0;
+    const index = n > 0 ? n - 1 : count + n;
+    if (index >= 0 && index < count) days.add(first + 7 * index);
   }
-  const first = new Date(year, month, 1);
-  const offset = (weekday - first.getDay() + 7) % 7;
-  const day = 1 + offset + (n - 1) * 7;
-  const result = new Date(year, month, day);
-  if (result.getMonth() !== month) return null;
-  return result;
+  return days;
 };
 
-// Expands a series into Date objects within [windowStart, windowEnd]. Anchor
-// time-of-day is preserved on every occurrence. Excluded dates (YYYY-MM-DD)
-// are dropped. Returns an array of starts; pair each with anchor duration to
-// reconstruct the end.
+const resolveSigned = (n, length) => (n > 0 ? n : length + n + 1);
+
+// ---- Expansion ----
+
+/**
+ * Expand a rule into occurrence starts within [windowStart, windowEnd].
+ * COUNT counts every occurrence the rule produces, including excluded and
+ * out-of-window ones, so "after N occurrences" matches the user's intent.
+ * @param {string} rrule
+ * @param {Date|string} anchorStart - DTSTART; fixes the time of day and the
+ *   defaults for parts the rule leaves out
+ * @param {Object} [options]
+ * @param {Date} [options.windowStart]
+ * @param {Date} [options.windowEnd]
+ * @param {Array<string|Date>} [options.excludedDates] - YYYY-MM-DD dates (in
+ *   the rule's zone) to skip
+ * @param {number} [options.hardCap=366] - Maximum occurrences returned
+ * @param {string} [options.timeZone] - IANA zone; campus time by default
+ * @returns {Date[]} Occurrence starts; pair each with the anchor duration
+ * @throws {AppError} 400 when the rule is invalid or unsupported
+ */
 const expandRrule = (rrule, anchorStart, options = {}) => {
-  const { windowStart = null, windowEnd = null, excludedDates = [], hardCap = 366 } = options;
+  const {
+    windowStart = null,
+    windowEnd = null,
+    excludedDates = [],
+    hardCap = 366,
+    timeZone = CAMPUS_TIMEZONE
+  } = options;
   const anchor = anchorStart instanceof Date ? new Date(anchorStart.getTime()) : new Date(anchorStart);
   if (Number.isNaN(anchor.getTime())) return [];
+  anchor.setUTCMilliseconds(0);
 
-  const parsed = parseRrule(rrule);
-  if (!parsed.freq) return [];
+  const rule = parseRrule(rrule, { timeZone });
+  const a = getZonedParts(anchor, timeZone);
+  const anchorDn = dayNumber(a.year, a.month, a.day);
 
-  const upperBound = parsed.until || windowEnd ||
-    new Date(anchor.getTime() + 365 * 5 * 24 * 60 * 60 * 1000); // hard 5y cap
-  const cap = parsed.count ? Math.min(parsed.count, hardCap) : hardCap;
-  const excludedSet = new Set(
-    (excludedDates || []).map(d =>
-      typeof d === 'string'
-        ? d.slice(0, 10)
-        : ymd(new Date(d))
-    )
-  );
-  const lowerBound = windowStart ? new Date(windowStart) : null;
+  // Parts the rule leaves out default to the anchor's (RFC-5545 3.3.10).
+  const byMonth = [...rule.byMonth];
+  let byMonthDay = [...rule.byMonthDay];
+  let byDay = [...rule.byDay];
+  if (!rule.byWeekNo.length && !rule.byYearDay.length && !byMonthDay.length && !byDay.length) {
+    if (rule.freq === 'YEARLY') {
+      if (!byMonth.length) byMonth.push(a.month);
+      byMonthDay = [a.day];
+    } else if (rule.freq === 'MONTHLY') {
+      byMonthDay = [a.day];
+    } else if (rule.freq === 'WEEKLY') {
+      byDay = [{ weekday: a.weekday, n: null }];
+    }
+  }
+  const byHour = rule.byHour.length ? [...rule.byHour].sort((x, y) => x - y) : null;
+  const byMinute = rule.byMinute.length ? [...rule.byMinute].sort((x, y) => x - y) : [a.minute];
+  const bySecond = rule.bySecond.length ? [...rule.bySecond].sort((x, y) => x - y) : [a.second];
+  const timesFor = hours => hours.flatMap(h => byMinute.flatMap(mi => bySecond.map(s => [h, mi, s])));
+  const dailyTimes = timesFor(byHour || [a.hour]);
 
-  const results = [];
-  // Used by COUNT semantics: count includes excluded/out-of-window dates so
-  // the rule's "after N occurrences" matches the user's mental model.
-  let producedCount = 0;
+  const plainWeekdays = new Set(byDay.filter(day => day.n === null).map(day => day.weekday));
+  const positional = byDay.filter(day => day.n !== null);
+  const positionalInYear = rule.freq === 'YEARLY' && !byMonth.length;
+  const positionalCache = new Map();
+  const positionalSetFor = (c) => {
+    const key = positionalInYear ? `${c.year}` : `${c.year}-${c.month}`;
+    if (!positionalCache.has(key)) {
+      const from = positionalInYear ? dayNumber(c.year, 1, 1) : dayNumber(c.year, c.month, 1);
+      const to = positionalInYear ? dayNumber(c.year + 1, 1, 1) : from + daysInMonth(c.year, c.month);
+      positionalCache.set(key, positionalDays(from, to, positional));
+    }
+    return positionalCache.get(key);
+  };
 
-  const tryRecord = (occ) => {
-    if (!occ) return true;
-    if (occ < anchor) return true;
-    if (parsed.until && occ > parsed.until) return false;
-    if (occ > upperBound) return false;
-    producedCount += 1;
-    if (parsed.count && producedCount > parsed.count) return false;
-    if (lowerBound && occ < lowerBound) return true;
-    if (excludedSet.has(ymd(occ))) return true;
-    results.push(new Date(occ.getTime()));
+  const matchesDay = (dn) => {
+    const c = civilDate(dn);
+    if (byMonth.length && !byMonth.includes(c.month)) return false;
+    if (rule.byWeekNo.length) {
+      const { week, weeksInYear } = weekNumberOf(dn, c.year, rule.wkst);
+      if (!rule.byWeekNo.some(n => resolveSigned(n, weeksInYear) === week)) return false;
+    }
+    if (rule.byYearDay.length) {
+      const yearStart = dayNumber(c.year, 1, 1);
+      const yearLength = dayNumber(c.year + 1, 1, 1) - yearStart;
+      if (!rule.byYearDay.some(n => resolveSigned(n, yearLength) === dn - yearStart + 1)) return false;
+    }
+    if (byMonthDay.length) {
+      const monthLength = daysInMonth(c.year, c.month);
+      if (!byMonthDay.some(n => resolveSigned(n, monthLength) === c.day)) return false;
+    }
+    if (byDay.length && !plainWeekdays.has(c.weekday)
+      && !(positional.length && positionalSetFor(c).has(dn))) {
+      return false;
+    }
     return true;
   };
 
-  if (parsed.freq === 'DAILY') {
-    const d = new Date(anchor.getTime());
-    while (results.length < cap && d <= upperBound) {
-      if (!tryRecord(new Date(d.getTime()))) break;
-      d.setDate(d.getDate() + parsed.interval);
-    }
-  } else if (parsed.freq === 'WEEKLY') {
-    const days = parsed.byDay.length > 0
-      ? [...new Set(parsed.byDay.map(b => b.weekday))].sort((a, b) => a - b)
-      : [anchor.getDay()];
-    const weekStart = new Date(anchor.getTime());
-    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-    weekStart.setHours(0, 0, 0, 0);
-    while (results.length < cap && weekStart <= upperBound) {
-      let stop = false;
-      for (const day of days) {
-        const occ = new Date(weekStart.getTime());
-        occ.setDate(weekStart.getDate() + day);
-        occ.setHours(anchor.getHours(), anchor.getMinutes(), anchor.getSeconds(), 0);
-        if (!tryRecord(occ)) { stop = true; break; }
-      }
-      if (stop) break;
-      weekStart.setDate(weekStart.getDate() + 7 * parsed.interval);
-    }
-  } else if (parsed.freq === 'MONTHLY') {
-    const cursor = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
-    while (results.length < cap && cursor <= upperBound) {
-      let occ = null;
-      if (parsed.byDay.length > 0 && parsed.byDay[0].setPos !== null) {
-        const { weekday, setPos } = parsed.byDay[0];
-        occ = nthWeekdayOfMonth(cursor.getFullYear(), cursor.getMonth(), weekday, setPos);
-      } else if (parsed.byMonthDay) {
-        occ = new Date(cursor.getFullYear(), cursor.getMonth(), parsed.byMonthDay);
-        if (occ.getMonth() !== cursor.getMonth()) occ = null;
-      } else {
-        occ = new Date(cursor.getFullYear(), cursor.getMonth(), anchor.getDate());
-        if (occ.getMonth() !== cursor.getMonth()) occ = null;
+  // Days (and, for HOURLY, the hour) making up the k-th period of the rule.
+  const period = (k) => {
+    const step = k * rule.interval;
+    switch (rule.freq) {
+      case 'YEARLY': {
+        const year = a.year + step;
+        return { days: range(dayNumber(year, 1, 1), dayNumber(year + 1, 1, 1)) };
       }
-      if (occ) {
-        occ.setHours(anchor.getHours(), anchor.getMinutes(), anchor.getSeconds(), 0);
-        if (!tryRecord(occ)) break;
+      case 'MONTHLY': {
+        const monthIndex = a.year * 12 + (a.month - 1) + step;
+        const year = Math.floor(monthIndex / 12);
+        const month = (monthIndex % 12) + 1;
+        const first = dayNumber(year, month, 1);
+        return { days: range(first, first + daysInMonth(year, month)) };
       }
-      cursor.setMonth(cursor.getMonth() + parsed.interval);
-    }
-  } else if (parsed.freq === 'YEARLY') {
-    const month = parsed.byMonth ? parsed.byMonth - 1 : anchor.getMonth();
-    const cursor = new Date(anchor.getFullYear(), month, 1);
-    while (results.length < cap && cursor <= upperBound) {
-      let occ = null;
-      if (parsed.byDay.length > 0 && parsed.byDay[0].setPos !== null) {
-        const { weekday, setPos } = parsed.byDay[0];
-        occ = nthWeekdayOfMonth(cursor.getFullYear(), month, weekday, setPos);
-      } else if (parsed.byMonthDay) {
-        occ = new Date(cursor.getFullYear(), month, parsed.byMonthDay);
-        if (occ.getMonth() !== month) occ = null;
-      } else {
-        occ = new Date(cursor.getFullYear(), month, anchor.getDate());
-        if (occ.getMonth() !== month) occ = null;
+      case 'WEEKLY': {
+        const first = anchorDn - ((a.weekday - rule.wkst + 7) % 7) + 7 * step;
+        return { days: range(first, first + 7) };
       }
-      if (occ) {
-        occ.setHours(anchor.getHours(), anchor.getMinutes(), anchor.getSeconds(), 0);
-        if (!tryRecord(occ)) break;
+      case 'DAILY':
+        return { days: [anchorDn + step] };
+      default: {
+        const hours = anchorDn * 24 + a.hour + step;
+        return { days: [Math.floor(hours / 24)], hour: hours % 24 };
       }
-      cursor.setFullYear(cursor.getFullYear() + parsed.interval);
+    }
+  };
+
+  const bounds = [rule.until, windowEnd ? new Date(windowEnd) : null].filter(Boolean);
+  const upperBound = bounds.length
+    ? new Date(Math.min(...bounds.map(date => date.getTime())))
+    : new Date(anchor.getTime() + DEFAULT_HORIZON_MS);
+  const lowerBound = windowStart ? new Date(windowStart) : null;
+  const cap = rule.count ? Math.min(rule.count, hardCap) : hardCap;
+  const excludedSet = new Set(
+    (excludedDates || []).map(d => (typeof d === 'string' ? d.slice(0, 10) : getZonedDateKey(d, timeZone)))
+  );
+
+  const results = [];
+  let producedCount = 0;
+
+  for (let k = 0; ; k += 1) {
+    const { days, hour } = period(k);
+    // A day of slack covers any zone offset.
+    if (days[0] * DAY_MS + (hour || 0) * HOUR_MS - DAY_MS > upperBound.getTime()) break;
+
+    let times = dailyTimes;
+    if (hour !== undefined) {
+      times = byHour && !byHour.includes(hour) ? [] : timesFor([hour]);
+    }
+
+    let candidates = [];
+    for (const dn of days) {
+      if (!times.length || !matchesDay(dn)) continue;
+      for (const time of times) candidates.push([dn, time]);
+    }
+    if (rule.bySetPos.length) {
+      const picked = new Set(rule.bySetPos
+        .map(pos => (pos > 0 ? pos - 1 : candidates.length + pos))
+        .filter(index => index >= 0 && index < candidates.length));
+      candidates = candidates.filter((_, index) => picked.has(index));
+    }
+
+    for (const [dn, [h, mi, s]] of candidates) {
+      const c = civilDate(dn);
+      const occ = zonedTimeToUtc({ year: c.year, month: c.month, day: c.day, hour: h, minute: mi, second: s }, timeZone);
+      if (occ < anchor) continue;
+      if (occ > upperBound) return results;
+      producedCount += 1;
+      if (rule.count && producedCount > rule.count) return results;
+      if (lowerBound && occ < lowerBound) continue;
+      if (excludedSet.has(`${c.year}-${String(c.month).padStart(2, '0')}-${String(c.day).padStart(2, '0')}`)) continue;
+      results.push(occ);
+      if (results.length >= cap) return results;
     }
   }
 
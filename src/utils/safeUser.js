@@ -0,0 +1,21 @@
+// Credential columns that must never appear in a response body or on req.user.
+const SENSITIVE_USER_FIELDS = ['Password', 'Two_Factor_Secret', 'Two_Factor_Recovery_Codes', 'Two_Factor_Last_Step', 'Two_Factor_Challenge_ID'];
+
+/**
+ * Copy of a User row without credential columns
+ * @param {Object} user - User row
+ * @returns {Object} User without password / 2FA secrets
+ */
+const toSafeUser = (user) => {
+  if (!user) return user;
+  const safeUser = { ...user };
+  for (const field of SENSITIVE_USER_FIELDS) {
+    delete safeUser[field];
+  }
+  return safeUser;
+};
+
+module.exports = {
+  SENSITIVE_USER_FIELDS,
+  toSafeUser
+};
@@ -18,8 +18,22 @@ const getLocalDateParts = (dateInput, timezoneOffsetMinutes = DEFAULT_TIMEZONE_O
 
 const rangesOverlap = (startA, endA, startB, endB) => startA < endB && endA > startB;
 
-const scheduleConflictsWithRange = (schedule, startTime, endTime, timezoneOffsetMinutes = DEFAULT_TIMEZONE_OFFSET_MINUTES) => {
+// Local calendar date (YYYY-MM-DD) of an instant, matching Academic_Calendar_Day dates.
+const getLocalDateKey = (dateInput, timezoneOffsetMinutes = DEFAULT_TIMEZONE_OFFSET_MINUTES) => {
+  const date = dateInput instanceof Date ? dateInput : new Date(dateInput);
+  return new Date(date.getTime() + timezoneOffsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Set<string>} [options.closedDates] - Holiday/suspension dates
+ *   (YYYY-MM-DD); class schedules don't meet on them
+ * @param {number} [options.timezoneOffsetMinutes]
+ */
+const scheduleConflictsWithRange = (schedule, startTime, endTime, options = {}) => {
+  const { closedDates = null, timezoneOffsetMinutes = DEFAULT_TIMEZONE_OFFSET_MINUTES } = options;
   if (!schedule?.IsActive && schedule?.IsActive !== undefined) return false;
+  if (closedDates && closedDates.has(getLocalDateKey(startTime, timezoneOffsetMinutes))) return false;
 
   const requestStart = getLocalDateParts(startTime, timezoneOffsetMinutes);
   const requestEnd = getLocalDateParts(endTime, timezoneOffsetMinutes);
@@ -37,8 +51,8 @@ const scheduleConflictsWithRange = (schedule, startTime, endTime, timezoneOffset
   );
 };
 
-const findScheduleConflict = (schedules = [], startTime, endTime, timezoneOffsetMinutes = DEFAULT_TIMEZONE_OFFSET_MINUTES) =>
-  schedules.find(schedule => scheduleConflictsWithRange(schedule, startTime, endTime, timezoneOffsetMinutes));
+const findScheduleConflict = (schedules = [], startTime, endTime, options = {}) =>
+  schedules.find(schedule => scheduleConflictsWithRange(schedule, startTime, endTime, options));
 
 const formatScheduleTime = (dateInput, timezoneOffsetMinutes = DEFAULT_TIMEZONE_OFFSET_MINUTES) => {
   const { minutes } = getLocalDateParts(dateInput, timezoneOffsetMinutes);
@@ -54,6 +68,7 @@ module.exports = {
   DEFAULT_TIMEZONE_OFFSET_MINUTES,
   findScheduleConflict,
   formatScheduleTime,
+  getLocalDateKey,
   getLocalDateParts,
   parseDays,
   rangesOverlap,
@@ -0,0 +1,91 @@
+// Wall-clock <-> instant conversion for IANA time zones, via Intl (no tz
+// database dependency). Recurrence expansion and calendar feeds work in the
+// campus zone so "every Monday 09:00" means 09:00 on campus regardless of
+// the server's own TZ.
+
+const CAMPUS_TIMEZONE = process.env.CALENDAR_TZID || 'Asia/Manila';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock fields of an instant in `timeZone`
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month is 1-12, weekday is 0 (Sunday) - 6
+ */
+const getZonedParts = (date, timeZone = CAMPUS_TIMEZONE) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+const offsetMinutesAt = (utcMs, timeZone) => {
+  const p = getZonedParts(utcMs, timeZone);
+  return (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - utcMs) / 60000;
+};
+
+/**
+ * Instant at which the wall clock in `timeZone` reads the given fields.
+ * Times skipped by a DST change resolve to the instant one offset later.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = CAMPUS_TIMEZONE) => {
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes so times near a DST change pick up the offset in force then.
+  let offset = offsetMinutesAt(wallMs, timeZone);
+  offset = offsetMinutesAt(wallMs - offset * 60000, timeZone);
+  return new Date(wallMs - offset * 60000);
+};
+
+/**
+ * Calendar date of an instant in `timeZone` (the format of Excluded_Dates)
+ * @returns {string} YYYY-MM-DD
+ */
+const getZonedDateKey = (date, timeZone = CAMPUS_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+module.exports = {
+  CAMPUS_TIMEZONE,
+  getZonedDateKey,
+  getZonedParts,
+  isValidTimeZone,
+  zonedTimeToUtc
+};
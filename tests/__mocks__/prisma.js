@@ -6,6 +6,7 @@ const mockPrisma = {
     findMany: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     delete: jest.fn(),
     count: jest.fn(),
   },
@@ -18,6 +19,68 @@ const mockPrisma = {
     delete: jest.fn(),
     count: jest.fn(),
   },
+  user_Session: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  password_Reset_Token: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  role_Security_Policy: {
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+  },
+  api_Token: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  notification_Preference: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+  },
+  notification_Mute: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+  },
+  email_Digest_Item: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  outbox_Event: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  webhook_Endpoint: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  webhook_Delivery: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    createMany: jest.fn(),
+    update: jest.fn(),
+  },
+  role_Permission: {
+    findMany: jest.fn(),
+    count: jest.fn(),
+    createMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
   item: {
     findUnique: jest.fn(),
     findFirst: jest.fn(),
@@ -48,6 +111,7 @@ const mockPrisma = {
     findMany: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     deleteMany: jest.fn(),
     count: jest.fn(),
   },
@@ -75,9 +139,73 @@ const mockPrisma = {
     findMany: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     delete: jest.fn(),
     deleteMany: jest.fn(),
     count: jest.fn(),
+    groupBy: jest.fn(),
+  },
+  booking_Policy: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  Booking_Series: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+  },
+  calendar_Feed: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  semester: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  academic_Calendar_Day: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    delete: jest.fn(),
+  },
+  approval_Chain: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  booking_Approval: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  approval_Delegation: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  booking_Waitlist: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    count: jest.fn(),
   },
   computer: {
     findUnique: jest.fn(),
@@ -117,6 +245,10 @@ const mockPrisma = {
     create: jest.fn(),
     count: jest.fn(),
   },
+  formAttachment: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+  },
   FormAttachment: {
     create: jest.fn(),
     findMany: jest.fn(),
@@ -163,6 +295,7 @@ const mockPrisma = {
     findFirst: jest.fn(),
     findMany: jest.fn(),
     create: jest.fn(),
+    updateMany: jest.fn(),
     deleteMany: jest.fn(),
     count: jest.fn(),
   },
@@ -0,0 +1,182 @@
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+const { generateTestToken, authHeader } = require('../helpers/auth');
+const { testUsers } = require('../helpers/testData');
+
+// authenticateToken is NOT mocked here: these tests exercise the real
+// JWT / API-token branches.
+
+// Mock the audit logger
+jest.mock('../../src/utils/auditLogger', () => ({
+  log: jest.fn().mockResolvedValue({}),
+  logAuth: jest.fn().mockResolvedValue({}),
+  logBooking: jest.fn().mockResolvedValue({}),
+  logInventory: jest.fn().mockResolvedValue({}),
+}));
+
+// Mock notification services
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRole: jest.fn().mockResolvedValue(undefined),
+  createNotification: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { app } = require('../app');
+const AuditLogger = require('../../src/utils/auditLogger');
+const ApiTokenService = require('../../src/services/apiTokenService');
+
+const agentUser = { ...testUsers.labTech, User_ID: 42, Username: 'lab-agent' };
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+const tokenRecord = (overrides = {}) => ({
+  Token_ID: 5,
+  Name: 'Lab 3 agent',
+  Scopes: ['heartbeat:write'],
+  User_ID: agentUser.User_ID,
+  Expires_At: null,
+  Revoked_At: null,
+  User: agentUser,
+  ...overrides,
+});
+
+describe('API Tokens', () => {
+  const adminToken = generateTestToken(testUsers.admin);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockImplementation(({ where }) => Promise.resolve(
+      where.User_ID === testUsers.admin.User_ID ? testUsers.admin : agentUser
+    ));
+    prisma.api_Token.update.mockResolvedValue({});
+  });
+
+  describe('POST /api-tokens', () => {
+    it('should issue a token and store only its hash', async () => {
+      prisma.api_Token.create.mockImplementation(({ data }) => Promise.resolve({
+        Token_ID: 5, ...data, Token_Hash: undefined,
+      }));
+
+      const res = await request(app)
+        .post('/api-tokens')
+        .set(authHeader(adminToken))
+        .send({ name: 'Lab 3 agent', userId: 42, scopes: ['heartbeat:write'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.token).toMatch(/^bits_/);
+      const { data } = prisma.api_Token.create.mock.calls[0][0];
+      expect(data.Token_Hash).toBe(ApiTokenService.hashToken(res.body.data.token));
+      expect(data.Token_Hash).not.toBe(res.body.data.token);
+      expect(AuditLogger.logAuth).toHaveBeenCalledWith(9999, 'API_TOKEN_CREATED', expect.any(String), expect.anything(), expect.objectContaining({
+        entityType: 'API_TOKEN',
+        after: expect.objectContaining({ Name: 'Lab 3 agent' })
+      }));
+    });
+
+    it('should reject unknown scopes', async () => {
+      const res = await request(app)
+        .post('/api-tokens')
+        .set(authHeader(adminToken))
+        .send({ name: 'Script', userId: 42, scopes: ['everything:write'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ unknown: ['everything:write'] });
+      expect(prisma.api_Token.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api-tokens/:id', () => {
+    it('should revoke a token', async () => {
+      prisma.api_Token.findUnique.mockResolvedValue(tokenRecord());
+      prisma.api_Token.update.mockResolvedValue(tokenRecord({ Revoked_At: new Date() }));
+
+      const res = await request(app).delete('/api-tokens/5').set(authHeader(adminToken));
+
+      expect(res.status).toBe(200);
+      expect(prisma.api_Token.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Token_ID: 5 },
+        data: expect.objectContaining({ Revoked_By: 9999 }),
+      }));
+    });
+
+    it('should return 404 for an unknown token', async () => {
+      prisma.api_Token.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).delete('/api-tokens/77').set(authHeader(adminToken));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('authenticateToken with an API token', () => {
+    const apiHeader = { Authorization: 'Bearer bits_test-token' };
+
+    it('should act as the token user on a route that allows its scope, and audit the use', async () => {
+      prisma.api_Token.findUnique.mockResolvedValue(tokenRecord());
+
+      const res = await request(app).post('/heartbeat').set(apiHeader).send({});
+
+      // Past authentication: the controller's own validation answers.
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('MISSING_FIELD');
+      expect(prisma.api_Token.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Token_Hash: ApiTokenService.hashToken('bits_test-token') },
+      }));
+
+      await flushPromises();
+      expect(prisma.api_Token.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Token_ID: 5 },
+        data: expect.objectContaining({ Last_Used_At: expect.any(Date) }),
+      }));
+      expect(AuditLogger.logAuth).toHaveBeenCalledWith(
+        42, 'API_TOKEN_USED', expect.stringContaining('POST /heartbeat'), expect.anything(), expect.objectContaining({ entityType: 'API_TOKEN' })
+      );
+    });
+
+    it('should reject API tokens on routes that do not opt in', async () => {
+      const res = await request(app).get('/users/me').set(apiHeader);
+
+      expect(res.status).toBe(403);
+      expect(prisma.api_Token.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token without the route\'s scope', async () => {
+      prisma.api_Token.findUnique.mockResolvedValue(tokenRecord());
+
+      const res = await request(app).post('/inventory/bulk').set(apiHeader).send({ items: [] });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toMatch(/inventory:import/);
+    });
+
+    it('should reject a revoked token', async () => {
+      prisma.api_Token.findUnique.mockResolvedValue(tokenRecord({ Revoked_At: new Date() }));
+
+      const res = await request(app).post('/heartbeat').set(apiHeader).send({});
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reject an expired token', async () => {
+      prisma.api_Token.findUnique.mockResolvedValue(tokenRecord({ Expires_At: new Date(Date.now() - 1000) }));
+
+      const res = await request(app).post('/heartbeat').set(apiHeader).send({});
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toMatch(/expired/);
+    });
+
+    it('should not accept API tokens from the query string', async () => {
+      const res = await request(app).post('/heartbeat?token=bits_test-token').send({});
+
+      expect(res.status).toBe(401);
+      expect(prisma.api_Token.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
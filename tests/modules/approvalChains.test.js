@@ -0,0 +1,419 @@
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+
+const adminUser = {
+  User_ID: 9999,
+  Email: 'admin@test.com',
+  First_Name: 'Test',
+  Last_Name: 'Admin',
+  User_Role: 'ADMIN',
+  Is_Active: true,
+};
+let mockUser = adminUser;
+
+// Mock the auth middleware
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  hashPassword: jest.fn(),
+  comparePassword: jest.fn(),
+  JWT_SECRET: 'test-secret',
+}));
+
+// Mock the audit logger
+jest.mock('../../src/utils/auditLogger', () => ({
+  log: jest.fn().mockResolvedValue({}),
+  logAuth: jest.fn().mockResolvedValue({}),
+  logBooking: jest.fn().mockResolvedValue({}),
+  logInventory: jest.fn().mockResolvedValue({}),
+}));
+
+// Mock notification services
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRole: jest.fn().mockResolvedValue(undefined),
+  notifyUsers: jest.fn().mockResolvedValue(undefined),
+  createNotification: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { app } = require('../app');
+const AuditLogger = require('../../src/utils/auditLogger');
+const NotificationService = require('../../src/services/notificationService');
+const ApprovalChainService = require('../../src/services/approvalChainService');
+const PermissionService = require('../../src/services/permissionService');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+const labRoom = { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB', Status: 'AVAILABLE' };
+
+const chain = {
+  Chain_ID: 1,
+  Name: 'Lab approval',
+  Room_ID: null,
+  Room_Type: 'LAB',
+  Min_Duration_Minutes: null,
+  Steps: [{ role: 'LAB_TECH' }, { role: 'LAB_HEAD' }],
+  Is_Active: true,
+};
+
+const pendingBooking = {
+  Booked_Room_ID: 2,
+  User_ID: 1,
+  Room_ID: 1,
+  Status: 'PENDING',
+  Start_Time: hoursFromNow(48),
+  End_Time: hoursFromNow(50),
+  Room: labRoom,
+  User: { User_ID: 1 },
+};
+
+const step = (order, overrides = {}) => ({
+  Approval_ID: order,
+  Booked_Room_ID: 2,
+  Chain_ID: 1,
+  Step_Order: order,
+  Required_Role: order === 1 ? 'LAB_TECH' : 'LAB_HEAD',
+  Required_User_ID: null,
+  Status: 'PENDING',
+  ...overrides,
+});
+
+describe('Approval Chains', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUser = adminUser;
+    ApprovalChainService.clearCache();
+    Object.values(prisma.approval_Chain).forEach(fn => fn.mockReset());
+    Object.values(prisma.booking_Approval).forEach(fn => fn.mockReset());
+    Object.values(prisma.approval_Delegation).forEach(fn => fn.mockReset());
+    prisma.user.findUnique.mockReset();
+    prisma.user.findMany.mockReset();
+    prisma.Booked_Room.findUnique.mockResolvedValue(pendingBooking);
+    prisma.Booked_Room.update.mockReset();
+    prisma.Schedule.findMany.mockResolvedValue([]);
+    prisma.approval_Chain.findMany.mockResolvedValue([chain]);
+  });
+
+  describe('PATCH /bookings/:id/status with a chain', () => {
+    it('should record the first step and keep the booking pending', async () => {
+      mockUser = { User_ID: 5, User_Role: 'LAB_TECH', First_Name: 'Tess', Last_Name: 'Tech' };
+      prisma.booking_Approval.findMany
+        .mockResolvedValueOnce([])
+        .mockResolvedValue([step(1, { Status: 'APPROVED', Approved_By: 5 }), step(2)]);
+      prisma.booking_Approval.create.mockImplementation(({ data }) => Promise.resolve({ Approval_ID: data.Step_Order, ...data }));
+      prisma.user.findMany.mockResolvedValue([{ User_ID: 7 }]);
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'APPROVED', notes: 'Equipment checked' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.Status).toBe('PENDING');
+      expect(res.body.data.Approvals).toHaveLength(2);
+      expect(prisma.booking_Approval.create).toHaveBeenCalledTimes(2);
+      expect(prisma.booking_Approval.update).toHaveBeenCalledWith({
+        where: { Approval_ID: 1 },
+        data: expect.objectContaining({ Status: 'APPROVED', Approved_By: 5, Reason: 'Equipment checked', On_Behalf_Of: null }),
+      });
+      expect(prisma.Booked_Room.update).not.toHaveBeenCalled();
+      expect(NotificationService.notifyUsers).toHaveBeenCalledWith([7], expect.objectContaining({ type: 'BOOKING_APPROVAL_REQUESTED' }));
+      expect(AuditLogger.logBooking).toHaveBeenCalledWith(5, 'BOOKING_APPROVAL_STEP_APPROVED', 2, expect.any(String), null, 1);
+    });
+
+    it('should refuse an approver whose role does not hold the current step', async () => {
+      mockUser = { User_ID: 7, User_Role: 'LAB_HEAD', First_Name: 'Hal', Last_Name: 'Head' };
+      prisma.booking_Approval.findMany.mockResolvedValue([step(1), step(2)]);
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'APPROVED' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.details).toBe('Step 1 of 2 ("Lab approval") must be decided by LAB_TECH');
+      expect(prisma.booking_Approval.update).not.toHaveBeenCalled();
+    });
+
+    it('should decide as the caller and ignore a spoofed approverId', async () => {
+      mockUser = { User_ID: 5, User_Role: 'LAB_TECH', First_Name: 'Tess', Last_Name: 'Tech' };
+      prisma.user.findUnique.mockResolvedValue({ User_ID: 7, User_Role: 'LAB_HEAD', First_Name: 'Hal', Last_Name: 'Head' });
+      prisma.booking_Approval.findMany.mockResolvedValue([step(1, { Status: 'APPROVED' }), step(2)]);
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'APPROVED', approverId: 7 });
+
+      expect(res.status).toBe(403);
+      expect(res.body.details).toBe('Step 2 of 2 ("Lab approval") must be decided by LAB_HEAD');
+      expect(prisma.booking_Approval.update).not.toHaveBeenCalled();
+      expect(prisma.Booked_Room.update).not.toHaveBeenCalled();
+    });
+
+    it('should finalize the booking on the last step', async () => {
+      mockUser = { User_ID: 7, User_Role: 'LAB_HEAD', First_Name: 'Hal', Last_Name: 'Head' };
+      prisma.booking_Approval.findMany.mockResolvedValue([step(1, { Status: 'APPROVED' }), step(2)]);
+      prisma.Booked_Room.update.mockResolvedValue({ ...pendingBooking, Status: 'APPROVED' });
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'APPROVED' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.Booked_Room.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Status: 'APPROVED', Approved_By: 7 }),
+      }));
+      expect(res.body.data.Approvals).toHaveLength(2);
+    });
+
+    it('should let a delegate decide on behalf of the delegator', async () => {
+      mockUser = { User_ID: 8, User_Role: 'LAB_TECH', First_Name: 'Dee', Last_Name: 'Legate' };
+      prisma.approval_Delegation.findMany.mockResolvedValue([{
+        Delegation_ID: 3,
+        Delegator: { User_ID: 7, User_Role: 'LAB_HEAD', First_Name: 'Hal', Last_Name: 'Head', Is_Active: true },
+      }]);
+      prisma.booking_Approval.findMany.mockResolvedValue([step(1, { Status: 'APPROVED' }), step(2)]);
+      prisma.Booked_Room.update.mockResolvedValue({ ...pendingBooking, Status: 'APPROVED' });
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'APPROVED' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.booking_Approval.update).toHaveBeenCalledWith({
+        where: { Approval_ID: 2 },
+        data: expect.objectContaining({ Status: 'APPROVED', Approved_By: 8, On_Behalf_Of: 7 }),
+      });
+    });
+
+    it('should skip the remaining steps on rejection', async () => {
+      mockUser = { User_ID: 5, User_Role: 'LAB_TECH', First_Name: 'Tess', Last_Name: 'Tech' };
+      prisma.booking_Approval.findMany.mockResolvedValue([step(1), step(2)]);
+      prisma.Booked_Room.update.mockResolvedValue({ ...pendingBooking, Status: 'REJECTED' });
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'REJECTED', notes: 'Lab closed for inventory' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.booking_Approval.updateMany).toHaveBeenCalledWith({
+        where: { Approval_ID: { in: [2] } },
+        data: { Status: 'SKIPPED' },
+      });
+      expect(prisma.Booked_Room.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Status: 'REJECTED' }),
+      }));
+      expect(NotificationService.notifyUsers).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /bookings under a chain', () => {
+    it('should keep a lab head booking pending and open its steps', async () => {
+      prisma.room.findUnique.mockResolvedValue({ ...labRoom, Schedule: [] });
+      prisma.user.findUnique.mockResolvedValue({ User_Role: 'LAB_HEAD' });
+      prisma.Booked_Room.findFirst.mockResolvedValue(null);
+      prisma.Booked_Room.create.mockImplementation(({ data }) => Promise.resolve({
+        Booked_Room_ID: 12, ...data, Room: labRoom, User: { User_ID: 7, First_Name: 'Hal', Last_Name: 'Head' },
+      }));
+      prisma.booking_Approval.findMany.mockResolvedValue([]);
+      prisma.booking_Approval.create.mockImplementation(({ data }) => Promise.resolve({ Approval_ID: data.Step_Order, ...data }));
+      prisma.user.findMany.mockResolvedValue([{ User_ID: 5 }]);
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 7, Room_ID: 1, Start_Time: hoursFromNow(48), End_Time: hoursFromNow(50), Purpose: 'Lab prep' });
+
+      expect(res.status).toBe(201);
+      expect(prisma.Booked_Room.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Status: 'PENDING', Approved_By: null }),
+      }));
+      expect(prisma.booking_Approval.create).toHaveBeenCalledTimes(2);
+      expect(prisma.booking_Approval.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ Booked_Room_ID: 12, Step_Order: 1, Required_Role: 'LAB_TECH' }),
+      });
+      expect(NotificationService.notifyUsers).toHaveBeenCalledWith([5], expect.objectContaining({ type: 'BOOKING_APPROVAL_REQUESTED' }));
+    });
+
+    it('should still auto-approve a lab head booking when no chain applies', async () => {
+      prisma.approval_Chain.findMany.mockResolvedValue([]);
+      prisma.room.findUnique.mockResolvedValue({ ...labRoom, Schedule: [] });
+      prisma.user.findUnique.mockResolvedValue({ User_Role: 'LAB_HEAD' });
+      prisma.Booked_Room.findFirst.mockResolvedValue(null);
+      prisma.Booked_Room.create.mockImplementation(({ data }) => Promise.resolve({
+        Booked_Room_ID: 12, ...data, Room: labRoom, User: { User_ID: 7, First_Name: 'Hal', Last_Name: 'Head' },
+      }));
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 7, Room_ID: 1, Start_Time: hoursFromNow(48), End_Time: hoursFromNow(50), Purpose: 'Lab prep' });
+
+      expect(res.status).toBe(201);
+      expect(prisma.Booked_Room.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Status: 'APPROVED', Approved_By: 7 }),
+      }));
+      expect(prisma.booking_Approval.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('waitlist promotion under a chain', () => {
+    it('should open the chain of the promoted booking', async () => {
+      mockUser = { User_ID: 7, User_Role: 'LAB_HEAD', First_Name: 'Hal', Last_Name: 'Head' };
+      const approvedBooking = { ...pendingBooking, Status: 'APPROVED', User_ID: 3 };
+      prisma.Booked_Room.findUnique.mockResolvedValue(approvedBooking);
+      prisma.Booked_Room.update.mockResolvedValue({ ...approvedBooking, Status: 'CANCELLED' });
+      prisma.booking_Waitlist.findMany.mockResolvedValueOnce([{
+        Waitlist_ID: 11,
+        User_ID: 1,
+        Room_ID: 1,
+        Start_Time: pendingBooking.Start_Time,
+        End_Time: pendingBooking.End_Time,
+        Purpose: 'Lab session',
+        Status: 'WAITING',
+      }]);
+      prisma.Booked_Room.findFirst.mockResolvedValue(null);
+      prisma.booking_Waitlist.updateMany.mockResolvedValueOnce({ count: 1 });
+      prisma.Booked_Room.create.mockResolvedValueOnce({ ...pendingBooking, Booked_Room_ID: 20 });
+      prisma.booking_Approval.findMany.mockResolvedValue([]);
+      prisma.booking_Approval.create.mockImplementation(({ data }) => Promise.resolve({ Approval_ID: data.Step_Order, ...data }));
+      prisma.user.findMany.mockResolvedValue([{ User_ID: 5 }]);
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'CANCELLED' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.booking_Approval.create).toHaveBeenCalledTimes(2);
+      expect(prisma.booking_Approval.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ Booked_Room_ID: 20, Step_Order: 1, Required_Role: 'LAB_TECH' }),
+      });
+      expect(NotificationService.notifyUsers).toHaveBeenCalledWith([5], expect.objectContaining({
+        type: 'BOOKING_APPROVAL_REQUESTED',
+        data: expect.objectContaining({ bookingId: 20 }),
+      }));
+    });
+  });
+
+  describe('GET /bookings/:id/approvals', () => {
+    it('should list the approval history with the matching chain', async () => {
+      prisma.Booked_Room.findUnique.mockResolvedValue({ ...pendingBooking, User_ID: 9999 });
+      prisma.booking_Approval.findMany.mockResolvedValue([step(1, { Status: 'APPROVED' }), step(2)]);
+
+      const res = await request(app).get('/bookings/2/approvals');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.chain.Chain_ID).toBe(1);
+      expect(res.body.data.steps).toHaveLength(2);
+    });
+  });
+
+  describe('admin API', () => {
+    it('should create a chain', async () => {
+      prisma.approval_Chain.create.mockImplementation(({ data }) => Promise.resolve({ Chain_ID: 4, ...data }));
+
+      const res = await request(app)
+        .post('/approval-chains')
+        .send({ name: 'Long lab bookings', roomType: 'LAB', minDurationMinutes: 240, steps: [{ role: 'LAB_TECH' }, { userId: 7 }] });
+
+      expect(res.status).toBe(201);
+      expect(prisma.approval_Chain.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          Name: 'Long lab bookings',
+          Room_Type: 'LAB',
+          Min_Duration_Minutes: 240,
+          Steps: [{ role: 'LAB_TECH' }, { userId: 7 }],
+          Created_By: 9999,
+        }),
+      });
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'APPROVAL_CHAIN_CREATED' }));
+    });
+
+    it('should reject a chain without steps', async () => {
+      const res = await request(app)
+        .post('/approval-chains')
+        .send({ name: 'Empty', steps: [] });
+
+      expect(res.status).toBe(400);
+      expect(prisma.approval_Chain.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when updating a missing chain', async () => {
+      prisma.approval_Chain.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).put('/approval-chains/99').send({ isActive: false });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('delegations', () => {
+    const window = { startsAt: hoursFromNow(1).toISOString(), endsAt: hoursFromNow(72).toISOString() };
+
+    // Delegating is for approvers; let the test admin approve too.
+    beforeEach(() => {
+      PermissionService.clearCache();
+      prisma.role_Permission.findMany.mockResolvedValue([
+        { Role: 'ADMIN', Permission: 'bookings.approve' },
+        { Role: 'ADMIN', Permission: 'bookings.approval_chains' },
+      ]);
+    });
+
+    afterAll(() => {
+      PermissionService.clearCache();
+      prisma.role_Permission.findMany.mockReset();
+    });
+
+    it('should delegate approvals and notify the delegate', async () => {
+      prisma.user.findUnique.mockResolvedValue({ User_ID: 8, First_Name: 'Dee', Last_Name: 'Legate', Is_Active: true });
+      prisma.approval_Delegation.findFirst.mockResolvedValue(null);
+      prisma.approval_Delegation.create.mockImplementation(({ data }) => Promise.resolve({ Delegation_ID: 3, ...data }));
+
+      const res = await request(app)
+        .post('/approval-chains/delegations')
+        .send({ delegateId: 8, ...window, reason: 'On leave' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ Delegator_ID: 9999, Delegate_ID: 8, Reason: 'On leave' });
+      expect(NotificationService.notifyUsers).toHaveBeenCalledWith([8], expect.objectContaining({ type: 'APPROVAL_DELEGATED' }));
+    });
+
+    it('should refuse an overlapping delegation', async () => {
+      prisma.user.findUnique.mockResolvedValue({ User_ID: 8, Is_Active: true });
+      prisma.approval_Delegation.findFirst.mockResolvedValue({ Delegation_ID: 2 });
+
+      const res = await request(app)
+        .post('/approval-chains/delegations')
+        .send({ delegateId: 8, ...window });
+
+      expect(res.status).toBe(409);
+      expect(res.body.details).toEqual({ delegationId: 2 });
+      expect(prisma.approval_Delegation.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a window that ends before it starts', async () => {
+      const res = await request(app)
+        .post('/approval-chains/delegations')
+        .send({ delegateId: 8, startsAt: window.endsAt, endsAt: window.startsAt });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should revoke a delegation', async () => {
+      prisma.approval_Delegation.findUnique.mockResolvedValue({ Delegation_ID: 3, Delegator_ID: 9999, Revoked_At: null });
+      prisma.approval_Delegation.update.mockResolvedValue({ Delegation_ID: 3, Revoked_At: new Date() });
+
+      const res = await request(app).delete('/approval-chains/delegations/3');
+
+      expect(res.status).toBe(200);
+      expect(prisma.approval_Delegation.update).toHaveBeenCalledWith({
+        where: { Delegation_ID: 3 },
+        data: { Revoked_At: expect.any(Date) },
+      });
+    });
+  });
+});
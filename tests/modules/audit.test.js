@@ -0,0 +1,135 @@
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+const { generateTestToken, authHeader } = require('../helpers/auth');
+const { testUsers } = require('../helpers/testData');
+
+// Mock notification services
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRole: jest.fn().mockResolvedValue(undefined),
+  createNotification: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { app } = require('../app');
+const PermissionService = require('../../src/services/permissionService');
+
+const auditRow = (overrides = {}) => ({
+  Log_ID: 81,
+  Timestamp: new Date('2026-10-19T02:30:00.000Z'),
+  Action: 'WEBHOOK_UPDATED',
+  Log_Type: 'SYSTEM',
+  Details: 'Test Admin updated webhook endpoint "Chat bot"',
+  Entity_Type: 'WEBHOOK',
+  Entity_ID: '3',
+  Changes: { before: { Is_Active: true }, after: { Is_Active: false } },
+  User: { User_ID: 9999, First_Name: 'Test', Last_Name: 'Admin', Email: 'admin@test.com' },
+  ...overrides,
+});
+
+describe('Audit Log', () => {
+  const adminToken = generateTestToken(testUsers.admin);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PermissionService.clearCache();
+    prisma.user.findUnique.mockImplementation(({ where }) => Promise.resolve(
+      Object.values(testUsers).find(user => user.User_ID === where.User_ID)
+    ));
+    prisma.audit_Log.findMany.mockResolvedValue([auditRow()]);
+    prisma.audit_Log.count.mockResolvedValue(1);
+  });
+
+  describe('GET /audit', () => {
+    it('should return newest-first entries with their changes', async () => {
+      const res = await request(app).get('/audit').set(authHeader(adminToken));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([expect.objectContaining({
+        id: 81,
+        action: 'WEBHOOK_UPDATED',
+        actor: { id: 9999, name: 'Test Admin', email: 'admin@test.com' },
+        entityType: 'WEBHOOK',
+        entityId: '3',
+        changes: { before: { Is_Active: true }, after: { Is_Active: false } },
+      })]);
+      expect(res.body.meta).toEqual({ total: 1, page: 1, limit: 50, totalPages: 1 });
+      expect(prisma.audit_Log.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {},
+        orderBy: [{ Timestamp: 'desc' }, { Log_ID: 'desc' }],
+        skip: 0,
+        take: 50,
+      }));
+    });
+
+    it('should filter by entity, actor, actions and time range', async () => {
+      const res = await request(app)
+        .get('/audit')
+        .query({
+          entityType: 'booking',
+          entityId: 12,
+          actorId: 9998,
+          action: 'booking_approved, BOOKING_CANCELLED',
+          from: '2026-10-01T00:00:00.000Z',
+          to: '2026-10-19T00:00:00.000Z',
+          page: 2,
+          limit: 10,
+        })
+        .set(authHeader(adminToken));
+
+      expect(res.status).toBe(200);
+      expect(prisma.audit_Log.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          Entity_Type: 'BOOKING',
+          Entity_ID: '12',
+          User_ID: 9998,
+          Action: { in: ['BOOKING_APPROVED', 'BOOKING_CANCELLED'] },
+          Timestamp: {
+            gte: new Date('2026-10-01T00:00:00.000Z'),
+            lte: new Date('2026-10-19T00:00:00.000Z'),
+          },
+        },
+        skip: 10,
+        take: 10,
+      }));
+      expect(prisma.audit_Log.count).toHaveBeenCalledWith({ where: expect.objectContaining({ Entity_Type: 'BOOKING' }) });
+    });
+
+    it('should reject malformed filters', async () => {
+      const badActor = await request(app).get('/audit?actorId=abc').set(authHeader(adminToken));
+      const badType = await request(app).get('/audit?logType=PAYROLL').set(authHeader(adminToken));
+      const loneId = await request(app).get('/audit?entityId=12').set(authHeader(adminToken));
+      const badDate = await request(app).get('/audit?from=yesterday').set(authHeader(adminToken));
+
+      expect([badActor.status, badType.status, loneId.status, badDate.status]).toEqual([400, 400, 400, 400]);
+      expect(badType.body.error).toMatch(/logType must be one of/);
+      expect(prisma.audit_Log.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should export matching entries as CSV', async () => {
+      const res = await request(app).get('/audit?format=csv&entityType=WEBHOOK').set(authHeader(adminToken));
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toMatch(/audit-log-\d{4}-\d{2}-\d{2}\.csv/);
+      expect(res.headers['x-export-truncated']).toBeUndefined();
+      expect(res.text).toContain('Log ID,Timestamp,Action');
+      expect(res.text).toContain('WEBHOOK_UPDATED');
+      expect(res.text).toContain('""Is_Active"":false');
+      expect(prisma.audit_Log.count).not.toHaveBeenCalled();
+    });
+
+    it('should be limited to roles with audit.view', async () => {
+      const res = await request(app).get('/audit').set(authHeader(generateTestToken(testUsers.labTech)));
+
+      expect(res.status).toBe(403);
+      expect(prisma.audit_Log.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -16,7 +16,7 @@ jest.mock('../../src/middleware/auth', () => ({
     next();
   },
   hashPassword: jest.fn(),
-  comparePassword: jest.fn(),
+  comparePassword: jest.fn((password, hash) => require('bcrypt').compare(password, hash)),
   JWT_SECRET: 'test-secret',
 }));
 
@@ -43,10 +43,12 @@ jest.mock('../../src/services/notificationService', () => ({
 }));
 
 const { app } = require('../app');
+const AuditLogger = require('../../src/utils/auditLogger');
 
 describe('Auth Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    prisma.user_Session.create.mockImplementation(({ data }) => Promise.resolve(data));
   });
 
   describe('POST /auth/login', () => {
@@ -70,6 +72,10 @@ describe('Auth Routes', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.data).toHaveProperty('token');
+      expect(res.body.data).toHaveProperty('refreshToken');
+      expect(prisma.user_Session.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ User_ID: 1 }),
+      }));
       expect(res.body.data).toHaveProperty('user');
       expect(res.body.data.user).not.toHaveProperty('Password');
     });
@@ -105,6 +111,7 @@ describe('Auth Routes', () => {
         Is_Active: true,
       };
       prisma.user.findFirst.mockResolvedValue(mockUser);
+      prisma.user.update.mockResolvedValue({ Failed_Login_Attempts: 1 });
 
       const res = await request(app)
         .post('/auth/login')
@@ -113,6 +120,76 @@ describe('Auth Routes', () => {
       expect(res.status).toBe(401);
       expect(res.body.success).toBe(false);
       expect(res.body.error).toContain('Invalid');
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Failed_Login_Attempts: { increment: 1 } }),
+      }));
+    });
+
+    it('should lock the account once the failure threshold is reached', async () => {
+      const hashedPassword = await bcrypt.hash('correct-password', 10);
+      prisma.user.findFirst.mockResolvedValue({
+        User_ID: 1,
+        Email: 'test@example.com',
+        Password: hashedPassword,
+        Is_Active: true,
+        Failed_Login_Attempts: 4,
+      });
+      prisma.user.update.mockResolvedValue({ Failed_Login_Attempts: 5 });
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ email: 'test@example.com', password: 'wrong-password' });
+
+      expect(res.status).toBe(423);
+      expect(res.headers['retry-after']).toBeDefined();
+      expect(prisma.user.update).toHaveBeenLastCalledWith({
+        where: { User_ID: 1 },
+        data: { Locked_Until: expect.any(Date) },
+      });
+      expect(AuditLogger.logAuth).toHaveBeenCalledWith(1, 'AUTH_ACCOUNT_LOCKED', expect.stringContaining('"failedAttempts":5'));
+    });
+
+    it('should refuse a locked account without checking the password', async () => {
+      const hashedPassword = await bcrypt.hash('correct-password', 10);
+      prisma.user.findFirst.mockResolvedValue({
+        User_ID: 1,
+        Email: 'test@example.com',
+        Password: hashedPassword,
+        Is_Active: true,
+        Failed_Login_Attempts: 5,
+        Locked_Until: new Date(Date.now() + 5 * 60 * 1000),
+      });
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ email: 'test@example.com', password: 'correct-password' });
+
+      expect(res.status).toBe(423);
+      expect(res.body.details.retryAfterSeconds).toBeGreaterThan(0);
+      expect(prisma.user_Session.create).not.toHaveBeenCalled();
+    });
+
+    it('should reset the failure counter after a successful login', async () => {
+      const hashedPassword = await bcrypt.hash('correct-password', 10);
+      prisma.user.findFirst.mockResolvedValue({
+        User_ID: 1,
+        Email: 'test@example.com',
+        Password: hashedPassword,
+        Is_Active: true,
+        Failed_Login_Attempts: 2,
+        Locked_Until: null,
+      });
+      prisma.user.update.mockResolvedValue({});
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ email: 'test@example.com', password: 'correct-password' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { User_ID: 1 },
+        data: { Failed_Login_Attempts: 0, Last_Failed_Login_At: null, Locked_Until: null },
+      });
     });
 
     it('should reject non-existent user', async () => {
@@ -172,6 +249,233 @@ describe('Auth Routes', () => {
     });
   });
 
+  describe('POST /auth/refresh', () => {
+    const SessionService = require('../../src/services/sessionService');
+
+    const activeSession = (refreshToken, overrides = {}) => ({
+      Session_ID: 'session-1',
+      User_ID: 1,
+      Refresh_Token_Hash: SessionService.hashToken(refreshToken),
+      Created_At: new Date(Date.now() - 60 * 1000),
+      Expires_At: new Date(Date.now() + 60 * 60 * 1000),
+      Revoked_At: null,
+      User: {
+        User_ID: 1,
+        User_Role: 'STUDENT',
+        Password: 'secret',
+        Is_Active: true,
+        Token_Valid_After: null,
+      },
+      ...overrides,
+    });
+
+    it('should issue a new access token and rotate the refresh token', async () => {
+      const refreshToken = 'session-1.current-secret';
+      prisma.user_Session.findUnique.mockResolvedValue(activeSession(refreshToken));
+      prisma.user_Session.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveProperty('token');
+      expect(res.body.data.refreshToken).toMatch(/^session-1\./);
+      expect(res.body.data.refreshToken).not.toBe(refreshToken);
+      expect(res.body.data.user).not.toHaveProperty('Password');
+      expect(prisma.user_Session.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          Session_ID: 'session-1',
+          Refresh_Token_Hash: SessionService.hashToken(refreshToken),
+          Revoked_At: null,
+        },
+        data: expect.objectContaining({
+          Refresh_Token_Hash: SessionService.hashToken(res.body.data.refreshToken),
+        }),
+      }));
+    });
+
+    it('should let only one of two concurrent refreshes with the same token win', async () => {
+      const refreshToken = 'session-1.current-secret';
+      prisma.user_Session.findUnique.mockResolvedValue(activeSession(refreshToken));
+      // The other request rotated the token between our read and our write
+      prisma.user_Session.updateMany
+        .mockResolvedValueOnce({ count: 0 })
+        .mockResolvedValueOnce({ count: 1 });
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(401);
+      expect(res.body.data).toBeUndefined();
+      expect(prisma.user_Session.updateMany).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: { Session_ID: 'session-1', Revoked_At: null },
+        data: expect.objectContaining({ Revoked_Reason: 'REFRESH_TOKEN_REUSE' }),
+      }));
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      prisma.user_Session.findUnique.mockResolvedValue(activeSession('session-1.newer-secret'));
+      prisma.user_Session.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'session-1.stale-secret' });
+
+      expect(res.status).toBe(401);
+      expect(prisma.user_Session.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Session_ID: 'session-1', Revoked_At: null },
+        data: expect.objectContaining({ Revoked_Reason: 'REFRESH_TOKEN_REUSE' }),
+      }));
+      expect(prisma.user_Session.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a revoked session', async () => {
+      const refreshToken = 'session-1.current-secret';
+      prisma.user_Session.findUnique.mockResolvedValue(
+        activeSession(refreshToken, { Revoked_At: new Date() })
+      );
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toContain('revoked');
+    });
+
+    it('should reject sessions opened before Token_Valid_After', async () => {
+      const refreshToken = 'session-1.current-secret';
+      const session = activeSession(refreshToken);
+      session.User.Token_Valid_After = new Date();
+      prisma.user_Session.findUnique.mockResolvedValue(session);
+      prisma.user_Session.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(401);
+      expect(prisma.user_Session.update).not.toHaveBeenCalled();
+    });
+
+    it('should require a refresh token', async () => {
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /auth/reset-password', () => {
+    const { hashPassword } = require('../../src/middleware/auth');
+    const SessionService = require('../../src/services/sessionService');
+
+    const resetRecord = (overrides = {}) => ({
+      Token_ID: 3,
+      User_ID: 1,
+      Token_Hash: SessionService.hashToken('reset-token'),
+      Expires_At: new Date(Date.now() + 30 * 60 * 1000),
+      Used_At: null,
+      User: { User_ID: 1, First_Name: 'John', Last_Name: 'Doe', Is_Active: true },
+      ...overrides,
+    });
+
+    it('should set the new password and consume the token', async () => {
+      prisma.password_Reset_Token.findUnique.mockResolvedValue(resetRecord());
+      prisma.password_Reset_Token.updateMany.mockResolvedValue({ count: 1 });
+      hashPassword.mockResolvedValue('$2b$12$resethash');
+      prisma.user.update.mockResolvedValue({});
+      prisma.user_Session.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'brand-new-pass' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.password_Reset_Token.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Token_Hash: SessionService.hashToken('reset-token') },
+      }));
+      expect(prisma.password_Reset_Token.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Token_ID: 3, Used_At: null },
+      }));
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          Password: '$2b$12$resethash',
+          Token_Valid_After: expect.any(Date),
+        }),
+      }));
+    });
+
+    it('should reject an expired token', async () => {
+      prisma.password_Reset_Token.findUnique.mockResolvedValue(
+        resetRecord({ Expires_At: new Date(Date.now() - 1000) })
+      );
+
+      const res = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'brand-new-pass' });
+
+      expect(res.status).toBe(400);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token that was already used', async () => {
+      prisma.password_Reset_Token.findUnique.mockResolvedValue(resetRecord());
+      prisma.password_Reset_Token.updateMany.mockResolvedValue({ count: 0 });
+      hashPassword.mockResolvedValue('$2b$12$resethash');
+
+      const res = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'brand-new-pass' });
+
+      expect(res.status).toBe(400);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /auth/sessions', () => {
+    it('should list the caller\'s active sessions', async () => {
+      prisma.user_Session.findMany.mockResolvedValue([
+        { Session_ID: 'a', User_Agent: 'Firefox' },
+        { Session_ID: 'b', User_Agent: 'Chrome' },
+      ]);
+
+      const res = await request(app).get('/auth/sessions');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(prisma.user_Session.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ User_ID: 9999, Revoked_At: null }),
+      }));
+    });
+  });
+
+  describe('DELETE /auth/sessions/:sessionId', () => {
+    it('should revoke one of the caller\'s sessions', async () => {
+      prisma.user_Session.findUnique.mockResolvedValue({ Session_ID: 'a', User_ID: 9999 });
+      prisma.user_Session.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app).delete('/auth/sessions/a');
+
+      expect(res.status).toBe(200);
+      expect(prisma.user_Session.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Session_ID: 'a', Revoked_At: null },
+      }));
+    });
+
+    it('should not reveal another user\'s session', async () => {
+      prisma.user_Session.findUnique.mockResolvedValue({ Session_ID: 'b', User_ID: 1 });
+
+      const res = await request(app).delete('/auth/sessions/b');
+
+      expect(res.status).toBe(404);
+      expect(prisma.user_Session.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
   describe('POST /auth/logout', () => {
     it('should logout successfully', async () => {
       const res = await request(app)
@@ -181,4 +485,383 @@ describe('Auth Routes', () => {
       expect(res.body.success).toBe(true);
     });
   });
+
+  describe('Two-factor authentication', () => {
+    const { authenticator } = require('otplib');
+    const TwoFactorService = require('../../src/services/twoFactorService');
+    const secret = authenticator.generateSecret();
+
+    const enrolledUser = async (overrides = {}) => ({
+      User_ID: 7,
+      Email: 'head@example.com',
+      First_Name: 'Lab',
+      Last_Name: 'Head',
+      User_Role: 'LAB_HEAD',
+      Password: await bcrypt.hash('correct-password', 4),
+      Is_Active: true,
+      Failed_Login_Attempts: 0,
+      Two_Factor_Enabled: true,
+      Two_Factor_Secret: TwoFactorService.encryptSecret(secret),
+      Two_Factor_Recovery_Codes: [],
+      Two_Factor_Last_Step: null,
+      ...overrides,
+    });
+
+    // Stores the challenge ID on the user like login does, then forgets that
+    // write so assertions only see the second step's updates
+    const challengeFor = async (user) => {
+      const challengeToken = await TwoFactorService.issueChallenge(user);
+      prisma.user.update.mockClear();
+      return challengeToken;
+    };
+
+    beforeEach(() => {
+      prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    afterEach(() => {
+      TwoFactorService.clearPolicyCache();
+    });
+
+    it('should return a challenge instead of tokens when 2FA is enabled', async () => {
+      prisma.user.findFirst.mockResolvedValue(await enrolledUser());
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: 'head@example.com', password: 'correct-password' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.twoFactorRequired).toBe(true);
+      expect(res.body.data).toHaveProperty('challengeToken');
+      expect(res.body.data).not.toHaveProperty('token');
+      expect(prisma.user_Session.create).not.toHaveBeenCalled();
+    });
+
+    it('should complete login with a valid TOTP code', async () => {
+      const user = await enrolledUser();
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.user.update.mockResolvedValue(user);
+
+      const res = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: await challengeFor(user), code: authenticator.generate(secret) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveProperty('token');
+      expect(res.body.data.user).not.toHaveProperty('Two_Factor_Secret');
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Two_Factor_Last_Step: expect.any(Number) }),
+      }));
+    });
+
+    it('should reject a replayed TOTP code', async () => {
+      const step = Math.floor(Date.now() / 1000 / 30);
+      const user = await enrolledUser({ Two_Factor_Last_Step: step + 1 });
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.user.update.mockResolvedValue({ Failed_Login_Attempts: 1 });
+
+      const res = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: await challengeFor(user), code: authenticator.generate(secret) });
+
+      expect(res.status).toBe(401);
+      expect(prisma.user_Session.create).not.toHaveBeenCalled();
+    });
+
+    it('should count a wrong code toward the account lockout', async () => {
+      const user = await enrolledUser();
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.user.update.mockResolvedValue({ Failed_Login_Attempts: 1 });
+
+      const res = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: await challengeFor(user), code: '000000' });
+
+      expect(res.status).toBe(401);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Failed_Login_Attempts: { increment: 1 } }),
+      }));
+    });
+
+    it('should accept a recovery code once', async () => {
+      const [recoveryCode] = TwoFactorService.generateRecoveryCodes();
+      const hashed = require('crypto').createHash('sha256')
+        .update(recoveryCode.replace('-', '')).digest('hex');
+      const user = await enrolledUser({ Two_Factor_Recovery_Codes: [hashed, 'other'] });
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.user.update.mockResolvedValue(user);
+
+      const res = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: await challengeFor(user), recoveryCode });
+
+      expect(res.status).toBe(200);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { Two_Factor_Recovery_Codes: ['other'] },
+      }));
+    });
+
+    it('should accept a challenge token only once', async () => {
+      const user = await enrolledUser();
+      prisma.user.findUnique.mockResolvedValue(user);
+      const challengeToken = await challengeFor(user);
+      prisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+      const res = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken, code: authenticator.generate(secret) });
+
+      expect(res.status).toBe(401);
+      expect(prisma.user.updateMany).toHaveBeenCalledWith({
+        where: { User_ID: 7, Two_Factor_Challenge_ID: expect.any(String) },
+        data: { Two_Factor_Challenge_ID: null },
+      });
+      expect(prisma.user.findUnique).not.toHaveBeenCalled();
+      expect(prisma.user_Session.create).not.toHaveBeenCalled();
+    });
+
+    it('should keep counting code guesses across password logins', async () => {
+      const user = await enrolledUser({ Failed_Login_Attempts: 4 });
+      prisma.user.findFirst.mockResolvedValue(user);
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.user.update.mockResolvedValue({ Failed_Login_Attempts: 5 });
+
+      // The password is right, but that alone must not reset the counter
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ username: 'head@example.com', password: 'correct-password' });
+
+      expect(login.status).toBe(200);
+      expect(prisma.user.update).not.toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Failed_Login_Attempts: 0 }),
+      }));
+
+      const guess = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: login.body.data.challengeToken, code: '000000' });
+
+      expect(guess.status).toBe(423);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Locked_Until: expect.any(Date) }),
+      }));
+    });
+
+    it('should clear failed attempts once the second factor succeeds', async () => {
+      const user = await enrolledUser({ Failed_Login_Attempts: 3 });
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.user.update.mockResolvedValue(user);
+
+      const res = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: await challengeFor(user), code: authenticator.generate(secret) });
+
+      expect(res.status).toBe(200);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Failed_Login_Attempts: 0 }),
+      }));
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      const res = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: 'not-a-jwt', code: '123456' });
+
+      expect(res.status).toBe(401);
+      expect(prisma.user.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should enable 2FA after a valid first code and return recovery codes', async () => {
+      const user = await enrolledUser({ Two_Factor_Enabled: false });
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.user.update.mockResolvedValue(user);
+
+      const res = await request(app)
+        .post('/auth/2fa/enable')
+        .send({ code: authenticator.generate(secret) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.recoveryCodes).toHaveLength(10);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Two_Factor_Enabled: true }),
+      }));
+    });
+
+    it('should refuse to require 2FA for the admin\'s own role while unenrolled', async () => {
+      const res = await request(app)
+        .put('/auth/2fa/policies/ADMIN')
+        .send({ requireTwoFactor: true });
+
+      expect(res.status).toBe(400);
+      expect(prisma.role_Security_Policy.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should update the policy for another role', async () => {
+      prisma.role_Security_Policy.upsert.mockResolvedValue({
+        Role: 'LAB_HEAD', Require_Two_Factor: true, Updated_At: new Date(),
+      });
+
+      const res = await request(app)
+        .put('/auth/2fa/policies/LAB_HEAD')
+        .send({ requireTwoFactor: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.requireTwoFactor).toBe(true);
+    });
+
+    it('should block role-gated routes for unenrolled users when the role requires 2FA', async () => {
+      TwoFactorService.clearPolicyCache();
+      prisma.role_Security_Policy.findMany.mockResolvedValueOnce([{ Role: 'ADMIN' }]);
+
+      const res = await request(app).get('/auth/2fa/policies');
+
+      expect(res.status).toBe(403);
+      expect(res.body.details).toEqual({ code: 'TWO_FACTOR_ENROLLMENT_REQUIRED' });
+    });
+  });
+
+  describe('LDAP provider (local stand-in server)', () => {
+    const ldap = require('ldapjs');
+    const PEOPLE_BASE = 'ou=people,dc=bits,dc=test';
+    const SERVICE_DN = 'cn=bits-service,dc=bits,dc=test';
+    const directory = [
+      {
+        dn: `uid=jdoe,${PEOPLE_BASE}`,
+        password: 'ldap-password',
+        attributes: { objectclass: ['person'], uid: 'jdoe', mail: 'jdoe@bits.test', givenname: 'Jane', sn: 'Doe' },
+      },
+      {
+        dn: `uid=asmith,${PEOPLE_BASE}`,
+        password: 'other-password',
+        attributes: { objectclass: ['person'], uid: 'asmith', mail: 'asmith@bits.test', givenname: 'Alan', sn: 'Smith' },
+      },
+    ];
+    const savedEnv = {};
+    let server;
+
+    beforeAll((done) => {
+      server = ldap.createServer();
+      server.bind(SERVICE_DN, (req, res, next) => {
+        if (req.credentials !== 'service-password') return next(new ldap.InvalidCredentialsError());
+        res.end();
+        return next();
+      });
+      server.bind(PEOPLE_BASE, (req, res, next) => {
+        const entry = directory.find(e => e.dn === req.dn.toString());
+        if (!entry || entry.password !== req.credentials) return next(new ldap.InvalidCredentialsError());
+        res.end();
+        return next();
+      });
+      server.search(PEOPLE_BASE, (req, res, next) => {
+        // Real directories match requested attribute names case-insensitively
+        res.attributes = res.attributes.map(a => a.toLowerCase());
+        directory
+          .filter(e => req.filter.matches(e.attributes))
+          .forEach(e => res.send({ dn: e.dn, attributes: e.attributes }));
+        res.end();
+        return next();
+      });
+
+      server.listen(0, '127.0.0.1', () => {
+        const env = {
+          AUTH_PROVIDERS: 'ldap,db',
+          LDAP_URL: `ldap://127.0.0.1:${server.port}`,
+          LDAP_BIND_DN: SERVICE_DN,
+          LDAP_BIND_PASSWORD: 'service-password',
+          LDAP_SEARCH_BASE: PEOPLE_BASE,
+        };
+        for (const [key, value] of Object.entries(env)) {
+          savedEnv[key] = process.env[key];
+          process.env[key] = value;
+        }
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      server.close(done);
+    });
+
+    it('should auto-provision a directory user on first login', async () => {
+      prisma.user.findFirst.mockResolvedValue(null);
+      prisma.user.create.mockImplementation(({ data }) => Promise.resolve({ User_ID: 42, ...data }));
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jdoe', password: 'ldap-password' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.user.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          Username: 'jdoe',
+          Email: 'jdoe@bits.test',
+          First_Name: 'Jane',
+          Last_Name: 'Doe',
+          User_Role: 'STUDENT',
+        }),
+      });
+    });
+
+    it('should reject a wrong directory password', async () => {
+      prisma.user.findFirst.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jdoe', password: 'wrong-password' });
+
+      expect(res.status).toBe(401);
+      expect(prisma.user.create).not.toHaveBeenCalled();
+    });
+
+    it('should escape filter metacharacters in the identifier', async () => {
+      prisma.user.findFirst.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: '*', password: 'ldap-password' });
+
+      expect(res.status).toBe(401);
+      expect(prisma.user.create).not.toHaveBeenCalled();
+    });
+
+    it('should fall through to the DB provider when the directory rejects', async () => {
+      const hashedPassword = await bcrypt.hash('local-password', 10);
+      prisma.user.findFirst.mockResolvedValue({
+        User_ID: 7,
+        Username: 'localadmin',
+        First_Name: 'Local',
+        Last_Name: 'Admin',
+        Password: hashedPassword,
+        Is_Active: true,
+      });
+
+      const res = await request(app)
+        .post('/auth/login')
+        .send({ username: 'localadmin', password: 'local-password' });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should sync directory users that are not in the database yet', async () => {
+      prisma.user.findFirst.mockImplementation(({ where }) =>
+        Promise.resolve(where.OR.some(c => c.Username === 'asmith') ? { User_ID: 8 } : null)
+      );
+      prisma.user.create.mockImplementation(({ data }) => Promise.resolve({ User_ID: 43, ...data }));
+
+      const res = await request(app).post('/auth/sync-directory/ldap');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.created).toEqual([{ User_ID: 43, Username: 'jdoe' }]);
+      expect(res.body.data.skipped).toEqual(['asmith']);
+    });
+
+    it('should refuse to sync a provider without a directory', async () => {
+      const res = await request(app).post('/auth/sync-directory/db');
+
+      expect(res.status).toBe(400);
+    });
+  });
 });
@@ -0,0 +1,301 @@
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+
+// Mock the auth middleware
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = {
+      User_ID: 9999,
+      Email: 'admin@test.com',
+      First_Name: 'Test',
+      Last_Name: 'Admin',
+      User_Role: 'ADMIN',
+      Is_Active: true,
+    };
+    next();
+  },
+  hashPassword: jest.fn(),
+  comparePassword: jest.fn(),
+  JWT_SECRET: 'test-secret',
+}));
+
+// Mock the audit logger
+jest.mock('../../src/utils/auditLogger', () => ({
+  log: jest.fn().mockResolvedValue({}),
+  logAuth: jest.fn().mockResolvedValue({}),
+  logBooking: jest.fn().mockResolvedValue({}),
+  logInventory: jest.fn().mockResolvedValue({}),
+}));
+
+// Mock notification services
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRole: jest.fn().mockResolvedValue(undefined),
+  createNotification: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { app } = require('../app');
+const AuditLogger = require('../../src/utils/auditLogger');
+const BookingPolicyService = require('../../src/services/bookingPolicyService');
+const BookingWaitlistService = require('../../src/services/bookingWaitlistService');
+const ApprovalChainService = require('../../src/services/approvalChainService');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+const labRoom = { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB', Status: 'AVAILABLE', Schedule: [] };
+
+const policy = (overrides = {}) => ({
+  Policy_ID: 1,
+  Name: 'Faculty lab limits',
+  Room_Type: 'LAB',
+  Role: 'FACULTY',
+  Max_Duration_Minutes: null,
+  Min_Advance_Minutes: null,
+  Max_Advance_Days: null,
+  Weekly_Quota_Hours: null,
+  Blackouts: [],
+  Is_Active: true,
+  ...overrides,
+});
+
+describe('Booking Policies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BookingPolicyService.clearCache();
+    Object.values(prisma.booking_Policy).forEach(fn => fn.mockReset());
+    prisma.Booked_Room.findFirst.mockReset();
+    prisma.Booked_Room.findMany.mockReset();
+    prisma.Booked_Room.create.mockReset();
+    prisma.Booking_Series.findMany.mockResolvedValue([]);
+    prisma.room.findUnique.mockResolvedValue(labRoom);
+    prisma.user.findUnique.mockResolvedValue({ User_ID: 1, User_Role: 'FACULTY' });
+  });
+
+  describe('admin API', () => {
+    it('should create a policy', async () => {
+      prisma.booking_Policy.create.mockImplementation(({ data }) => Promise.resolve({ Policy_ID: 3, ...data }));
+
+      const res = await request(app)
+        .post('/booking-policies')
+        .send({
+          name: 'Exam week',
+          roomType: 'LAB',
+          maxDurationMinutes: 180,
+          blackouts: [{ start: '2026-12-07T00:00:00.000Z', end: '2026-12-12T00:00:00.000Z', reason: 'Finals' }],
+        });
+
+      expect(res.status).toBe(201);
+      expect(prisma.booking_Policy.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          Name: 'Exam week',
+          Room_Type: 'LAB',
+          Max_Duration_Minutes: 180,
+          Blackouts: [{ start: '2026-12-07T00:00:00.000Z', end: '2026-12-12T00:00:00.000Z', reason: 'Finals' }],
+          Created_By: 9999,
+        }),
+      });
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'BOOKING_POLICY_CREATED' }));
+    });
+
+    it('should reject a blackout that ends before it starts', async () => {
+      const res = await request(app)
+        .post('/booking-policies')
+        .send({
+          name: 'Broken',
+          blackouts: [{ start: '2026-12-12T00:00:00.000Z', end: '2026-12-07T00:00:00.000Z' }],
+        });
+
+      expect(res.status).toBe(400);
+      expect(prisma.booking_Policy.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when updating an unknown policy', async () => {
+      prisma.booking_Policy.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).put('/booking-policies/42').send({ isActive: false });
+
+      expect(res.status).toBe(404);
+      expect(prisma.booking_Policy.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('evaluation on booking endpoints', () => {
+    it('should reject a booking longer than the maximum duration', async () => {
+      prisma.booking_Policy.findMany.mockResolvedValue([policy({ Max_Duration_Minutes: 120 })]);
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 1, Room_ID: 1, Start_Time: hoursFromNow(24), End_Time: hoursFromNow(27) });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('BOOKING_POLICY_VIOLATION');
+      expect(res.body.violations).toEqual([
+        expect.objectContaining({ code: 'MAX_DURATION', policyId: 1, limit: 120, actual: 180 }),
+      ]);
+      expect(prisma.Booked_Room.create).not.toHaveBeenCalled();
+    });
+
+    it('should count existing bookings toward the weekly quota', async () => {
+      const start = hoursFromNow(24);
+      prisma.booking_Policy.findMany.mockResolvedValue([policy({ Weekly_Quota_Hours: 4 })]);
+      prisma.Booked_Room.findMany.mockResolvedValue([
+        { Start_Time: start, End_Time: new Date(start.getTime() + 3 * 60 * 60 * 1000) },
+      ]);
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 1, Room_ID: 1, Start_Time: start, End_Time: new Date(start.getTime() + 2 * 60 * 60 * 1000) });
+
+      expect(res.status).toBe(403);
+      expect(res.body.violations[0]).toEqual(expect.objectContaining({ code: 'WEEKLY_QUOTA', limit: 4, actual: 5 }));
+      expect(prisma.Booked_Room.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ User_ID: 1, Room: { Room_Type: 'LAB' } }),
+      }));
+    });
+
+    it('should count the owner\'s recurring series toward the weekly quota', async () => {
+      const start = hoursFromNow(24);
+      start.setUTCMilliseconds(0);
+      prisma.booking_Policy.findMany.mockResolvedValue([policy({ Weekly_Quota_Hours: 4 })]);
+      prisma.Booked_Room.findMany.mockResolvedValue([]);
+      prisma.Booking_Series.findMany.mockResolvedValue([{
+        Series_ID: 12,
+        Room_ID: 1,
+        User_ID: 1,
+        Status: 'APPROVED',
+        Recurrence_Rule: 'FREQ=DAILY;COUNT=1',
+        Anchor_Start: start,
+        Anchor_End: new Date(start.getTime() + 3 * 60 * 60 * 1000),
+        Excluded_Dates: [],
+        Room: labRoom,
+      }]);
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 1, Room_ID: 1, Start_Time: start, End_Time: new Date(start.getTime() + 2 * 60 * 60 * 1000) });
+
+      expect(res.status).toBe(403);
+      expect(res.body.violations[0]).toEqual(expect.objectContaining({ code: 'WEEKLY_QUOTA', limit: 4, actual: 5 }));
+      expect(prisma.Booking_Series.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { User_ID: 1 },
+      }));
+    });
+
+    it('should ignore policies scoped to another role', async () => {
+      prisma.booking_Policy.findMany.mockResolvedValue([policy({ Role: 'STUDENT', Max_Duration_Minutes: 30 })]);
+      prisma.Booked_Room.findFirst.mockResolvedValue(null);
+      prisma.Booked_Room.create.mockResolvedValue({
+        Booked_Room_ID: 7,
+        Room: labRoom,
+        User: { First_Name: 'Fac', Last_Name: 'Ulty' },
+      });
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 1, Room_ID: 1, Start_Time: hoursFromNow(24), End_Time: hoursFromNow(26) });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('should report blackout violations per series occurrence', async () => {
+      const anchorStart = hoursFromNow(24);
+      anchorStart.setUTCMilliseconds(0); // RRULE expansion works in whole seconds
+      const secondStart = new Date(anchorStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+      prisma.Room.findUnique.mockResolvedValue(labRoom);
+      prisma.booking_Policy.findMany.mockResolvedValue([policy({
+        Role: null,
+        Blackouts: [{
+          start: new Date(secondStart.getTime() - 60 * 60 * 1000).toISOString(),
+          end: new Date(secondStart.getTime() + 60 * 60 * 1000).toISOString(),
+          reason: 'Lab maintenance',
+        }],
+      })]);
+
+      const res = await request(app)
+        .post('/bookings/series')
+        .send({
+          User_ID: 1,
+          Room_ID: 1,
+          Title: 'Thesis consultations',
+          Recurrence_Rule: 'FREQ=WEEKLY;COUNT=3',
+          Anchor_Start: anchorStart.toISOString(),
+          Anchor_End: new Date(anchorStart.getTime() + 60 * 60 * 1000).toISOString(),
+        });
+
+      expect(res.status).toBe(403);
+      expect(res.body.totalViolations).toBe(1);
+      expect(res.body.violations[0]).toEqual(expect.objectContaining({
+        code: 'BLACKOUT',
+        when: secondStart.toISOString(),
+      }));
+    });
+  });
+
+  describe('evaluation on waitlist promotion', () => {
+    const freedBooking = { Booked_Room_ID: 2, Room_ID: 1, Start_Time: hoursFromNow(48), End_Time: hoursFromNow(50) };
+    const entry = (overrides = {}) => ({
+      Waitlist_ID: 11,
+      User_ID: 1,
+      Room_ID: 1,
+      Start_Time: freedBooking.Start_Time,
+      End_Time: freedBooking.End_Time,
+      Purpose: 'Lab session',
+      Status: 'WAITING',
+      Room: { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB' },
+      User: { User_ID: 1, User_Role: 'FACULTY' },
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      ApprovalChainService.clearCache();
+      Object.values(prisma.booking_Waitlist).forEach(fn => fn.mockReset());
+      prisma.approval_Chain.findMany.mockResolvedValue([]);
+      prisma.Schedule.findMany.mockResolvedValue([]);
+      prisma.Booked_Room.findFirst.mockResolvedValue(null);
+    });
+
+    it('should expire an entry that now violates a policy and promote the next one', async () => {
+      prisma.booking_Policy.findMany.mockResolvedValue([policy({
+        Blackouts: [{ start: hoursFromNow(47).toISOString(), end: hoursFromNow(51).toISOString(), reason: 'Lab maintenance' }],
+      })]);
+      prisma.booking_Waitlist.findMany.mockResolvedValue([
+        entry(),
+        entry({ Waitlist_ID: 12, User_ID: 5, User: { User_ID: 5, User_Role: 'LAB_TECH' } }),
+      ]);
+      prisma.booking_Waitlist.updateMany.mockResolvedValue({ count: 1 });
+      prisma.Booked_Room.create.mockImplementation(({ data }) => Promise.resolve({ Booked_Room_ID: 20, ...data, Room: labRoom }));
+
+      const promoted = await BookingWaitlistService.promoteNext(freedBooking, 7);
+
+      expect(prisma.booking_Waitlist.update).toHaveBeenCalledWith({
+        where: { Waitlist_ID: 11 },
+        data: { Status: 'EXPIRED' },
+      });
+      expect(prisma.booking_Waitlist.updateMany).toHaveBeenCalledTimes(1);
+      expect(prisma.booking_Waitlist.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Waitlist_ID: 12, Status: 'WAITING' },
+      }));
+      expect(promoted).toEqual(expect.objectContaining({ Booked_Room_ID: 20, User_ID: 5 }));
+    });
+
+    it('should promote nobody when every entry violates a policy', async () => {
+      prisma.booking_Policy.findMany.mockResolvedValue([policy({ Min_Advance_Minutes: 72 * 60 })]);
+      prisma.booking_Waitlist.findMany.mockResolvedValue([entry()]);
+
+      const promoted = await BookingWaitlistService.promoteNext(freedBooking, 7);
+
+      expect(promoted).toBeNull();
+      expect(prisma.booking_Waitlist.update).toHaveBeenCalledWith({
+        where: { Waitlist_ID: 11 },
+        data: { Status: 'EXPIRED' },
+      });
+      expect(prisma.Booked_Room.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,17 +1,20 @@
 const request = require('supertest');
 const prisma = require('../__mocks__/prisma');
 
+const adminUser = {
+  User_ID: 9999,
+  Email: 'admin@test.com',
+  First_Name: 'Test',
+  Last_Name: 'Admin',
+  User_Role: 'ADMIN',
+  Is_Active: true,
+};
+let mockUser = adminUser;
+
 // Mock the auth middleware
 jest.mock('../../src/middleware/auth', () => ({
   authenticateToken: (req, res, next) => {
-    req.user = {
-      User_ID: 9999,
-      Email: 'admin@test.com',
-      First_Name: 'Test',
-      Last_Name: 'Admin',
-      User_Role: 'ADMIN',
-      Is_Active: true,
-    };
+    req.user = mockUser;
     next();
   },
   hashPassword: jest.fn(),
@@ -46,6 +49,7 @@ const { app } = require('../app');
 describe('Bookings Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockUser = adminUser;
   });
 
   describe('GET /bookings', () => {
@@ -317,4 +321,564 @@ describe('Bookings Routes', () => {
       expect(res.body.success).toBe(false);
     });
   });
+
+  describe('Booking waitlist', () => {
+    const AuditLogger = require('../../src/utils/auditLogger');
+    const NotificationManager = require('../../src/services/notificationManager');
+
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    const slot = { Start_Time: hoursFromNow(48), End_Time: hoursFromNow(50) };
+    const labRoom = { Room_ID: 1, Name: 'Lab A', Status: 'AVAILABLE', Schedule: [] };
+    const approvedBooking = {
+      Booked_Room_ID: 2,
+      User_ID: 3,
+      Room_ID: 1,
+      Status: 'APPROVED',
+      ...slot,
+      Room: labRoom,
+      User: { First_Name: 'Jane', Last_Name: 'Doe' },
+    };
+    const waitingEntry = {
+      Waitlist_ID: 11,
+      User_ID: 1,
+      Room_ID: 1,
+      ...slot,
+      Purpose: 'Lab session',
+      Status: 'WAITING',
+      Created_At: new Date().toISOString(),
+    };
+
+    beforeEach(() => {
+      Object.values(prisma.booking_Waitlist).forEach(fn => fn.mockReset());
+      prisma.Booked_Room.findFirst.mockReset();
+      prisma.Booked_Room.create.mockReset();
+    });
+
+    it('should offer the waitlist when the slot is already approved', async () => {
+      prisma.room.findUnique.mockResolvedValue(labRoom);
+      prisma.user.findUnique.mockResolvedValue({ User_ID: 1, User_Role: 'FACULTY' });
+      prisma.Booked_Room.findFirst.mockResolvedValueOnce(approvedBooking);
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 1, Room_ID: 1, ...slot });
+
+      expect(res.status).toBe(409);
+      expect(res.body.canJoinWaitlist).toBe(true);
+      expect(prisma.booking_Waitlist.create).not.toHaveBeenCalled();
+    });
+
+    it('should join the waitlist with joinWaitlist=true', async () => {
+      prisma.room.findUnique.mockResolvedValue(labRoom);
+      prisma.user.findUnique.mockResolvedValue({ User_ID: 1, User_Role: 'FACULTY' });
+      prisma.Booked_Room.findFirst.mockResolvedValueOnce(approvedBooking);
+      prisma.booking_Waitlist.findFirst.mockResolvedValue(null);
+      prisma.booking_Waitlist.create.mockResolvedValue(waitingEntry);
+      prisma.booking_Waitlist.count.mockResolvedValue(1);
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 1, Room_ID: 1, ...slot, Purpose: 'Lab session', joinWaitlist: true });
+
+      expect(res.status).toBe(202);
+      expect(res.body.data.position).toBe(2);
+      expect(prisma.Booked_Room.create).not.toHaveBeenCalled();
+      expect(AuditLogger.logBooking).toHaveBeenCalledWith(1, 'BOOKING_WAITLISTED', null, expect.stringContaining('#2'), null, 1, expect.objectContaining({
+        entityType: 'BOOKING_WAITLIST',
+        entityId: 11,
+      }));
+    });
+
+    it('should reject a duplicate waitlist entry', async () => {
+      prisma.room.findUnique.mockResolvedValue(labRoom);
+      prisma.user.findUnique.mockResolvedValue({ User_ID: 1, User_Role: 'FACULTY' });
+      prisma.Booked_Room.findFirst.mockResolvedValueOnce(approvedBooking);
+      prisma.booking_Waitlist.findFirst.mockResolvedValue(waitingEntry);
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({ User_ID: 1, Room_ID: 1, ...slot, joinWaitlist: true });
+
+      expect(res.status).toBe(409);
+      expect(res.body.details).toEqual({ waitlistId: 11 });
+      expect(prisma.booking_Waitlist.create).not.toHaveBeenCalled();
+    });
+
+    it('should promote the next waitlisted request when an approved booking is cancelled', async () => {
+      const promoted = {
+        Booked_Room_ID: 20,
+        User_ID: 1,
+        Room_ID: 1,
+        Status: 'PENDING',
+        ...slot,
+        Room: labRoom,
+      };
+      mockUser = { User_ID: 7, User_Role: 'LAB_HEAD', First_Name: 'Hal', Last_Name: 'Head' };
+      prisma.Booked_Room.findUnique.mockResolvedValue(approvedBooking);
+      prisma.Booked_Room.update.mockResolvedValue({ ...approvedBooking, Status: 'CANCELLED' });
+      prisma.booking_Waitlist.findMany.mockResolvedValue([waitingEntry]);
+      prisma.Schedule.findMany.mockResolvedValue([]);
+      prisma.Booked_Room.findFirst.mockResolvedValue(null);
+      prisma.booking_Waitlist.updateMany.mockResolvedValue({ count: 1 });
+      prisma.Booked_Room.create.mockResolvedValue(promoted);
+      prisma.booking_Waitlist.update.mockResolvedValue({});
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'CANCELLED' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.Booked_Room.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ User_ID: 1, Room_ID: 1, Status: 'PENDING' }),
+      }));
+      expect(prisma.booking_Waitlist.update).toHaveBeenCalledWith({
+        where: { Waitlist_ID: 11 },
+        data: { Promoted_Booking_ID: 20 },
+      });
+      expect(AuditLogger.logBooking).toHaveBeenCalledWith(7, 'BOOKING_WAITLIST_PROMOTED', 20, expect.any(String), null, 1, {
+        after: expect.objectContaining({ Booked_Room_ID: 20, Status: 'PENDING' }),
+      });
+      expect(NotificationManager.send).toHaveBeenCalledWith(1, expect.objectContaining({ type: 'BOOKING_WAITLIST_PROMOTED' }));
+    });
+
+    it('should not promote while another approved booking still holds the slot', async () => {
+      prisma.Booked_Room.findUnique.mockResolvedValue({ ...approvedBooking, User_ID: 9999 });
+      prisma.Booked_Room.delete.mockResolvedValue({});
+      prisma.booking_Waitlist.findMany.mockResolvedValue([waitingEntry]);
+      prisma.Schedule.findMany.mockResolvedValue([]);
+      prisma.Booked_Room.findFirst.mockResolvedValue({ Booked_Room_ID: 3, Status: 'APPROVED' });
+
+      const res = await request(app).delete('/bookings/2');
+
+      expect(res.status).toBe(200);
+      expect(prisma.booking_Waitlist.updateMany).not.toHaveBeenCalled();
+      expect(prisma.Booked_Room.create).not.toHaveBeenCalled();
+    });
+
+    it('should not let users leave someone else\'s waitlist entry', async () => {
+      prisma.booking_Waitlist.findUnique.mockResolvedValue({ ...waitingEntry, User_ID: 1 });
+
+      const res = await request(app).delete('/bookings/waitlist/11');
+
+      expect(res.status).toBe(403);
+      expect(prisma.booking_Waitlist.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Check-in and no-shows', () => {
+    const AuditLogger = require('../../src/utils/auditLogger');
+    const BookingCheckInService = require('../../src/services/bookingCheckInService');
+    const { releaseNoShowBookings } = require('../../src/jobs/notificationJobs');
+
+    const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+    const approvedBooking = (overrides = {}) => ({
+      Booked_Room_ID: 5,
+      User_ID: 9999,
+      Room_ID: 1,
+      Status: 'APPROVED',
+      Start_Time: minutesFromNow(-5),
+      End_Time: minutesFromNow(55),
+      Checked_In_At: null,
+      Room: { Room_ID: 1, Name: 'Lab A' },
+      User: { User_ID: 9999, First_Name: 'Test', Last_Name: 'Admin' },
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      prisma.Booked_Room.findUnique.mockReset();
+      prisma.Booked_Room.findMany.mockReset();
+      prisma.Booked_Room.update.mockReset();
+      prisma.Booked_Room.updateMany.mockReset();
+      prisma.booking_Waitlist.findMany.mockReset();
+    });
+
+    it('should check in the booker', async () => {
+      prisma.Booked_Room.findUnique.mockResolvedValue(approvedBooking());
+      prisma.Booked_Room.update.mockImplementation(({ data }) => Promise.resolve(approvedBooking(data)));
+
+      const res = await request(app).post('/bookings/5/check-in');
+
+      expect(res.status).toBe(200);
+      expect(prisma.Booked_Room.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Booked_Room_ID: 5 },
+        data: expect.objectContaining({ Outcome: 'CHECKED_IN', Checked_In_By: 9999 }),
+      }));
+      expect(AuditLogger.logBooking).toHaveBeenCalledWith(9999, 'BOOKING_CHECKED_IN', 5, expect.any(String), null, null, {
+        before: expect.objectContaining({ Checked_In_At: null }),
+        after: expect.objectContaining({ Outcome: 'CHECKED_IN' }),
+      });
+    });
+
+    it('should refuse check-in before the window opens', async () => {
+      prisma.Booked_Room.findUnique.mockResolvedValue(approvedBooking({
+        Start_Time: minutesFromNow(120),
+        End_Time: minutesFromNow(180),
+      }));
+
+      const res = await request(app).post('/bookings/5/check-in');
+
+      expect(res.status).toBe(400);
+      expect(prisma.Booked_Room.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second check-in', async () => {
+      prisma.Booked_Room.findUnique.mockResolvedValue(approvedBooking({ Checked_In_At: minutesFromNow(-1) }));
+
+      const res = await request(app).post('/bookings/5/check-in');
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should check in through the room QR code', async () => {
+      prisma.Booked_Room.findMany.mockResolvedValue([approvedBooking()]);
+      prisma.Booked_Room.update.mockImplementation(({ data }) => Promise.resolve(approvedBooking(data)));
+
+      const res = await request(app)
+        .post('/bookings/check-in')
+        .send({ code: BookingCheckInService.getRoomCode(1) });
+
+      expect(res.status).toBe(200);
+      expect(prisma.Booked_Room.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ Room_ID: 1, Status: 'APPROVED' }),
+      }));
+      expect(res.body.data.Outcome).toBe('CHECKED_IN');
+    });
+
+    it('should reject a forged room code', async () => {
+      const [roomId] = BookingCheckInService.getRoomCode(1).split('.');
+
+      const res = await request(app)
+        .post('/bookings/check-in')
+        .send({ code: `${roomId}.AAAAAAAAAAAAAAAA` });
+
+      expect(res.status).toBe(400);
+      expect(prisma.Booked_Room.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should release unchecked bookings past the grace period as no-shows', async () => {
+      const noShow = approvedBooking({ User_ID: 3, Start_Time: minutesFromNow(-30) });
+      prisma.Booked_Room.findMany.mockResolvedValue([noShow]);
+      prisma.Booked_Room.updateMany.mockResolvedValue({ count: 1 });
+      prisma.booking_Waitlist.findMany.mockResolvedValue([]);
+
+      const released = await releaseNoShowBookings();
+
+      expect(released).toHaveLength(1);
+      expect(prisma.Booked_Room.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ Status: 'APPROVED', Checked_In_At: null }),
+      }));
+      expect(prisma.Booked_Room.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Booked_Room_ID: 5, Status: 'APPROVED', Checked_In_At: null },
+        data: expect.objectContaining({ Status: 'CANCELLED', Outcome: 'NO_SHOW' }),
+      }));
+      expect(AuditLogger.logBooking).toHaveBeenCalledWith(null, 'BOOKING_NO_SHOW', 5, expect.any(String), null, 3);
+    });
+
+    it('should report no-show statistics, limited to the caller without bookings.no_shows', async () => {
+      prisma.Booked_Room.groupBy.mockResolvedValue([
+        { User_ID: 9999, Outcome: 'CHECKED_IN', _count: { _all: 3 } },
+        { User_ID: 9999, Outcome: 'NO_SHOW', _count: { _all: 1 } },
+      ]);
+      prisma.user.findMany.mockResolvedValue([{ User_ID: 9999, First_Name: 'Test', Last_Name: 'Admin' }]);
+
+      const res = await request(app).get('/bookings/no-show-stats?userId=3');
+
+      expect(res.status).toBe(200);
+      expect(prisma.Booked_Room.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ User_ID: 9999 }),
+      }));
+      expect(res.body.data).toEqual([
+        expect.objectContaining({ userId: 9999, checkedIn: 3, noShows: 1, noShowRate: 0.25 }),
+      ]);
+    });
+  });
+
+  describe('POST /bookings/series', () => {
+    it('should reject a recurrence rule naming the unsupported part', async () => {
+      prisma.Room.findUnique.mockResolvedValueOnce({
+        Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB', Status: 'AVAILABLE', Is_Bookable: true, Schedule: [],
+      });
+      prisma.user.findUnique.mockResolvedValueOnce({ User_Role: 'ADMIN', First_Name: 'Test', Last_Name: 'Admin' });
+
+      const res = await request(app)
+        .post('/bookings/series')
+        .send({
+          User_ID: 9999,
+          Room_ID: 1,
+          Title: 'Thesis defense practice',
+          Recurrence_Rule: 'FREQ=MONTHLY;BYDAY=TU;BYEASTER=1',
+          Anchor_Start: '2030-01-08T01:00:00.000Z',
+          Anchor_End: '2030-01-08T02:00:00.000Z',
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(JSON.stringify(res.body)).toContain('BYEASTER');
+      expect(prisma.Booking_Series.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /bookings/available/search', () => {
+    const AcademicCalendarService = require('../../src/services/academicCalendarService');
+
+    const labA = { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB', Lab_Type: 'WINDOWS', Capacity: 40 };
+    const labB = { Room_ID: 2, Name: 'Lab B', Room_Type: 'LAB', Lab_Type: 'WINDOWS', Capacity: 45 };
+    const labC = { Room_ID: 3, Name: 'Lab C', Room_Type: 'LAB', Lab_Type: 'MAC', Capacity: 60 };
+
+    beforeEach(() => {
+      AcademicCalendarService.clearCache();
+      prisma.academic_Calendar_Day.findMany.mockReset().mockResolvedValue([]);
+      prisma.Room.findMany.mockReset().mockResolvedValue([labA, labB, labC]);
+      prisma.item.findMany.mockReset().mockResolvedValue([
+        { Room_ID: 1, Item_Type: 'Projector' },
+        { Room_ID: 3, Item_Type: 'PROJECTOR' },
+      ]);
+      // Lab A: Monday class 08:00-10:00 Manila time
+      prisma.Schedule.findMany.mockReset().mockResolvedValue([{
+        Schedule_ID: 5,
+        Room_ID: 1,
+        Days: '1',
+        Start_Time: new Date('2030-08-05T00:00:00.000Z'),
+        End_Time: new Date('2030-08-05T02:00:00.000Z'),
+      }]);
+      // Lab A: approved booking 13:00-13:50; the override lookup finds nothing
+      prisma.Booked_Room.findMany.mockReset().mockImplementation(({ where }) => Promise.resolve(where.Series_ID ? [] : [
+        { Room_ID: 1, Start_Time: new Date('2030-09-09T05:00:00.000Z'), End_Time: new Date('2030-09-09T05:50:00.000Z') },
+      ]));
+      // Lab C: approved weekly series Mondays 07:30-09:00
+      prisma.Booking_Series.findMany.mockReset().mockResolvedValue([{
+        Series_ID: 8,
+        Room_ID: 3,
+        User_ID: 42,
+        Recurrence_Rule: 'FREQ=WEEKLY;BYDAY=MO',
+        Anchor_Start: new Date('2030-09-01T23:30:00.000Z'),
+        Anchor_End: new Date('2030-09-02T01:00:00.000Z'),
+        Excluded_Dates: [],
+        Status: 'APPROVED',
+      }]);
+    });
+
+    it('should rank free slots around schedules, bookings and series occurrences', async () => {
+      const res = await request(app)
+        .get('/bookings/available/search')
+        .query({
+          duration: 120,
+          from: '2030-09-08T16:00:00.000Z',
+          to: '2030-09-09T16:00:00.000Z',
+          earliestTime: '08:00',
+          latestTime: '17:00',
+          capacity: 40,
+          roomType: 'lab',
+          equipment: 'PROJECTOR',
+        });
+
+      expect(res.status).toBe(200);
+      expect(prisma.Room.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ Is_Bookable: true, Capacity: { gte: 40 }, Room_Type: 'LAB' }),
+      }));
+      // Lab B has no projector; slots start on the half hour after each busy block.
+      expect(res.body.data.slots.map(slot => [slot.rank, slot.roomName, slot.start, slot.freeUntil])).toEqual([
+        [1, 'Lab C', '2030-09-09T01:00:00.000Z', '2030-09-09T09:00:00.000Z'],
+        [2, 'Lab A', '2030-09-09T02:00:00.000Z', '2030-09-09T05:00:00.000Z'],
+        [3, 'Lab A', '2030-09-09T06:00:00.000Z', '2030-09-09T09:00:00.000Z'],
+      ]);
+      expect(res.body.data.slots[1]).toEqual(expect.objectContaining({
+        end: '2030-09-09T04:00:00.000Z',
+        capacitySurplus: 0,
+        equipment: { PROJECTOR: 1 },
+      }));
+    });
+
+    it('should free class schedule time on holidays and honour the weekday filter', async () => {
+      prisma.academic_Calendar_Day.findMany.mockResolvedValue([{ Date: new Date('2030-09-09T00:00:00.000Z') }]);
+      prisma.Room.findMany.mockResolvedValue([labA]);
+
+      const res = await request(app)
+        .get('/bookings/available/search')
+        .query({ duration: 60, from: '2030-09-08T16:00:00.000Z', to: '2030-09-10T16:00:00.000Z', days: '1', latestTime: '12:00' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.slots.map(slot => slot.start)).toEqual(['2030-09-08T23:00:00.000Z']);
+    });
+
+    it('should reject missing or invalid criteria', async () => {
+      const missing = await request(app).get('/bookings/available/search');
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toMatch(/duration/);
+
+      const tooLong = await request(app)
+        .get('/bookings/available/search')
+        .query({ duration: 60, from: '2030-09-01T00:00:00.000Z', to: '2030-12-01T00:00:00.000Z' });
+      expect(tooLong.status).toBe(400);
+
+      const badEquipment = await request(app)
+        .get('/bookings/available/search')
+        .query({ duration: 60, equipment: 'PROJECTOR:none' });
+      expect(badEquipment.status).toBe(400);
+      expect(prisma.Room.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ICS import', () => {
+    const BookingPolicyService = require('../../src/services/bookingPolicyService');
+
+    const labRoom = { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB', Status: 'AVAILABLE', Is_Bookable: true, Schedule: [] };
+    const calendar = (...events) => [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Test//EN',
+      ...events.flat(2),
+      'END:VCALENDAR',
+    ].join('\r\n');
+    const vevent = (lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+    // Mondays 09:00-10:00 Manila time from 2030-01-07: the second is skipped
+    // and the third moved an hour later.
+    const seriesEvents = [
+      vevent([
+        'UID:lab-session@example.edu',
+        'SUMMARY:CS 101 lab',
+        'LOCATION:Lab A',
+        'DTSTART;TZID=Asia/Manila:20300107T090000',
+        'DTEND;TZID=Asia/Manila:20300107T100000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4;WKST=SU',
+        'EXDATE;TZID=Asia/Manila:20300114T090000',
+      ]),
+      vevent([
+        'UID:lab-session@example.edu',
+        'RECURRENCE-ID;TZID=Asia/Manila:20300121T090000',
+        'SUMMARY:CS 101 lab (moved)',
+        'LOCATION:Lab A',
+        'DTSTART;TZID=Asia/Manila:20300121T100000',
+        'DTEND;TZID=Asia/Manila:20300121T110000',
+      ]),
+    ];
+    const oneOff = vevent([
+      'UID:consult@example.edu',
+      'SUMMARY:Thesis consultation',
+      'LOCATION:LAB-A',
+      'DTSTART:20300108T060000Z',
+      'DURATION:PT1H',
+    ]);
+
+    const upload = (path, ics, filename = 'sessions.ics') => request(app)
+      .post(path)
+      .attach('file', Buffer.from(ics), filename);
+
+    beforeEach(() => {
+      BookingPolicyService.clearCache();
+      prisma.booking_Policy.findMany.mockReset().mockResolvedValue([]);
+      prisma.Room.findMany.mockReset().mockResolvedValue([labRoom]);
+      prisma.Booking_Series.findFirst.mockReset().mockResolvedValue(null);
+      prisma.Booked_Room.findFirst.mockReset().mockResolvedValue(null);
+      prisma.Booked_Room.create.mockReset();
+    });
+
+    it('should preview series, one-off and unusable events without writing', async () => {
+      const ics = calendar(
+        seriesEvents,
+        oneOff,
+        vevent(['UID:elsewhere', 'SUMMARY:Faculty meeting', 'LOCATION:Main Hall', 'DTSTART:20300109T010000Z', 'DTEND:20300109T020000Z']),
+        vevent(['UID:holiday', 'SUMMARY:Holiday', 'LOCATION:Lab A', 'DTSTART;VALUE=DATE:20300110']),
+      );
+
+      const res = await upload('/bookings/series/import/preview', ics);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.summary).toEqual(expect.objectContaining({
+        totalEvents: 4, valid: 2, unknownRoom: 1, invalid: 1,
+      }));
+      const [series, booking] = res.body.data.rows;
+      expect(series).toEqual(expect.objectContaining({
+        kind: 'series',
+        status: 'valid',
+        roomId: 1,
+        recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=4;WKST=SU',
+        anchorStart: '2030-01-07T01:00:00.000Z',
+        excludedDates: ['2030-01-14'],
+        occurrenceCount: 3,
+        bookingStatus: 'PENDING',
+      }));
+      expect(series.overrides).toEqual([expect.objectContaining({
+        originalStart: '2030-01-21T01:00:00.000Z',
+        start: '2030-01-21T02:00:00.000Z',
+      })]);
+      expect(booking).toEqual(expect.objectContaining({
+        kind: 'booking', status: 'valid', endTime: '2030-01-08T07:00:00.000Z',
+      }));
+      expect(prisma.Booking_Series.create).not.toHaveBeenCalled();
+      expect(prisma.Booked_Room.create).not.toHaveBeenCalled();
+    });
+
+    it('should report conflicts with existing bookings like createBookingSeries does', async () => {
+      prisma.Booked_Room.findFirst.mockResolvedValue({
+        Booked_Room_ID: 77, Status: 'APPROVED', User: { First_Name: 'Other', Last_Name: 'User' },
+      });
+
+      const res = await upload('/bookings/series/import/preview', calendar(seriesEvents));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.rows[0]).toEqual(expect.objectContaining({ status: 'conflict', totalConflicts: 3 }));
+      expect(res.body.data.rows[0].conflicts[0].reason).toMatch(/approved booking by Other User/);
+    });
+
+    it('should start a series that is already under way at its next occurrence', async () => {
+      const start = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+      start.setUTCSeconds(0, 0);
+      const stamp = start.toISOString().replace(/[-:]/g, '').slice(0, 15);
+      const ics = calendar(vevent([
+        'UID:daily', 'SUMMARY:Daily check', 'LOCATION:Lab A',
+        `DTSTART:${stamp}Z`, 'DURATION:PT30M', 'RRULE:FREQ=DAILY;COUNT=5',
+      ]));
+
+      const res = await upload('/bookings/series/import/preview', ics);
+
+      const [row] = res.body.data.rows;
+      expect(row.status).toBe('valid');
+      expect(new Date(row.anchorStart).getTime()).toBeGreaterThan(Date.now());
+      expect(row.recurrenceRule).toMatch(/^FREQ=DAILY;UNTIL=\d{8}T\d{6}Z$/);
+      expect(row.occurrenceCount).toBe(2);
+    });
+
+    it('should create the series, its overrides and one-off bookings', async () => {
+      prisma.Booking_Series.create.mockResolvedValue({ Series_ID: 12 });
+      prisma.Booked_Room.create
+        .mockResolvedValueOnce({ Booked_Room_ID: 30 })
+        .mockResolvedValueOnce({ Booked_Room_ID: 31 });
+
+      const res = await upload('/bookings/series/import', calendar(seriesEvents, oneOff));
+
+      expect(res.status).toBe(201);
+      expect(prisma.Booking_Series.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          Room_ID: 1,
+          User_ID: 9999,
+          Title: 'CS 101 lab',
+          Recurrence_Rule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=4;WKST=SU',
+          Excluded_Dates: ['2030-01-14'],
+          Status: 'PENDING',
+        }),
+      });
+      expect(prisma.Booked_Room.create).toHaveBeenNthCalledWith(1, {
+        data: expect.objectContaining({
+          Series_ID: 12,
+          Original_Start: new Date('2030-01-21T01:00:00Z'),
+          Start_Time: new Date('2030-01-21T02:00:00Z'),
+        }),
+      });
+      expect(prisma.Booked_Room.create).toHaveBeenNthCalledWith(2, {
+        data: expect.objectContaining({ Purpose: 'Thesis consultation', Status: 'PENDING' }),
+      });
+      expect(res.body.data.rows.map(row => row.status)).toEqual(['imported', 'imported']);
+      expect(res.body.data.rows[0].seriesId).toBe(12);
+      expect(res.body.data.rows[1].bookingId).toBe(31);
+    });
+
+    it('should reject files that are not .ics', async () => {
+      const res = await upload('/bookings/series/import/preview', 'a,b,c', 'sessions.csv');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/\.ics/);
+    });
+  });
 });
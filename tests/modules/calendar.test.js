@@ -0,0 +1,287 @@
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+
+// Mock the auth middleware
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = {
+      User_ID: 9999,
+      Email: 'admin@test.com',
+      First_Name: 'Test',
+      Last_Name: 'Admin',
+      User_Role: 'ADMIN',
+      Is_Active: true,
+    };
+    next();
+  },
+  hashPassword: jest.fn(),
+  comparePassword: jest.fn(),
+  JWT_SECRET: 'test-secret',
+}));
+
+// Mock the audit logger
+jest.mock('../../src/utils/auditLogger', () => ({
+  log: jest.fn().mockResolvedValue({}),
+  logAuth: jest.fn().mockResolvedValue({}),
+  logBooking: jest.fn().mockResolvedValue({}),
+  logInventory: jest.fn().mockResolvedValue({}),
+}));
+
+// Mock notification services
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRole: jest.fn().mockResolvedValue(undefined),
+  createNotification: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { app } = require('../app');
+const AuditLogger = require('../../src/utils/auditLogger');
+const CalendarFeedService = require('../../src/services/calendarFeedService');
+
+const labRoom = { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB', Status: 'AVAILABLE' };
+const owner = { User_ID: 9999, First_Name: 'Test', Last_Name: 'Admin' };
+
+const feedRecord = (overrides = {}) => ({
+  Feed_ID: 4,
+  Feed_Type: 'ROOM',
+  Target_ID: 1,
+  User_ID: 9999,
+  Revoked_At: null,
+  User: { User_ID: 9999, Is_Active: true },
+  ...overrides,
+});
+
+// Mondays 09:00 (+08:00)
+const series = {
+  Series_ID: 3,
+  Room_ID: 1,
+  User_ID: 9999,
+  Title: 'Thesis consultations',
+  Purpose: 'Consultation',
+  Recurrence_Rule: 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20300128',
+  Anchor_Start: new Date('2030-01-07T01:00:00Z'),
+  Anchor_End: new Date('2030-01-07T02:00:00Z'),
+  Excluded_Dates: ['2030-01-14'],
+  Status: 'APPROVED',
+  Updated_At: new Date('2029-12-01T00:00:00Z'),
+  Room: labRoom,
+  User: owner,
+};
+
+const override = {
+  Booked_Room_ID: 21,
+  Room_ID: 1,
+  Series_ID: 3,
+  Original_Start: new Date('2030-01-21T01:00:00Z'),
+  Start_Time: new Date('2030-01-21T02:00:00Z'),
+  End_Time: new Date('2030-01-21T03:00:00Z'),
+  Status: 'APPROVED',
+  Purpose: null,
+  Room: labRoom,
+  User: owner,
+};
+
+const booking = {
+  Booked_Room_ID: 10,
+  Room_ID: 1,
+  Start_Time: new Date('2030-01-08T06:00:00Z'),
+  End_Time: new Date('2030-01-08T07:00:00Z'),
+  Status: 'PENDING',
+  Purpose: 'Defense rehearsal, group 2',
+  Series_ID: null,
+  Original_Start: null,
+  Room: labRoom,
+  User: owner,
+};
+
+// Tuesday 08:30-10:00 (+08:00), meets Mondays and Wednesdays
+const schedule = {
+  Schedule_ID: 7,
+  Room_ID: 1,
+  Schedule_Type: 'CLASS',
+  Title: 'CS 101',
+  Start_Time: new Date('2030-01-01T00:30:00Z'),
+  End_Time: new Date('2030-01-01T02:00:00Z'),
+  Days: '1,3',
+  IsActive: true,
+  IsRecurring: true,
+};
+
+describe('Calendar feeds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.calendar_Feed.findUnique.mockReset();
+    prisma.calendar_Feed.update.mockReset().mockResolvedValue({});
+    prisma.Booked_Room.findMany.mockReset();
+  });
+
+  describe('POST /calendar/feeds', () => {
+    it('should create a room feed and return its URL once', async () => {
+      prisma.Room.findUnique.mockResolvedValueOnce(labRoom);
+      prisma.calendar_Feed.create.mockImplementation(({ data }) => Promise.resolve({ Feed_ID: 4, ...data }));
+
+      const res = await request(app)
+        .post('/calendar/feeds')
+        .send({ type: 'ROOM', targetId: 1 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.url).toMatch(/\/calendar\/feeds\/cal_[A-Za-z0-9_-]+\.ics$/);
+      const token = res.body.data.url.match(/(cal_[^/]+)\.ics$/)[1];
+      const { data } = prisma.calendar_Feed.create.mock.calls[0][0];
+      expect(data.Token_Hash).toBe(CalendarFeedService.hashToken(token));
+      expect(data).toEqual(expect.objectContaining({ Feed_Type: 'ROOM', Target_ID: 1, User_ID: 9999 }));
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'CALENDAR_FEED_CREATED' }));
+    });
+
+    it('should not let a user subscribe to someone else\'s bookings without booking-staff permission', async () => {
+      const res = await request(app)
+        .post('/calendar/feeds')
+        .send({ type: 'USER', targetId: 42 });
+
+      expect(res.status).toBe(403);
+      expect(prisma.calendar_Feed.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown feed type', async () => {
+      const res = await request(app)
+        .post('/calendar/feeds')
+        .send({ type: 'BUILDING', targetId: 1 });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /calendar/feeds/:token', () => {
+    it('should render bookings, series with EXDATE/RECURRENCE-ID overrides and class schedules', async () => {
+      prisma.calendar_Feed.findUnique.mockResolvedValueOnce(feedRecord());
+      prisma.Room.findUnique.mockResolvedValueOnce(labRoom);
+      prisma.Schedule.findMany.mockResolvedValueOnce([schedule]);
+      prisma.Booking_Series.findMany.mockResolvedValueOnce([series]);
+      prisma.Booked_Room.findMany
+        .mockResolvedValueOnce([override])
+        .mockResolvedValueOnce([booking, override]);
+
+      const res = await request(app).get('/calendar/feeds/cal_test-token.ics');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(prisma.calendar_Feed.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Token_Hash: CalendarFeedService.hashToken('cal_test-token') },
+      }));
+
+      const ics = res.text;
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:Lab A bookings');
+      // Standalone booking
+      expect(ics).toContain('UID:booking-10@bits');
+      expect(ics).toContain('SUMMARY:Defense rehearsal\\, group 2');
+      expect(ics).toContain('STATUS:TENTATIVE');
+      // Series master with a UTC UNTIL and the excluded Monday
+      expect(ics).toContain('DTSTART;TZID=Asia/Manila:20300107T090000');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20300128T155959Z');
+      expect(ics).toContain('EXDATE;TZID=Asia/Manila:20300114T090000');
+      // Override is an instance of the series, not a separate booking
+      expect(ics).toContain('RECURRENCE-ID;TZID=Asia/Manila:20300121T090000');
+      expect(ics).toContain('DTSTART;TZID=Asia/Manila:20300121T100000');
+      expect(ics).not.toContain('UID:booking-21@bits');
+      expect(ics.match(/UID:series-3@bits/g)).toHaveLength(2);
+      // Weekly class schedule starts on its first meeting day
+      expect(ics).toContain('UID:schedule-7@bits');
+      expect(ics).toContain('DTSTART;TZID=Asia/Manila:20300102T083000');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE');
+      expect(prisma.calendar_Feed.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Feed_ID: 4 },
+        data: { Last_Accessed_At: expect.any(Date) },
+      }));
+    });
+
+    it('should start a series master on its first occurrence when the anchor is off the rule', async () => {
+      prisma.calendar_Feed.findUnique.mockResolvedValueOnce(feedRecord());
+      prisma.Room.findUnique.mockResolvedValueOnce(labRoom);
+      prisma.Schedule.findMany.mockResolvedValueOnce([]);
+      // Anchored on Monday 2030-01-07 but meets Tuesdays and Thursdays
+      prisma.Booking_Series.findMany.mockResolvedValueOnce([{
+        ...series,
+        Recurrence_Rule: 'FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4',
+        Excluded_Dates: [],
+      }]);
+      prisma.Booked_Room.findMany
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      const res = await request(app).get('/calendar/feeds/cal_test-token.ics');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('DTSTART;TZID=Asia/Manila:20300108T090000');
+      expect(res.text).toContain('DTEND;TZID=Asia/Manila:20300108T100000');
+      expect(res.text).not.toContain('20300107T090000');
+      expect(res.text).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4');
+    });
+
+    it('should include class schedules of the rooms in a user feed', async () => {
+      prisma.calendar_Feed.findUnique.mockResolvedValueOnce(feedRecord({ Feed_Type: 'USER', Target_ID: 9999 }));
+      prisma.user.findUnique.mockResolvedValueOnce(owner);
+      prisma.Booking_Series.findMany.mockResolvedValueOnce([]);
+      prisma.Booked_Room.findMany.mockResolvedValueOnce([{ ...booking, Room_ID: 2 }]);
+      prisma.Schedule.findMany.mockResolvedValueOnce([{ ...schedule, Room_ID: 2, Room: { Room_ID: 2, Name: 'Lab B' } }]);
+
+      const res = await request(app).get('/calendar/feeds/cal_test-token.ics');
+
+      expect(res.status).toBe(200);
+      expect(prisma.Schedule.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Room_ID: { in: [2] }, IsActive: true },
+      }));
+      expect(res.text).toContain('UID:booking-10@bits');
+      expect(res.text).toContain('UID:schedule-7@bits');
+      expect(res.text).toContain('LOCATION:Lab B');
+    });
+
+    it('should return 404 for a revoked feed', async () => {
+      prisma.calendar_Feed.findUnique.mockResolvedValueOnce(feedRecord({ Revoked_At: new Date() }));
+
+      const res = await request(app).get('/calendar/feeds/cal_test-token.ics');
+
+      expect(res.status).toBe(404);
+      expect(prisma.Room.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the feed owner is deactivated', async () => {
+      prisma.calendar_Feed.findUnique.mockResolvedValueOnce(feedRecord({ User: { User_ID: 9999, Is_Active: false } }));
+
+      const res = await request(app).get('/calendar/feeds/cal_test-token.ics');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /calendar/feeds/:id', () => {
+    it('should revoke the caller\'s own feed', async () => {
+      prisma.calendar_Feed.findUnique.mockResolvedValueOnce(feedRecord());
+      prisma.calendar_Feed.update.mockResolvedValueOnce(feedRecord({ Revoked_At: new Date() }));
+
+      const res = await request(app).delete('/calendar/feeds/4');
+
+      expect(res.status).toBe(200);
+      expect(prisma.calendar_Feed.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Feed_ID: 4 },
+        data: { Revoked_At: expect.any(Date) },
+      }));
+    });
+
+    it('should not reveal another user\'s feed', async () => {
+      prisma.calendar_Feed.findUnique.mockResolvedValueOnce(feedRecord({ User_ID: 42 }));
+
+      const res = await request(app).delete('/calendar/feeds/4');
+
+      expect(res.status).toBe(404);
+      expect(prisma.calendar_Feed.update).not.toHaveBeenCalled();
+    });
+  });
+});
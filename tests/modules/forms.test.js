@@ -140,7 +140,9 @@ describe('Form Routes', () => {
         9999,
         'FORM_SUBMITTED',
         `Submitted form WRF-${year}-001 to REQUESTOR`,
-        ['LAB_TECH', 'LAB_HEAD']
+        ['LAB_TECH', 'LAB_HEAD'],
+        null,
+        expect.objectContaining({ entityType: 'FORM', after: expect.objectContaining({ Form_Code: `WRF-${year}-001` }) })
       );
     });
 
@@ -480,7 +482,8 @@ describe('Form Routes', () => {
         'FORM_CANCELLED',
         `Form WRF-${year}-001 cancelled`,
         ['LAB_TECH', 'LAB_HEAD'],
-        9999
+        9999,
+        expect.objectContaining({ entityType: 'FORM', before: expect.any(Object), after: expect.any(Object) })
       );
     });
   });
@@ -578,7 +581,8 @@ describe('Form Routes', () => {
         'FORM_ATTACHMENT_ADDED',
         `Added 1 attachment(s) to form WRF-${year}-001`,
         ['LAB_TECH', 'LAB_HEAD'],
-        9999
+        9999,
+        expect.objectContaining({ entityType: 'FORM', before: expect.any(Object), after: expect.any(Object) })
       );
     });
   });
@@ -19,6 +19,30 @@ jest.mock('../../src/services/notificationManager', () => ({
   clients: new Map(),
 }));
 
+// The generated client lists every model; backups here cover three of them
+jest.mock('@prisma/client', () => {
+  const actual = jest.requireActual('@prisma/client');
+  return {
+    ...actual,
+    Prisma: {
+      ...actual.Prisma,
+      ModelName: { User: 'User', Room: 'Room', Ticket: 'Ticket' },
+      TransactionIsolationLevel: { RepeatableRead: 'RepeatableRead' },
+    },
+  };
+});
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// Archives written by these tests go to a scratch directory
+const archiveDir = require('fs').mkdtempSync(path.join(os.tmpdir(), 'bits-archives-'));
+process.env.ARCHIVE_DIR = archiveDir;
+const backupDir = require('fs').mkdtempSync(path.join(os.tmpdir(), 'bits-backups-'));
+process.env.BACKUP_DIR = backupDir;
+
 const { app } = require('../app');
 
 const mockCountDelegates = () => {
@@ -54,7 +78,13 @@ const mockCleanupMutations = () => {
     prisma.Schedule,
     prisma.ComputerHeartbeat,
     prisma.Weekly_Report,
-  ].forEach(delegate => delegate?.deleteMany?.mockResolvedValue({ count: 0 }));
+  ].forEach(delegate => {
+    delegate?.deleteMany?.mockResolvedValue({ count: 0 });
+    delegate?.findMany?.mockResolvedValue([]);
+  });
+
+  prisma.Audit_Log.updateMany.mockResolvedValue({ count: 0 });
+  prisma.Booked_Room.updateMany.mockResolvedValue({ count: 0 });
 
   prisma.Room.updateMany.mockResolvedValue({ count: 2 });
   prisma.Computer.updateMany.mockResolvedValue({ count: 3 });
@@ -136,4 +166,525 @@ describe('Maintenance Routes', () => {
       data: expect.objectContaining({ Action: 'DATABASE_CLEANUP' }),
     }));
   });
+
+  it('previews a cleanup limited to some tables and an age', async () => {
+    prisma.ticket.count.mockResolvedValue(2);
+    prisma.Audit_Log.count.mockResolvedValue(5);
+
+    const res = await request(app)
+      .get('/maintenance/cleanup-preview')
+      .query({ tables: 'tickets,notifications', olderThanDays: 90 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.scope).toMatchObject({ full: false, tables: ['notifications', 'tickets'], olderThanDays: 90 });
+    expect(res.body.data.willDelete).toEqual({ notificationReads: 0, notifications: 5, tickets: 2 });
+    expect(res.body.data.willReset).toEqual({});
+    expect(prisma.Audit_Log.count).toHaveBeenCalledWith({
+      where: { AND: [{ Is_Notification: true }, { Timestamp: { lt: expect.any(Date) } }] },
+    });
+  });
+
+  it('rejects unknown tables and tables without a room for room scopes', async () => {
+    prisma.Room.count.mockResolvedValue(1);
+
+    const unknown = await request(app).get('/maintenance/cleanup-preview').query({ tables: 'users' });
+    const roomless = await request(app).get('/maintenance/cleanup-preview').query({ roomId: 3, tables: 'forms,bookings' });
+    prisma.Room.count.mockResolvedValue(0);
+    const missingRoom = await request(app).get('/maintenance/cleanup-preview').query({ roomId: 99 });
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.details.unknown).toEqual(['users']);
+    expect(roomless.status).toBe(400);
+    expect(roomless.body.details.tables).toEqual(['forms']);
+    expect(missingRoom.status).toBe(404);
+  });
+
+  it('downloads a per-record dry-run report as CSV', async () => {
+    prisma.Room.count.mockResolvedValue(1);
+    prisma.Booked_Room.findMany.mockResolvedValue([
+      { Booked_Room_ID: 7, Start_Time: '2026-01-05T08:00:00.000Z', Purpose: 'Thesis defense' },
+    ]);
+
+    const res = await request(app)
+      .get('/maintenance/cleanup-report')
+      .query({ roomId: 3, tables: 'bookings', format: 'csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="cleanup-dry-run-/);
+    expect(res.text.split('\r\n')).toEqual([
+      'Table,ID,Date,Label',
+      'bookings,7,2026-01-05T08:00:00.000Z,Thesis defense',
+    ]);
+    expect(prisma.Booked_Room.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { Room_ID: 3 },
+    }));
+    expect(prisma.Booked_Room.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('archives the scoped rows before deleting only them', async () => {
+    const tickets = [{ Ticket_ID: 4, Report_Problem: 'Broken mouse', Created_At: '2025-01-01T00:00:00.000Z' }];
+    prisma.ticket.findMany.mockResolvedValue(tickets);
+    prisma.ticket.deleteMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app)
+      .post('/maintenance/cleanup')
+      .send({ confirmation: 'RESET OPERATIONAL DATA', tables: ['tickets'], olderThanDays: 30 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.archiveName).toMatch(/^BITS-Archive-Cleanup-\d{8}T\d{6}Z\.json\.gz$/);
+    expect(res.body.data.result).toEqual({ deleted: { tickets: 1 }, reset: {} });
+
+    const archive = JSON.parse(zlib.gunzipSync(await fs.readFile(path.join(archiveDir, res.body.data.archiveName))).toString('utf8'));
+    expect(archive.manifest).toMatchObject({ archiveType: 'operational-cleanup', scope: { tables: ['tickets'], olderThanDays: 30 } });
+    expect(archive.data).toEqual({ tickets });
+
+    const ticketWhere = { Created_At: { lt: expect.any(Date) } };
+    expect(prisma.Audit_Log.updateMany).toHaveBeenCalledWith({
+      where: { Ticket: { is: ticketWhere } },
+      data: { Ticket_ID: null },
+    });
+    expect(prisma.ticket.deleteMany).toHaveBeenCalledWith({ where: ticketWhere });
+    expect(prisma.Form.deleteMany).not.toHaveBeenCalled();
+    expect(prisma.Room.updateMany).not.toHaveBeenCalled();
+    expect(prisma.Audit_Log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        Action: 'DATABASE_CLEANUP',
+        Notification_Data: expect.objectContaining({ archiveName: res.body.data.archiveName }),
+      }),
+    });
+  });
+
+  it('does not delete anything when the archive cannot be written', async () => {
+    const writeFile = jest.spyOn(fs, 'writeFile').mockRejectedValueOnce(new Error('disk full'));
+
+    const res = await request(app)
+      .post('/maintenance/cleanup')
+      .send({ confirmation: 'RESET OPERATIONAL DATA' });
+    writeFile.mockRestore();
+
+    expect(res.status).toBe(500);
+    expect(prisma.Form.deleteMany).not.toHaveBeenCalled();
+    expect(prisma.Audit_Log.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('Archive restore', () => {
+  const archiveName = 'BITS-Archive-SY-2024-2025.json.gz';
+
+  const archiveFile = (data, manifest = {}) => zlib.gzipSync(Buffer.from(JSON.stringify({
+    manifest: {
+      application: 'BITS',
+      archiveType: 'school-year-operational-data',
+      schemaVersion: 1,
+      schoolYear: '2024-2025',
+      ...manifest,
+    },
+    data,
+  })));
+
+  const archiveData = {
+    forms: [
+      { Form_ID: 10, Form_Code: 'RIS-0010', Form_Type: 'RIS', Creator_ID: 1, Approver_ID: 77, Created_At: '2024-08-01T00:00:00.000Z' },
+      { Form_ID: 11, Form_Code: 'RIS-0011', Form_Type: 'RIS', Creator_ID: 1, Approver_ID: null, Created_At: '2024-08-02T00:00:00.000Z' },
+    ],
+    formAttachments: [
+      { Attachment_ID: 100, Form_ID: 10, Department: 'REQUESTOR', File_Name: 'a.pdf', File_URL: '/a.pdf' },
+      { Attachment_ID: 101, Form_ID: 11, Department: 'REQUESTOR', File_Name: 'b.pdf', File_URL: '/b.pdf' },
+    ],
+    tickets: [
+      { Ticket_ID: 20, Report_Problem: 'Projector', Reported_By_ID: 1, Room_ID: 5 },
+      { Ticket_ID: 21, Report_Problem: 'Mouse', Reported_By_ID: 404, Room_ID: null },
+    ],
+    notificationReads: [],
+  };
+
+  let readFile;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUser = {
+      User_ID: 1,
+      Email: 'admin@test.com',
+      First_Name: 'System',
+      Last_Name: 'Admin',
+      User_Role: 'ADMIN',
+      Is_Active: true,
+    };
+    readFile = jest.spyOn(fs, 'readFile').mockResolvedValue(archiveFile(archiveData));
+    prisma.audit_Log.findMany.mockResolvedValue([]);
+    prisma.audit_Log.create.mockResolvedValue({ Log_ID: 1 });
+    prisma.user.findMany.mockResolvedValue([{ User_ID: 1 }]);
+    prisma.room.findMany.mockResolvedValue([{ Room_ID: 5 }]);
+    // Form_Code lookup: RIS-0011 is already taken; Form_ID lookup: none exist
+    prisma.form.findMany.mockImplementation(({ where }) => Promise.resolve(
+      where.Form_Code ? [{ Form_Code: 'RIS-0011' }] : []
+    ));
+    let nextId = 500;
+    prisma.form.create.mockImplementation(() => Promise.resolve({ Form_ID: nextId++ }));
+    prisma.formAttachment.create.mockImplementation(() => Promise.resolve({ Attachment_ID: nextId++ }));
+    prisma.ticket.create.mockImplementation(() => Promise.resolve({ Ticket_ID: nextId++ }));
+  });
+
+  afterEach(() => {
+    readFile.mockRestore();
+  });
+
+  it('inspects an archive with per-table counts', async () => {
+    const res = await request(app).get(`/maintenance/archives/${archiveName}/inspect`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.schemaVersion).toBe(1);
+    expect(res.body.data.manifest.schoolYear).toBe('2024-2025');
+    expect(res.body.data.tables.forms).toEqual({ rows: 2, restorable: true, requires: [] });
+    expect(res.body.data.tables.formAttachments).toEqual({ rows: 2, restorable: true, requires: ['forms'] });
+  });
+
+  it('treats archives without a schema version as version 1', async () => {
+    readFile.mockResolvedValue(archiveFile({ forms: [] }, { schemaVersion: undefined }));
+
+    const res = await request(app).get(`/maintenance/archives/${archiveName}/inspect`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.schemaVersion).toBe(1);
+  });
+
+  it('rejects unsupported schema versions', async () => {
+    readFile.mockResolvedValue(archiveFile({ forms: [] }, { schemaVersion: 99 }));
+
+    const res = await request(app).get(`/maintenance/archives/${archiveName}/inspect`);
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toEqual({ schemaVersion: 99, supported: [1] });
+  });
+
+  it('rejects files that are not archives', async () => {
+    readFile.mockResolvedValue(Buffer.from('not gzip'));
+
+    const res = await request(app).get(`/maintenance/archives/${archiveName}/inspect`);
+
+    expect(res.status).toBe(422);
+  });
+
+  it('rejects a restore without the confirmation text', async () => {
+    const res = await request(app)
+      .post(`/maintenance/archives/${archiveName}/restore`)
+      .send({ confirmation: 'restore', tables: ['forms'] });
+
+    expect(res.status).toBe(400);
+    expect(prisma.form.create).not.toHaveBeenCalled();
+  });
+
+  it('requires parent tables in the selection', async () => {
+    const res = await request(app)
+      .post(`/maintenance/archives/${archiveName}/restore`)
+      .send({ confirmation: 'RESTORE ARCHIVE', tables: ['formAttachments'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual({ missing: { formAttachments: ['forms'] } });
+  });
+
+  it('restores selected tables with new IDs and reports conflicts', async () => {
+    const res = await request(app)
+      .post(`/maintenance/archives/${archiveName}/restore`)
+      .send({ confirmation: 'RESTORE ARCHIVE', tables: ['tickets', 'formAttachments', 'forms'] });
+
+    expect(res.status).toBe(200);
+    // Form 10 restored without its deleted approver; form 11's code is taken
+    expect(prisma.form.create).toHaveBeenCalledTimes(1);
+    expect(prisma.form.create).toHaveBeenCalledWith({
+      data: { Form_Code: 'RIS-0010', Form_Type: 'RIS', Creator_ID: 1, Created_At: '2024-08-01T00:00:00.000Z' },
+      select: { Form_ID: true },
+    });
+    // Attachment follows its form to the new ID; the orphan of form 11 is skipped
+    expect(prisma.formAttachment.create).toHaveBeenCalledTimes(1);
+    expect(prisma.formAttachment.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ Form_ID: 500, File_Name: 'a.pdf' }),
+    }));
+    expect(prisma.ticket.create).toHaveBeenCalledTimes(1);
+
+    expect(res.body.data.tables.forms).toEqual({ archived: 2, restored: 1, skipped: 1, clearedReferences: 1 });
+    expect(res.body.data.tables.tickets).toEqual({ archived: 2, restored: 1, skipped: 1, clearedReferences: 0 });
+    expect(res.body.data.conflicts).toEqual([
+      { table: 'forms', id: 11, reason: 'Form_Code:RIS-0011 already exists' },
+      { table: 'formAttachments', id: 101, reason: 'Form_ID 11 not found' },
+      { table: 'tickets', id: 21, reason: 'Reported_By_ID 404 not found' },
+    ]);
+    expect(prisma.audit_Log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        Action: 'ARCHIVE_RESTORED',
+        Notification_Data: expect.objectContaining({
+          archiveName,
+          target: 'live',
+          tables: ['forms', 'formAttachments', 'tickets'],
+        }),
+      }),
+    });
+  });
+
+  it('refuses to restore the same tables twice', async () => {
+    prisma.audit_Log.findMany.mockResolvedValue([{
+      Log_ID: 9,
+      User_ID: 1,
+      Timestamp: '2026-10-01T00:00:00.000Z',
+      Notification_Data: { archiveName, target: 'live', tables: ['forms', 'formAttachments'] },
+    }]);
+
+    const res = await request(app)
+      .post(`/maintenance/archives/${archiveName}/restore`)
+      .send({ confirmation: 'RESTORE ARCHIVE', tables: ['forms'] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details.previousRestore).toMatchObject({ logId: 9, tables: ['forms'] });
+    expect(prisma.form.create).not.toHaveBeenCalled();
+  });
+
+  it('needs a configured database for read-only restores', async () => {
+    delete process.env.ARCHIVE_READONLY_DATABASE_URL;
+
+    const res = await request(app)
+      .post(`/maintenance/archives/${archiveName}/restore`)
+      .send({ confirmation: 'RESTORE ARCHIVE', tables: ['forms'], target: 'readonly' });
+
+    expect(res.status).toBe(503);
+  });
+});
+
+describe('Archive records', () => {
+  const archiveName = 'BITS-Archive-SY-2023-2024.json.gz';
+  const archivePath = path.join(archiveDir, archiveName);
+
+  const forms = Array.from({ length: 5 }, (_, i) => ({
+    Form_ID: i + 1,
+    Form_Code: i === 3 ? 'RIS-2023-0042' : `PR-2023-000${i}`,
+    Form_Type: i === 3 ? 'RIS' : 'PR',
+    Creator_ID: i % 2 === 0 ? 7 : 8,
+    Approver_ID: null,
+    Created_At: `2023-0${8 + (i % 2)}-1${i}T00:00:00.000Z`,
+  }));
+
+  const writeArchive = async (data) => {
+    const payload = {
+      manifest: {
+        application: 'BITS',
+        archiveType: 'school-year-operational-data',
+        schemaVersion: 1,
+        schoolYear: '2023-2024',
+      },
+      data,
+    };
+    await fs.writeFile(archivePath, zlib.gzipSync(Buffer.from(JSON.stringify(payload, null, 2))));
+  };
+
+  beforeAll(async () => {
+    await writeArchive({ forms, tickets: [{ Ticket_ID: 1, Reported_By_ID: 7, Created_At: '2023-09-01T00:00:00.000Z' }] });
+  });
+
+  beforeEach(() => {
+    mockUser = {
+      User_ID: 1,
+      Email: 'admin@test.com',
+      First_Name: 'System',
+      Last_Name: 'Admin',
+      User_Role: 'ADMIN',
+      Is_Active: true,
+    };
+  });
+
+  afterAll(async () => {
+    await fs.rm(archiveDir, { recursive: true, force: true });
+  });
+
+  it('finds a form by code without restoring', async () => {
+    const res = await request(app)
+      .get(`/maintenance/archives/${archiveName}/records`)
+      .query({ type: 'forms', formCode: 'ris-2023' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([forms[3]]);
+    expect(res.body.meta).toMatchObject({ schoolYear: '2023-2024', type: 'forms', total: 1, page: 1 });
+  });
+
+  it('filters by user and date range and paginates', async () => {
+    const res = await request(app)
+      .get(`/maintenance/archives/${archiveName}/records`)
+      .query({ type: 'forms', userId: 7, from: '2023-08-01', to: '2023-08-31T23:59:59Z', limit: 1, page: 2 });
+
+    expect(res.status).toBe(200);
+    // Forms 1, 3 and 5 belong to user 7 and were created in August
+    expect(res.body.meta).toMatchObject({ total: 3, page: 2, limit: 1, totalPages: 3 });
+    expect(res.body.data).toEqual([forms[2]]);
+  });
+
+  it('caches the index on disk and rebuilds it when the archive changes', async () => {
+    await request(app).get(`/maintenance/archives/${archiveName}/records`).query({ type: 'tickets' });
+    const indexPath = path.join(archiveDir, '.index', `${archiveName}.tickets.json`);
+    expect(JSON.parse(await fs.readFile(indexPath, 'utf8')).entries).toHaveLength(1);
+
+    await writeArchive({ forms, tickets: [] });
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(archivePath, later, later);
+
+    const res = await request(app).get(`/maintenance/archives/${archiveName}/records`).query({ type: 'tickets' });
+    expect(res.body.meta.total).toBe(0);
+    expect(JSON.parse(await fs.readFile(indexPath, 'utf8')).entries).toHaveLength(0);
+  });
+
+  it('rejects unknown entity types and misplaced filters', async () => {
+    const unknown = await request(app).get(`/maintenance/archives/${archiveName}/records`).query({ type: 'users' });
+    const misplaced = await request(app)
+      .get(`/maintenance/archives/${archiveName}/records`)
+      .query({ type: 'tickets', formCode: 'RIS' });
+
+    expect(unknown.status).toBe(400);
+    expect(misplaced.status).toBe(400);
+  });
+
+  it('returns 404 for a missing archive', async () => {
+    const res = await request(app)
+      .get('/maintenance/archives/BITS-Archive-SY-1999-2000.json.gz/records')
+      .query({ type: 'forms' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Backups', () => {
+  const users = [{ User_ID: 1, Username: 'admin' }, { User_ID: 2, Username: 'tech' }];
+  const rooms = [{ Room_ID: 5, Name: 'Lab 1' }];
+
+  const backupFiles = async () => (await fs.readdir(backupDir)).filter(name => name.endsWith('.json.gz')).sort();
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockUser = {
+      User_ID: 1,
+      Email: 'admin@test.com',
+      First_Name: 'System',
+      Last_Name: 'Admin',
+      User_Role: 'ADMIN',
+      Is_Active: true,
+    };
+    await fs.rm(backupDir, { recursive: true, force: true });
+    await fs.mkdir(backupDir, { recursive: true });
+    prisma.user.findMany.mockResolvedValue(users);
+    prisma.room.findMany.mockResolvedValue(rooms);
+    prisma.ticket.findMany.mockResolvedValue([]);
+    prisma.audit_Log.create.mockResolvedValue({ Log_ID: 1 });
+  });
+
+  afterEach(() => {
+    delete process.env.BACKUP_KEEP_DAILY;
+    delete process.env.BACKUP_KEEP_WEEKLY;
+    delete process.env.BACKUP_KEEP_MONTHLY;
+  });
+
+  afterAll(async () => {
+    await fs.rm(backupDir, { recursive: true, force: true });
+  });
+
+  it('writes a verified snapshot of every model in the archive format', async () => {
+    const res = await request(app).post('/maintenance/backups');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ verified: true, rows: 3, counts: { User: 2, Room: 1, Ticket: 0 }, pruned: [] });
+    expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ isolationLevel: 'RepeatableRead' }));
+
+    const filePath = path.join(backupDir, res.body.data.fileName);
+    const payload = JSON.parse(zlib.gunzipSync(await fs.readFile(filePath)).toString('utf8'));
+    expect(payload.manifest).toMatchObject({ application: 'BITS', archiveType: 'full-backup', schemaVersion: 1, createdBy: 1 });
+    expect(payload.data).toEqual({ User: users, Room: rooms, Ticket: [] });
+
+    const checksum = (await fs.readFile(`${filePath}.sha256`, 'utf8')).split(/\s+/)[0];
+    expect(checksum).toBe(res.body.data.sha256);
+    expect(prisma.audit_Log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        User_ID: 1,
+        Action: 'DATABASE_BACKUP',
+        Notification_Data: expect.objectContaining({ fileName: res.body.data.fileName, verified: true }),
+      }),
+    });
+  });
+
+  it('detects a backup that no longer matches its checksum', async () => {
+    const { body } = await request(app).post('/maintenance/backups');
+    const filePath = path.join(backupDir, body.data.fileName);
+    await fs.writeFile(filePath, zlib.gzipSync(Buffer.from('{"manifest":{},"data":{}}')));
+
+    const res = await request(app).post(`/maintenance/backups/${body.data.fileName}/verify`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ verified: false, expected: body.data.sha256, error: 'Checksum mismatch' });
+  });
+
+  it('prunes backups outside the daily, weekly and monthly keep counts', async () => {
+    process.env.BACKUP_KEEP_DAILY = '2';
+    process.env.BACKUP_KEEP_WEEKLY = '1';
+    process.env.BACKUP_KEEP_MONTHLY = '2';
+    const old = [
+      'BITS-Backup-20260105T020000Z.json.gz',
+      'BITS-Backup-20260201T020000Z.json.gz',
+      'BITS-Backup-20260220T020000Z.json.gz',
+      'BITS-Backup-20260221T020000Z.json.gz',
+    ];
+    for (const name of old) {
+      await fs.writeFile(path.join(backupDir, name), zlib.gzipSync(Buffer.from('{}')));
+      await fs.writeFile(path.join(backupDir, `${name}.sha256`), `x  ${name}\n`);
+    }
+
+    const { runBackup } = require('../../src/modules/maintenance/backup.service');
+    const result = await runBackup(null, new Date('2026-03-02T02:00:00Z'));
+
+    // Daily: Mar 2 and Feb 21; weekly: Mar 2; monthly: Mar 2 and Feb 21
+    expect(result.pruned.sort()).toEqual(old.slice(0, 3));
+    expect(await backupFiles()).toEqual([old[3], result.fileName]);
+    expect((await fs.readdir(backupDir)).filter(name => name.endsWith('.sha256'))).toHaveLength(2);
+  });
+
+  it('records a failed backup and keeps existing ones', async () => {
+    const existing = 'BITS-Backup-20260101T020000Z.json.gz';
+    await fs.writeFile(path.join(backupDir, existing), zlib.gzipSync(Buffer.from('{}')));
+    process.env.BACKUP_KEEP_DAILY = '0';
+    process.env.BACKUP_KEEP_WEEKLY = '0';
+    process.env.BACKUP_KEEP_MONTHLY = '0';
+    prisma.room.findMany.mockRejectedValue(new Error('connection lost'));
+
+    const { runScheduledBackup } = require('../../src/jobs/backupJob');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const result = await runScheduledBackup();
+    console.error.mockRestore();
+
+    expect(result).toBeNull();
+    expect(await backupFiles()).toEqual([existing]);
+    expect(prisma.audit_Log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ User_ID: null, Action: 'DATABASE_BACKUP_FAILED' }),
+    });
+  });
+
+  it('lists backups and shows backup runs in the maintenance history', async () => {
+    const { body } = await request(app).post('/maintenance/backups');
+    prisma.Audit_Log.findMany.mockResolvedValue([{
+      Log_ID: 3,
+      Action: 'DATABASE_BACKUP',
+      Details: 'Backup written',
+      Timestamp: new Date(),
+      Notification_Data: { fileName: body.data.fileName, verified: true },
+      User: null,
+    }]);
+
+    const list = await request(app).get('/maintenance/backups');
+    const history = await request(app).get('/maintenance/history');
+
+    expect(list.body.data).toEqual([expect.objectContaining({ fileName: body.data.fileName, sha256: body.data.sha256 })]);
+    expect(list.body.meta.retention).toEqual({ daily: 7, weekly: 4, monthly: 6 });
+    expect(prisma.Audit_Log.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { Action: { in: expect.arrayContaining(['DATABASE_BACKUP', 'DATABASE_BACKUP_FAILED']) } },
+    }));
+    expect(history.body.data[0].backup).toEqual({ status: 'SUCCESS', fileName: body.data.fileName, verified: true });
+  });
+
+  it('rejects file names that are not backups', async () => {
+    const res = await request(app).get('/maintenance/backups/..%2F.env');
+
+    expect(res.status).toBe(400);
+  });
 });
@@ -0,0 +1,337 @@
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+
+// Mock the auth middleware
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = {
+      User_ID: 9999,
+      Email: 'admin@test.com',
+      First_Name: 'Test',
+      Last_Name: 'Admin',
+      User_Role: 'ADMIN',
+      Is_Active: true,
+    };
+    next();
+  },
+  hashPassword: jest.fn(),
+  comparePassword: jest.fn(),
+  JWT_SECRET: 'test-secret',
+}));
+
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({
+  createTransport: jest.fn(() => ({ sendMail: mockSendMail })),
+}));
+
+const { app } = require('../app');
+const EmailNotificationService = require('../../src/services/emailNotificationService');
+const NotificationService = require('../../src/services/notificationService');
+const NotificationMuteService = require('../../src/services/notificationMuteService');
+const NotificationManager = require('../../src/services/notificationManager');
+
+const recipient = { User_ID: 5, Email: 'faculty@test.com', First_Name: 'Fay', Is_Active: true };
+
+describe('Notification e-mail', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.SMTP_HOST = 'localhost';
+    Object.values(prisma.notification_Preference).forEach(fn => fn.mockReset());
+    Object.values(prisma.email_Digest_Item).forEach(fn => fn.mockReset());
+    prisma.user.findUnique.mockReset();
+    mockSendMail.mockResolvedValue({ messageId: 'test' });
+  });
+
+  afterAll(() => {
+    delete process.env.SMTP_HOST;
+  });
+
+  describe('GET /notifications/preferences', () => {
+    it('should list every e-mailable type with the user\'s mode', async () => {
+      prisma.notification_Preference.findMany.mockResolvedValue([
+        { Notification_Type: 'BOOKING_APPROVED', Email_Mode: 'OFF' },
+      ]);
+
+      const res = await request(app).get('/notifications/preferences');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.email).toMatchObject({ enabled: true, address: 'admin@test.com' });
+      const approved = res.body.data.email.types.find(type => type.type === 'BOOKING_APPROVED');
+      expect(approved).toMatchObject({ mode: 'OFF', defaultMode: 'INSTANT' });
+    });
+  });
+
+  describe('PUT /notifications/preferences', () => {
+    it('should save per-type modes', async () => {
+      prisma.notification_Preference.findMany.mockResolvedValue([]);
+
+      const res = await request(app)
+        .put('/notifications/preferences')
+        .send({ email: { TICKET_CREATED: 'OFF', BOOKING_APPROVAL_REQUESTED: 'DIGEST' } });
+
+      expect(res.status).toBe(200);
+      expect(prisma.notification_Preference.upsert).toHaveBeenCalledWith({
+        where: { User_ID_Notification_Type: { User_ID: 9999, Notification_Type: 'TICKET_CREATED' } },
+        update: { Email_Mode: 'OFF' },
+        create: { User_ID: 9999, Notification_Type: 'TICKET_CREATED', Email_Mode: 'OFF' },
+      });
+      expect(prisma.notification_Preference.upsert).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject types that are never e-mailed', async () => {
+      const res = await request(app)
+        .put('/notifications/preferences')
+        .send({ email: { USER_LOGIN: 'INSTANT' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ unknown: ['USER_LOGIN'] });
+      expect(prisma.notification_Preference.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown mode', async () => {
+      const res = await request(app)
+        .put('/notifications/preferences')
+        .send({ email: { BOOKING_APPROVED: 'HOURLY' } });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('delivery', () => {
+    const notification = { type: 'BOOKING_APPROVED', title: 'Booking Approved', message: 'Your booking for Lab A has been approved!' };
+
+    it('should e-mail instant notifications right away', async () => {
+      prisma.user.findUnique.mockResolvedValue(recipient);
+
+      const mode = await EmailNotificationService.deliver(5, notification);
+
+      expect(mode).toBe('INSTANT');
+      expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'faculty@test.com',
+        subject: '[BITS] Your booking was approved',
+        text: expect.stringContaining('Your booking for Lab A has been approved!'),
+      }));
+      expect(prisma.email_Digest_Item.create).not.toHaveBeenCalled();
+    });
+
+    it('should queue digest notifications', async () => {
+      prisma.notification_Preference.findUnique.mockResolvedValue({ Email_Mode: 'DIGEST' });
+      prisma.user.findUnique.mockResolvedValue(recipient);
+
+      const mode = await EmailNotificationService.deliver(5, notification);
+
+      expect(mode).toBe('DIGEST');
+      expect(prisma.email_Digest_Item.create).toHaveBeenCalledWith({
+        data: { User_ID: 5, Notification_Type: 'BOOKING_APPROVED', Title: 'Booking Approved', Message: notification.message },
+      });
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
+    it('should send nothing for muted types', async () => {
+      prisma.notification_Preference.findUnique.mockResolvedValue({ Email_Mode: 'OFF' });
+
+      expect(await EmailNotificationService.deliver(5, notification)).toBeNull();
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when SMTP is not configured', async () => {
+      delete process.env.SMTP_HOST;
+
+      expect(await EmailNotificationService.deliver(5, notification)).toBeNull();
+      expect(prisma.notification_Preference.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should not throw when the mail server fails', async () => {
+      prisma.user.findUnique.mockResolvedValue(recipient);
+      mockSendMail.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      expect(await EmailNotificationService.deliver(5, notification)).toBeNull();
+    });
+  });
+
+  describe('daily digest', () => {
+    it('should send one e-mail per user and mark the items sent', async () => {
+      prisma.email_Digest_Item.findMany.mockResolvedValue([
+        { Item_ID: 1, User_ID: 5, Title: 'New Ticket Reported', Message: 'Projector broken', User: recipient },
+        { Item_ID: 2, User_ID: 5, Title: 'Form Transferred', Message: 'Form RIS-1 moved to PURCHASING', User: recipient },
+        { Item_ID: 3, User_ID: 6, Title: 'New Ticket Reported', Message: 'Mouse missing', User: { User_ID: 6, Email: null } },
+      ]);
+
+      const results = await EmailNotificationService.sendDigests();
+
+      expect(results).toEqual({ users: 1, items: 2 });
+      expect(mockSendMail).toHaveBeenCalledTimes(1);
+      expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'faculty@test.com',
+        subject: '[BITS] Your daily digest (2)',
+        text: expect.stringContaining('- Form Transferred: Form RIS-1 moved to PURCHASING'),
+      }));
+      expect(prisma.email_Digest_Item.updateMany).toHaveBeenCalledWith({
+        where: { Item_ID: { in: [1, 2] } },
+        data: { Sent_At: expect.any(Date) },
+      });
+      // No address: dropped rather than retried forever
+      expect(prisma.email_Digest_Item.updateMany).toHaveBeenCalledWith({
+        where: { Item_ID: { in: [3] } },
+        data: { Sent_At: expect.any(Date) },
+      });
+    });
+
+    it('should keep items queued when the send fails', async () => {
+      prisma.email_Digest_Item.findMany.mockResolvedValue([
+        { Item_ID: 1, User_ID: 5, Title: 'New Ticket Reported', Message: 'Projector broken', User: recipient },
+      ]);
+      mockSendMail.mockRejectedValue(new Error('421 try again later'));
+
+      const results = await EmailNotificationService.sendDigests();
+
+      expect(results).toEqual({ users: 0, items: 0 });
+      expect(prisma.email_Digest_Item.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mute rules', () => {
+    const muteRule = (userId, overrides = {}) => ({
+      User_ID: userId,
+      Muted_Types: [],
+      Muted_Room_IDs: [],
+      Quiet_Hours_Start: null,
+      Quiet_Hours_End: null,
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      Object.values(prisma.notification_Mute).forEach(fn => fn.mockReset());
+      prisma.User.findMany.mockReset();
+      prisma.user.findMany.mockReset();
+      prisma.room.findMany.mockReset();
+    });
+
+    it('should include the mute rules in GET /notifications/preferences', async () => {
+      prisma.notification_Preference.findMany.mockResolvedValue([]);
+      prisma.notification_Mute.findUnique.mockResolvedValue(muteRule(9999, {
+        Muted_Types: ['ROOM_BOOKED'],
+        Muted_Room_IDs: [3],
+        Quiet_Hours_Start: '22:00',
+        Quiet_Hours_End: '06:00',
+      }));
+
+      const res = await request(app).get('/notifications/preferences');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.mute).toMatchObject({
+        types: ['ROOM_BOOKED'],
+        rooms: [3],
+        quietHours: { start: '22:00', end: '06:00' },
+      });
+    });
+
+    it('should save mute rules via PUT /notifications/preferences', async () => {
+      prisma.notification_Preference.findMany.mockResolvedValue([]);
+      prisma.room.findMany.mockResolvedValue([{ Room_ID: 3 }]);
+      prisma.notification_Mute.upsert.mockResolvedValue(muteRule(9999));
+
+      const res = await request(app)
+        .put('/notifications/preferences')
+        .send({ mute: { types: ['computer_offline'], rooms: [3], quietHours: { start: '22:00', end: '06:00' } } });
+
+      expect(res.status).toBe(200);
+      const data = {
+        Muted_Types: ['COMPUTER_OFFLINE'],
+        Muted_Room_IDs: [3],
+        Quiet_Hours_Start: '22:00',
+        Quiet_Hours_End: '06:00',
+      };
+      expect(prisma.notification_Mute.upsert).toHaveBeenCalledWith({
+        where: { User_ID: 9999 },
+        update: data,
+        create: { User_ID: 9999, ...data },
+      });
+    });
+
+    it('should reject rooms that do not exist', async () => {
+      prisma.room.findMany.mockResolvedValue([{ Room_ID: 3 }]);
+
+      const res = await request(app)
+        .put('/notifications/preferences')
+        .send({ mute: { rooms: [3, 42] } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ unknown: [42] });
+      expect(prisma.notification_Mute.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed quiet hours', async () => {
+      const res = await request(app)
+        .put('/notifications/preferences')
+        .send({ mute: { quietHours: { start: '10pm', end: '06:00' } } });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should skip users who muted the type or room in role fan-out', async () => {
+      prisma.User.findMany.mockResolvedValue([{ User_ID: 1 }, { User_ID: 2 }, { User_ID: 3 }]);
+      prisma.notification_Mute.findMany.mockResolvedValue([
+        muteRule(1, { Muted_Types: ['COMPUTER_OFFLINE'] }),
+        muteRule(2, { Muted_Room_IDs: [7] }),
+      ]);
+
+      await NotificationService.notifyRole(['LAB_TECH', 'LAB_HEAD'], {
+        type: 'COMPUTER_OFFLINE',
+        title: 'Computer Offline Alert',
+        message: 'PC-01 in Lab 7 went offline',
+        data: { computer_id: 10, room_id: 7 },
+      });
+
+      expect(NotificationManager.send).toHaveBeenCalledTimes(1);
+      expect(NotificationManager.send).toHaveBeenCalledWith('3', expect.objectContaining({ type: 'COMPUTER_OFFLINE' }));
+    });
+
+    it('should never mute live status updates', async () => {
+      prisma.User.findMany.mockResolvedValue([{ User_ID: 1 }]);
+
+      await NotificationService.notifyRole(['LAB_TECH'], {
+        type: 'COMPUTER_STATUS_UPDATE',
+        data: { room_id: 7 },
+      });
+
+      expect(prisma.notification_Mute.findMany).not.toHaveBeenCalled();
+      expect(NotificationManager.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should apply quiet hours in campus time, across midnight', async () => {
+      prisma.notification_Mute.findMany.mockResolvedValue([
+        muteRule(1, { Quiet_Hours_Start: '22:00', Quiet_Hours_End: '06:00' }),
+      ]);
+      const notification = { type: 'TICKET_CREATED', roomId: null };
+
+      // 23:30 and 05:59 in Manila (UTC+8) are quiet; 06:00 is not
+      await expect(NotificationMuteService.filterRecipients([1, 2], notification, new Date('2026-10-19T15:30:00Z')))
+        .resolves.toEqual([2]);
+      await expect(NotificationMuteService.filterRecipients([1, 2], notification, new Date('2026-10-19T21:59:00Z')))
+        .resolves.toEqual([2]);
+      await expect(NotificationMuteService.filterRecipients([1, 2], notification, new Date('2026-10-19T22:00:00Z')))
+        .resolves.toEqual([1, 2]);
+    });
+
+    it('should respect mute rules in booking broadcasts', async () => {
+      const { broadcastBookingEvent } = jest.requireActual('../../src/services/notificationManager');
+      const manager = { broadcast: jest.fn(), send: jest.fn() };
+      prisma.user.findMany.mockResolvedValue([{ User_ID: 1 }, { User_ID: 2 }]);
+      prisma.notification_Mute.findMany.mockResolvedValue([muteRule(1, { Muted_Types: ['ROOM_BOOKED'] })]);
+
+      await broadcastBookingEvent.call(manager, 'BOOKING_CREATED', { Booked_Room_ID: 5, Room_ID: 3 }, ['LAB_HEAD']);
+
+      expect(manager.send).toHaveBeenCalledTimes(1);
+      expect(manager.send).toHaveBeenCalledWith(2, expect.objectContaining({ type: 'BOOKING_CREATED' }));
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+
+// Mock the auth middleware
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = {
+      User_ID: 9999,
+      Email: 'admin@test.com',
+      First_Name: 'Test',
+      Last_Name: 'Admin',
+      User_Role: 'ADMIN',
+      Is_Active: true,
+    };
+    next();
+  },
+  hashPassword: jest.fn(),
+  comparePassword: jest.fn(),
+  JWT_SECRET: 'test-secret',
+}));
+
+// Mock the audit logger
+jest.mock('../../src/utils/auditLogger', () => ({
+  log: jest.fn().mockResolvedValue({}),
+  logAuth: jest.fn().mockResolvedValue({}),
+  logBooking: jest.fn().mockResolvedValue({}),
+  logInventory: jest.fn().mockResolvedValue({}),
+}));
+
+// Mock notification services
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRole: jest.fn().mockResolvedValue(undefined),
+  createNotification: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { app } = require('../app');
+const AuditLogger = require('../../src/utils/auditLogger');
+const PermissionService = require('../../src/services/permissionService');
+const { authorize } = require('../../src/middleware/authorize');
+
+// Role_Permission rows equivalent to the catalog defaults
+const defaultRows = () => PermissionService.CATALOG.flatMap(permission =>
+  permission.roles.map(role => ({ Role: role, Permission: permission.key })));
+
+describe('Permissions Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PermissionService.clearCache();
+    prisma.role_Permission.findMany.mockReset();
+  });
+
+  describe('GET /permissions/me', () => {
+    it('should list the caller\'s permissions (catalog defaults on an empty table)', async () => {
+      prisma.role_Permission.findMany.mockResolvedValue([]);
+
+      const res = await request(app).get('/permissions/me');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.role).toBe('ADMIN');
+      expect(res.body.data.permissions).toEqual(expect.arrayContaining(['users.manage', 'permissions.manage']));
+      expect(res.body.data.permissions).not.toContain('reports.write');
+    });
+  });
+
+  describe('GET /permissions/matrix', () => {
+    it('should return the role x permission matrix', async () => {
+      prisma.role_Permission.findMany.mockResolvedValue(defaultRows());
+
+      const res = await request(app).get('/permissions/matrix');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.roles).toEqual(PermissionService.ROLES);
+      const reportsReview = res.body.data.permissions.find(p => p.key === 'reports.review');
+      expect(reportsReview.roles).toEqual(expect.objectContaining({ LAB_HEAD: true, LAB_TECH: false, ADMIN: false }));
+    });
+
+    it('should render a markdown table', async () => {
+      prisma.role_Permission.findMany.mockResolvedValue(defaultRows());
+
+      const res = await request(app).get('/permissions/matrix?format=markdown');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/markdown/);
+      expect(res.text).toContain('| Permission | ADMIN |');
+      expect(res.text).toContain('| `inventory.delete` | ✓ | ✓ |');
+    });
+  });
+
+  describe('PUT /permissions/roles/:role', () => {
+    it('should grant and revoke permissions for a role', async () => {
+      prisma.role_Permission.findMany.mockResolvedValue(defaultRows());
+      prisma.role_Permission.count.mockResolvedValue(10);
+      prisma.role_Permission.deleteMany.mockResolvedValue({ count: 1 });
+      prisma.role_Permission.createMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app)
+        .put('/permissions/roles/SECRETARY')
+        .send({ permissions: ['bookings.approve', 'bookings.no_shows', 'rooms.write'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.added).toEqual(['rooms.write']);
+      expect(res.body.data.removed).toEqual(['bookings.delete_any']);
+      expect(prisma.role_Permission.deleteMany).toHaveBeenCalledWith({
+        where: { Role: 'SECRETARY', Permission: { in: ['bookings.delete_any'] } },
+      });
+      expect(prisma.role_Permission.createMany).toHaveBeenCalledWith(expect.objectContaining({
+        data: [{ Role: 'SECRETARY', Permission: 'rooms.write', Granted_By: 9999 }],
+      }));
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'ROLE_PERMISSIONS_UPDATED' }));
+    });
+
+    it('should write the full default mapping on the first edit', async () => {
+      prisma.role_Permission.findMany.mockResolvedValue([]);
+      prisma.role_Permission.count.mockResolvedValue(0);
+      prisma.role_Permission.createMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app)
+        .put('/permissions/roles/STUDENT')
+        .send({ permissions: [] });
+
+      expect(res.status).toBe(200);
+      const { data } = prisma.role_Permission.createMany.mock.calls[0][0];
+      expect(data).toEqual(expect.arrayContaining([{ Role: 'ADMIN', Permission: 'users.manage', Granted_By: null }]));
+      expect(data.some(row => row.Role === 'STUDENT')).toBe(false);
+    });
+
+    it('should reject unknown permission names', async () => {
+      const res = await request(app)
+        .put('/permissions/roles/FACULTY')
+        .send({ permissions: ['bookings.approve', 'rooms.teleport'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ unknown: ['rooms.teleport'] });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should not let ADMIN lose permissions.manage', async () => {
+      const res = await request(app)
+        .put('/permissions/roles/ADMIN')
+        .send({ permissions: ['users.manage'] });
+
+      expect(res.status).toBe(400);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid role', async () => {
+      const res = await request(app)
+        .put('/permissions/roles/JANITOR')
+        .send({ permissions: [] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('authorize.can()', () => {
+    it('should deny a route once the role loses the permission', async () => {
+      prisma.role_Permission.findMany.mockResolvedValue(
+        defaultRows().filter(row => !(row.Role === 'ADMIN' && row.Permission === 'users.manage'))
+      );
+
+      const res = await request(app).post('/users').send({});
+
+      expect(res.status).toBe(403);
+      expect(res.body.details).toEqual({ permission: 'users.manage' });
+      expect(prisma.user.create).not.toHaveBeenCalled();
+    });
+
+    it('should allow a route once the role gains the permission', async () => {
+      prisma.role_Permission.findMany.mockResolvedValue([
+        ...defaultRows(),
+        { Role: 'ADMIN', Permission: 'reports.view' },
+      ]);
+      prisma.weekly_Report.findMany.mockResolvedValue([]);
+
+      const res = await request(app).get('/reports');
+
+      expect(res.status).not.toBe(403);
+    });
+
+    it('should throw at definition time for unknown permissions', () => {
+      expect(() => authorize.can('inventory.teleport')).toThrow(/unknown permission/);
+    });
+  });
+});
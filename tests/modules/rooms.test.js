@@ -18,6 +18,7 @@ jest.mock('../../src/middleware/auth', () => ({
 jest.mock('../../src/utils/auditLogger', () => ({
   log: jest.fn().mockResolvedValue({ Log_ID: 1 }),
   logBooking: jest.fn().mockResolvedValue({ Log_ID: 2 }),
+  logRoom: jest.fn().mockResolvedValue({ Log_ID: 3 }),
 }));
 
 jest.mock('../../src/services/notificationManager', () => ({
@@ -0,0 +1,362 @@
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+
+// Mock the auth middleware
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = {
+      User_ID: 9999,
+      Email: 'admin@test.com',
+      First_Name: 'Test',
+      Last_Name: 'Admin',
+      User_Role: 'ADMIN',
+      Is_Active: true,
+    };
+    next();
+  },
+  hashPassword: jest.fn(),
+  comparePassword: jest.fn(),
+  JWT_SECRET: 'test-secret',
+}));
+
+// Mock the audit logger
+jest.mock('../../src/utils/auditLogger', () => ({
+  log: jest.fn().mockResolvedValue({}),
+  logAuth: jest.fn().mockResolvedValue({}),
+  logBooking: jest.fn().mockResolvedValue({}),
+  logInventory: jest.fn().mockResolvedValue({}),
+}));
+
+// Mock notification services
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRole: jest.fn().mockResolvedValue(undefined),
+  notifyUsers: jest.fn().mockResolvedValue([]),
+  createNotification: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { app } = require('../app');
+const AuditLogger = require('../../src/utils/auditLogger');
+const AcademicCalendarService = require('../../src/services/academicCalendarService');
+const { buildVirtualOccurrences } = require('../../src/modules/bookings/bookingSeries.controller');
+const { findScheduleConflict } = require('../../src/utils/scheduleConflict');
+
+const semester = {
+  Semester_ID: 1,
+  Name: '1st Semester 2030-2031',
+  Start_Date: new Date('2030-08-04T16:00:00.000Z'),
+  End_Date: new Date('2030-12-19T16:00:00.000Z'),
+  Is_Active: true,
+};
+
+// Mondays 09:00-10:00 Manila time from 2030-09-02
+const weeklySeries = {
+  Series_ID: 3,
+  Room_ID: 1,
+  User_ID: 42,
+  Title: 'Thesis consultations',
+  Recurrence_Rule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+  Anchor_Start: new Date('2030-09-02T01:00:00.000Z'),
+  Anchor_End: new Date('2030-09-02T02:00:00.000Z'),
+  Excluded_Dates: [],
+  Status: 'APPROVED',
+};
+
+describe('Academic calendar', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AcademicCalendarService.clearCache();
+    Object.values(prisma.academic_Calendar_Day).forEach(fn => fn.mockReset());
+    prisma.semester.findUnique.mockReset().mockResolvedValue(semester);
+    prisma.Booked_Room.findMany.mockReset().mockResolvedValue([]);
+    prisma.Booking_Series.findMany.mockReset().mockResolvedValue([]);
+  });
+
+  describe('POST /semesters/:id/calendar', () => {
+    it('should declare a suspension and notify everyone booked that day', async () => {
+      prisma.academic_Calendar_Day.findFirst.mockResolvedValue(null);
+      prisma.academic_Calendar_Day.create.mockImplementation(({ data }) => Promise.resolve({ Day_ID: 7, ...data }));
+      prisma.Booked_Room.findMany.mockResolvedValue([
+        { Booked_Room_ID: 10, User_ID: 50 },
+        { Booked_Room_ID: 11, User_ID: 42 },
+      ]);
+      prisma.Booking_Series.findMany.mockResolvedValue([
+        weeklySeries,
+        // Tuesdays only: no occurrence on the suspended Monday
+        { ...weeklySeries, Series_ID: 4, User_ID: 60, Recurrence_Rule: 'FREQ=WEEKLY;BYDAY=TU;COUNT=4' },
+      ]);
+
+      const res = await request(app)
+        .post('/semesters/1/calendar')
+        .send({ date: '2030-09-09', type: 'SUSPENSION', title: 'Typhoon signal no. 3' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.affected).toEqual({ bookingIds: [10, 11], seriesIds: [3], userIds: [50, 42] });
+      expect(prisma.academic_Calendar_Day.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          Semester_ID: 1,
+          Date: new Date('2030-09-09T00:00:00.000Z'),
+          Day_Type: 'SUSPENSION',
+          Created_By: 9999,
+        }),
+      });
+      // Bookings are looked up over the whole Manila day.
+      expect(prisma.Booked_Room.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          Start_Time: { gte: new Date('2030-09-08T16:00:00.000Z'), lt: new Date('2030-09-09T16:00:00.000Z') },
+        }),
+      }));
+      // Each booker gets a persisted notice listing only their own bookings
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'CLASS_SUSPENSION',
+        isNotification: true,
+        notifyUserId: 50,
+        notificationData: { targetUserId: 50, date: '2030-09-09', dayId: 7, bookingIds: [10], seriesIds: [] },
+      }));
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'CLASS_SUSPENSION',
+        isNotification: true,
+        notifyUserId: 42,
+        notificationData: { targetUserId: 42, date: '2030-09-09', dayId: 7, bookingIds: [11], seriesIds: [3] },
+      }));
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'CLASS_SUSPENSION_DECLARED' }));
+    });
+
+    it('should declare a holiday without notifying bookers', async () => {
+      prisma.academic_Calendar_Day.findFirst.mockResolvedValue(null);
+      prisma.academic_Calendar_Day.create.mockImplementation(({ data }) => Promise.resolve({ Day_ID: 8, ...data }));
+
+      const res = await request(app)
+        .post('/semesters/1/calendar')
+        .send({ date: '2030-11-01', type: 'HOLIDAY', title: "All Saints' Day" });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.affected).toBeNull();
+      expect(AuditLogger.log).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'CLASS_SUSPENSION' }));
+    });
+
+    it('should reject dates outside the semester and duplicate days', async () => {
+      const outside = await request(app)
+        .post('/semesters/1/calendar')
+        .send({ date: '2031-01-01', type: 'HOLIDAY', title: "New Year's Day" });
+      expect(outside.status).toBe(400);
+
+      prisma.academic_Calendar_Day.findFirst.mockResolvedValue({ Day_ID: 8, Day_Type: 'HOLIDAY', Title: "All Saints' Day" });
+      const duplicate = await request(app)
+        .post('/semesters/1/calendar')
+        .send({ date: '2030-11-01', type: 'SUSPENSION', title: 'Flooding' });
+      expect(duplicate.status).toBe(409);
+      expect(prisma.academic_Calendar_Day.create).not.toHaveBeenCalled();
+    });
+
+    it('should validate the body and 404 for unknown semesters', async () => {
+      const invalid = await request(app)
+        .post('/semesters/1/calendar')
+        .send({ date: '09/09/2030', type: 'STRIKE', title: 'Walkout' });
+      expect(invalid.status).toBe(400);
+
+      prisma.semester.findUnique.mockResolvedValue(null);
+      const missing = await request(app)
+        .post('/semesters/99/calendar')
+        .send({ date: '2030-09-09', type: 'HOLIDAY', title: 'Holiday' });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('GET and DELETE /semesters/:id/calendar', () => {
+    it('should list the semester calendar', async () => {
+      prisma.academic_Calendar_Day.findMany.mockResolvedValue([{ Day_ID: 7, Date: '2030-09-09T00:00:00.000Z' }]);
+
+      const res = await request(app).get('/semesters/1/calendar');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(prisma.academic_Calendar_Day.findMany).toHaveBeenCalledWith({
+        where: { Semester_ID: 1 },
+        orderBy: { Date: 'asc' },
+      });
+    });
+
+    it('should remove a day and 404 when it belongs to another semester', async () => {
+      prisma.academic_Calendar_Day.findFirst
+        .mockResolvedValueOnce({ Day_ID: 7, Semester_ID: 1, Day_Type: 'SUSPENSION', Title: 'Typhoon', Date: new Date('2030-09-09T00:00:00.000Z') })
+        .mockResolvedValueOnce(null);
+
+      const removed = await request(app).delete('/semesters/1/calendar/7');
+      expect(removed.status).toBe(200);
+      expect(prisma.academic_Calendar_Day.delete).toHaveBeenCalledWith({ where: { Day_ID: 7 } });
+
+      const missing = await request(app).delete('/semesters/2/calendar/7');
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('closed days', () => {
+    beforeEach(() => {
+      prisma.academic_Calendar_Day.findMany.mockResolvedValue([{ Date: new Date('2030-09-09T00:00:00.000Z') }]);
+    });
+
+    it('should skip series occurrences on holidays and suspensions', async () => {
+      prisma.Booking_Series.findMany.mockResolvedValue([{ ...weeklySeries, Room: { Room_ID: 1 }, User: { User_ID: 42 } }]);
+
+      const occurrences = await buildVirtualOccurrences({
+        from: '2030-09-01T00:00:00.000Z',
+        to: '2030-10-01T00:00:00.000Z',
+      });
+
+      expect(occurrences.map(o => o.Start_Time.toISOString())).toEqual([
+        '2030-09-02T01:00:00.000Z',
+        '2030-09-16T01:00:00.000Z',
+        '2030-09-23T01:00:00.000Z',
+      ]);
+    });
+
+    it('should not let class schedules block rooms on closed days', async () => {
+      const closedDates = await AcademicCalendarService.getClosedDates();
+      const mondayClass = {
+        Title: 'CS 101',
+        Days: '1',
+        Start_Time: new Date('2030-08-05T00:00:00.000Z'),
+        End_Time: new Date('2030-08-05T03:00:00.000Z'),
+      };
+
+      expect(findScheduleConflict([mondayClass], new Date('2030-09-09T01:00:00.000Z'), new Date('2030-09-09T02:00:00.000Z'), { closedDates })).toBeUndefined();
+      expect(findScheduleConflict([mondayClass], new Date('2030-09-16T01:00:00.000Z'), new Date('2030-09-16T02:00:00.000Z'), { closedDates })).toBe(mondayClass);
+    });
+  });
+});
+
+describe('Semester rollover', () => {
+  const nextSemester = {
+    Semester_ID: 2,
+    Name: '2nd Semester 2030-2031',
+    Start_Date: new Date('2031-01-05T16:00:00.000Z'),
+    End_Date: new Date('2031-05-20T16:00:00.000Z'),
+    Is_Active: false,
+  };
+
+  // Open lab hours: Mon/Wed 13:00-15:00 Manila time
+  const openLab = {
+    Schedule_ID: 20,
+    Room_ID: 1,
+    Room: { Name: 'Lab 1' },
+    Schedule_Type: 'STUDENT_USE',
+    Title: 'Open lab',
+    Start_Time: new Date('2030-08-05T05:00:00.000Z'),
+    End_Time: new Date('2030-08-05T07:00:00.000Z'),
+    Days: '1,3',
+    IsRecurring: true,
+    Semester_ID: 1,
+  };
+  const oldClass = { ...openLab, Schedule_ID: 21, Schedule_Type: 'CLASS', Title: 'CS 101', Days: '2', Room: { Name: 'Lab 1' } };
+  // Already imported for the new term, overlapping the open lab on Wednesdays
+  const newClass = {
+    ...openLab,
+    Schedule_ID: 30,
+    Schedule_Type: 'CLASS',
+    Title: 'CS 102',
+    Days: '3',
+    Start_Time: new Date('2031-01-06T06:00:00.000Z'),
+    End_Time: new Date('2031-01-06T08:00:00.000Z'),
+    Semester_ID: 2,
+  };
+
+  const mockSchedules = ({ clash = false } = {}) => {
+    prisma.Schedule.findMany.mockImplementation(({ where }) => {
+      if (where.Schedule_Type === 'STUDENT_USE') return Promise.resolve([openLab]);
+      if (where.OR) return Promise.resolve([openLab, oldClass]);
+      if (where.Semester_ID === 2) return Promise.resolve(clash ? [newClass] : []);
+      return Promise.resolve([]);
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.semester.findUnique.mockReset().mockResolvedValue(nextSemester);
+    prisma.semester.findFirst.mockReset().mockResolvedValue(semester);
+    prisma.semester.update.mockReset().mockResolvedValue({ ...nextSemester, Is_Active: true });
+    prisma.Schedule.findMany.mockReset();
+    prisma.Schedule.create.mockReset().mockImplementation(({ data }) => Promise.resolve({ Schedule_ID: 40, ...data }));
+  });
+
+  it('should preview schedules to close, activate and clone without writing', async () => {
+    mockSchedules({ clash: true });
+
+    const res = await request(app)
+      .post('/semesters/2/rollover/preview')
+      .send({ cloneStudentUsage: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.from.Semester_ID).toBe(1);
+    expect(res.body.data.close.map(row => row.scheduleId)).toEqual([20, 21]);
+    expect(res.body.data.activate.map(row => row.scheduleId)).toEqual([30]);
+    expect(res.body.data.clone).toEqual([
+      expect.objectContaining({ sourceScheduleId: 20, status: 'conflict' }),
+    ]);
+    expect(res.body.data.summary).toEqual({ close: 2, activate: 1, clone: 0, skipped: 1 });
+    expect(prisma.Schedule.updateMany).not.toHaveBeenCalled();
+    expect(prisma.semester.update).not.toHaveBeenCalled();
+  });
+
+  it('should archive last term, clone student usage onto the new term and activate it', async () => {
+    mockSchedules();
+
+    const res = await request(app)
+      .post('/semesters/2/rollover')
+      .send({ mode: 'archive', cloneStudentUsage: true });
+
+    expect(res.status).toBe(200);
+    expect(prisma.Schedule.updateMany).toHaveBeenCalledWith({
+      where: { Schedule_ID: { in: [20, 21] } },
+      data: { IsActive: false, Archived_At: expect.any(Date) },
+    });
+    // Same 13:00-15:00 Manila wall clock, anchored on the first day of the new term
+    expect(prisma.Schedule.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        Schedule_Type: 'STUDENT_USE',
+        Days: '1,3',
+        Start_Time: new Date('2031-01-06T05:00:00.000Z'),
+        End_Time: new Date('2031-01-06T07:00:00.000Z'),
+        IsActive: true,
+        Semester_ID: 2,
+        Created_By: 9999,
+      }),
+    });
+    expect(prisma.semester.update).toHaveBeenCalledWith({ where: { Semester_ID: 2 }, data: { Is_Active: true } });
+    expect(res.body.data.clone[0]).toEqual(expect.objectContaining({ status: 'cloned', scheduleId: 40 }));
+    expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'SEMESTER_ROLLED_OVER' }));
+  });
+
+  it('should only deactivate by default and skip cloning', async () => {
+    mockSchedules();
+
+    const res = await request(app).post('/semesters/2/rollover').send({});
+
+    expect(res.status).toBe(200);
+    expect(prisma.Schedule.updateMany).toHaveBeenCalledWith({
+      where: { Schedule_ID: { in: [20, 21] } },
+      data: { IsActive: false },
+    });
+    expect(prisma.Schedule.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown semesters, invalid modes and rolling into itself', async () => {
+    const invalid = await request(app).post('/semesters/2/rollover').send({ mode: 'delete' });
+    expect(invalid.status).toBe(400);
+
+    const self = await request(app).post('/semesters/2/rollover').send({ fromSemesterId: 2 });
+    expect(self.status).toBe(400);
+
+    prisma.semester.findUnique.mockResolvedValue(null);
+    const missing = await request(app).post('/semesters/99/rollover/preview').send({});
+    expect(missing.status).toBe(404);
+    expect(prisma.semester.update).not.toHaveBeenCalled();
+  });
+});
@@ -42,6 +42,8 @@ jest.mock('../../src/services/notificationService', () => ({
 }));
 
 const { app } = require('../app');
+const { hashPassword, comparePassword } = require('../../src/middleware/auth');
+const AuditLogger = require('../../src/utils/auditLogger');
 
 describe('Users Routes', () => {
   beforeEach(() => {
@@ -60,6 +62,97 @@ describe('Users Routes', () => {
     });
   });
 
+  describe('POST /users/me/password', () => {
+    const storedUser = {
+      User_ID: 9999,
+      First_Name: 'Test',
+      Last_Name: 'Admin',
+      Password: '$2b$12$existinghash',
+      Is_Active: true,
+    };
+
+    it('should change the password and end existing sessions', async () => {
+      prisma.user.findUnique.mockResolvedValue(storedUser);
+      comparePassword.mockResolvedValue(true);
+      hashPassword.mockResolvedValue('$2b$12$newhash');
+      prisma.user.update.mockResolvedValue({});
+      prisma.user_Session.updateMany.mockResolvedValue({ count: 2 });
+
+      const res = await request(app)
+        .post('/users/me/password')
+        .send({ currentPassword: 'old-password', newPassword: 'new-password-1' });
+
+      expect(res.status).toBe(200);
+      expect(comparePassword).toHaveBeenCalledWith('old-password', storedUser.Password);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { User_ID: 9999 },
+        data: expect.objectContaining({
+          Password: '$2b$12$newhash',
+          Token_Valid_After: expect.any(Date),
+        }),
+      }));
+      expect(prisma.user_Session.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { User_ID: 9999, Revoked_At: null },
+      }));
+    });
+
+    it('should reject an incorrect current password and count the failure', async () => {
+      prisma.user.findUnique.mockResolvedValue(storedUser);
+      comparePassword.mockResolvedValue(false);
+      prisma.user.update.mockResolvedValue({ Failed_Login_Attempts: 1 });
+
+      const res = await request(app)
+        .post('/users/me/password')
+        .send({ currentPassword: 'wrong', newPassword: 'new-password-1' });
+
+      expect(res.status).toBe(400);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { User_ID: 9999 },
+        data: expect.objectContaining({ Failed_Login_Attempts: { increment: 1 } }),
+      }));
+      expect(prisma.user.update).not.toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Password: expect.anything() }),
+      }));
+    });
+
+    it('should lock the account once wrong current passwords reach the threshold', async () => {
+      prisma.user.findUnique.mockResolvedValue(storedUser);
+      comparePassword.mockResolvedValue(false);
+      prisma.user.update.mockResolvedValue({ Failed_Login_Attempts: 5 });
+
+      const res = await request(app)
+        .post('/users/me/password')
+        .send({ currentPassword: 'wrong', newPassword: 'new-password-1' });
+
+      expect(res.status).toBe(423);
+      expect(res.headers['retry-after']).toBeDefined();
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { User_ID: 9999 },
+        data: { Locked_Until: expect.any(Date) },
+      });
+    });
+
+    it('should refuse a locked account before checking the password', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...storedUser, Locked_Until: new Date(Date.now() + 60 * 1000) });
+
+      const res = await request(app)
+        .post('/users/me/password')
+        .send({ currentPassword: 'old-password', newPassword: 'new-password-1' });
+
+      expect(res.status).toBe(423);
+      expect(comparePassword).not.toHaveBeenCalled();
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a too-short new password', async () => {
+      const res = await request(app)
+        .post('/users/me/password')
+        .send({ currentPassword: 'old-password', newPassword: 'short' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
   describe('GET /users', () => {
     it('should return all users', async () => {
       const mockUsers = [
@@ -233,4 +326,77 @@ describe('Users Routes', () => {
       expect(res.body.success).toBe(false);
     });
   });
+
+  describe('POST /users/:id/unlock', () => {
+    it('should clear the lockout and record an audit entry', async () => {
+      prisma.user.findUnique.mockResolvedValue({
+        User_ID: 5,
+        First_Name: 'Locked',
+        Last_Name: 'Out',
+        Failed_Login_Attempts: 7,
+        Locked_Until: new Date(Date.now() + 10 * 60 * 1000),
+      });
+      prisma.user.update.mockResolvedValue({});
+      prisma.audit_Log.create.mockResolvedValue({});
+
+      const res = await request(app).post('/users/5/unlock');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.wasLocked).toBe(true);
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { User_ID: 5 },
+        data: { Failed_Login_Attempts: 0, Last_Failed_Login_At: null, Locked_Until: null },
+      });
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'USER_UNLOCKED',
+        userId: 9999,
+        entityType: 'USER',
+        entityId: 5,
+        before: expect.objectContaining({ Failed_Login_Attempts: 7 }),
+      }));
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/users/999/unlock');
+
+      expect(res.status).toBe(404);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /users/:id/password-reset', () => {
+    it('should issue a one-time reset token and store only its hash', async () => {
+      prisma.user.findUnique.mockResolvedValue({
+        User_ID: 5,
+        First_Name: 'Jane',
+        Last_Name: 'Doe',
+        Is_Active: true,
+      });
+      prisma.password_Reset_Token.deleteMany.mockResolvedValue({ count: 1 });
+      prisma.password_Reset_Token.create.mockResolvedValue({});
+      prisma.audit_Log.create.mockResolvedValue({});
+
+      const res = await request(app).post('/users/5/password-reset');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.token).toEqual(expect.any(String));
+      expect(prisma.password_Reset_Token.deleteMany).toHaveBeenCalledWith({
+        where: { User_ID: 5, Used_At: null },
+      });
+      const created = prisma.password_Reset_Token.create.mock.calls[0][0].data;
+      expect(created.Token_Hash).not.toBe(res.body.data.token);
+      expect(created).toEqual(expect.objectContaining({ User_ID: 5, Issued_By: 9999 }));
+    });
+
+    it('should refuse inactive users', async () => {
+      prisma.user.findUnique.mockResolvedValue({ User_ID: 5, Is_Active: false });
+
+      const res = await request(app).post('/users/5/password-reset');
+
+      expect(res.status).toBe(400);
+      expect(prisma.password_Reset_Token.create).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const prisma = require('../__mocks__/prisma');
+
+const adminUser = {
+  User_ID: 9999,
+  Email: 'admin@test.com',
+  First_Name: 'Test',
+  Last_Name: 'Admin',
+  User_Role: 'ADMIN',
+  Is_Active: true,
+};
+let mockUser = adminUser;
+
+// Mock the auth middleware
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  hashPassword: jest.fn(),
+  comparePassword: jest.fn(),
+  JWT_SECRET: 'test-secret',
+}));
+
+// Mock the audit logger
+jest.mock('../../src/utils/auditLogger', () => ({
+  log: jest.fn().mockResolvedValue({}),
+  logAuth: jest.fn().mockResolvedValue({}),
+  logBooking: jest.fn().mockResolvedValue({}),
+  logInventory: jest.fn().mockResolvedValue({}),
+}));
+
+// Mock notification services
+jest.mock('../../src/services/notificationManager', () => ({
+  add: jest.fn(),
+  remove: jest.fn(),
+  send: jest.fn(),
+  broadcastBookingEvent: jest.fn().mockResolvedValue(undefined),
+  clients: new Map(),
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRole: jest.fn().mockResolvedValue(undefined),
+  notifyUsers: jest.fn().mockResolvedValue(undefined),
+  createNotification: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { app } = require('../app');
+const AuditLogger = require('../../src/utils/auditLogger');
+const WebhookService = require('../../src/services/webhookService');
+
+const event = {
+  Event_ID: 12,
+  Event_Type: 'ticket.resolved',
+  Payload: { ticketId: 4 },
+  Created_At: new Date('2026-10-19T01:00:00.000Z'),
+};
+
+const endpoint = {
+  Endpoint_ID: 3,
+  Name: 'Chat bot',
+  Url: 'https://bot.example.edu/hooks/bits',
+  Secret: 'whsec_test',
+  Event_Types: [],
+  Is_Active: true,
+};
+
+const delivery = (overrides = {}) => ({
+  Delivery_ID: 30,
+  Event_ID: 12,
+  Endpoint_ID: 3,
+  Status: 'PENDING',
+  Attempts: 0,
+  Event: event,
+  Endpoint: endpoint,
+  ...overrides,
+});
+
+describe('Webhooks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUser = adminUser;
+    Object.values(prisma.outbox_Event).forEach(fn => fn.mockReset());
+    Object.values(prisma.webhook_Endpoint).forEach(fn => fn.mockReset());
+    Object.values(prisma.webhook_Delivery).forEach(fn => fn.mockReset());
+    prisma.webhook_Delivery.update.mockImplementation(({ data }) => Promise.resolve({ Delivery_ID: 30, ...data }));
+  });
+
+  describe('admin API', () => {
+    it('should register an endpoint and return its secret once', async () => {
+      prisma.webhook_Endpoint.create.mockImplementation(({ data }) => {
+        const { Secret, ...record } = data;
+        return Promise.resolve({ Endpoint_ID: 3, ...record });
+      });
+
+      const res = await request(app)
+        .post('/webhooks')
+        .send({ name: 'Registrar', url: 'https://registrar.example.edu/bits', eventTypes: ['form.transferred'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.secret).toMatch(/^whsec_/);
+      expect(prisma.webhook_Endpoint.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ Event_Types: ['form.transferred'], Created_By: 9999, Secret: res.body.data.secret }),
+      }));
+      expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'WEBHOOK_CREATED' }));
+    });
+
+    it('should reject unknown event types', async () => {
+      const res = await request(app)
+        .post('/webhooks')
+        .send({ name: 'Registrar', url: 'https://registrar.example.edu/bits', eventTypes: ['booking.deleted'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ unknown: ['booking.deleted'] });
+      expect(prisma.webhook_Endpoint.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject non-http URLs', async () => {
+      const res = await request(app)
+        .post('/webhooks')
+        .send({ name: 'Registrar', url: 'ftp://registrar.example.edu/bits' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should list dead-lettered deliveries', async () => {
+      prisma.webhook_Delivery.findMany.mockResolvedValue([delivery({ Status: 'DEAD', Attempts: 6 })]);
+
+      const res = await request(app).get('/webhooks/dead-letters?endpointId=3');
+
+      expect(res.status).toBe(200);
+      expect(prisma.webhook_Delivery.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { Endpoint_ID: 3, Status: 'DEAD' },
+      }));
+    });
+
+    it('should reject an invalid delivery status filter', async () => {
+      const res = await request(app).get('/webhooks/deliveries?status=LOST');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should requeue a dead delivery', async () => {
+      prisma.webhook_Delivery.findUnique.mockResolvedValue(delivery({ Status: 'DEAD', Attempts: 6 }));
+
+      const res = await request(app).post('/webhooks/deliveries/30/retry');
+
+      expect(res.status).toBe(200);
+      expect(prisma.webhook_Delivery.update).toHaveBeenCalledWith({
+        where: { Delivery_ID: 30 },
+        data: { Status: 'PENDING', Attempts: 0, Next_Attempt_At: expect.any(Date) },
+      });
+    });
+
+    it('should refuse to retry a delivery that is not dead', async () => {
+      prisma.webhook_Delivery.findUnique.mockResolvedValue(delivery({ Status: 'DELIVERED' }));
+
+      const res = await request(app).post('/webhooks/deliveries/30/retry');
+
+      expect(res.status).toBe(409);
+      expect(prisma.webhook_Delivery.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dispatcher', () => {
+    it('should fan events out to subscribed endpoints only', async () => {
+      prisma.outbox_Event.findMany.mockResolvedValue([event]);
+      prisma.webhook_Endpoint.findMany.mockResolvedValue([
+        { Endpoint_ID: 3, Event_Types: [] },
+        { Endpoint_ID: 4, Event_Types: ['ticket.resolved'] },
+        { Endpoint_ID: 5, Event_Types: ['booking.approved'] },
+      ]);
+
+      const count = await WebhookService.fanOut();
+
+      expect(count).toBe(1);
+      expect(prisma.webhook_Delivery.createMany).toHaveBeenCalledWith({
+        data: [{ Event_ID: 12, Endpoint_ID: 3 }, { Event_ID: 12, Endpoint_ID: 4 }],
+        skipDuplicates: true,
+      });
+      expect(prisma.outbox_Event.update).toHaveBeenCalledWith({
+        where: { Event_ID: 12 },
+        data: { Dispatched_At: expect.any(Date) },
+      });
+    });
+
+    it('should sign deliveries with the endpoint secret', async () => {
+      axios.post.mockResolvedValue({ status: 204 });
+      const now = new Date('2026-10-19T02:00:00.000Z');
+
+      const updated = await WebhookService.attempt(delivery(), now);
+
+      expect(updated.Status).toBe('DELIVERED');
+      const [url, body, { headers }] = axios.post.mock.calls[0];
+      expect(url).toBe(endpoint.Url);
+      expect(JSON.parse(body)).toEqual({ id: 12, type: 'ticket.resolved', createdAt: event.Created_At.toISOString(), data: { ticketId: 4 } });
+      const expected = crypto.createHmac('sha256', 'whsec_test').update(`${headers['X-BITS-Timestamp']}.${body}`).digest('hex');
+      expect(headers['X-BITS-Signature']).toBe(`sha256=${expected}`);
+      expect(headers['X-BITS-Event']).toBe('ticket.resolved');
+    });
+
+    it('should back off after a failed attempt', async () => {
+      axios.post.mockResolvedValue({ status: 503 });
+      const now = new Date('2026-10-19T02:00:00.000Z');
+
+      const updated = await WebhookService.attempt(delivery({ Attempts: 1 }), now);
+
+      expect(updated).toMatchObject({
+        Status: 'PENDING',
+        Attempts: 2,
+        Last_Status_Code: 503,
+        Last_Error: 'HTTP 503',
+        Next_Attempt_At: new Date(now.getTime() + 5 * 60 * 1000),
+      });
+    });
+
+    it('should dead-letter a delivery after its last retry', async () => {
+      axios.post.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+      const updated = await WebhookService.attempt(delivery({ Attempts: WebhookService.RETRY_DELAYS_MINUTES.length }));
+
+      expect(updated.Status).toBe('DEAD');
+      expect(updated.Last_Error).toBe('ECONNREFUSED: connect ECONNREFUSED');
+    });
+  });
+
+  describe('outbox events', () => {
+    it('should record booking.approved in the approval transaction', async () => {
+      const booking = {
+        Booked_Room_ID: 2,
+        User_ID: 1,
+        Room_ID: 1,
+        Status: 'PENDING',
+        Start_Time: new Date(Date.now() + 48 * 60 * 60 * 1000),
+        End_Time: new Date(Date.now() + 50 * 60 * 60 * 1000),
+        Room: { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB' },
+        User: { User_ID: 1 },
+      };
+      mockUser = { User_ID: 7, User_Role: 'LAB_HEAD', First_Name: 'Hal', Last_Name: 'Head' };
+      prisma.Booked_Room.findUnique.mockResolvedValue(booking);
+      prisma.Booked_Room.update.mockResolvedValue({ ...booking, Status: 'APPROVED' });
+      prisma.Schedule.findMany.mockResolvedValue([]);
+
+      const res = await request(app)
+        .patch('/bookings/2/status')
+        .send({ status: 'APPROVED' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function));
+      expect(prisma.outbox_Event.create).toHaveBeenCalledWith({
+        data: {
+          Event_Type: 'booking.approved',
+          Payload: expect.objectContaining({ bookingId: 2, roomId: 1, roomName: 'Lab A', userId: 1, approvedBy: 7 }),
+        },
+      });
+    });
+
+    it('should record booking.approved with a booking approved at creation', async () => {
+      const labRoom = { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB', Status: 'AVAILABLE', Schedule: [] };
+      prisma.room.findUnique.mockResolvedValue(labRoom);
+      prisma.user.findUnique.mockResolvedValue({ User_Role: 'LAB_HEAD' });
+      prisma.Booked_Room.findFirst.mockResolvedValue(null);
+      prisma.Booked_Room.create.mockImplementation(({ data }) => Promise.resolve({
+        Booked_Room_ID: 12, ...data, Room: labRoom, User: { User_ID: 7, First_Name: 'Hal', Last_Name: 'Head' },
+      }));
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({
+          User_ID: 7,
+          Room_ID: 1,
+          Start_Time: new Date(Date.now() + 48 * 60 * 60 * 1000),
+          End_Time: new Date(Date.now() + 50 * 60 * 60 * 1000),
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.Status).toBe('APPROVED');
+      expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function));
+      expect(prisma.outbox_Event.create).toHaveBeenCalledWith({
+        data: {
+          Event_Type: 'booking.approved',
+          Payload: expect.objectContaining({ bookingId: 12, roomId: 1, roomName: 'Lab A', userId: 7, approvedBy: 7 }),
+        },
+      });
+    });
+
+    it('should not record booking.approved for a pending request', async () => {
+      const labRoom = { Room_ID: 1, Name: 'Lab A', Room_Type: 'LAB', Status: 'AVAILABLE', Schedule: [] };
+      prisma.room.findUnique.mockResolvedValue(labRoom);
+      prisma.user.findUnique.mockResolvedValue({ User_Role: 'FACULTY' });
+      prisma.Booked_Room.findFirst.mockResolvedValue(null);
+      prisma.Booked_Room.create.mockImplementation(({ data }) => Promise.resolve({
+        Booked_Room_ID: 13, ...data, Room: labRoom, User: { User_ID: 1, First_Name: 'Fay', Last_Name: 'Culty' },
+      }));
+
+      const res = await request(app)
+        .post('/bookings')
+        .send({
+          User_ID: 1,
+          Room_ID: 1,
+          Start_Time: new Date(Date.now() + 48 * 60 * 60 * 1000),
+          End_Time: new Date(Date.now() + 50 * 60 * 60 * 1000),
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.Status).toBe('PENDING');
+      expect(prisma.outbox_Event.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown event types', async () => {
+      await expect(WebhookService.record('booking.exploded', {})).rejects.toThrow('Unknown webhook event type');
+    });
+  });
+});
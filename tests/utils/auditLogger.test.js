@@ -0,0 +1,67 @@
+const AuditLogger = require('../../src/utils/auditLogger');
+
+describe('AuditLogger.diff', () => {
+  it('should keep only the fields that changed', () => {
+    const before = { Booked_Room_ID: 4, Status: 'PENDING', Notes: null, Updated_At: new Date('2026-10-18') };
+    const after = { Booked_Room_ID: 4, Status: 'APPROVED', Notes: 'ok', Updated_At: new Date('2026-10-19') };
+
+    expect(AuditLogger.diff(before, after)).toEqual({
+      before: { Status: 'PENDING', Notes: null },
+      after: { Status: 'APPROVED', Notes: 'ok' },
+    });
+  });
+
+  it('should record whole records for creations and deletions', () => {
+    const record = { Endpoint_ID: 3, Name: 'Chat bot' };
+
+    expect(AuditLogger.diff(null, record)).toEqual({ before: null, after: record });
+    expect(AuditLogger.diff(record, null)).toEqual({ before: record, after: null });
+    expect(AuditLogger.diff(null, null)).toBeNull();
+  });
+
+  it('should return null when nothing changed', () => {
+    expect(AuditLogger.diff({ Status: 'OPEN' }, { Status: 'OPEN', Updated_At: new Date() })).toBeNull();
+  });
+
+  it('should redact secrets', () => {
+    const change = AuditLogger.diff({ Secret: 'whsec_old', Password: null }, { Secret: 'whsec_new', Password: 'hunter2' });
+
+    expect(change).toEqual({
+      before: { Secret: '[REDACTED]', Password: null },
+      after: { Secret: '[REDACTED]', Password: '[REDACTED]' },
+    });
+  });
+
+  it('should redact secret columns by name but keep their non-secret neighbours', () => {
+    const validAfter = new Date('2026-10-19T02:30:00.000Z');
+    const change = AuditLogger.diff(
+      { Refresh_Token_Hash: 'old', Two_Factor_Recovery_Codes: ['a'], Token_Valid_After: null, Token_Prefix: 'bits_ab' },
+      { Refresh_Token_Hash: 'new', Two_Factor_Recovery_Codes: ['b'], Token_Valid_After: validAfter, Token_Prefix: 'bits_cd' }
+    );
+
+    expect(change).toEqual({
+      before: { Refresh_Token_Hash: '[REDACTED]', Two_Factor_Recovery_Codes: '[REDACTED]', Token_Valid_After: null, Token_Prefix: 'bits_ab' },
+      after: { Refresh_Token_Hash: '[REDACTED]', Two_Factor_Recovery_Codes: '[REDACTED]', Token_Valid_After: validAfter, Token_Prefix: 'bits_cd' },
+    });
+  });
+
+  it('should leave out included relations but compare JSON columns', () => {
+    const before = {
+      Status: 'PENDING',
+      Steps: [{ role: 'LAB_HEAD' }],
+      User: { User_ID: 1, First_Name: 'Ana' },
+      Item: [{ Item_ID: 7, Status: 'AVAILABLE' }],
+    };
+    const after = {
+      Status: 'PENDING',
+      Steps: [{ role: 'LAB_HEAD' }, { role: 'ADMIN' }],
+      User: { User_ID: 1, First_Name: 'Ana Maria' },
+      Item: [{ Item_ID: 7, Status: 'BORROWED' }],
+    };
+
+    expect(AuditLogger.diff(before, after)).toEqual({
+      before: { Steps: [{ role: 'LAB_HEAD' }] },
+      after: { Steps: [{ role: 'LAB_HEAD' }, { role: 'ADMIN' }] },
+    });
+  });
+});
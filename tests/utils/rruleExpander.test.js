@@ -0,0 +1,276 @@
+const { expandRrule, parseRrule } = require('../../src/utils/rruleExpander');
+const { getZonedParts, zonedTimeToUtc } = require('../../src/utils/timezone');
+
+// Examples from RFC 5545 section 3.8.5.3; they are written for America/New_York.
+const NY = 'America/New_York';
+const pad = n => String(n).padStart(2, '0');
+
+const at = (isoLocal, timeZone = NY) => {
+  const [, y, m, d, h, mi] = isoLocal.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/);
+  return zonedTimeToUtc({ year: +y, month: +m, day: +d, hour: +h, minute: +mi }, timeZone);
+};
+
+const days = (dates, timeZone = NY) => dates.map((date) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+});
+
+const expandNy = (rrule, dtstart, options = {}) => expandRrule(rrule, at(dtstart), { timeZone: NY, ...options });
+
+describe('rruleExpander', () => {
+  describe('RFC 5545 examples', () => {
+    it('daily for 10 occurrences', () => {
+      expect(days(expandNy('FREQ=DAILY;COUNT=10', '1997-09-02T09:00'))).toEqual([
+        '1997-09-02', '1997-09-03', '1997-09-04', '1997-09-05', '1997-09-06',
+        '1997-09-07', '1997-09-08', '1997-09-09', '1997-09-10', '1997-09-11',
+      ]);
+    });
+
+    it('daily until December 24, 1997 keeps 09:00 local across the DST change', () => {
+      const result = expandNy('FREQ=DAILY;UNTIL=19971224T000000Z', '1997-09-02T09:00');
+      expect(result).toHaveLength(113);
+      expect(days([result[result.length - 1]])).toEqual(['1997-12-23']);
+      expect(result.every(date => getZonedParts(date, NY).hour === 9)).toBe(true);
+      expect(result[0].toISOString()).toBe('1997-09-02T13:00:00.000Z');
+      expect(result[result.length - 1].toISOString()).toBe('1997-12-23T14:00:00.000Z');
+    });
+
+    it('every 10 days, 5 occurrences', () => {
+      expect(days(expandNy('FREQ=DAILY;INTERVAL=10;COUNT=5', '1997-09-02T09:00'))).toEqual([
+        '1997-09-02', '1997-09-12', '1997-09-22', '1997-10-02', '1997-10-12',
+      ]);
+    });
+
+    it('weekly for 10 occurrences', () => {
+      expect(days(expandNy('FREQ=WEEKLY;COUNT=10', '1997-09-02T09:00'))).toEqual([
+        '1997-09-02', '1997-09-09', '1997-09-16', '1997-09-23', '1997-09-30',
+        '1997-10-07', '1997-10-14', '1997-10-21', '1997-10-28', '1997-11-04',
+      ]);
+    });
+
+    it('every other week on Tuesday and Thursday, 8 occurrences', () => {
+      expect(days(expandNy('FREQ=WEEKLY;INTERVAL=2;COUNT=8;WKST=SU;BYDAY=TU,TH', '1997-09-02T09:00'))).toEqual([
+        '1997-09-02', '1997-09-04', '1997-09-16', '1997-09-18',
+        '1997-09-30', '1997-10-02', '1997-10-14', '1997-10-16',
+      ]);
+    });
+
+    it('monthly on the first Friday for 10 occurrences', () => {
+      expect(days(expandNy('FREQ=MONTHLY;COUNT=10;BYDAY=1FR', '1997-09-05T09:00'))).toEqual([
+        '1997-09-05', '1997-10-03', '1997-11-07', '1997-12-05', '1998-01-02',
+        '1998-02-06', '1998-03-06', '1998-04-03', '1998-05-01', '1998-06-05',
+      ]);
+    });
+
+    it('every other month on the first and last Sunday', () => {
+      expect(days(expandNy('FREQ=MONTHLY;INTERVAL=2;COUNT=10;BYDAY=1SU,-1SU', '1997-09-07T09:00'))).toEqual([
+        '1997-09-07', '1997-09-28', '1997-11-02', '1997-11-30', '1998-01-04',
+        '1998-01-25', '1998-03-01', '1998-03-29', '1998-05-03', '1998-05-31',
+      ]);
+    });
+
+    it('monthly on the second-to-last Monday', () => {
+      expect(days(expandNy('FREQ=MONTHLY;COUNT=6;BYDAY=-2MO', '1997-09-22T09:00'))).toEqual([
+        '1997-09-22', '1997-10-20', '1997-11-17', '1997-12-22', '1998-01-19', '1998-02-16',
+      ]);
+    });
+
+    it('monthly on the third-to-last day', () => {
+      expect(days(expandNy('FREQ=MONTHLY;BYMONTHDAY=-3;COUNT=6', '1997-09-28T09:00'))).toEqual([
+        '1997-09-28', '1997-10-29', '1997-11-28', '1997-12-29', '1998-01-29', '1998-02-26',
+      ]);
+    });
+
+    it('monthly on the 2nd and 15th', () => {
+      expect(days(expandNy('FREQ=MONTHLY;COUNT=10;BYMONTHDAY=2,15', '1997-09-02T09:00'))).toEqual([
+        '1997-09-02', '1997-09-15', '1997-10-02', '1997-10-15', '1997-11-02',
+        '1997-11-15', '1997-12-02', '1997-12-15', '1998-01-02', '1998-01-15',
+      ]);
+    });
+
+    it('monthly on the first and last day', () => {
+      expect(days(expandNy('FREQ=MONTHLY;COUNT=10;BYMONTHDAY=1,-1', '1997-09-30T09:00'))).toEqual([
+        '1997-09-30', '1997-10-01', '1997-10-31', '1997-11-01', '1997-11-30',
+        '1997-12-01', '1997-12-31', '1998-01-01', '1998-01-31', '1998-02-01',
+      ]);
+    });
+
+    it('yearly in June and July', () => {
+      expect(days(expandNy('FREQ=YEARLY;COUNT=10;BYMONTH=6,7', '1997-06-10T09:00'))).toEqual([
+        '1997-06-10', '1997-07-10', '1998-06-10', '1998-07-10', '1999-06-10',
+        '1999-07-10', '2000-06-10', '2000-07-10', '2001-06-10', '2001-07-10',
+      ]);
+    });
+
+    it('every third year on the 1st, 100th and 200th day', () => {
+      const result = expandNy('FREQ=YEARLY;INTERVAL=3;COUNT=10;BYYEARDAY=1,100,200', '1997-01-01T09:00', {
+        windowEnd: at('2010-01-01T00:00'),
+      });
+      expect(days(result)).toEqual([
+        '1997-01-01', '1997-04-10', '1997-07-19', '2000-01-01', '2000-04-09',
+        '2000-07-18', '2003-01-01', '2003-04-10', '2003-07-19', '2006-01-01',
+      ]);
+    });
+
+    it('every 20th Monday of the year', () => {
+      expect(days(expandNy('FREQ=YEARLY;BYDAY=20MO;COUNT=3', '1997-05-19T09:00'))).toEqual([
+        '1997-05-19', '1998-05-18', '1999-05-17',
+      ]);
+    });
+
+    it('Monday of week number 20', () => {
+      expect(days(expandNy('FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO;COUNT=3', '1997-05-12T09:00'))).toEqual([
+        '1997-05-12', '1998-05-11', '1999-05-17',
+      ]);
+    });
+
+    it('every Thursday in March', () => {
+      expect(days(expandNy('FREQ=YEARLY;BYMONTH=3;BYDAY=TH;COUNT=7', '1997-03-13T09:00'))).toEqual([
+        '1997-03-13', '1997-03-20', '1997-03-27', '1998-03-05', '1998-03-12', '1998-03-19', '1998-03-26',
+      ]);
+    });
+
+    it('every Friday the 13th, without the non-matching DTSTART', () => {
+      expect(days(expandNy('FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13;COUNT=5', '1997-09-02T09:00'))).toEqual([
+        '1998-02-13', '1998-03-13', '1998-11-13', '1999-08-13', '2000-10-13',
+      ]);
+    });
+
+    it('the first Saturday that follows the first Sunday of the month', () => {
+      expect(days(expandNy('FREQ=MONTHLY;BYDAY=SA;BYMONTHDAY=7,8,9,10,11,12,13;COUNT=10', '1997-09-13T09:00'))).toEqual([
+        '1997-09-13', '1997-10-11', '1997-11-08', '1997-12-13', '1998-01-10',
+        '1998-02-07', '1998-03-07', '1998-04-11', '1998-05-09', '1998-06-13',
+      ]);
+    });
+
+    it('U.S. presidential election day', () => {
+      const result = expandNy('FREQ=YEARLY;INTERVAL=4;BYMONTH=11;BYDAY=TU;BYMONTHDAY=2,3,4,5,6,7,8;COUNT=3', '1996-11-05T09:00', {
+        windowEnd: at('2005-01-01T00:00'),
+      });
+      expect(days(result)).toEqual(['1996-11-05', '2000-11-07', '2004-11-02']);
+    });
+
+    it('the third instance of Tuesday, Wednesday or Thursday each month', () => {
+      expect(days(expandNy('FREQ=MONTHLY;COUNT=3;BYDAY=TU,WE,TH;BYSETPOS=3', '1997-09-04T09:00'))).toEqual([
+        '1997-09-04', '1997-10-07', '1997-11-06',
+      ]);
+    });
+
+    it('the second-to-last weekday of the month', () => {
+      expect(days(expandNy('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-2;COUNT=7', '1997-09-29T09:00'))).toEqual([
+        '1997-09-29', '1997-10-30', '1997-11-27', '1997-12-30', '1998-01-29', '1998-02-26', '1998-03-30',
+      ]);
+    });
+
+    it('every 3 hours from 09:00 to 17:00 on one day', () => {
+      const result = expandNy('FREQ=HOURLY;INTERVAL=3;UNTIL=19970902T210000Z', '1997-09-02T09:00');
+      expect(result.map(date => getZonedParts(date, NY).hour)).toEqual([9, 12, 15]);
+    });
+
+    it('WKST changes which days share an every-other-week period', () => {
+      expect(days(expandNy('FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU,SU;WKST=MO', '1997-08-05T09:00'))).toEqual([
+        '1997-08-05', '1997-08-10', '1997-08-19', '1997-08-24',
+      ]);
+      expect(days(expandNy('FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU,SU;WKST=SU', '1997-08-05T09:00'))).toEqual([
+        '1997-08-05', '1997-08-17', '1997-08-19', '1997-08-31',
+      ]);
+    });
+
+    it('skips month days that do not exist (no February 30th)', () => {
+      expect(days(expandNy('FREQ=MONTHLY;BYMONTHDAY=15,30;COUNT=5', '2007-01-15T09:00'))).toEqual([
+        '2007-01-15', '2007-01-30', '2007-02-15', '2007-03-15', '2007-03-30',
+      ]);
+    });
+  });
+
+  describe('campus time', () => {
+    it('expands in Asia/Manila by default: 2nd and 4th Tuesday', () => {
+      const result = expandRrule('FREQ=MONTHLY;BYDAY=2TU,4TU;COUNT=4', new Date('2026-11-10T01:00:00Z'));
+      expect(result.map(date => date.toISOString())).toEqual([
+        '2026-11-10T01:00:00.000Z',
+        '2026-11-24T01:00:00.000Z',
+        '2026-12-08T01:00:00.000Z',
+        '2026-12-22T01:00:00.000Z',
+      ]);
+    });
+
+    it('supports "last weekday of the month"', () => {
+      const result = expandRrule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3', at('2026-10-30T09:00', 'Asia/Manila'));
+      expect(days(result, 'Asia/Manila')).toEqual(['2026-10-30', '2026-11-30', '2026-12-31']);
+    });
+
+    it('keeps the campus weekday when the UTC date differs', () => {
+      // 07:30 Monday in Manila is still Sunday in UTC.
+      const result = expandRrule('FREQ=WEEKLY;COUNT=2', new Date('2026-11-01T23:30:00Z'));
+      expect(days(result, 'Asia/Manila')).toEqual(['2026-11-02', '2026-11-09']);
+    });
+
+    it('matches excluded dates by campus date and still counts them toward COUNT', () => {
+      const result = expandRrule('FREQ=DAILY;COUNT=3', new Date('2026-11-01T23:30:00Z'), {
+        excludedDates: ['2026-11-03'],
+      });
+      expect(result.map(date => date.toISOString())).toEqual([
+        '2026-11-01T23:30:00.000Z',
+        '2026-11-03T23:30:00.000Z',
+      ]);
+    });
+
+    it('reads a date-only UNTIL as the end of that campus day', () => {
+      const result = expandRrule('FREQ=DAILY;UNTIL=20261104', new Date('2026-11-02T14:00:00Z'));
+      expect(days(result, 'Asia/Manila')).toEqual(['2026-11-02', '2026-11-03', '2026-11-04']);
+    });
+
+    it('limits results to the window', () => {
+      const result = expandRrule('FREQ=DAILY;COUNT=10', new Date('2026-11-02T01:00:00Z'), {
+        windowStart: new Date('2026-11-05T00:00:00Z'),
+        windowEnd: new Date('2026-11-07T00:00:00Z'),
+      });
+      expect(days(result, 'Asia/Manila')).toEqual(['2026-11-05', '2026-11-06']);
+    });
+  });
+
+  describe('validation', () => {
+    const errorFor = (rrule) => {
+      try {
+        parseRrule(rrule);
+      } catch (err) {
+        return err;
+      }
+      return null;
+    };
+
+    it('names unsupported parts', () => {
+      const err = errorFor('FREQ=WEEKLY;BYFOO=1');
+      expect(err.statusCode).toBe(400);
+      expect(err.message).toBe('Unsupported RRULE part BYFOO');
+      expect(err.details).toEqual({ part: 'BYFOO' });
+    });
+
+    it('rejects sub-hourly frequencies', () => {
+      expect(errorFor('FREQ=MINUTELY;COUNT=5').message).toMatch(/FREQ=MINUTELY is not supported/);
+    });
+
+    it('rejects parts that RFC 5545 does not allow with the frequency', () => {
+      expect(errorFor('FREQ=WEEKLY;BYWEEKNO=20').message).toBe('BYWEEKNO is only valid with FREQ=YEARLY');
+      expect(errorFor('FREQ=WEEKLY;BYMONTHDAY=1').message).toBe('BYMONTHDAY is not valid with FREQ=WEEKLY');
+      expect(errorFor('FREQ=DAILY;BYYEARDAY=1').message).toBe('BYYEARDAY is not valid with FREQ=DAILY');
+      expect(errorFor('FREQ=WEEKLY;BYDAY=2TU').details).toEqual({ part: 'BYDAY' });
+    });
+
+    it('rejects malformed, duplicate and conflicting parts', () => {
+      expect(errorFor('BYDAY=MO').message).toBe('RRULE must include FREQ');
+      expect(errorFor('FREQ=MONTHLY;BYMONTHDAY=0').message).toBe('Invalid BYMONTHDAY value "0"');
+      expect(errorFor('FREQ=DAILY;FREQ=WEEKLY').message).toBe('RRULE part FREQ appears more than once');
+      expect(errorFor('FREQ=DAILY;COUNT=2;UNTIL=20270101').message).toBe('RRULE cannot have both COUNT and UNTIL');
+      expect(errorFor('FREQ=MONTHLY;BYSETPOS=1').details).toEqual({ part: 'BYSETPOS' });
+    });
+
+    it('accepts the RRULE: prefix', () => {
+      expect(parseRrule('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;WKST=SU')).toMatchObject({
+        freq: 'WEEKLY',
+        wkst: 0,
+        byDay: [{ weekday: 1, n: null }, { weekday: 3, n: null }],
+      });
+    });
+  });
+});